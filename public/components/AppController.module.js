@@ -7,8 +7,22 @@ const ENABLE_PANEL_6 = true; // Change this to false to disable Panel 6
 
 import { dataService } from './DataService.js';
 import { riskEngine } from './RiskEngine.js';
+import { normalizeIndicatorWeights } from './IndicatorSchema.js';
+import { SECTORS, normalizeCountrySectors } from './SectorRisk.js';
+import { buildPortfolioFromTable, loadSheetJS, readPortfolioFile } from './PortfolioImport.js';
+import { deriveCountryPortfolio, deriveTierPortfolios, normalizeSuppliers } from './SupplierPortfolio.js';
+import {
+  MAX_COMPARED_SCENARIOS,
+  buildScenarioResults,
+  createScenario,
+  normalizeComparedScenarioIds,
+  normalizeScenarios
+} from './ScenarioComparison.js';
+import { SHARE_LINK_MAX_LENGTH, decodeShareFragment, encodeShareFragment } from './ShareLink.js';
+import { applyReportPreset, createDefaultReportTemplate, normalizeReportTemplate } from './ReportTemplates.js';
 import { UIComponents } from './UIComponents.js';
 import { pdfGenerator } from './PDFGenerator.js';
+import { buildCalculationWorkbook, writeCalculationWorkbook } from './CalculationWorkbook.js';
 
 const PANEL_DESCRIPTIONS = {
   1: 'Decide for yourself. Calculate a global picture of labour rights risks using publicly-available indices from reputable organisations. Use sliders (below the map) to change weightings. Then go to panel 2.',
@@ -37,9 +51,17 @@ export class AppController {
     this.state = {
       // Data
       countries: [],
-      weights: Array.isArray(riskEngine?.defaultWeights)
-        ? [...riskEngine.defaultWeights]
-        : [20, 20, 20, 20, 20],
+      dataYear: null,                // edition year of `countries`
+      availableDataYears: [],        // newest first
+      previousDataYear: null,        // edition before `dataYear`, used for the change column
+      previousCountries: [],
+      dataset: null,                 // { datasetVersion, sourceHash, contentHash } of the loaded data
+      datasetWarning: null,          // set when a restored assessment was saved with different data
+      shareLinkNotice: null,         // { tone: 'info' | 'error', message, details } after opening or copying a share link
+      subnationalDrillCountry: null, // ISO code whose provinces/states are open in Panel 2
+      subnationalAdjustments: {},    // { ISO 3166-2 code: { riskMultiplier, overrides } } of the loaded edition
+      weights: normalizeIndicatorWeights(riskEngine?.defaultWeights),
+      imputationStrategy: riskEngine.defaultImputationStrategy,
 
       // Panel 6 cost analysis state (only if enabled)
         ...(ENABLE_PANEL_6 ? {
@@ -61,8 +83,29 @@ export class AppController {
       // Selection + volumes
       selectedCountries: [],
       countryVolumes: {},            // { ISO: number }
+      countrySectors: {},            // { ISO: sector id } for each portfolio line
+      suppliers: [],                 // optional supplier list; when non-empty the three fields above derive from it
+      countrySupplierCounts: {},     // { ISO: number of suppliers } derived from `suppliers`
+      supplierVolumeBasis: null,     // 'spend' | 'workers' | 'suppliers' used to derive countryVolumes
       countryRisks: {},              // { ISO: number }
+      portfolioRisks: {},            // countryRisks with selected lines scaled by their sector multiplier
+      mapSectorFilter: 'portfolio',  // Panel 2 map: 'portfolio' or a sector id applied to every country
+      portfolioImport: null,         // report from the last CSV/XLSX portfolio import
+
+      // Server-side named assessments (see /api/assessments)
+      assessmentIdentity: this.readAssessmentIdentity(), // { token, workspace } sent with assessment requests
+      assessmentAccount: null,       // { user, workspaces } the server read from the token
+      assessments: [],               // summaries in the current workspace, newest first
+      currentAssessment: null,       // summary of the assessment being edited, if any
+      assessmentPicker: { open: false, loading: false, error: null, message: null },
+
+      // What-if scenarios kept in this browser (see ScenarioComparison.js)
+      scenarios: [],
+      comparedScenarioIds: [],       // 2-4 scenario ids shown side by side in Panel 5, first is the reference
+      reportTemplate: createDefaultReportTemplate(), // report sections, narratives and branding (see ReportTemplates.js)
       countryManagedRisks: {},       // { ISO: number }
+      countryDataCompleteness: {},   // { ISO: { available, total, ratio, missing, imputed, strategy } }
+      previousCountryRisks: {},      // { ISO: number } for the previous edition, same weights
 
       // Scalars
       baselineRisk: 0,
@@ -72,6 +115,7 @@ export class AppController {
 
       // Strategy (coverage %) and effectiveness (%)
       hrddStrategy: riskEngine.defaultHRDDStrategy || [10, 10, 25, 60, 80, 90],
+      tierHrddStrategies: riskEngine.sanitizeTierHRDDStrategies(), // { tier: coverage % } for tiers below tier 1
       transparencyEffectiveness: this.normalizeTransparencyEffectiveness(
         riskEngine.defaultTransparencyEffectiveness || [90, 45, 25, 15, 12, 5]
       ),
@@ -82,6 +126,7 @@ export class AppController {
 
       // Focus analytics (optional, shown when available)
       focusEffectivenessMetrics: null,
+      tierRiskBreakdown: null,       // per-tier and combined risk when a supplier list exists
 
       // UI
       currentPanel: 1,      // 1..5
@@ -90,13 +135,15 @@ export class AppController {
       apiHealthy: false,
       lastUpdate: null,
       isDirty: false,
-      isGeneratingReport: false
+      isGeneratingReport: false,
+      isExportingWorkbook: false
     };
 
     // Debounce timers
     this.weightsTimeout = null;
     this.volumeTimeout = null;
     this.strategyTimeout = null;
+    this.tierStrategyTimeout = null;
     this.transparencyTimeout = null;
     this.responsivenessTimeout = null;
     this.responsivenessEffectivenessTimeout = null;
@@ -112,11 +159,40 @@ export class AppController {
     this.render = this.render.bind(this);
     this.renderCurrentPanel = this.renderCurrentPanel.bind(this);
     this.setCurrentPanel = this.setCurrentPanel.bind(this);
+    this.dismissDatasetWarning = this.dismissDatasetWarning.bind(this);
+    this.dismissShareLinkNotice = this.dismissShareLinkNotice.bind(this);
+    this.copyShareLink = this.copyShareLink.bind(this);
+    this.applyShareLink = this.applyShareLink.bind(this);
+    this.toggleAssessmentPicker = this.toggleAssessmentPicker.bind(this);
+    this.setAssessmentIdentity = this.setAssessmentIdentity.bind(this);
+    this.refreshAssessments = this.refreshAssessments.bind(this);
+    this.saveAssessment = this.saveAssessment.bind(this);
+    this.openAssessment = this.openAssessment.bind(this);
+    this.duplicateAssessment = this.duplicateAssessment.bind(this);
+    this.renameAssessment = this.renameAssessment.bind(this);
+    this.deleteAssessment = this.deleteAssessment.bind(this);
+    this.saveScenario = this.saveScenario.bind(this);
+    this.applyScenario = this.applyScenario.bind(this);
+    this.deleteScenario = this.deleteScenario.bind(this);
+    this.toggleScenarioComparison = this.toggleScenarioComparison.bind(this);
+    this.getReportTemplate = this.getReportTemplate.bind(this);
+    this.updateReportTemplate = this.updateReportTemplate.bind(this);
+    this.applyReportPreset = this.applyReportPreset.bind(this);
+    this.resetReportTemplate = this.resetReportTemplate.bind(this);
 
     this.onWeightsChange = this.onWeightsChange.bind(this);
+    this.onImputationStrategyChange = this.onImputationStrategyChange.bind(this);
+    this.onDataYearChange = this.onDataYearChange.bind(this);
+    this.onMapCountrySelect = this.onMapCountrySelect.bind(this);
+    this.onSectorChange = this.onSectorChange.bind(this);
+    this.onPortfolioImport = this.onPortfolioImport.bind(this);
+    this.onSuppliersChange = this.onSuppliersChange.bind(this);
+    this.onMapSectorFilterChange = this.onMapSectorFilterChange.bind(this);
+    this.closeSubnationalDrill = this.closeSubnationalDrill.bind(this);
     this.onCountrySelect = this.onCountrySelect.bind(this);
     this.onVolumeChange = this.onVolumeChange.bind(this);
     this.onHRDDStrategyChange = this.onHRDDStrategyChange.bind(this);
+    this.onTierStrategyChange = this.onTierStrategyChange.bind(this);
     this.onTransparencyChange = this.onTransparencyChange.bind(this);
     this.onResponsivenessChange = this.onResponsivenessChange.bind(this);
     this.onResponsivenessEffectivenessChange = this.onResponsivenessEffectivenessChange.bind(this);
@@ -128,6 +204,7 @@ export class AppController {
 
     this.generatePDFReport = this.generatePDFReport.bind(this);
     this.exportConfiguration = this.exportConfiguration.bind(this);
+    this.exportCalculationWorkbook = this.exportCalculationWorkbook.bind(this);
     this.saveState = this.saveState.bind(this);
     this.restoreState = this.restoreState.bind(this);
     this.loadSavedState = this.loadSavedState.bind(this);
@@ -153,6 +230,7 @@ export class AppController {
     }
 
 this.optimizeBudgetAllocation = this.optimizeBudgetAllocation.bind(this);
+this.getCachedOptimization = this.getCachedOptimization.bind(this);
 
     // Container
     this.containerElement = null;
@@ -252,13 +330,19 @@ this.optimizeBudgetAllocation = this.optimizeBudgetAllocation.bind(this);
       this.state.error = null;
       this.render();
 
-      // Load countries from API / cache
-      const countries = await dataService.getCountries();
+      // Load the latest edition from API / cache, or the edition a saved session was viewing
+      await this.loadDataEdition();
       this.state.apiHealthy = true;
-      this.state.countries = Array.isArray(countries) ? countries : [];
+      const savedYear = this.readSavedDataYear();
+      if (savedYear !== null && savedYear !== this.state.dataYear && this.state.availableDataYears.includes(savedYear)) {
+        await this.loadDataEdition(savedYear);
+      }
 
-      // Restore any prior state (if present)
+      // Restore any prior state (if present); a share link in the URL takes precedence
       this.loadSavedState();
+      if (typeof window !== 'undefined') {
+        await this.applyShareLink(window.location.hash);
+      }
 
       // Compute initial risks
       this.calculateAllRisks();
@@ -285,24 +369,108 @@ this.optimizeBudgetAllocation = this.optimizeBudgetAllocation.bind(this);
 
   /* --------------------------- Calculations ------------------------- */
 
+  // Load one yearly edition of the indices together with the edition before it
+  async loadDataEdition(year = null) {
+    const edition = await dataService.getCountryEdition(year);
+    const previousYear = edition.availableYears.find(candidate => candidate < edition.year) ?? null;
+    let previous = null;
+    if (previousYear !== null) {
+      try {
+        previous = await dataService.getCountryEdition(previousYear);
+      } catch (error) {
+        console.warn(`Previous edition ${previousYear} unavailable:`, error);
+      }
+    }
+
+    // Each edition carries its own adjustments, so year-on-year changes compare like with like
+    this.state.subnationalAdjustments = edition.subnationalAdjustments;
+    this.state.countries = this.withDerivedCountries(edition.countries, edition.subnationalAdjustments);
+    this.state.dataYear = edition.year;
+    this.state.dataset = {
+      datasetVersion: edition.datasetVersion,
+      sourceHash: edition.sourceHash,
+      contentHash: edition.contentHash
+    };
+    this.state.availableDataYears = edition.availableYears;
+    this.state.previousDataYear = previous ? previousYear : null;
+    this.state.previousCountries = previous ? this.withDerivedCountries(previous.countries, previous.subnationalAdjustments) : [];
+  }
+
+  // Dataset version, hashes and source years behind the current numbers
+  getDatasetStamp() {
+    return riskEngine.buildDatasetStamp(this.state.dataset, this.state.dataYear);
+  }
+
+  // Compare the data an assessment was saved with against what is loaded now
+  checkDatasetStamp(savedStamp) {
+    this.state.datasetWarning = riskEngine.describeDatasetChange(savedStamp, this.getDatasetStamp());
+    if (this.state.datasetWarning) {
+      console.warn(this.state.datasetWarning);
+    }
+  }
+
+  dismissDatasetWarning() {
+    this.state.datasetWarning = null;
+    this.updateUI();
+  }
+
+  renderDatasetWarning() {
+    if (!this.state.datasetWarning) return '';
+    return `
+      <div style="display:flex;align-items:flex-start;gap:12px;margin-bottom:16px;padding:12px 16px;background:#fffbeb;border:1px solid #fcd34d;border-radius:8px;color:#92400e;font-size:14px;">
+        <span style="flex:1;">${UIComponents.escapeHtml(this.state.datasetWarning)}</span>
+        <button onclick="window.hrddApp.dismissDatasetWarning()"
+                style="padding:4px 10px;border:1px solid #f59e0b;background:white;color:#92400e;border-radius:6px;cursor:pointer;font-size:12px;">
+          Dismiss
+        </button>
+      </div>
+    `;
+  }
+
+  // Append peer-group estimates for classified economies the dataset does not cover,
+  // then records for the sub-national units of the countries in the list, with the
+  // edition's adjustments
+  withDerivedCountries(countries, subnationalAdjustments = this.state.subnationalAdjustments) {
+    const dataCountries = countries.filter(country => !country?.isImputed && !country?.isSubnational);
+    const withProxies = [...dataCountries, ...riskEngine.buildProxyCountries(dataCountries)];
+    return [...withProxies, ...riskEngine.buildSubnationalRecords(withProxies, subnationalAdjustments)];
+  }
+
   validateCountryData(country) {
     return country && country.isoCode && typeof country === 'object';
   }
 
+  scoreCountries(countries) {
+    const risks = {};
+    const completenessByIso = {};
+
+    const imputationStrategy = riskEngine.normalizeImputationStrategy(this.state.imputationStrategy);
+    const regionalMeans = imputationStrategy === 'regional-mean'
+      ? riskEngine.calculateRegionalIndicatorMeans(countries)
+      : null;
+
+    countries.forEach(country => {
+      if (this.validateCountryData(country)) {
+        const { score, completeness } = riskEngine.calculateWeightedRiskDetails(country, this.state.weights, {
+          imputationStrategy,
+          regionalMeans
+        });
+        risks[country.isoCode] = score;
+        completenessByIso[country.isoCode] = completeness;
+      }
+    });
+
+    return { risks, completeness: completenessByIso };
+  }
+
   calculateAllRisks() {
     try {
-      const newCountryRisks = {};
-      let calculated = 0;
+      const { risks, completeness } = this.scoreCountries(this.state.countries);
+      this.state.countryRisks = risks;
+      this.state.countryDataCompleteness = completeness;
 
-      this.state.countries.forEach(country => {
-        if (this.validateCountryData(country)) {
-          newCountryRisks[country.isoCode] = riskEngine.calculateWeightedRisk(country, this.state.weights);
-          calculated += 1;
-        }
-      });
-
-      this.state.countryRisks = newCountryRisks;
-      // console.log(`Calculated risks for ${calculated} countries`);
+      // The previous edition is scored with the same weights so changes reflect the data only
+      this.state.previousCountryRisks = this.scoreCountries(this.state.previousCountries).risks;
     } catch (e) {
       console.error('calculateAllRisks error:', e);
       this.state.error = 'Failed to calculate country risks';
@@ -310,8 +478,9 @@ this.optimizeBudgetAllocation = this.optimizeBudgetAllocation.bind(this);
   }
 
   calculateBaselineRisk() {
-    const { selectedCountries, countries, countryRisks, countryVolumes } = this.state;
-    const summary = riskEngine.generateBaselineSummary(selectedCountries, countries, countryRisks, countryVolumes);
+    const { selectedCountries, countries, countryRisks, countryVolumes, countrySectors } = this.state;
+    this.state.portfolioRisks = riskEngine.applySectorMultipliers(countryRisks, selectedCountries, countrySectors);
+    const summary = riskEngine.generateBaselineSummary(selectedCountries, countries, countryRisks, countryVolumes, countrySectors);
     this.state.baselineRisk = Number.isFinite(summary?.baselineRisk) ? summary.baselineRisk : 0;
   }
 
@@ -326,9 +495,25 @@ this.optimizeBudgetAllocation = this.optimizeBudgetAllocation.bind(this);
       focus,
       riskConcentration,
       countryVolumes,
-      countryRisks
+      portfolioRisks
     } = this.state;
 
+    // With a supplier list each tier is scored with its own coverage, and the headline
+    // and per-country managed risks are the combined tier figures
+    const tierScoring = this.getTierScoring();
+    this.state.tierRiskBreakdown = tierScoring
+      ? riskEngine.calculateTierRiskBreakdown(
+        tierScoring.tierPortfolios,
+        portfolioRisks,
+        hrddStrategy,
+        tierScoring.tierHRDDStrategies,
+        transparencyEffectiveness,
+        responsivenessStrategy,
+        responsivenessEffectiveness,
+        this.clamp01(focus)
+      )
+      : null;
+
     const summary = riskEngine.generateRiskSummary(
       baselineRisk,
       null, // managedRisk (engine returns this)
@@ -340,7 +525,8 @@ this.optimizeBudgetAllocation = this.optimizeBudgetAllocation.bind(this);
       this.clamp01(focus),
       riskConcentration,
       countryVolumes,
-      countryRisks
+      portfolioRisks,
+      this.state.tierRiskBreakdown
     ) || {};
 
     const managed = Number.isFinite(summary?.managed?.score) ? summary.managed.score : 0;
@@ -352,9 +538,9 @@ this.optimizeBudgetAllocation = this.optimizeBudgetAllocation.bind(this);
   /* ----------------------------- Handlers --------------------------- */
 
   onWeightsChange(newWeights) {
-    if (!Array.isArray(newWeights)) return;
+    if (!newWeights || typeof newWeights !== 'object') return;
     clearTimeout(this.weightsTimeout);
-    this.state.weights = [...newWeights];
+    this.state.weights = normalizeIndicatorWeights(newWeights, this.state.weights);
     this.state.isDirty = true;
 
     this.weightsTimeout = setTimeout(() => {
@@ -366,6 +552,40 @@ this.optimizeBudgetAllocation = this.optimizeBudgetAllocation.bind(this);
     }, 300);
   }
 
+  async onDataYearChange(year) {
+    const parsed = Number(year);
+    if (!Number.isInteger(parsed) || parsed === this.state.dataYear) return;
+
+    try {
+      await this.loadDataEdition(parsed);
+    } catch (error) {
+      console.error(`Failed to load ${parsed} edition:`, error);
+      this.state.error = `Failed to load ${parsed} data: ${error.message}`;
+      this.updateUI();
+      return;
+    }
+
+    this.state.isDirty = true;
+    this.calculateAllRisks();
+    this.calculateBaselineRisk();
+    this.calculateManagedRisk();
+    this.state.lastUpdate = new Date().toISOString();
+    this.updateUI();
+  }
+
+  onImputationStrategyChange(strategy) {
+    const normalized = riskEngine.normalizeImputationStrategy(strategy);
+    if (normalized === this.state.imputationStrategy) return;
+    this.state.imputationStrategy = normalized;
+    this.state.isDirty = true;
+
+    this.calculateAllRisks();
+    this.calculateBaselineRisk();
+    this.calculateManagedRisk();
+    this.state.lastUpdate = new Date().toISOString();
+    this.updateUI();
+  }
+
   onCountrySelect(nextSelected) {
     let updatedSelection;
 
@@ -391,7 +611,19 @@ this.optimizeBudgetAllocation = this.optimizeBudgetAllocation.bind(this);
       updatedSelection = [];
     }
 
-    this.state.selectedCountries = updatedSelection;
+    if (this.hasSupplierList()) {
+      // Keep the supplier list in step: removed countries lose their suppliers and
+      // added countries get an unnamed supplier to fill in
+      const selectionSet = new Set(updatedSelection);
+      const kept = this.state.suppliers.filter(supplier => selectionSet.has(supplier.isoCode));
+      const covered = new Set(kept.map(supplier => supplier.isoCode));
+      const added = updatedSelection
+        .filter(code => !covered.has(code))
+        .map(isoCode => ({ isoCode, sector: this.state.countrySectors?.[isoCode] }));
+      this.setSuppliers([...kept, ...added]);
+    } else {
+      this.state.selectedCountries = updatedSelection;
+    }
     this.state.isDirty = true;
 
     // Recalculate baseline + managed on selection
@@ -402,7 +634,193 @@ this.optimizeBudgetAllocation = this.optimizeBudgetAllocation.bind(this);
   }
   
 
+  // Countries with sub-national units open a province/state picker instead of toggling directly
+  onMapCountrySelect(isoCode) {
+    const normalized = typeof isoCode === 'string' ? isoCode.trim().toUpperCase() : '';
+    if (!normalized) return;
+
+    const hasUnits = this.state.countries.some(country => country.isSubnational && country.parentIsoCode === normalized);
+    if (!hasUnits) {
+      this.onCountrySelect(normalized);
+      return;
+    }
+
+    this.state.subnationalDrillCountry = this.state.subnationalDrillCountry === normalized ? null : normalized;
+    this.renderBaselineMap();
+    this.renderSubnationalDrillPanel();
+  }
+
+  closeSubnationalDrill() {
+    this.state.subnationalDrillCountry = null;
+    this.renderBaselineMap();
+    this.renderSubnationalDrillPanel();
+  }
+
+  // Panel 2 map; while a country is drilled into it zooms there and marks its provinces/states
+  renderBaselineMap() {
+    const baselineRiskValue = Number.isFinite(this.state.baselineRisk)
+      ? this.state.baselineRisk.toFixed(1)
+      : 'N/A';
+    const managedRiskValue = Number.isFinite(this.state.managedRisk)
+      ? this.state.managedRisk.toFixed(1)
+      : 'N/A';
+    const baselineMapTitle = `Click on countries to select them: current baseline risk = ${baselineRiskValue}`;
+    const baselineMapSubtitle = `Based on the assumptions, current managed risk = ${managedRiskValue}`;
+
+    UIComponents.createWorldMap('baselineMapContainer', {
+      countries: this.state.countries,
+      countryRisks: this.getSectorMapRisks(),
+      dataCompleteness: this.state.countryDataCompleteness,
+      selectedCountries: this.state.selectedCountries,
+      onCountrySelect: this.onMapCountrySelect,
+      title: baselineMapTitle,
+      subtitle: baselineMapSubtitle,
+      sectorFilter: {
+        options: [
+          { value: 'portfolio', label: 'Portfolio sectors (as set per country below)' },
+          ...SECTORS.map(sector => ({ value: sector.id, label: `${sector.label} (×${sector.multiplier})` }))
+        ],
+        value: this.state.mapSectorFilter,
+        onChange: this.onMapSectorFilterChange
+      },
+      drillCountry: this.state.subnationalDrillCountry,
+      height: 500,
+      width: 1200
+    });
+  }
+
+  renderSubnationalDrillPanel() {
+    const isoCode = this.state.subnationalDrillCountry;
+    UIComponents.createSubnationalDrillPanel('subnationalDrillPanel', {
+      country: isoCode ? this.state.countries.find(country => country.isoCode === isoCode) : null,
+      units: isoCode ? this.state.countries.filter(country => country.isSubnational && country.parentIsoCode === isoCode) : [],
+      selectedCountries: this.state.selectedCountries,
+      countryRisks: this.state.countryRisks,
+      onCountrySelect: this.onCountrySelect,
+      onClose: this.closeSubnationalDrill
+    });
+  }
+
+  onSectorChange(isoCode, sectorId) {
+    if (this.hasSupplierList()) {
+      // A country-level sector change applies to every supplier in that country
+      this.setSuppliers(this.state.suppliers.map(supplier => (
+        supplier.isoCode === isoCode ? { ...supplier, sector: sectorId } : supplier
+      )));
+    } else {
+      this.state.countrySectors = normalizeCountrySectors({ ...this.state.countrySectors, [isoCode]: sectorId });
+    }
+    this.state.isDirty = true;
+
+    this.calculateBaselineRisk();
+    this.calculateManagedRisk();
+    this.state.lastUpdate = new Date().toISOString();
+    this.updateUI();
+  }
+
+  hasSupplierList() {
+    return Array.isArray(this.state.suppliers) && this.state.suppliers.length > 0;
+  }
+
+  // Per-country supplier counts for the Panel 6 costing, or null without a supplier list
+  getCountrySupplierCounts() {
+    return this.hasSupplierList() ? this.state.countrySupplierCounts : null;
+  }
+
+  // Tier portfolios and deeper-tier coverage for scoring a supplier list per tier, or null
+  getTierScoring() {
+    return this.hasSupplierList()
+      ? { tierPortfolios: deriveTierPortfolios(this.state.suppliers), tierHRDDStrategies: this.state.tierHrddStrategies }
+      : null;
+  }
+
+  // Store a supplier list and derive the country lines from it. An empty list keeps the
+  // current countries, volumes and sectors so they can be edited per country again.
+  setSuppliers(list) {
+    this.state.suppliers = normalizeSuppliers(list);
+    if (!this.hasSupplierList()) {
+      this.state.countrySupplierCounts = {};
+      this.state.supplierVolumeBasis = null;
+      return;
+    }
+
+    const derived = deriveCountryPortfolio(this.state.suppliers);
+    this.state.selectedCountries = derived.selectedCountries;
+    this.state.countryVolumes = derived.countryVolumes;
+    this.state.countrySectors = derived.countrySectors;
+    this.state.countrySupplierCounts = derived.countrySupplierCounts;
+    this.state.supplierVolumeBasis = derived.volumeBasis;
+    if (ENABLE_PANEL_6) {
+      this.state.supplierCount = this.state.suppliers.length;
+    }
+  }
+
+  onSuppliersChange(list) {
+    this.setSuppliers(list);
+    this.state.isDirty = true;
+
+    this.calculateBaselineRisk();
+    this.calculateManagedRisk();
+    this.state.lastUpdate = new Date().toISOString();
+    this.updateUI();
+  }
+
+  // Replace the portfolio with countries and volumes aggregated from a spreadsheet
+  async onPortfolioImport(file) {
+    const fileName = file?.name || 'file';
+    try {
+      const table = await readPortfolioFile(file);
+      const result = buildPortfolioFromTable(table, this.state.countries);
+      if (result.selectedCountries.length === 0) {
+        throw new Error('none of the rows matched a country');
+      }
+
+      if (Array.isArray(result.suppliers)) {
+        this.setSuppliers(result.suppliers);
+      } else {
+        const imported = new Set(result.selectedCountries);
+        this.setSuppliers([]);
+        this.state.selectedCountries = result.selectedCountries;
+        this.state.countryVolumes = result.countryVolumes;
+        this.state.countrySectors = Object.fromEntries(
+          Object.entries(this.state.countrySectors || {}).filter(([code]) => imported.has(code))
+        );
+      }
+      this.state.portfolioImport = { fileName, ...result };
+      this.state.isDirty = true;
+
+      this.calculateBaselineRisk();
+      this.calculateManagedRisk();
+      this.state.lastUpdate = new Date().toISOString();
+    } catch (error) {
+      console.error('Portfolio import failed:', error);
+      this.state.portfolioImport = { fileName, error: error.message };
+    }
+    this.updateUI();
+  }
+
+  onMapSectorFilterChange(value) {
+    this.state.mapSectorFilter = value === 'portfolio' || SECTORS.some(sector => sector.id === value) ? value : 'portfolio';
+    this.updateUI();
+  }
+
+  // Panel 2 map risks: portfolio lines with their own sectors, or every country viewed through one sector
+  getSectorMapRisks() {
+    const { mapSectorFilter, countryRisks, portfolioRisks } = this.state;
+    if (!mapSectorFilter || mapSectorFilter === 'portfolio') {
+      return portfolioRisks;
+    }
+    const codes = Object.keys(countryRisks);
+    return riskEngine.applySectorMultipliers(
+      countryRisks,
+      codes,
+      codes.reduce((acc, code) => ({ ...acc, [code]: mapSectorFilter }), {})
+    );
+  }
+
   onVolumeChange(isoCode, volume) {
+    // Volumes are derived while a supplier list exists
+    if (this.hasSupplierList()) return;
     clearTimeout(this.volumeTimeout);
     const v = Math.max(0, parseFloat(volume) || 0);
     this.state.countryVolumes = { ...this.state.countryVolumes, [isoCode]: v };
@@ -451,6 +869,22 @@ this.optimizeBudgetAllocation = this.optimizeBudgetAllocation.bind(this);
   }
 
 
+  onTierStrategyChange(tier, next) {
+    if (!Array.isArray(next)) return;
+    clearTimeout(this.tierStrategyTimeout);
+    this.state.tierHrddStrategies = riskEngine.sanitizeTierHRDDStrategies({
+      ...this.state.tierHrddStrategies,
+      [tier]: next
+    });
+    this.state.isDirty = true;
+
+    this.tierStrategyTimeout = setTimeout(() => {
+      this.calculateManagedRisk();
+      this.state.lastUpdate = new Date().toISOString();
+      this.updateUI();
+    }, 300);
+  }
+
   onTransparencyChange(next) {
     if (!Array.isArray(next)) return;
     clearTimeout(this.transparencyTimeout);
@@ -586,11 +1020,9 @@ onSAQConstraintChange(enabled) {
   this.updateUI();
 }
 
- optimizeBudgetAllocation() {
-  if (!ENABLE_PANEL_6) return null;
-  
-  // NEW: Pass SAQ constraint parameter to optimization
-  return riskEngine.optimizeBudgetAllocation(
+// Arguments of RiskEngine.optimizeBudgetAllocation for the current state
+getOptimizationInputs() {
+  return [
     this.state.supplierCount,
     this.state.hourlyRate,
     this.state.toolAnnualProgrammeCosts,
@@ -603,11 +1035,24 @@ onSAQConstraintChange(enabled) {
     this.state.responsivenessEffectiveness,
     this.state.selectedCountries,
     this.state.countryVolumes,
-    this.state.countryRisks,
+    this.state.portfolioRisks,
     this.state.focus,
-    this.state.saqConstraintEnabled // NEW: SAQ constraint parameter
-    );
-  }
+    this.state.saqConstraintEnabled, // NEW: SAQ constraint parameter
+    this.getCountrySupplierCounts(),
+    this.getTierScoring()
+  ];
+}
+
+ optimizeBudgetAllocation() {
+  if (!ENABLE_PANEL_6) return null;
+  return riskEngine.optimizeBudgetAllocation(...this.getOptimizationInputs());
+}
+
+// The last optimizer result when it is for the current inputs, without searching again
+getCachedOptimization() {
+  if (!ENABLE_PANEL_6) return null;
+  return riskEngine.getCachedOptimization(...this.getOptimizationInputs());
+}
 
   /* ------------------------------- UI -------------------------------- */
 
@@ -643,6 +1088,11 @@ onSAQConstraintChange(enabled) {
       selectedCountEl.textContent = this.state.selectedCountries.length;
     }
 
+    const assessmentButton = this.containerElement.querySelector('#hrddAssessmentButton');
+    if (assessmentButton) {
+      assessmentButton.textContent = this.getAssessmentLabel();
+    }
+
     const lastUpdatedGroup = this.containerElement.querySelector('#hrddLastUpdatedGroup');
     const lastUpdatedEl = this.containerElement.querySelector('#hrddLastUpdated');
     if (lastUpdatedGroup && lastUpdatedEl) {
@@ -970,6 +1420,15 @@ const statusBar = `
         <div><span id="hrddCountryCount">${this.state.countries.length}</span> Countries</div>
         <div style="opacity:.5;">•</div>
         <div><span id="hrddSelectedCount">${this.state.selectedCountries.length}</span> Selected</div>
+        <div style="opacity:.5;">•</div>
+        <button id="hrddAssessmentButton" onclick="window.hrddApp.toggleAssessmentPicker()"
+                style="padding:2px 10px;border:1px solid #cbd5e1;background:white;color:#1d4ed8;border-radius:9999px;cursor:pointer;font-size:inherit;">
+          ${UIComponents.escapeHtml(this.getAssessmentLabel())}
+        </button>
+        <button id="hrddShareLinkButton" onclick="window.hrddApp.copyShareLink()"
+                style="padding:2px 10px;border:1px solid #cbd5e1;background:white;color:#1d4ed8;border-radius:9999px;cursor:pointer;font-size:inherit;">
+          Copy share link
+        </button>
         <div id="hrddLastUpdatedGroup" style="display:${formattedLastUpdate ? 'flex' : 'none'};align-items:center;gap:6px;">
           <div style="opacity:.5;">•</div>
           <span id="hrddLastUpdated">${formattedLastUpdate ? `Best on larger screens. Updated: ${formattedLastUpdate}` : ''}</span>
@@ -1176,6 +1635,9 @@ const statusBar = `
 
     const ensureMinHeight = content => `
       <div style="min-height:calc(100vh - 200px);padding-bottom:40px;">
+        ${this.renderAssessmentPicker()}
+        ${this.renderShareLinkNotice()}
+        ${this.renderDatasetWarning()}
         ${content}
       </div>
     `;
@@ -1195,6 +1657,7 @@ const statusBar = `
         UIComponents.createGlobalRiskMap('globalMapContainer', {
           countries: this.state.countries,
           countryRisks: this.state.countryRisks,
+          dataCompleteness: this.state.countryDataCompleteness,
           title: 'Global Risk Overview',
           height: 500,
           width: 1200
@@ -1202,7 +1665,12 @@ const statusBar = `
 
         UIComponents.createWeightingsPanel('weightingsPanel', {
           weights: this.state.weights,
-          onWeightsChange: this.onWeightsChange
+          onWeightsChange: this.onWeightsChange,
+          imputationStrategy: this.state.imputationStrategy,
+          onImputationStrategyChange: this.onImputationStrategyChange,
+          dataYear: this.state.dataYear,
+          availableDataYears: this.state.availableDataYears,
+          onDataYearChange: this.onDataYearChange
         });
       });
 
@@ -1215,46 +1683,52 @@ const statusBar = `
           ${renderPanelDescription(panel)}
           <div style="display:grid;grid-template-columns:1fr;gap:16px;">
             <div id="baselineMapContainer" style="min-height:500px;"></div>
+            <div id="subnationalDrillPanel"></div>
             <div id="countrySelectionPanel" style="min-height:300px;"></div>
+            <div id="supplierListPanel"></div>
             <div id="resultsPanel" style="min-height:400px;"></div>
           </div>
         </div>
       `);
 
       queueMicrotask(() => {
-         const baselineRiskValue = Number.isFinite(this.state.baselineRisk)
-          ? this.state.baselineRisk.toFixed(1)
-          : 'N/A';
-        const managedRiskValue = Number.isFinite(this.state.managedRisk)
-          ? this.state.managedRisk.toFixed(1)
-          : 'N/A';
-        const baselineMapTitle = `Click on countries to select them: current baseline risk = ${baselineRiskValue}`;
-        const baselineMapSubtitle = `Based on the assumptions, current managed risk = ${managedRiskValue}`;
+         this.renderBaselineMap();
+        this.renderSubnationalDrillPanel();
 
-        UIComponents.createWorldMap('baselineMapContainer', {
+        UIComponents.createCountrySelectionPanel('countrySelectionPanel', {
           countries: this.state.countries,
-          countryRisks: this.state.countryRisks,
           selectedCountries: this.state.selectedCountries,
+          countryVolumes: this.state.countryVolumes,
+          countrySectors: this.state.countrySectors,
           onCountrySelect: this.onCountrySelect,
-          title: baselineMapTitle,
-          subtitle: baselineMapSubtitle,
-          height: 500,
-          width: 1200
+          onVolumeChange: this.onVolumeChange,
+          onSectorChange: this.onSectorChange,
+          onPortfolioImport: this.onPortfolioImport,
+          portfolioImport: this.state.portfolioImport,
+          countrySupplierCounts: this.getCountrySupplierCounts()
         });
 
-        UIComponents.createCountrySelectionPanel('countrySelectionPanel', {
+        UIComponents.createSupplierListPanel('supplierListPanel', {
           countries: this.state.countries,
           selectedCountries: this.state.selectedCountries,
-          countryVolumes: this.state.countryVolumes,
-          onCountrySelect: this.onCountrySelect,
-          onVolumeChange: this.onVolumeChange
+          countrySectors: this.state.countrySectors,
+          suppliers: this.state.suppliers,
+          volumeBasis: this.state.supplierVolumeBasis,
+          onSuppliersChange: this.onSuppliersChange
         });
 
         UIComponents.createResultsPanel('resultsPanel', {
           selectedCountries: this.state.selectedCountries,
           countries: this.state.countries,
-          countryRisks: this.state.countryRisks,
-          baselineRisk: this.state.baselineRisk
+          countryRisks: this.state.portfolioRisks,
+          baselineRisk: this.state.baselineRisk,
+          previousCountryRisks: riskEngine.applySectorMultipliers(
+            this.state.previousCountryRisks,
+            this.state.selectedCountries,
+            this.state.countrySectors
+          ),
+          previousDataYear: this.state.previousDataYear,
+          countrySectors: this.state.countrySectors
         });
       });
 
@@ -1285,7 +1759,10 @@ const statusBar = `
         UIComponents.createHRDDStrategyPanel('hrddStrategyPanel', {
           strategy: this.state.hrddStrategy,
           onStrategyChange: this.onHRDDStrategyChange,
-          onFocusChange: this.onFocusChange
+          onFocusChange: this.onFocusChange,
+          tierStrategies: this.state.tierHrddStrategies,
+          onTierStrategyChange: this.onTierStrategyChange,
+          tierRiskBreakdown: this.state.tierRiskBreakdown
         });
 
         UIComponents.createTransparencyPanel('transparencyPanel', {
@@ -1348,10 +1825,15 @@ const statusBar = `
           <div id="panel5ResultsSection">
             <div id="finalResultsPanel" style="min-height:600px;"></div>
           </div>
-          <div style="display:flex;justify-content:center;align-items:center;">
+          <div id="scenarioComparisonPanel"></div>
+          <div id="reportTemplatePanel"></div>
+          <div style="display:flex;justify-content:center;align-items:center;gap:12px;">
             <button id="btnGeneratePDF" style="padding:10px 24px;border:1px solid #2563eb;background:#2563eb;color:white;border-radius:8px;cursor:pointer;">
               ${this.state.isGeneratingReport ? 'Generating…' : 'Generate PDF Report'}
             </button>
+            <button id="btnExportWorkbook" title="Excel workbook with every calculation step, for audit" style="padding:10px 24px;border:1px solid #2563eb;background:white;color:#2563eb;border-radius:8px;cursor:pointer;">
+              ${this.state.isExportingWorkbook ? 'Exporting…' : 'Download Calculation Workbook'}
+            </button>
           </div>
         </div>
       `);
@@ -1364,7 +1846,8 @@ const statusBar = `
 
         UIComponents.createWorldMap('panel5BaselineMapContainer', {
           countries: this.state.countries,
-          countryRisks: this.state.countryRisks,
+          countryRisks: this.state.portfolioRisks,
+          dataCompleteness: this.state.countryDataCompleteness,
           selectedCountries: this.state.selectedCountries,
           onCountrySelect: this.onCountrySelect,
           title: baselineMapTitle,
@@ -1374,13 +1857,14 @@ const statusBar = `
 
         UIComponents.createComparisonMap('managedComparisonMapContainer', {
           countries: this.state.countries,
-          countryRisks: this.state.countryRisks,
+          countryRisks: this.state.portfolioRisks,
           selectedCountries: this.state.selectedCountries,
           title: 'Managed Risk - Selected Countries Only',
           mapType: 'managed',
+          dataCompleteness: this.state.countryDataCompleteness,
           managedRisk: this.state.managedRisk,
           selectedCountryRisks: this.state.countryManagedRisks,
-          baselineRisks: this.state.countryRisks,
+          baselineRisks: this.state.portfolioRisks,
           focus: this.state.focus,
           focusEffectivenessMetrics: this.state.focusEffectivenessMetrics,
           height: 400,
@@ -1399,12 +1883,37 @@ const statusBar = `
           focus: this.state.focus,
           riskConcentration: this.state.riskConcentration,
           countryVolumes: this.state.countryVolumes,
-          countryRisks: this.state.countryRisks,
-          focusEffectivenessMetrics: this.state.focusEffectivenessMetrics
+          countryRisks: this.state.portfolioRisks,
+          countryManagedRisks: this.state.countryManagedRisks,
+          focusEffectivenessMetrics: this.state.focusEffectivenessMetrics,
+          tierRiskBreakdown: this.state.tierRiskBreakdown,
+          optimization: this.getCachedOptimization(),
+          costAnalysisEnabled: ENABLE_PANEL_6
+        });
+
+        UIComponents.createScenarioComparisonPanel('scenarioComparisonPanel', {
+          scenarios: this.state.scenarios,
+          comparedScenarioIds: this.state.comparedScenarioIds,
+          countries: this.state.countries,
+          onSave: this.saveScenario,
+          onApply: this.applyScenario,
+          onDelete: this.deleteScenario,
+          onToggleCompare: this.toggleScenarioComparison
+        });
+
+        UIComponents.createReportTemplatePanel('reportTemplatePanel', {
+          template: this.state.reportTemplate,
+          costAnalysisEnabled: ENABLE_PANEL_6,
+          comparedScenarioCount: this.getComparedScenarios().length,
+          onChange: this.updateReportTemplate,
+          onPresetSelect: this.applyReportPreset,
+          onReset: this.resetReportTemplate
         });
 
         const btnPDF = document.getElementById('btnGeneratePDF');
         if (btnPDF) btnPDF.onclick = this.generatePDFReport;
+        const btnWorkbook = document.getElementById('btnExportWorkbook');
+        if (btnWorkbook) btnWorkbook.onclick = this.exportCalculationWorkbook;
       });
 
       return html;
@@ -1432,7 +1941,7 @@ if (ENABLE_PANEL_6 && panel === 6) {
           selectedCountries: this.state.selectedCountries,
           countries: this.state.countries,
           countryVolumes: this.state.countryVolumes,
-          countryRisks: this.state.countryRisks,
+          countryRisks: this.state.portfolioRisks,
           countryManagedRisks: this.state.countryManagedRisks,
           focus: this.state.focus,
           baselineRisk: this.state.baselineRisk,
@@ -1446,7 +1955,8 @@ if (ENABLE_PANEL_6 && panel === 6) {
           optimizeBudgetAllocation: this.optimizeBudgetAllocation,
           // NEW: Pass SAQ constraint state and handler
           saqConstraintEnabled: this.state.saqConstraintEnabled,
-          onSAQConstraintChange: this.onSAQConstraintChange
+          onSAQConstraintChange: this.onSAQConstraintChange,
+          countrySupplierCounts: this.getCountrySupplierCounts()
         });
       });
 
@@ -1486,15 +1996,20 @@ if (ENABLE_PANEL_6 && panel === 6) {
         version: '5.0',
         data: (() => ({
           countries: this.state.countries,
+          dataYear: this.state.dataYear,
           selectedCountries: this.state.selectedCountries,
           weights: this.state.weights,
+          imputationStrategy: this.state.imputationStrategy,
           hrddStrategy: this.state.hrddStrategy,
           transparencyEffectiveness: this.state.transparencyEffectiveness,
           responsivenessStrategy: this.state.responsivenessStrategy,
           responsivenessEffectiveness: this.state.responsivenessEffectiveness,
           focus: this.state.focus,
           riskConcentration: this.state.riskConcentration,
-          countryVolumes: this.state.countryVolumes
+          countryVolumes: this.state.countryVolumes,
+          countrySectors: this.state.countrySectors,
+          suppliers: this.state.suppliers,
+          dataset: this.getDatasetStamp()
         }))()
       };
 
@@ -1513,6 +2028,37 @@ if (ENABLE_PANEL_6 && panel === 6) {
        }
   };
 
+  // Excel workbook tracing every step from indicators to managed risk and budget, for audit
+  async exportCalculationWorkbook() {
+    if (typeof document === 'undefined') {
+      console.warn('Workbook export is only available in a browser environment.');
+      return;
+    }
+    if (this.state.selectedCountries.length === 0) {
+      console.warn('Select at least one country before exporting the calculation workbook.');
+      return;
+    }
+
+    try {
+      this.state.isExportingWorkbook = true;
+      this.updateUI();
+
+      const XLSX = await loadSheetJS();
+      const workbook = buildCalculationWorkbook(this.getState(), { budget: this.getScenarioBudget() });
+      XLSX.writeFile(
+        writeCalculationWorkbook(XLSX, workbook),
+        `hrdd-calculation-trail-${new Date().toISOString().split('T')[0]}.xlsx`
+      );
+      console.log('Calculation workbook exported');
+    } catch (error) {
+      console.error('Failed to export calculation workbook:', error);
+      alert(`Failed to export the calculation workbook: ${error?.message || 'Unknown error'}. Please try again.`);
+    } finally {
+      this.state.isExportingWorkbook = false;
+      this.updateUI();
+    }
+  }
+
   /* ----------------------- External Integrations ------------------------ */
 
   loadSavedState() {
@@ -1567,13 +2113,21 @@ if (ENABLE_PANEL_6 && panel === 6) {
       }
     ];
 
-    this.state.countries = demoCountries.map(country => ({ ...country }));
+    this.state.countries = this.withDerivedCountries(demoCountries.map(country => ({ ...country })));
+    this.state.dataYear = null;
+    this.state.availableDataYears = [];
+    this.state.previousDataYear = null;
+    this.state.previousCountries = [];
+    this.state.dataset = null;
+    this.state.datasetWarning = null;
     this.state.selectedCountries = demoCountries.slice(0, 3).map(country => country.isoCode);
     this.state.countryVolumes = {
       BGD: 30,
       VNM: 20,
       BRA: 15
     };
+    this.state.countrySectors = {};
+    this.setSuppliers([]);
     this.state.apiHealthy = false;
     this.state.error = null;
     this.state.loading = false;
@@ -1599,8 +2153,9 @@ if (ENABLE_PANEL_6 && panel === 6) {
       selectedCountries: Array.isArray(this.state.selectedCountries)
         ? [...this.state.selectedCountries]
         : [],
-      weights: Array.isArray(this.state.weights) ? [...this.state.weights] : [],
+      weights: normalizeIndicatorWeights(this.state.weights, riskEngine.defaultWeights),
       hrddStrategy: Array.isArray(this.state.hrddStrategy) ? [...this.state.hrddStrategy] : [],
+      tierHrddStrategies: riskEngine.sanitizeTierHRDDStrategies(this.state.tierHrddStrategies),
       transparencyEffectiveness: Array.isArray(this.state.transparencyEffectiveness)
         ? [...this.state.transparencyEffectiveness]
         : [],
@@ -1611,8 +2166,15 @@ if (ENABLE_PANEL_6 && panel === 6) {
         ? [...this.state.responsivenessEffectiveness]
         : [],
       countryVolumes: this.state.countryVolumes ? { ...this.state.countryVolumes } : {},
+      countrySectors: this.state.countrySectors ? { ...this.state.countrySectors } : {},
+      suppliers: Array.isArray(this.state.suppliers) ? this.state.suppliers.map(supplier => ({ ...supplier })) : [],
+      countrySupplierCounts: this.state.countrySupplierCounts ? { ...this.state.countrySupplierCounts } : {},
       countryRisks: this.state.countryRisks ? { ...this.state.countryRisks } : {},
-      countryManagedRisks: this.state.countryManagedRisks ? { ...this.state.countryManagedRisks } : {}
+      portfolioRisks: this.state.portfolioRisks ? { ...this.state.portfolioRisks } : {},
+      countryManagedRisks: this.state.countryManagedRisks ? { ...this.state.countryManagedRisks } : {},
+      countryDataCompleteness: this.state.countryDataCompleteness ? { ...this.state.countryDataCompleteness } : {},
+      previousCountryRisks: this.state.previousCountryRisks ? { ...this.state.previousCountryRisks } : {},
+      dataset: this.getDatasetStamp()
     };
 
     try {
@@ -1641,8 +2203,16 @@ if (ENABLE_PANEL_6 && panel === 6) {
 
     assignArray('countries', arr => arr.map(country => ({ ...country })));
     assignArray('selectedCountries', arr => Array.from(new Set(arr)));
-    assignArray('weights', arr => [...arr]);
+    if (partialState.weights && typeof partialState.weights === 'object') {
+      this.state.weights = normalizeIndicatorWeights(partialState.weights, this.state.weights);
+    }
+    if (typeof partialState.imputationStrategy === 'string') {
+      this.state.imputationStrategy = riskEngine.normalizeImputationStrategy(partialState.imputationStrategy);
+    }
     assignArray('hrddStrategy', arr => [...arr]);
+    if (partialState.tierHrddStrategies && typeof partialState.tierHrddStrategies === 'object') {
+      this.state.tierHrddStrategies = riskEngine.sanitizeTierHRDDStrategies(partialState.tierHrddStrategies);
+    }
     assignArray('transparencyEffectiveness', arr => this.normalizeTransparencyEffectiveness(arr));
     assignArray('responsivenessStrategy', arr => [...arr]);
     assignArray('responsivenessEffectiveness', arr => this.normalizeResponsivenessEffectiveness(arr));
@@ -1662,6 +2232,17 @@ if (ENABLE_PANEL_6 && panel === 6) {
       });
       this.state.countryVolumes = normalizedVolumes;
     }
+    if (partialState.countrySectors && typeof partialState.countrySectors === 'object') {
+      this.state.countrySectors = normalizeCountrySectors(partialState.countrySectors);
+    }
+    // A supplier list overrides the selection, volumes and sectors derived from it
+    if (Array.isArray(partialState.suppliers)) {
+      this.setSuppliers(partialState.suppliers);
+    }
+    // A stamp from an exported configuration is compared with the loaded data, never adopted
+    if (partialState.dataset && typeof partialState.dataset === 'object') {
+      this.checkDatasetStamp(partialState.dataset);
+    }
     if (partialState.countryRisks && typeof partialState.countryRisks === 'object') {
       const normalizedRisks = {};
       Object.entries(partialState.countryRisks).forEach(([key, value]) => {
@@ -1735,142 +2316,647 @@ if (ENABLE_PANEL_6 && panel === 6) {
 
     const { [normalized]: _, ...remainingVolumes } = this.state.countryVolumes || {};
     this.state.countryVolumes = remainingVolumes;
+    const { [normalized]: __, ...remainingSectors } = this.state.countrySectors || {};
+    this.state.countrySectors = remainingSectors;
 
     const nextSelection = this.state.selectedCountries.filter(code => code !== normalized);
     this.onCountrySelect(nextSelection);
   }
 
-  /* ---------------------------- Persistence -------------------------- */
+  /* ---------------------------- Assessments -------------------------- */
 
-   saveState() {
+  readAssessmentIdentity() {
     try {
-      const snapshot = {
-        selectedCountries: this.state.selectedCountries,
-        weights: this.state.weights,
-        hrddStrategy: this.state.hrddStrategy,
-        transparencyEffectiveness: this.state.transparencyEffectiveness,
-        responsivenessStrategy: this.state.responsivenessStrategy,
-        responsivenessEffectiveness: this.state.responsivenessEffectiveness,
-        focus: this.state.focus,
-        riskConcentration: this.state.riskConcentration,
-        countryVolumes: this.state.countryVolumes
+      const parsed = JSON.parse(localStorage.getItem('hrdd_assessment_access') || 'null');
+      return {
+        token: typeof parsed?.token === 'string' ? parsed.token : '',
+        workspace: typeof parsed?.workspace === 'string' ? parsed.workspace : ''
       };
+    } catch (e) {
+      return { token: '', workspace: '' };
+    }
+  }
+
+  saveAssessmentIdentity() {
+    try {
+      localStorage.setItem('hrdd_assessment_access', JSON.stringify(this.state.assessmentIdentity));
+    } catch (e) {
+      console.warn('Saving assessment access failed:', e);
+    }
+  }
 
-      if (ENABLE_PANEL_6) {
-        snapshot.supplierCount = this.state.supplierCount;
-        snapshot.hourlyRate = this.state.hourlyRate;
-        snapshot.toolAnnualProgrammeCosts = [...this.state.toolAnnualProgrammeCosts];
-        snapshot.toolPerSupplierCosts = [...this.state.toolPerSupplierCosts];
-        snapshot.toolInternalHours = [...this.state.toolInternalHours];
-        snapshot.responseInternalHours = [...this.state.responseInternalHours];
-        // NEW: Save SAQ constraint state
-        snapshot.saqConstraintEnabled = this.state.saqConstraintEnabled;
+  setAssessmentIdentity({ token = '', workspace = '' } = {}) {
+    const identity = { token: String(token).trim(), workspace: String(workspace).trim() };
+    const tokenChanged = identity.token !== this.state.assessmentIdentity.token;
+    const workspaceChanged = identity.workspace !== this.state.assessmentIdentity.workspace;
+    this.state.assessmentIdentity = identity;
+    if (tokenChanged) {
+      this.state.assessmentAccount = null;
+    }
+    this.saveAssessmentIdentity();
+
+    if (tokenChanged || workspaceChanged) {
+      this.state.currentAssessment = null;
+      this.state.assessments = [];
+      return this.refreshAssessments();
+    }
+    this.updateUI();
+    return null;
+  }
+
+  setAssessmentPicker(changes) {
+    this.state.assessmentPicker = { ...this.state.assessmentPicker, ...changes };
+    this.updateUI();
+  }
+
+  toggleAssessmentPicker() {
+    const open = !this.state.assessmentPicker.open;
+    this.setAssessmentPicker({ open, error: null, message: null });
+    return open ? this.refreshAssessments() : null;
+  }
+
+  // Run one picker action and reload the list, reporting progress and errors in the picker
+  async runAssessmentAction(action, describeResult = null) {
+    this.setAssessmentPicker({ loading: true, error: null, message: null });
+    try {
+      await this.ensureAssessmentAccount();
+      const result = await action();
+      this.state.assessments = await dataService.listAssessments(this.state.assessmentIdentity);
+      this.setAssessmentPicker({ loading: false, message: describeResult ? describeResult(result) : null });
+      return result;
+    } catch (error) {
+      this.setAssessmentPicker({ loading: false, error: error.message });
+      return null;
+    }
+  }
+
+  // The user and their workspaces come from the server, which reads them from the token.
+  // A remembered workspace the token no longer names falls back to its first.
+  async ensureAssessmentAccount() {
+    const { token, workspace } = this.state.assessmentIdentity;
+    if (!token) {
+      throw new Error('Paste your assessment access token to open or save assessments');
+    }
+    if (this.state.assessmentAccount) return;
+
+    const account = await dataService.getAssessmentAccount({ token });
+    this.state.assessmentAccount = { user: account.user, workspaces: account.workspaces };
+    if (!account.workspaces.includes(workspace)) {
+      this.state.assessmentIdentity = { token, workspace: account.workspace };
+      this.saveAssessmentIdentity();
+    }
+  }
+
+  toAssessmentSummary(assessment) {
+    if (!assessment) return null;
+    const { state, ...summary } = assessment;
+    return summary;
+  }
+
+  refreshAssessments() {
+    return this.runAssessmentAction(async () => null);
+  }
+
+  // Save over the open assessment, or as a new one when none is open or `asNew` is set
+  saveAssessment({ name = '', notes = '', asNew = false } = {}) {
+    return this.runAssessmentAction(async () => {
+      const identity = this.state.assessmentIdentity;
+      const state = this.buildSavedSnapshot();
+      const current = this.state.currentAssessment;
+      const saved = current && !asNew
+        ? await dataService.updateAssessment(current.id, { state, notes }, identity)
+        : await dataService.createAssessment({ name, notes, state }, identity);
+
+      this.state.currentAssessment = this.toAssessmentSummary(saved);
+      this.saveState();
+      return saved;
+    }, saved => `Saved "${saved.name}"`);
+  }
+
+  openAssessment(id) {
+    return this.runAssessmentAction(async () => {
+      const assessment = await dataService.getAssessment(id, this.state.assessmentIdentity);
+      await this.loadSnapshot(assessment.state);
+      this.state.currentAssessment = this.toAssessmentSummary(assessment);
+      this.saveState();
+      return assessment;
+    }, assessment => `Opened "${assessment.name}"`);
+  }
+
+  duplicateAssessment(id) {
+    return this.runAssessmentAction(async () => {
+      return dataService.duplicateAssessment(id, this.state.assessmentIdentity);
+    }, copy => `Created "${copy.name}"`);
+  }
+
+  renameAssessment(id, name) {
+    return this.runAssessmentAction(async () => {
+      const renamed = await dataService.updateAssessment(id, { name }, this.state.assessmentIdentity);
+      if (this.state.currentAssessment?.id === id) {
+        this.state.currentAssessment = this.toAssessmentSummary(renamed);
+        this.saveState();
+      }
+      return renamed;
+    }, renamed => `Renamed to "${renamed.name}"`);
+  }
+
+  deleteAssessment(id) {
+    return this.runAssessmentAction(async () => {
+      const result = await dataService.deleteAssessment(id, this.state.assessmentIdentity);
+      if (this.state.currentAssessment?.id === id) {
+        this.state.currentAssessment = null;
+        this.saveState();
       }
-      localStorage.setItem('hrdd_app_state_v5', JSON.stringify(snapshot));
+      return result.deleted;
+    }, deleted => `Deleted "${deleted.name}"`);
+  }
+
+  // Replace the current configuration with a saved snapshot, switching to its edition
+  // year first when that edition is available
+  async loadSnapshot(snapshot) {
+    const year = snapshot?.dataYear;
+    if (Number.isInteger(year) && year !== this.state.dataYear && this.state.availableDataYears.includes(year)) {
+      await this.loadDataEdition(year);
+    }
+
+    this.setSuppliers([]);
+    this.applySavedSnapshot(snapshot);
+    this.calculateAllRisks();
+    this.calculateBaselineRisk();
+    this.calculateManagedRisk();
+    this.state.lastUpdate = new Date().toISOString();
+  }
+
+  getAssessmentLabel() {
+    const current = this.state.currentAssessment;
+    return current ? `Assessment: ${current.name}` : 'Saved assessments';
+  }
+
+  renderAssessmentPicker() {
+    if (!this.state.assessmentPicker.open) return '';
+    queueMicrotask(() => {
+      UIComponents.createAssessmentPicker('assessmentPicker', {
+        identity: this.state.assessmentIdentity,
+        account: this.state.assessmentAccount,
+        assessments: this.state.assessments,
+        currentAssessment: this.state.currentAssessment,
+        ...this.state.assessmentPicker,
+        onIdentityChange: this.setAssessmentIdentity,
+        onRefresh: this.refreshAssessments,
+        onSave: this.saveAssessment,
+        onOpen: this.openAssessment,
+        onDuplicate: this.duplicateAssessment,
+        onRename: this.renameAssessment,
+        onDelete: this.deleteAssessment,
+        onClose: this.toggleAssessmentPicker
+      });
+    });
+    return '<div id="assessmentPicker" style="margin-bottom:16px;"></div>';
+  }
+
+  /* ----------------------------- Scenarios --------------------------- */
+
+  // Panel 6 cost of the current configuration, or null when Panel 6 is disabled
+  getScenarioBudget() {
+    if (!ENABLE_PANEL_6) return null;
+    return riskEngine.calculateBudgetAnalysis(
+      this.state.supplierCount,
+      this.state.hourlyRate,
+      this.state.toolAnnualProgrammeCosts,
+      this.state.toolPerSupplierCosts,
+      this.state.toolInternalHours,
+      this.state.responseInternalHours,
+      this.state.hrddStrategy,
+      this.state.transparencyEffectiveness,
+      this.state.responsivenessStrategy,
+      this.state.responsivenessEffectiveness,
+      this.state.selectedCountries,
+      this.state.countryVolumes,
+      this.state.portfolioRisks,
+      this.state.focus,
+      this.getCountrySupplierCounts()
+    );
+  }
+
+  // Save the current configuration and its results as a named scenario. New scenarios
+  // join the comparison while there is room.
+  saveScenario(name = '') {
+    const scenario = createScenario(this.state.scenarios, {
+      name,
+      snapshot: this.buildSavedSnapshot(),
+      results: buildScenarioResults(this.getState(), this.getScenarioBudget())
+    });
+    this.state.scenarios = [...this.state.scenarios, scenario];
+    if (this.state.comparedScenarioIds.length < MAX_COMPARED_SCENARIOS) {
+      this.state.comparedScenarioIds = [...this.state.comparedScenarioIds, scenario.id];
+    }
+    this.saveState();
+    this.updateUI();
+    return scenario;
+  }
+
+  // Load a scenario's configuration back into the app
+  async applyScenario(id) {
+    const scenario = this.state.scenarios.find(item => item.id === id);
+    if (!scenario) return;
+
+    try {
+      await this.loadSnapshot(scenario.snapshot);
+    } catch (error) {
+      console.error(`Failed to apply scenario ${scenario.name}:`, error);
+      this.state.error = `Failed to apply scenario: ${error.message}`;
+      this.updateUI();
+      return;
+    }
+
+    this.saveState();
+    this.updateUI();
+  }
+
+  deleteScenario(id) {
+    this.state.scenarios = this.state.scenarios.filter(scenario => scenario.id !== id);
+    this.state.comparedScenarioIds = this.state.comparedScenarioIds.filter(comparedId => comparedId !== id);
+    this.saveState();
+    this.updateUI();
+  }
+
+  toggleScenarioComparison(id) {
+    const compared = this.state.comparedScenarioIds;
+    if (compared.includes(id)) {
+      this.state.comparedScenarioIds = compared.filter(comparedId => comparedId !== id);
+    } else if (compared.length < MAX_COMPARED_SCENARIOS) {
+      this.state.comparedScenarioIds = [...compared, id];
+    }
+    this.saveState();
+    this.updateUI();
+  }
+
+  // Scenarios picked for comparison, in comparison order
+  getComparedScenarios() {
+    return this.state.comparedScenarioIds
+      .map(id => this.state.scenarios.find(scenario => scenario.id === id))
+      .filter(Boolean);
+  }
+
+  /* -------------------------- Report template ------------------------ */
+
+  getReportTemplate() {
+    return this.state.reportTemplate;
+  }
+
+  // Merge `changes` ({ sections, branding } in the template shape) into the template.
+  // Picking sections by hand leaves the preset. The panel keeps its own inputs, so
+  // only a preset or reset re-renders it.
+  updateReportTemplate(changes = {}) {
+    const current = this.state.reportTemplate;
+    const sections = { ...current.sections };
+    Object.entries(changes.sections || {}).forEach(([id, section]) => {
+      sections[id] = { ...sections[id], ...section };
+    });
+    const sectionsPicked = Object.values(changes.sections || {}).some(section => section.include !== undefined);
+    const { template, warnings } = normalizeReportTemplate({
+      preset: sectionsPicked ? null : current.preset,
+      sections,
+      branding: {
+        ...current.branding,
+        ...changes.branding,
+        colors: { ...current.branding.colors, ...changes.branding?.colors }
+      }
+    });
+    if (warnings.length > 0) {
+      console.warn('Report template changes ignored:', warnings);
+    }
+    this.state.reportTemplate = template;
+    this.saveState();
+    return warnings;
+  }
+
+  applyReportPreset(presetId) {
+    this.state.reportTemplate = applyReportPreset(this.state.reportTemplate, presetId);
+    this.saveState();
+    this.updateUI();
+  }
+
+  resetReportTemplate() {
+    this.state.reportTemplate = createDefaultReportTemplate();
+    this.saveState();
+    this.updateUI();
+  }
+
+  /* ---------------------------- Share links -------------------------- */
+
+  // URL that opens the current configuration (see ShareLink.js)
+  async buildShareLink() {
+    const fragment = await encodeShareFragment(this.buildSavedSnapshot(), { currentPanel: this.state.currentPanel });
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}#${fragment}`;
+  }
+
+  setShareLinkNotice(notice) {
+    this.state.shareLinkNotice = notice;
+    if (this.containerElement) this.render();
+  }
+
+  dismissShareLinkNotice() {
+    this.setShareLinkNotice(null);
+  }
+
+  async copyShareLink() {
+    let url;
+    try {
+      url = await this.buildShareLink();
+    } catch (error) {
+      console.error('Creating share link failed:', error);
+      this.setShareLinkNotice({ tone: 'error', message: `Could not create a share link: ${error.message}`, details: [] });
+      return null;
+    }
+
+    const details = [];
+    if (this.hasSupplierList()) {
+      details.push('The supplier list is not included; the link carries the country volumes derived from it.');
+    }
+    if (url.length > SHARE_LINK_MAX_LENGTH) {
+      details.push(`The link is ${url.length.toLocaleString()} characters long, which some email and chat apps cut short.`);
+    }
+
+    // The clipboard API is unavailable on plain http and may be blocked inside iframes
+    try {
+      await navigator.clipboard.writeText(url);
+      this.setShareLinkNotice({ tone: 'info', message: 'Share link copied to the clipboard.', details });
+    } catch (error) {
+      window.prompt('Copy this link to share the current assessment:', url);
+      if (details.length > 0) {
+        this.setShareLinkNotice({ tone: 'info', message: 'Share link created.', details });
+      }
+    }
+    return url;
+  }
+
+  // Apply the share link in a location hash, e.g. window.location.hash. Countries the
+  // loaded dataset does not know are dropped. Returns whether a link was applied.
+  async applyShareLink(hash) {
+    try {
+      const shared = await decodeShareFragment(hash);
+      if (!shared) return false;
+
+      const { snapshot, currentPanel, warnings } = shared;
+      if (Array.isArray(snapshot.selectedCountries) && this.state.countries.length > 0) {
+        const known = new Set(this.state.countries.map(country => country.isoCode));
+        const unknown = snapshot.selectedCountries.filter(isoCode => !known.has(isoCode));
+        if (unknown.length > 0) {
+          snapshot.selectedCountries = snapshot.selectedCountries.filter(isoCode => known.has(isoCode));
+          unknown.forEach(isoCode => {
+            delete snapshot.countryVolumes[isoCode];
+            delete snapshot.countrySectors[isoCode];
+          });
+          warnings.push(`Not in the current dataset and left out: ${unknown.join(', ')}`);
+        }
+      }
+
+      await this.loadSnapshot(snapshot);
+      const maxPanel = ENABLE_PANEL_6 ? 6 : 5;
+      if (Number.isInteger(currentPanel) && currentPanel >= 1 && currentPanel <= maxPanel) {
+        this.state.currentPanel = currentPanel;
+      }
+
+      // The shared configuration is not the assessment this browser had open
+      this.state.currentAssessment = null;
+      this.state.shareLinkNotice = { tone: 'info', message: 'Opened a shared assessment link.', details: warnings };
+      this.clearShareFragment();
+      this.saveState();
+      return true;
+    } catch (error) {
+      console.warn('Share link could not be applied:', error);
+      this.state.shareLinkNotice = { tone: 'error', message: error.message, details: [] };
+      this.clearShareFragment();
+      return false;
+    }
+  }
+
+  // Drop the fragment so a reload keeps later edits instead of reopening the link
+  clearShareFragment() {
+    if (typeof window === 'undefined' || !window.history?.replaceState) return;
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, '', `${pathname}${search}`);
+  }
+
+  renderShareLinkNotice() {
+    const notice = this.state.shareLinkNotice;
+    if (!notice) return '';
+    const colors = notice.tone === 'error'
+      ? { background: '#fef2f2', border: '#fca5a5', text: '#991b1b', button: '#ef4444' }
+      : { background: '#eff6ff', border: '#bfdbfe', text: '#1e40af', button: '#3b82f6' };
+    const details = (notice.details || [])
+      .map(detail => `<li>${UIComponents.escapeHtml(detail)}</li>`)
+      .join('');
+    return `
+      <div style="display:flex;align-items:flex-start;gap:12px;margin-bottom:16px;padding:12px 16px;background:${colors.background};border:1px solid ${colors.border};border-radius:8px;color:${colors.text};font-size:14px;">
+        <div style="flex:1;">
+          <div>${UIComponents.escapeHtml(notice.message)}</div>
+          ${details ? `<ul style="margin:6px 0 0 18px;padding:0;font-size:13px;">${details}</ul>` : ''}
+        </div>
+        <button onclick="window.hrddApp.dismissShareLinkNotice()"
+                style="padding:4px 10px;border:1px solid ${colors.button};background:white;color:${colors.text};border-radius:6px;cursor:pointer;font-size:12px;">
+          Dismiss
+        </button>
+      </div>
+    `;
+  }
+
+  /* ---------------------------- Persistence -------------------------- */
+
+  // Everything needed to reproduce the current assessment. Kept in localStorage and
+  // stored as the state of server-side assessments.
+  buildSavedSnapshot() {
+    const snapshot = {
+      dataYear: this.state.dataYear,
+      selectedCountries: this.state.selectedCountries,
+      weights: this.state.weights,
+      imputationStrategy: this.state.imputationStrategy,
+      hrddStrategy: this.state.hrddStrategy,
+      tierHrddStrategies: this.state.tierHrddStrategies,
+      transparencyEffectiveness: this.state.transparencyEffectiveness,
+      responsivenessStrategy: this.state.responsivenessStrategy,
+      responsivenessEffectiveness: this.state.responsivenessEffectiveness,
+      focus: this.state.focus,
+      riskConcentration: this.state.riskConcentration,
+      countryVolumes: this.state.countryVolumes,
+      countrySectors: this.state.countrySectors,
+      suppliers: this.state.suppliers,
+      dataset: this.getDatasetStamp()
+    };
+
+    if (ENABLE_PANEL_6) {
+      snapshot.supplierCount = this.state.supplierCount;
+      snapshot.hourlyRate = this.state.hourlyRate;
+      snapshot.toolAnnualProgrammeCosts = [...this.state.toolAnnualProgrammeCosts];
+      snapshot.toolPerSupplierCosts = [...this.state.toolPerSupplierCosts];
+      snapshot.toolInternalHours = [...this.state.toolInternalHours];
+      snapshot.responseInternalHours = [...this.state.responseInternalHours];
+      // NEW: Save SAQ constraint state
+      snapshot.saqConstraintEnabled = this.state.saqConstraintEnabled;
+    }
+    return snapshot;
+  }
+
+  saveState() {
+    try {
+      localStorage.setItem('hrdd_app_state_v5', JSON.stringify({
+        ...this.buildSavedSnapshot(),
+        currentAssessment: this.state.currentAssessment,
+        scenarios: this.state.scenarios,
+        comparedScenarioIds: this.state.comparedScenarioIds,
+        reportTemplate: this.state.reportTemplate
+      }));
       this.state.isDirty = false;
     } catch (e) {
       console.warn('saveState failed:', e);
     }
   }
 
+  // The edition year has to be known before countries load, ahead of restoreState()
+  readSavedDataYear() {
+    try {
+      const raw = localStorage.getItem('hrdd_app_state_v5');
+      const parsed = raw ? JSON.parse(raw) : null;
+      return Number.isInteger(parsed?.dataYear) ? parsed.dataYear : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
   restoreState() {
     try {
       const raw = localStorage.getItem('hrdd_app_state_v5');
       if (!raw) return false;
       const parsed = JSON.parse(raw);
+      const restored = this.applySavedSnapshot(parsed);
+      // The server-side assessment this browser was last editing, if any
+      if (parsed.currentAssessment && typeof parsed.currentAssessment.id === 'string') {
+        this.state.currentAssessment = parsed.currentAssessment;
+      }
+      this.state.scenarios = normalizeScenarios(parsed.scenarios);
+      this.state.comparedScenarioIds = normalizeComparedScenarioIds(parsed.comparedScenarioIds, this.state.scenarios);
+      this.state.reportTemplate = normalizeReportTemplate(parsed.reportTemplate).template;
 
-      let restored = false;
+      this.state.isDirty = false;
+      return restored;
+    } catch (e) {
+      console.warn('restoreState failed:', e);
+      return false;
+    }
+  }
+
+  // Apply a snapshot from buildSavedSnapshot(); fields it lacks keep their current values.
+  // Returns whether anything was applied.
+  applySavedSnapshot(parsed) {
+    if (!parsed || typeof parsed !== 'object') return false;
+    let restored = false;
 
-      if (Array.isArray(parsed.weights)) {
-        this.state.weights = [...parsed.weights];
+    // Older saves stored weights as a positional array; both forms are accepted
+    if (parsed.weights && typeof parsed.weights === 'object') {
+      this.state.weights = normalizeIndicatorWeights(parsed.weights, riskEngine.defaultWeights);
+      restored = true;
+    }
+    if (typeof parsed.imputationStrategy === 'string') {
+      this.state.imputationStrategy = riskEngine.normalizeImputationStrategy(parsed.imputationStrategy);
+      restored = true;
+    }
+    if (Array.isArray(parsed.selectedCountries)) {
+      this.state.selectedCountries = parsed.selectedCountries
+        .map(code => (typeof code === 'string' ? code.trim().toUpperCase() : ''))
+        .filter(Boolean);
+      restored = true;
+    }
+    if (Array.isArray(parsed.hrddStrategy)) {
+      this.state.hrddStrategy = [...parsed.hrddStrategy];
+      restored = true;
+    }
+    if (parsed.tierHrddStrategies && typeof parsed.tierHrddStrategies === 'object') {
+      this.state.tierHrddStrategies = riskEngine.sanitizeTierHRDDStrategies(parsed.tierHrddStrategies);
+      restored = true;
+    }
+    if (Array.isArray(parsed.transparencyEffectiveness)) {
+      this.state.transparencyEffectiveness = this.normalizeTransparencyEffectiveness(parsed.transparencyEffectiveness);
+      restored = true;
+    }
+    if (Array.isArray(parsed.responsivenessStrategy)) {
+      this.state.responsivenessStrategy = [...parsed.responsivenessStrategy];
+      restored = true;
+    }
+    if (Array.isArray(parsed.responsivenessEffectiveness)) {
+      this.state.responsivenessEffectiveness = this.normalizeResponsivenessEffectiveness(parsed.responsivenessEffectiveness);
+      restored = true;
+    }
+    if (typeof parsed.focus === 'number') {
+      this.state.focus = this.clamp01(parsed.focus);
+      restored = true;
+    }
+    if (ENABLE_PANEL_6) {
+      if (typeof parsed.supplierCount === 'number') {
+        this.state.supplierCount = Math.max(1, Math.floor(parsed.supplierCount));
         restored = true;
       }
-      if (Array.isArray(parsed.selectedCountries)) {
-        this.state.selectedCountries = parsed.selectedCountries
-          .map(code => (typeof code === 'string' ? code.trim().toUpperCase() : ''))
-          .filter(Boolean);
+      if (typeof parsed.hourlyRate === 'number') {
+        this.state.hourlyRate = Math.max(0, parsed.hourlyRate);
         restored = true;
       }
-      if (Array.isArray(parsed.hrddStrategy)) {
-        this.state.hrddStrategy = [...parsed.hrddStrategy];
+      if (Array.isArray(parsed.toolAnnualProgrammeCosts)) {
+        this.state.toolAnnualProgrammeCosts = parsed.toolAnnualProgrammeCosts.map(value =>
+          Math.max(0, Number.isFinite(value) ? value : 0)
+        );
         restored = true;
       }
-      if (Array.isArray(parsed.transparencyEffectiveness)) {
-        this.state.transparencyEffectiveness = this.normalizeTransparencyEffectiveness(parsed.transparencyEffectiveness);
+      if (Array.isArray(parsed.toolPerSupplierCosts)) {
+        this.state.toolPerSupplierCosts = parsed.toolPerSupplierCosts.map(value =>
+          Math.max(0, Number.isFinite(value) ? value : 0)
+        );
         restored = true;
       }
-      if (Array.isArray(parsed.responsivenessStrategy)) {
-        this.state.responsivenessStrategy = [...parsed.responsivenessStrategy];
+      if (Array.isArray(parsed.toolInternalHours)) {
+        this.state.toolInternalHours = parsed.toolInternalHours.map(value =>
+          Math.max(0, Number.isFinite(value) ? value : 0)
+        );
         restored = true;
       }
-      if (Array.isArray(parsed.responsivenessEffectiveness)) {
-        this.state.responsivenessEffectiveness = this.normalizeResponsivenessEffectiveness(parsed.responsivenessEffectiveness);
+      if (Array.isArray(parsed.responseInternalHours)) {
+        this.state.responseInternalHours = parsed.responseInternalHours.map(value =>
+          Math.max(0, Number.isFinite(value) ? value : 0)
+        );
         restored = true;
       }
-      if (typeof parsed.focus === 'number') {
-        this.state.focus = this.clamp01(parsed.focus);
+      // NEW: Restore SAQ constraint state
+      if (typeof parsed.saqConstraintEnabled === 'boolean') {
+        this.state.saqConstraintEnabled = parsed.saqConstraintEnabled;
         restored = true;
       }
-      if (ENABLE_PANEL_6) {
-        if (typeof parsed.supplierCount === 'number') {
-          this.state.supplierCount = Math.max(1, Math.floor(parsed.supplierCount));
-          restored = true;
-        }
-        if (typeof parsed.hourlyRate === 'number') {
-          this.state.hourlyRate = Math.max(0, parsed.hourlyRate);
-          restored = true;
-        }
-        if (Array.isArray(parsed.toolAnnualProgrammeCosts)) {
-          this.state.toolAnnualProgrammeCosts = parsed.toolAnnualProgrammeCosts.map(value =>
-            Math.max(0, Number.isFinite(value) ? value : 0)
-          );
-          restored = true;
-        }
-        if (Array.isArray(parsed.toolPerSupplierCosts)) {
-          this.state.toolPerSupplierCosts = parsed.toolPerSupplierCosts.map(value =>
-            Math.max(0, Number.isFinite(value) ? value : 0)
-          );
-          restored = true;
-        }
-        if (Array.isArray(parsed.toolInternalHours)) {
-          this.state.toolInternalHours = parsed.toolInternalHours.map(value =>
-            Math.max(0, Number.isFinite(value) ? value : 0)
-          );
-          restored = true;
-        }
-        if (Array.isArray(parsed.responseInternalHours)) {
-          this.state.responseInternalHours = parsed.responseInternalHours.map(value =>
-            Math.max(0, Number.isFinite(value) ? value : 0)
-          );
-          restored = true;
-        }
-        // NEW: Restore SAQ constraint state
-        if (typeof parsed.saqConstraintEnabled === 'boolean') {
-          this.state.saqConstraintEnabled = parsed.saqConstraintEnabled;
-          restored = true;
+    }
+    if (typeof parsed.riskConcentration === 'number') {
+      this.state.riskConcentration = parsed.riskConcentration;
+      restored = true;
+    }
+    if (parsed.countryVolumes && typeof parsed.countryVolumes === 'object') {
+      const normalizedVolumes = {};
+      Object.entries(parsed.countryVolumes).forEach(([key, value]) => {
+        if (typeof key === 'string') {
+          normalizedVolumes[key.trim().toUpperCase()] = value;
         }
-      }
-      if (typeof parsed.riskConcentration === 'number') {
-        this.state.riskConcentration = parsed.riskConcentration;
-        restored = true;
-      }
-      if (parsed.countryVolumes && typeof parsed.countryVolumes === 'object') {
-        const normalizedVolumes = {};
-        Object.entries(parsed.countryVolumes).forEach(([key, value]) => {
-          if (typeof key === 'string') {
-            normalizedVolumes[key.trim().toUpperCase()] = value;
-          }
-        });
-        this.state.countryVolumes = normalizedVolumes;
-        restored = true;
-      }
-
-      this.state.isDirty = false;
-      return restored;
-    } catch (e) {
-      console.warn('restoreState failed:', e);
-      return false;
+      });
+      this.state.countryVolumes = normalizedVolumes;
+      restored = true;
+    }
+    if (parsed.countrySectors && typeof parsed.countrySectors === 'object') {
+      this.state.countrySectors = normalizeCountrySectors(parsed.countrySectors);
+      restored = true;
+    }
+    if (Array.isArray(parsed.suppliers) && parsed.suppliers.length > 0) {
+      this.setSuppliers(parsed.suppliers);
+      restored = true;
     }
+    if (restored) {
+      this.checkDatasetStamp(parsed.dataset);
+    }
+    return restored;
   }
 
   /* ------------------------------ Cleanup ---------------------------- */
@@ -1879,6 +2965,7 @@ if (ENABLE_PANEL_6 && panel === 6) {
     if (this.weightsTimeout) clearTimeout(this.weightsTimeout);
     if (this.volumeTimeout) clearTimeout(this.volumeTimeout);
     if (this.strategyTimeout) clearTimeout(this.strategyTimeout);
+    if (this.tierStrategyTimeout) clearTimeout(this.tierStrategyTimeout);
     if (this.transparencyTimeout) clearTimeout(this.transparencyTimeout);
     if (this.responsivenessTimeout) clearTimeout(this.responsivenessTimeout);
     if (this.responsivenessEffectivenessTimeout) clearTimeout(this.responsivenessEffectivenessTimeout);
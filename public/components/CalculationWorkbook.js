@@ -0,0 +1,621 @@
+// CalculationWorkbook.js - The full calculation trail as an Excel workbook, for audit.
+// Built from an AppController.getState() snapshot with the same RiskEngine methods the
+// panels use; nothing here touches the DOM. Each step is written as a spreadsheet formula
+// over the cells before it, with the engine's result stored as the cell's value, so the
+// workbook opens with the app's figures and recalculates the same way. Steps the engine
+// takes that do not reduce to a short formula (the focus bias curve, resource conservation,
+// rank preservation and suppliers reached) are written as values and named as such.
+//
+// A workbook is { sheets: [{ name, columns: [width], rows: [[cell]] }] } and a cell is
+// null, text, a number, or { f, v, z }: formula without the leading '=', engine value and
+// number format. Sheets:
+//   Inputs          weights, focus, Panel 3 tools and Panel 4 responses
+//   Country risk    indicator values and weighted country and portfolio risk
+//   Portfolio       volume shares, baseline risk and risk concentration
+//   Coverage        country-specific coverage (calculateCountrySpecificCoverage)
+//   Effectiveness   transparency, responsiveness and focus multiplier per country
+//   Managed risk    reduction cap, risk floor and managed risk per country
+//   Budget          Panel 6 cost lines (calculateBudgetAnalysis), when there is a budget
+import { riskEngine } from './RiskEngine.js';
+import { INDICATORS, normalizeIndicatorWeights } from './IndicatorSchema.js';
+import { getSector } from './SectorRisk.js';
+
+// Country rows start on the same row of every per-country sheet, below a title, a note
+// and a row of per-column parameters
+const FIRST_COUNTRY_ROW = 5;
+const PARAMETER_ROW = 3;
+const HEADER_ROW = 4;
+
+const FORMATS = {
+  risk: '0.00',
+  ratio: '0.0000',
+  percent: '0.0%',
+  cost: '#,##0'
+};
+
+const toNumber = (value, fallback = 0) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Spreadsheet column letters for a zero-based column index
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function sheetPrefix(sheetName) {
+  return /^[A-Za-z0-9_]+$/.test(sheetName) ? `${sheetName}!` : `'${sheetName}'!`;
+}
+
+// Reference to a cell (zero-based column, one-based row), absolute when `fixed`
+function cellRef(column, row, { sheet = null, fixed = false } = {}) {
+  const marker = fixed ? '$' : '';
+  return `${sheet ? sheetPrefix(sheet) : ''}${marker}${columnName(column)}${marker}${row}`;
+}
+
+function rangeRef(column, firstRow, lastRow, { sheet = null, fixed = false } = {}) {
+  return `${cellRef(column, firstRow, { sheet, fixed })}:${cellRef(column, lastRow, { fixed })}`;
+}
+
+function formula(f, v, z = null) {
+  return { f, v: Number.isFinite(v) ? v : 0, ...(z ? { z } : {}) };
+}
+
+function value(v, z = null) {
+  return z ? { v: Number.isFinite(v) ? v : 0, z } : v;
+}
+
+// Column indices keyed by name, in the order given
+function indexColumns(keys) {
+  return Object.fromEntries(keys.map((key, index) => [key, index]));
+}
+
+function createSheet(name, title, note) {
+  return { name, columns: [], rows: [[title], [note]] };
+}
+
+// Pad the sheet to `row` (one-based) and write the cells there
+function setRow(sheet, row, cells) {
+  while (sheet.rows.length < row - 1) sheet.rows.push([]);
+  sheet.rows[row - 1] = cells;
+}
+
+function addRow(sheet, cells = []) {
+  sheet.rows.push(cells);
+  return sheet.rows.length;
+}
+
+// Figures every sheet reads: the selected lines in selection order with the engine's
+// intermediate values for each
+function collectCalculation(state) {
+  const selectedCountries = Array.isArray(state.selectedCountries) ? state.selectedCountries : [];
+  const countriesByIso = new Map((state.countries || []).map(country => [country.isoCode, country]));
+  const focus = clamp(toNumber(state.focus), 0, 1);
+  const portfolioRisks = state.portfolioRisks || {};
+  const countryVolumes = state.countryVolumes || {};
+  const hrddStrategy = Array.isArray(state.hrddStrategy) ? state.hrddStrategy : [];
+  const transparencyEffectiveness = Array.isArray(state.transparencyEffectiveness) ? state.transparencyEffectiveness : [];
+  const responsivenessStrategy = Array.isArray(state.responsivenessStrategy) ? state.responsivenessStrategy : [];
+  const responsivenessEffectiveness = Array.isArray(state.responsivenessEffectiveness) ? state.responsivenessEffectiveness : [];
+
+  const metrics = riskEngine.calculatePortfolioMetrics(selectedCountries, countryVolumes, portfolioRisks);
+  const details = riskEngine.calculateManagedRiskDetails(
+    selectedCountries,
+    countryVolumes,
+    portfolioRisks,
+    hrddStrategy,
+    transparencyEffectiveness,
+    responsivenessStrategy,
+    responsivenessEffectiveness,
+    focus
+  );
+  const conservationFactors = metrics.baselineRisk > 0
+    ? riskEngine.calculateResourceConservationFactor(selectedCountries, countryVolumes, portfolioRisks, hrddStrategy, focus)
+    : {};
+  const responsiveness = riskEngine.calculateResponsivenessEffectiveness(responsivenessStrategy, responsivenessEffectiveness);
+  const transparency = riskEngine.calculateTransparencyEffectiveness(
+    hrddStrategy, transparencyEffectiveness, selectedCountries, countryVolumes, portfolioRisks, focus
+  );
+
+  const lines = selectedCountries.map(isoCode => {
+    const country = countriesByIso.get(isoCode) || null;
+    const risk = toNumber(portfolioRisks[isoCode]);
+    const riskRatio = metrics.baselineRisk > 0 ? risk / metrics.baselineRisk : 1;
+    const biasedRiskRatio = riskEngine.getBiasedRiskRatio(riskRatio, focus, risk, metrics.baselineRisk);
+    const countryTransparency = riskEngine.calculateCountryTransparencyEffectiveness(
+      details.countrySpecificCoverage, transparencyEffectiveness, isoCode
+    );
+    const focusMultiplier = riskEngine.calculateCountryFocusMultiplier(
+      focus, details.portfolioFocusMultiplier, biasedRiskRatio, risk
+    );
+    const reductionFactor = countryTransparency * responsiveness * focusMultiplier;
+    const cap = riskEngine.calculateProgressiveEffectivenessCap(risk);
+    const beforeFloor = Math.max(0, risk * (1 - Math.min(reductionFactor, cap)));
+
+    return {
+      isoCode,
+      country,
+      name: country ? riskEngine.getCountryDisplayName(country) : isoCode,
+      volume: Number.isFinite(countryVolumes[isoCode]) ? countryVolumes[isoCode] : 10,
+      countryRisk: toNumber(state.countryRisks?.[isoCode]),
+      portfolioRisk: risk,
+      sector: getSector(state.countrySectors?.[isoCode]),
+      riskRatio,
+      biasedRiskRatio,
+      conservation: hrddStrategy.map((_, toolIndex) => conservationFactors[isoCode]?.[toolIndex] || 1),
+      coverage: details.countrySpecificCoverage[isoCode] || hrddStrategy.map(() => 0),
+      transparency: countryTransparency,
+      focusMultiplier,
+      reductionFactor,
+      cap,
+      beforeFloor,
+      calculatedManagedRisk: risk > 0 ? Math.max(beforeFloor, risk * riskEngine.managedRiskFloor) : 0,
+      managedRisk: toNumber(details.countryManagedRisks[isoCode])
+    };
+  });
+
+  return {
+    focus,
+    metrics,
+    details,
+    responsiveness,
+    transparency,
+    hrddStrategy,
+    transparencyEffectiveness,
+    responsivenessStrategy,
+    responsivenessEffectiveness,
+    lines,
+    firstRow: FIRST_COUNTRY_ROW,
+    lastRow: FIRST_COUNTRY_ROW + lines.length - 1,
+    totalsRow: FIRST_COUNTRY_ROW + lines.length + 1
+  };
+}
+
+// Panel inputs; returns the sheet and references to the cells other sheets read
+function buildInputsSheet(state, calc, generatedAt) {
+  const sheet = createSheet('Inputs', 'Calculation inputs',
+    'Values set in Panels 1-4 and the fixed model parameters. Formulas on the other sheets refer to these cells.');
+  sheet.columns = [44, 14, 14, 14, 14, 14, 16];
+  const refs = { weights: {}, tools: [], toolRates: [], categoryWeights: [] };
+  const at = (column, row) => cellRef(column, row, { sheet: sheet.name, fixed: true });
+
+  const datasetStamp = state.dataset?.indicatorSourceYears
+    ? state.dataset
+    : riskEngine.buildDatasetStamp(state.dataset, state.dataYear);
+  addRow(sheet);
+  addRow(sheet, ['Generated', new Date(generatedAt).toISOString()]);
+  addRow(sheet, ['Index data', riskEngine.describeDatasetStamp(datasetStamp)]);
+  const strategy = riskEngine.normalizeImputationStrategy(state.imputationStrategy);
+  addRow(sheet, ['Missing indicator values', riskEngine.imputationStrategies[strategy]]);
+
+  addRow(sheet);
+  addRow(sheet, ['Indicator', 'Weight']);
+  const weights = normalizeIndicatorWeights(state.weights, riskEngine.defaultWeights);
+  INDICATORS.forEach(({ id, shortLabel }) => {
+    const row = addRow(sheet, [shortLabel, weights[id]]);
+    refs.weights[id] = at(1, row);
+  });
+
+  addRow(sheet);
+  addRow(sheet, ['Focus on higher-risk countries', 'Value']);
+  refs.focus = at(1, addRow(sheet, ['Focus f (Panel 3)', value(calc.focus, FORMATS.ratio)]));
+  refs.gamma = at(1, addRow(sheet, ['Concentration weight γ', riskEngine.focusConcentrationWeight]));
+  const concentration = cellRef(1, calc.totalsRow + 2, { sheet: 'Portfolio', fixed: true });
+  refs.concentration = at(1, addRow(sheet, ['Risk concentration C (Portfolio sheet)',
+    formula(concentration, calc.details.riskConcentration, FORMATS.ratio)]));
+  refs.portfolioFocusMultiplier = at(1, addRow(sheet, ['Portfolio focus multiplier F0 = (1 - f·γ) + f·γ·C',
+    formula(`(1-${refs.focus}*${refs.gamma})+${refs.focus}*${refs.gamma}*${refs.concentration}`,
+      calc.details.portfolioFocusMultiplier, FORMATS.ratio)]));
+  refs.maxTransparency = at(1, addRow(sheet, ['Maximum transparency', riskEngine.maxTransparency]));
+
+  addRow(sheet);
+  addRow(sheet, ['Detection category', 'Weight']);
+  const categoryByTool = {};
+  riskEngine.transparencyToolCategories.forEach((category, categoryIndex) => {
+    refs.categoryWeights[categoryIndex] = at(1, addRow(sheet, [category.name, category.categoryWeight]));
+    category.tools.forEach((toolIndex, position) => {
+      categoryByTool[toolIndex] = { name: category.name, baseEffectiveness: category.baseEffectiveness[position] };
+    });
+  });
+
+  addRow(sheet);
+  addRow(sheet, ['HRDD tool (Panel 3)', 'Coverage %', 'Effectiveness %', 'Base rate', 'Category', 'Detection rate',
+    'Rate = (base + effectiveness/100) / 2']);
+  riskEngine.hrddStrategyLabels.forEach((label, toolIndex) => {
+    const row = sheet.rows.length + 1;
+    const category = categoryByTool[toolIndex];
+    const effectiveness = clamp(toNumber(calc.transparencyEffectiveness[toolIndex]), 0, 100);
+    addRow(sheet, [
+      label,
+      toNumber(calc.hrddStrategy[toolIndex]),
+      effectiveness,
+      category ? category.baseEffectiveness : null,
+      category ? category.name : '',
+      category
+        ? formula(`(${cellRef(3, row)}+${cellRef(2, row)}/100)/2`, (category.baseEffectiveness + effectiveness / 100) / 2, FORMATS.ratio)
+        : null
+    ]);
+    refs.tools[toolIndex] = at(1, row);
+    refs.toolRates[toolIndex] = at(5, row);
+  });
+
+  addRow(sheet);
+  addRow(sheet, ['Response (Panel 4)', 'Share %', 'Effectiveness %']);
+  const firstResponseRow = sheet.rows.length + 1;
+  riskEngine.responsivenessLabels.forEach((label, index) => {
+    addRow(sheet, [label, toNumber(calc.responsivenessStrategy[index]), toNumber(calc.responsivenessEffectiveness[index])]);
+  });
+  const lastResponseRow = sheet.rows.length;
+  const shares = rangeRef(1, firstResponseRow, lastResponseRow, { fixed: true });
+  const effectiveness = rangeRef(2, firstResponseRow, lastResponseRow, { fixed: true });
+  refs.responsiveness = at(1, addRow(sheet, ['Responsiveness R = Σ share·effectiveness / Σ share',
+    formula(`IFERROR(SUMPRODUCT(${shares},${effectiveness})/100/SUM(${shares}),0)`, calc.responsiveness, FORMATS.ratio)]));
+
+  return { sheet, refs };
+}
+
+function buildCountryRiskSheet(state, calc, inputs) {
+  const sheet = createSheet('Country risk', 'Country and portfolio risk',
+    'Base score = Σ weight·value / Σ weight over the indicators with a value. Imputed values are filled in per the Inputs sheet; ' +
+    'blank indicators drop out and the remaining weights renormalise. Portfolio risk = country risk x sector multiplier, capped at 100.');
+  const col = indexColumns(['country', 'iso', 'sector', ...INDICATORS.map(({ id }) => id),
+    'base', 'unitMultiplier', 'countryRisk', 'sectorMultiplier', 'portfolioRisk', 'note']);
+  const first = col[INDICATORS[0].id];
+  const last = col[INDICATORS[INDICATORS.length - 1].id];
+  const weights = normalizeIndicatorWeights(state.weights, riskEngine.defaultWeights);
+  sheet.columns = [28, 10, 28, ...INDICATORS.map(() => 12), 12, 12, 12, 12, 12, 48];
+
+  setRow(sheet, PARAMETER_ROW, [null, null, 'Weight', ...INDICATORS.map(({ id }) => formula(inputs.refs.weights[id], weights[id]))]);
+  setRow(sheet, HEADER_ROW, ['Country', 'ISO', 'Sector', ...INDICATORS.map(({ shortLabel }) => shortLabel),
+    'Base score', 'Unit multiplier', 'Country risk', 'Sector multiplier', 'Portfolio risk', 'Data']);
+
+  const strategy = riskEngine.normalizeImputationStrategy(state.imputationStrategy);
+  const regionalMeans = strategy === 'regional-mean' ? riskEngine.calculateRegionalIndicatorMeans(state.countries) : null;
+
+  calc.lines.forEach((line, index) => {
+    const row = calc.firstRow + index;
+    const record = line.country || {};
+    const { baseScore, values } = riskEngine.calculateWeightedRiskDetails(record, weights, { imputationStrategy: strategy, regionalMeans });
+    const multiplier = Number.isFinite(record.riskMultiplier) ? record.riskMultiplier : 1;
+    const weightRange = `${cellRef(first, PARAMETER_ROW, { fixed: true })}:${cellRef(last, PARAMETER_ROW, { fixed: true })}`;
+    const valueRange = `${cellRef(first, row)}:${cellRef(last, row)}`;
+    const completeness = state.countryDataCompleteness?.[line.isoCode];
+
+    setRow(sheet, row, [
+      line.name,
+      line.isoCode,
+      line.sector.label,
+      ...INDICATORS.map(({ id }) => values[id]),
+      formula(`IFERROR(SUMPRODUCT(${weightRange},${valueRange})/SUMIF(${valueRange},"<>",${weightRange}),0)`, baseScore, FORMATS.risk),
+      multiplier,
+      formula(`MAX(0,MIN(100,${cellRef(col.base, row)}*${cellRef(col.unitMultiplier, row)}))`, line.countryRisk, FORMATS.risk),
+      line.sector.multiplier,
+      formula(`MAX(0,MIN(100,${cellRef(col.countryRisk, row)}*${cellRef(col.sectorMultiplier, row)}))`, line.portfolioRisk, FORMATS.risk),
+      completeness ? riskEngine.describeDataCompleteness(completeness) : ''
+    ]);
+  });
+
+  return { sheet, portfolioRiskColumn: col.portfolioRisk };
+}
+
+function buildPortfolioSheet(calc, countryRisk) {
+  const sheet = createSheet('Portfolio', 'Portfolio shares and baseline risk',
+    'Baseline risk B = Σ volume·risk / Σ volume. Risk concentration C = max(1, Σ share·risk² / B²). Lines without a volume count as 10.');
+  const col = indexColumns(['country', 'iso', 'volume', 'share', 'risk', 'volumeRisk', 'shareRiskSquared']);
+  sheet.columns = [28, 12, 12, 12, 12, 14, 16];
+  setRow(sheet, HEADER_ROW, ['Country', 'ISO', 'Volume', 'Share', 'Portfolio risk', 'Volume x risk', 'Share x risk²']);
+
+  const { firstRow, lastRow, totalsRow, metrics } = calc;
+  const volumes = rangeRef(col.volume, firstRow, lastRow, { fixed: true });
+  calc.lines.forEach((line, index) => {
+    const row = firstRow + index;
+    const share = metrics.totalVolume > 0 ? line.volume / metrics.totalVolume : 0;
+    setRow(sheet, row, [
+      line.name,
+      line.isoCode,
+      line.volume,
+      formula(`IFERROR(${cellRef(col.volume, row)}/SUM(${volumes}),0)`, share, FORMATS.percent),
+      formula(cellRef(countryRisk.portfolioRiskColumn, row, { sheet: countryRisk.sheet.name }), line.portfolioRisk, FORMATS.risk),
+      formula(`${cellRef(col.volume, row)}*${cellRef(col.risk, row)}`, line.volume * line.portfolioRisk, FORMATS.risk),
+      formula(`${cellRef(col.share, row)}*${cellRef(col.risk, row)}^2`, share * line.portfolioRisk ** 2, FORMATS.risk)
+    ]);
+  });
+
+  const sum = column => `SUM(${rangeRef(column, firstRow, lastRow)})`;
+  setRow(sheet, totalsRow, [
+    'Total', null,
+    formula(sum(col.volume), metrics.totalVolume),
+    formula(sum(col.share), metrics.totalVolume > 0 ? 1 : 0, FORMATS.percent),
+    null,
+    formula(sum(col.volumeRisk), metrics.weightedRisk, FORMATS.risk),
+    formula(sum(col.shareRiskSquared), metrics.weightedRiskSquares, FORMATS.risk)
+  ]);
+  const baseline = cellRef(1, totalsRow + 1);
+  setRow(sheet, totalsRow + 1, ['Baseline risk B',
+    formula(`IFERROR(${cellRef(col.volumeRisk, totalsRow)}/${cellRef(col.volume, totalsRow)},0)`, metrics.baselineRisk, FORMATS.risk)]);
+  setRow(sheet, totalsRow + 2, ['Risk concentration C',
+    formula(`IF(AND(${baseline}>0,${cellRef(col.shareRiskSquared, totalsRow)}>0),MAX(1,${cellRef(col.shareRiskSquared, totalsRow)}/${baseline}^2),1)`,
+      calc.details.riskConcentration, FORMATS.ratio)]);
+
+  return {
+    sheet,
+    volumeColumn: col.volume,
+    riskColumn: col.risk,
+    baselineRef: cellRef(1, totalsRow + 1, { sheet: sheet.name, fixed: true })
+  };
+}
+
+function buildCoverageSheet(calc, inputs, portfolio) {
+  const sheet = createSheet('Coverage', 'Country-specific coverage',
+    'Coverage % = Panel 3 coverage x base adjustment x high-risk boost x conservation factor, between 0 and 100. ' +
+    'The biased risk ratio (RiskEngine.getBiasedRiskRatio) and the conservation factors that keep total tool use within ' +
+    `${Math.round(riskEngine.maxResourceExpansion * 100)}% x f of Panel 3 (calculateResourceConservationFactor) are engine values.`);
+  const col = indexColumns(['country', 'iso', 'risk', 'riskRatio', 'biasedRatio', 'baseAdjustment', 'boost']);
+  const { minFocus, minRisk, riskRange, maxBoost } = riskEngine.highRiskCoverageBoost;
+  const toolColumn = toolIndex => 7 + toolIndex;
+  sheet.columns = [28, 12, 12, 12, 12, 14, 12, ...riskEngine.hrddStrategyLabels.map(() => 16)];
+
+  const { focus } = inputs.refs;
+  const traceable = calc.metrics.baselineRisk > 0;
+  setRow(sheet, PARAMETER_ROW, [null, null, null, null, null, null, 'Conservation',
+    ...calc.hrddStrategy.map((_, toolIndex) => value(calc.lines[0]?.conservation[toolIndex] ?? 1, FORMATS.ratio))]);
+  setRow(sheet, HEADER_ROW, ['Country', 'ISO', 'Portfolio risk', 'Risk ratio', 'Biased ratio', 'Base adjustment', 'High-risk boost',
+    ...riskEngine.hrddStrategyLabels.map(label => `${label} %`)]);
+
+  calc.lines.forEach((line, index) => {
+    const row = calc.firstRow + index;
+    const risk = cellRef(col.risk, row);
+    const baseAdjustment = traceable ? (1 - calc.focus) + calc.focus * line.biasedRiskRatio : 1;
+    const boost = traceable ? riskEngine.calculateHighRiskCoverageBoost(line.portfolioRisk, calc.focus) : 1;
+    // A portfolio with no risk keeps Panel 3 coverage everywhere
+    setRow(sheet, row, [
+      line.name,
+      line.isoCode,
+      formula(cellRef(portfolio.riskColumn, row, { sheet: portfolio.sheet.name }), line.portfolioRisk, FORMATS.risk),
+      formula(`IFERROR(${risk}/${portfolio.baselineRef},1)`, line.riskRatio, FORMATS.ratio),
+      value(line.biasedRiskRatio, FORMATS.ratio),
+      traceable
+        ? formula(`(1-${focus})+${focus}*${cellRef(col.biasedRatio, row)}`, baseAdjustment, FORMATS.ratio)
+        : value(1, FORMATS.ratio),
+      traceable
+        ? formula(`IF(AND(${focus}>${minFocus},${risk}>=${minRisk}),1+MIN(1,(${risk}-${minRisk})/${riskRange})*MIN(1,(${focus}-${minFocus})/(1-${minFocus}))*${maxBoost},1)`,
+          boost, FORMATS.ratio)
+        : value(1, FORMATS.ratio),
+      ...calc.hrddStrategy.map((_, toolIndex) => formula(
+        `MAX(0,MIN(100,${inputs.refs.tools[toolIndex]}*${cellRef(col.baseAdjustment, row)}*${cellRef(col.boost, row)}*${cellRef(toolColumn(toolIndex), PARAMETER_ROW, { fixed: true })}))`,
+        line.coverage[toolIndex],
+        FORMATS.risk
+      ))
+    ]);
+  });
+
+  return { sheet, toolColumn, biasedRatioColumn: col.biasedRatio };
+}
+
+function buildEffectivenessSheet(calc, inputs, portfolio, coverage) {
+  const categories = riskEngine.transparencyToolCategories;
+  const bonus = riskEngine.highRiskFocusBonus;
+  const sheet = createSheet('Effectiveness', 'Transparency and responsiveness per country',
+    'Category detection = 1 - Π(1 - coverage·rate) over its tools. Transparency T = 1 - Π(1 - detection·weight), at most the maximum. ' +
+    `Focus multiplier Fi = F0·(1 + (f - ${bonus.minFocus})·${bonus.rate}) when f > ${bonus.minFocus} and risk ≥ ${bonus.minRisk}, otherwise` +
+    ' (1 - f·γ) + f·γ·biased ratio. ' +
+    'Reduction factor = T x R x Fi.');
+  const categoryColumn = categoryIndex => 2 + categoryIndex;
+  const col = indexColumns(['country', 'iso', ...categories.map((_, index) => `category${index}`),
+    'transparency', 'responsiveness', 'focusMultiplier', 'reductionFactor']);
+  sheet.columns = [28, 12, ...categories.map(() => 14), 14, 14, 14, 14];
+  setRow(sheet, HEADER_ROW, ['Country', 'ISO', ...categories.map(category => `${category.name} detection`),
+    'Transparency T', 'Responsiveness R', 'Focus multiplier Fi', 'Reduction factor']);
+
+  const { focus, gamma, portfolioFocusMultiplier, maxTransparency, responsiveness, toolRates, categoryWeights } = inputs.refs;
+  calc.lines.forEach((line, index) => {
+    const row = calc.firstRow + index;
+    const coverageOf = toolIndex => cellRef(coverage.toolColumn(toolIndex), row, { sheet: coverage.sheet.name });
+    const risk = cellRef(portfolio.riskColumn, row, { sheet: portfolio.sheet.name });
+    const biasedRatio = cellRef(coverage.biasedRatioColumn, row, { sheet: coverage.sheet.name });
+    const categoryValues = categories.map(category => 1 - category.tools.reduce((product, toolIndex, position) => {
+      const rate = (category.baseEffectiveness[position] + clamp(toNumber(calc.transparencyEffectiveness[toolIndex]), 0, 100) / 100) / 2;
+      return product * (1 - (clamp(line.coverage[toolIndex], 0, 100) / 100) * rate);
+    }, 1));
+
+    setRow(sheet, row, [
+      line.name,
+      line.isoCode,
+      ...categories.map((category, categoryIndex) => formula(
+        `1-${category.tools.map(toolIndex => `(1-${coverageOf(toolIndex)}/100*${toolRates[toolIndex]})`).join('*')}`,
+        categoryValues[categoryIndex],
+        FORMATS.ratio
+      )),
+      formula(
+        `MIN(${maxTransparency},1-${categories.map((_, categoryIndex) => `(1-${cellRef(categoryColumn(categoryIndex), row)}*${categoryWeights[categoryIndex]})`).join('*')})`,
+        line.transparency,
+        FORMATS.ratio
+      ),
+      formula(responsiveness, calc.responsiveness, FORMATS.ratio),
+      formula(
+        `IF(AND(${focus}>${bonus.minFocus},${risk}>=${bonus.minRisk}),${portfolioFocusMultiplier}*(1+(${focus}-${bonus.minFocus})*${bonus.rate}),(1-${focus}*${gamma})+${focus}*${gamma}*${biasedRatio})`,
+        line.focusMultiplier,
+        FORMATS.ratio
+      ),
+      formula(`${cellRef(col.transparency, row)}*${cellRef(col.responsiveness, row)}*${cellRef(col.focusMultiplier, row)}`,
+        line.reductionFactor, FORMATS.ratio)
+    ]);
+  });
+
+  const volumes = rangeRef(portfolio.volumeColumn, calc.firstRow, calc.lastRow, { sheet: portfolio.sheet.name, fixed: true });
+  const transparencyRef = cellRef(1, calc.totalsRow);
+  setRow(sheet, calc.totalsRow, ['Portfolio transparency (volume-weighted)',
+    formula(`IFERROR(SUMPRODUCT(${volumes},${rangeRef(col.transparency, calc.firstRow, calc.lastRow)})/SUM(${volumes}),0)`,
+      calc.transparency, FORMATS.ratio)]);
+  setRow(sheet, calc.totalsRow + 1, ['Combined effectiveness T x R',
+    formula(`${transparencyRef}*${responsiveness}`, calc.details.combinedEffectiveness, FORMATS.percent)]);
+
+  return { sheet, reductionFactorColumn: col.reductionFactor };
+}
+
+function buildManagedRiskSheet(calc, portfolio, effectiveness) {
+  const { minCap, maxCap } = riskEngine.effectivenessCap;
+  const floor = riskEngine.managedRiskFloor;
+  const floorLabel = `${Math.round(floor * 100)}%`;
+  const sheet = createSheet('Managed risk', 'Managed risk per country',
+    `Cap = ${maxCap} - (${maxCap} - ${minCap}) x risk/100. ` +
+    `Managed risk = risk x (1 - min(reduction factor, cap)), at least ${floorLabel} of risk. ` +
+    'Final managed risk is the engine value after rank preservation, which keeps each country below the next riskier one; ' +
+    'the rank adjustment column shows any change it made.');
+  const col = indexColumns(['country', 'iso', 'risk', 'reductionFactor', 'cap', 'appliedReduction', 'beforeFloor', 'floor',
+    'calculated', 'final', 'rankAdjustment']);
+  sheet.columns = [28, 12, 12, 14, 12, 14, 14, 12, 14, 14, 14];
+  setRow(sheet, HEADER_ROW, ['Country', 'ISO', 'Portfolio risk', 'Reduction factor', 'Cap', 'Applied reduction',
+    'Before floor', `Floor (${floorLabel})`, 'Managed risk', 'Final managed risk', 'Rank adjustment']);
+
+  calc.lines.forEach((line, index) => {
+    const row = calc.firstRow + index;
+    const ref = key => cellRef(col[key], row);
+    setRow(sheet, row, [
+      line.name,
+      line.isoCode,
+      formula(cellRef(portfolio.riskColumn, row, { sheet: portfolio.sheet.name }), line.portfolioRisk, FORMATS.risk),
+      formula(cellRef(effectiveness.reductionFactorColumn, row, { sheet: effectiveness.sheet.name }), line.reductionFactor, FORMATS.ratio),
+      formula(`${maxCap}-(${maxCap}-${minCap})*MIN(1,MAX(0,${ref('risk')}/100))`, line.cap, FORMATS.ratio),
+      formula(`MIN(${ref('reductionFactor')},${ref('cap')})`, Math.min(line.reductionFactor, line.cap), FORMATS.ratio),
+      formula(`MAX(0,${ref('risk')}*(1-${ref('appliedReduction')}))`, line.beforeFloor, FORMATS.risk),
+      formula(`${ref('risk')}*${floor}`, line.portfolioRisk * floor, FORMATS.risk),
+      formula(`IF(${ref('risk')}<=0,0,MAX(${ref('beforeFloor')},${ref('floor')}))`, line.calculatedManagedRisk, FORMATS.risk),
+      value(line.managedRisk, FORMATS.risk),
+      formula(`${ref('final')}-${ref('calculated')}`, line.managedRisk - line.calculatedManagedRisk, FORMATS.risk)
+    ]);
+  });
+
+  const volumes = rangeRef(portfolio.volumeColumn, calc.firstRow, calc.lastRow, { sheet: portfolio.sheet.name, fixed: true });
+  const managedRef = cellRef(1, calc.totalsRow + 1);
+  const { baselineRisk } = calc.metrics;
+  const managedRisk = calc.details.managedRisk;
+  setRow(sheet, calc.totalsRow, ['Baseline risk', formula(portfolio.baselineRef, baselineRisk, FORMATS.risk)]);
+  setRow(sheet, calc.totalsRow + 1, ['Managed risk (volume-weighted)',
+    formula(`IFERROR(SUMPRODUCT(${volumes},${rangeRef(col.final, calc.firstRow, calc.lastRow)})/SUM(${volumes}),0)`, managedRisk, FORMATS.risk)]);
+  setRow(sheet, calc.totalsRow + 2, ['Risk reduction',
+    formula(`IFERROR(1-${managedRef}/${cellRef(1, calc.totalsRow)},0)`, baselineRisk > 0 ? 1 - managedRisk / baselineRisk : 0, FORMATS.percent)]);
+
+  return { sheet };
+}
+
+// `budget` is the calculateBudgetAnalysis() result for the same inputs
+function buildBudgetSheet(budget, inputs) {
+  const sheet = createSheet('Budget', 'Panel 6 budget lines',
+    'Programme cost = annual programme cost x coverage. External cost = programme cost + suppliers x cost per supplier. ' +
+    'Internal cost = suppliers x hours per supplier x hourly rate. Suppliers reached are engine values ' +
+    '(calculateSuppliersReached), rounded up per country when there is a supplier list.');
+  sheet.columns = [44, 12, 12, 16, 16, 16, 16, 14, 16, 16];
+  const hourlyRate = cellRef(1, addRow(sheet, ['Hourly rate', value(budget.hourlyRate, FORMATS.cost)]), { fixed: true });
+  const supplierCount = cellRef(1, addRow(sheet, ['Suppliers', budget.supplierCount]), { fixed: true });
+
+  addRow(sheet);
+  addRow(sheet, ['HRDD tool', 'Coverage %', 'Suppliers', 'Annual programme', 'Programme cost', 'Cost per supplier',
+    'External cost', 'Hours per supplier', 'Internal cost', 'Total cost']);
+  const firstToolRow = sheet.rows.length + 1;
+  budget.toolDeployments.forEach((tool, index) => {
+    const row = firstToolRow + index;
+    const ref = column => cellRef(column, row);
+    addRow(sheet, [
+      tool.toolName,
+      formula(`MAX(0,MIN(100,${inputs.refs.tools[tool.toolIndex]}))`, tool.coverage),
+      tool.suppliersUsingTool,
+      value(tool.annualProgrammeBase, FORMATS.cost),
+      formula(`${ref(3)}*${ref(1)}/100`, tool.annualProgrammeCost, FORMATS.cost),
+      value(tool.perSupplierCost, FORMATS.cost),
+      formula(`${ref(4)}+${ref(2)}*${ref(5)}`, tool.totalExternalCost, FORMATS.cost),
+      tool.hoursPerSupplier,
+      formula(`${ref(2)}*${ref(7)}*${hourlyRate}`, tool.totalInternalCost, FORMATS.cost),
+      formula(`${ref(6)}+${ref(8)}`, tool.totalCost, FORMATS.cost)
+    ]);
+  });
+  const lastToolRow = sheet.rows.length;
+
+  addRow(sheet);
+  addRow(sheet, ['Response', 'Share %', 'Suppliers', 'Hours per supplier', 'Internal cost']);
+  const firstResponseRow = sheet.rows.length + 1;
+  budget.responseDeployments.forEach((response, index) => {
+    const row = firstResponseRow + index;
+    addRow(sheet, [
+      response.responseName,
+      response.coverage,
+      response.suppliersUsingMethod,
+      response.hoursPerSupplier,
+      formula(`${cellRef(2, row)}*${cellRef(3, row)}*${hourlyRate}`, response.totalInternalCost, FORMATS.cost)
+    ]);
+  });
+  const lastResponseRow = sheet.rows.length;
+
+  addRow(sheet);
+  const external = cellRef(1, addRow(sheet, ['External cost',
+    formula(`SUM(${rangeRef(6, firstToolRow, lastToolRow)})`, budget.totalExternalCost, FORMATS.cost)]));
+  const toolInternal = cellRef(1, addRow(sheet, ['Internal cost of tools',
+    formula(`SUM(${rangeRef(8, firstToolRow, lastToolRow)})`, budget.totalToolInternalCost, FORMATS.cost)]));
+  const responseInternal = cellRef(1, addRow(sheet, ['Internal cost of responses',
+    formula(`SUM(${rangeRef(4, firstResponseRow, lastResponseRow)})`, budget.totalResponseInternalCost, FORMATS.cost)]));
+  const total = cellRef(1, addRow(sheet, ['Total annual budget',
+    formula(`${external}+${toolInternal}+${responseInternal}`, budget.totalBudget, FORMATS.cost)]));
+  addRow(sheet, ['Cost per supplier', formula(`${total}/${supplierCount}`, budget.costPerSupplier, FORMATS.cost)]);
+
+  return { sheet };
+}
+
+// Workbook for an AppController.getState()-shaped snapshot. `budget` is the Panel 6
+// calculateBudgetAnalysis() result, null when Panel 6 is disabled.
+export function buildCalculationWorkbook(state, { budget = null, generatedAt = new Date() } = {}) {
+  const appState = state && typeof state === 'object' ? state : {};
+  const calc = collectCalculation(appState);
+  const inputs = buildInputsSheet(appState, calc, generatedAt);
+  const countryRisk = buildCountryRiskSheet(appState, calc, inputs);
+  const portfolio = buildPortfolioSheet(calc, countryRisk);
+  const coverage = buildCoverageSheet(calc, inputs, portfolio);
+  const effectiveness = buildEffectivenessSheet(calc, inputs, portfolio, coverage);
+  const managed = buildManagedRiskSheet(calc, portfolio, effectiveness);
+
+  return {
+    sheets: [
+      inputs.sheet,
+      countryRisk.sheet,
+      portfolio.sheet,
+      coverage.sheet,
+      effectiveness.sheet,
+      managed.sheet,
+      ...(budget ? [buildBudgetSheet(budget, inputs).sheet] : [])
+    ]
+  };
+}
+
+function toSheetCell(cell) {
+  if (cell === null || cell === undefined) return null;
+  if (typeof cell === 'string') return { t: 's', v: cell };
+  if (typeof cell === 'number') return Number.isFinite(cell) ? { t: 'n', v: cell } : null;
+  return {
+    t: 'n',
+    v: Number.isFinite(cell.v) ? cell.v : 0,
+    ...(cell.f ? { f: cell.f } : {}),
+    ...(cell.z ? { z: cell.z } : {})
+  };
+}
+
+// SheetJS workbook for a calculation workbook; `XLSX` is the SheetJS module
+export function writeCalculationWorkbook(XLSX, workbook) {
+  const book = XLSX.utils.book_new();
+  workbook.sheets.forEach(({ name, columns, rows }) => {
+    const worksheet = {};
+    let lastColumn = 0;
+    rows.forEach((row, r) => {
+      row.forEach((cell, c) => {
+        const sheetCell = toSheetCell(cell);
+        if (!sheetCell) return;
+        worksheet[XLSX.utils.encode_cell({ r, c })] = sheetCell;
+        lastColumn = Math.max(lastColumn, c);
+      });
+    });
+    worksheet['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: Math.max(0, rows.length - 1), c: lastColumn } });
+    worksheet['!cols'] = columns.map(wch => ({ wch }));
+    XLSX.utils.book_append_sheet(book, worksheet, name);
+  });
+  return book;
+}
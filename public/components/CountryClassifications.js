@@ -0,0 +1,278 @@
+// CountryClassifications.js - World Bank region and income-group lookup by ISO 3166-1 alpha-3 code.
+// Used for regional-mean imputation and to estimate proxy risks for economies the
+// indicator dataset does not cover.
+
+export const REGIONS = {
+  EAS: 'East Asia & Pacific',
+  ECS: 'Europe & Central Asia',
+  LCN: 'Latin America & Caribbean',
+  MEA: 'Middle East & North Africa',
+  NAC: 'North America',
+  SAS: 'South Asia',
+  SSF: 'Sub-Saharan Africa'
+};
+
+export const INCOME_GROUPS = {
+  LIC: 'Low income',
+  LMC: 'Lower-middle income',
+  UMC: 'Upper-middle income',
+  HIC: 'High income'
+};
+
+// ISO: [name, region, income group]
+const ECONOMIES = {
+  // East Asia & Pacific
+  ASM: ['American Samoa', 'EAS', 'UMC'],
+  AUS: ['Australia', 'EAS', 'HIC'],
+  BRN: ['Brunei Darussalam', 'EAS', 'HIC'],
+  CHN: ['China', 'EAS', 'UMC'],
+  FJI: ['Fiji', 'EAS', 'UMC'],
+  FSM: ['Micronesia', 'EAS', 'LMC'],
+  GUM: ['Guam', 'EAS', 'HIC'],
+  HKG: ['Hong Kong', 'EAS', 'HIC'],
+  IDN: ['Indonesia', 'EAS', 'UMC'],
+  JPN: ['Japan', 'EAS', 'HIC'],
+  KHM: ['Cambodia', 'EAS', 'LMC'],
+  KIR: ['Kiribati', 'EAS', 'LMC'],
+  KOR: ['South Korea', 'EAS', 'HIC'],
+  LAO: ['Laos', 'EAS', 'LMC'],
+  MAC: ['Macao', 'EAS', 'HIC'],
+  MHL: ['Marshall Islands', 'EAS', 'UMC'],
+  MMR: ['Myanmar', 'EAS', 'LMC'],
+  MNG: ['Mongolia', 'EAS', 'UMC'],
+  MNP: ['Northern Mariana Islands', 'EAS', 'HIC'],
+  MYS: ['Malaysia', 'EAS', 'UMC'],
+  NCL: ['New Caledonia', 'EAS', 'HIC'],
+  NRU: ['Nauru', 'EAS', 'HIC'],
+  NZL: ['New Zealand', 'EAS', 'HIC'],
+  PHL: ['Philippines', 'EAS', 'LMC'],
+  PLW: ['Palau', 'EAS', 'HIC'],
+  PNG: ['Papua New Guinea', 'EAS', 'LMC'],
+  PRK: ['North Korea', 'EAS', 'LIC'],
+  PYF: ['French Polynesia', 'EAS', 'HIC'],
+  SGP: ['Singapore', 'EAS', 'HIC'],
+  SLB: ['Solomon Islands', 'EAS', 'LMC'],
+  THA: ['Thailand', 'EAS', 'UMC'],
+  TLS: ['Timor-Leste', 'EAS', 'LMC'],
+  TON: ['Tonga', 'EAS', 'UMC'],
+  TUV: ['Tuvalu', 'EAS', 'UMC'],
+  TWN: ['Taiwan', 'EAS', 'HIC'],
+  VNM: ['Vietnam', 'EAS', 'LMC'],
+  VUT: ['Vanuatu', 'EAS', 'LMC'],
+  WSM: ['Samoa', 'EAS', 'LMC'],
+
+  // Europe & Central Asia
+  ALB: ['Albania', 'ECS', 'UMC'],
+  AND: ['Andorra', 'ECS', 'HIC'],
+  ARM: ['Armenia', 'ECS', 'UMC'],
+  AUT: ['Austria', 'ECS', 'HIC'],
+  AZE: ['Azerbaijan', 'ECS', 'UMC'],
+  BEL: ['Belgium', 'ECS', 'HIC'],
+  BGR: ['Bulgaria', 'ECS', 'HIC'],
+  BIH: ['Bosnia and Herzegovina', 'ECS', 'UMC'],
+  BLR: ['Belarus', 'ECS', 'UMC'],
+  CHE: ['Switzerland', 'ECS', 'HIC'],
+  CHI: ['Channel Islands', 'ECS', 'HIC'],
+  CYP: ['Cyprus', 'ECS', 'HIC'],
+  CZE: ['Czechia', 'ECS', 'HIC'],
+  DEU: ['Germany', 'ECS', 'HIC'],
+  DNK: ['Denmark', 'ECS', 'HIC'],
+  ESP: ['Spain', 'ECS', 'HIC'],
+  EST: ['Estonia', 'ECS', 'HIC'],
+  FIN: ['Finland', 'ECS', 'HIC'],
+  FRA: ['France', 'ECS', 'HIC'],
+  FRO: ['Faroe Islands', 'ECS', 'HIC'],
+  GBR: ['United Kingdom', 'ECS', 'HIC'],
+  GEO: ['Georgia', 'ECS', 'UMC'],
+  GIB: ['Gibraltar', 'ECS', 'HIC'],
+  GRC: ['Greece', 'ECS', 'HIC'],
+  GRL: ['Greenland', 'ECS', 'HIC'],
+  HRV: ['Croatia', 'ECS', 'HIC'],
+  HUN: ['Hungary', 'ECS', 'HIC'],
+  IMN: ['Isle of Man', 'ECS', 'HIC'],
+  IRL: ['Ireland', 'ECS', 'HIC'],
+  ISL: ['Iceland', 'ECS', 'HIC'],
+  ITA: ['Italy', 'ECS', 'HIC'],
+  KAZ: ['Kazakhstan', 'ECS', 'UMC'],
+  KGZ: ['Kyrgyzstan', 'ECS', 'LMC'],
+  LIE: ['Liechtenstein', 'ECS', 'HIC'],
+  LTU: ['Lithuania', 'ECS', 'HIC'],
+  LUX: ['Luxembourg', 'ECS', 'HIC'],
+  LVA: ['Latvia', 'ECS', 'HIC'],
+  MCO: ['Monaco', 'ECS', 'HIC'],
+  MDA: ['Moldova', 'ECS', 'UMC'],
+  MKD: ['North Macedonia', 'ECS', 'UMC'],
+  MNE: ['Montenegro', 'ECS', 'UMC'],
+  NLD: ['Netherlands', 'ECS', 'HIC'],
+  NOR: ['Norway', 'ECS', 'HIC'],
+  POL: ['Poland', 'ECS', 'HIC'],
+  PRT: ['Portugal', 'ECS', 'HIC'],
+  ROU: ['Romania', 'ECS', 'HIC'],
+  RUS: ['Russia', 'ECS', 'HIC'],
+  SMR: ['San Marino', 'ECS', 'HIC'],
+  SRB: ['Serbia', 'ECS', 'UMC'],
+  SVK: ['Slovakia', 'ECS', 'HIC'],
+  SVN: ['Slovenia', 'ECS', 'HIC'],
+  SWE: ['Sweden', 'ECS', 'HIC'],
+  TJK: ['Tajikistan', 'ECS', 'LMC'],
+  TKM: ['Turkmenistan', 'ECS', 'UMC'],
+  TUR: ['Turkey', 'ECS', 'UMC'],
+  UKR: ['Ukraine', 'ECS', 'UMC'],
+  UZB: ['Uzbekistan', 'ECS', 'LMC'],
+  XKX: ['Kosovo', 'ECS', 'UMC'],
+
+  // Latin America & Caribbean
+  ABW: ['Aruba', 'LCN', 'HIC'],
+  ARG: ['Argentina', 'LCN', 'UMC'],
+  ATG: ['Antigua and Barbuda', 'LCN', 'HIC'],
+  BHS: ['Bahamas', 'LCN', 'HIC'],
+  BLZ: ['Belize', 'LCN', 'UMC'],
+  BOL: ['Bolivia', 'LCN', 'LMC'],
+  BRA: ['Brazil', 'LCN', 'UMC'],
+  BRB: ['Barbados', 'LCN', 'HIC'],
+  CHL: ['Chile', 'LCN', 'HIC'],
+  COL: ['Colombia', 'LCN', 'UMC'],
+  CRI: ['Costa Rica', 'LCN', 'UMC'],
+  CUB: ['Cuba', 'LCN', 'UMC'],
+  CUW: ['Curaçao', 'LCN', 'HIC'],
+  CYM: ['Cayman Islands', 'LCN', 'HIC'],
+  DMA: ['Dominica', 'LCN', 'UMC'],
+  DOM: ['Dominican Republic', 'LCN', 'UMC'],
+  ECU: ['Ecuador', 'LCN', 'UMC'],
+  GRD: ['Grenada', 'LCN', 'UMC'],
+  GTM: ['Guatemala', 'LCN', 'UMC'],
+  GUY: ['Guyana', 'LCN', 'HIC'],
+  HND: ['Honduras', 'LCN', 'LMC'],
+  HTI: ['Haiti', 'LCN', 'LMC'],
+  JAM: ['Jamaica', 'LCN', 'UMC'],
+  KNA: ['Saint Kitts and Nevis', 'LCN', 'HIC'],
+  LCA: ['Saint Lucia', 'LCN', 'UMC'],
+  MAF: ['Saint Martin', 'LCN', 'HIC'],
+  MEX: ['Mexico', 'LCN', 'UMC'],
+  NIC: ['Nicaragua', 'LCN', 'LMC'],
+  PAN: ['Panama', 'LCN', 'HIC'],
+  PER: ['Peru', 'LCN', 'UMC'],
+  PRI: ['Puerto Rico', 'LCN', 'HIC'],
+  PRY: ['Paraguay', 'LCN', 'UMC'],
+  SLV: ['El Salvador', 'LCN', 'UMC'],
+  SUR: ['Suriname', 'LCN', 'UMC'],
+  SXM: ['Sint Maarten', 'LCN', 'HIC'],
+  TCA: ['Turks and Caicos Islands', 'LCN', 'HIC'],
+  TTO: ['Trinidad and Tobago', 'LCN', 'HIC'],
+  URY: ['Uruguay', 'LCN', 'HIC'],
+  VCT: ['Saint Vincent and the Grenadines', 'LCN', 'UMC'],
+  VEN: ['Venezuela', 'LCN', 'UMC'],
+  VGB: ['British Virgin Islands', 'LCN', 'HIC'],
+  VIR: ['US Virgin Islands', 'LCN', 'HIC'],
+
+  // Middle East & North Africa
+  ARE: ['United Arab Emirates', 'MEA', 'HIC'],
+  BHR: ['Bahrain', 'MEA', 'HIC'],
+  DJI: ['Djibouti', 'MEA', 'LMC'],
+  DZA: ['Algeria', 'MEA', 'UMC'],
+  EGY: ['Egypt', 'MEA', 'LMC'],
+  IRN: ['Iran', 'MEA', 'UMC'],
+  IRQ: ['Iraq', 'MEA', 'UMC'],
+  ISR: ['Israel', 'MEA', 'HIC'],
+  JOR: ['Jordan', 'MEA', 'LMC'],
+  KWT: ['Kuwait', 'MEA', 'HIC'],
+  LBN: ['Lebanon', 'MEA', 'LMC'],
+  LBY: ['Libya', 'MEA', 'UMC'],
+  MAR: ['Morocco', 'MEA', 'LMC'],
+  MLT: ['Malta', 'MEA', 'HIC'],
+  OMN: ['Oman', 'MEA', 'HIC'],
+  PSE: ['West Bank and Gaza', 'MEA', 'LMC'],
+  QAT: ['Qatar', 'MEA', 'HIC'],
+  SAU: ['Saudi Arabia', 'MEA', 'HIC'],
+  SYR: ['Syria', 'MEA', 'LIC'],
+  TUN: ['Tunisia', 'MEA', 'LMC'],
+  YEM: ['Yemen', 'MEA', 'LIC'],
+
+  // North America
+  BMU: ['Bermuda', 'NAC', 'HIC'],
+  CAN: ['Canada', 'NAC', 'HIC'],
+  USA: ['United States of America', 'NAC', 'HIC'],
+
+  // South Asia
+  AFG: ['Afghanistan', 'SAS', 'LIC'],
+  BGD: ['Bangladesh', 'SAS', 'LMC'],
+  BTN: ['Bhutan', 'SAS', 'LMC'],
+  IND: ['India', 'SAS', 'LMC'],
+  LKA: ['Sri Lanka', 'SAS', 'LMC'],
+  MDV: ['Maldives', 'SAS', 'UMC'],
+  NPL: ['Nepal', 'SAS', 'LMC'],
+  PAK: ['Pakistan', 'SAS', 'LMC'],
+
+  // Sub-Saharan Africa
+  AGO: ['Angola', 'SSF', 'LMC'],
+  BDI: ['Burundi', 'SSF', 'LIC'],
+  BEN: ['Benin', 'SSF', 'LMC'],
+  BFA: ['Burkina Faso', 'SSF', 'LIC'],
+  BWA: ['Botswana', 'SSF', 'UMC'],
+  CAF: ['Central African Republic', 'SSF', 'LIC'],
+  CIV: ["Cote d'Ivoire", 'SSF', 'LMC'],
+  CMR: ['Cameroon', 'SSF', 'LMC'],
+  COD: ['Congo (Democratic Republic)', 'SSF', 'LIC'],
+  COG: ['Congo', 'SSF', 'LMC'],
+  COM: ['Comoros', 'SSF', 'LMC'],
+  CPV: ['Cape Verde', 'SSF', 'LMC'],
+  ERI: ['Eritrea', 'SSF', 'LIC'],
+  ETH: ['Ethiopia', 'SSF', 'LIC'],
+  GAB: ['Gabon', 'SSF', 'UMC'],
+  GHA: ['Ghana', 'SSF', 'LMC'],
+  GIN: ['Guinea', 'SSF', 'LMC'],
+  GMB: ['Gambia', 'SSF', 'LIC'],
+  GNB: ['Guinea-Bissau', 'SSF', 'LIC'],
+  GNQ: ['Equatorial Guinea', 'SSF', 'UMC'],
+  KEN: ['Kenya', 'SSF', 'LMC'],
+  LBR: ['Liberia', 'SSF', 'LIC'],
+  LSO: ['Lesotho', 'SSF', 'LMC'],
+  MDG: ['Madagascar', 'SSF', 'LIC'],
+  MLI: ['Mali', 'SSF', 'LIC'],
+  MOZ: ['Mozambique', 'SSF', 'LIC'],
+  MRT: ['Mauritania', 'SSF', 'LMC'],
+  MUS: ['Mauritius', 'SSF', 'UMC'],
+  MWI: ['Malawi', 'SSF', 'LIC'],
+  NAM: ['Namibia', 'SSF', 'LMC'],
+  NER: ['Niger', 'SSF', 'LIC'],
+  NGA: ['Nigeria', 'SSF', 'LMC'],
+  RWA: ['Rwanda', 'SSF', 'LIC'],
+  SDN: ['Sudan', 'SSF', 'LIC'],
+  SEN: ['Senegal', 'SSF', 'LMC'],
+  SLE: ['Sierra Leone', 'SSF', 'LIC'],
+  SOM: ['Somalia', 'SSF', 'LIC'],
+  SSD: ['South Sudan', 'SSF', 'LIC'],
+  STP: ['Sao Tome and Principe', 'SSF', 'LMC'],
+  SWZ: ['Eswatini', 'SSF', 'LMC'],
+  SYC: ['Seychelles', 'SSF', 'HIC'],
+  TCD: ['Chad', 'SSF', 'LIC'],
+  TGO: ['Togo', 'SSF', 'LIC'],
+  TZA: ['Tanzania', 'SSF', 'LMC'],
+  UGA: ['Uganda', 'SSF', 'LIC'],
+  ZAF: ['South Africa', 'SSF', 'UMC'],
+  ZMB: ['Zambia', 'SSF', 'LMC'],
+  ZWE: ['Zimbabwe', 'SSF', 'LMC']
+};
+
+export const CLASSIFIED_ISO_CODES = Object.keys(ECONOMIES);
+
+export function getCountryClassification(isoCode) {
+  if (typeof isoCode !== 'string') return null;
+  const normalized = isoCode.trim().toUpperCase();
+  const entry = ECONOMIES[normalized];
+  if (!entry) return null;
+  const [name, region, incomeGroup] = entry;
+  return { isoCode: normalized, name, region, incomeGroup };
+}
+
+export function getCountryRegion(isoCode) {
+  return getCountryClassification(isoCode)?.region || null;
+}
+
+export function getRegionLabel(region) {
+  return REGIONS[region] || null;
+}
+
+export function getIncomeGroupLabel(incomeGroup) {
+  return INCOME_GROUPS[incomeGroup] || null;
+}
@@ -0,0 +1,184 @@
+// CountryResolver.js - Resolve free-text country references to a canonical ISO 3166-1
+// alpha-3 code. Accepts ISO2, ISO3 and UN M49 numeric codes, country names, common
+// aliases and small typos, and reports how confident the match is. Shared by the
+// portfolio importer, the map and GET /api/resolve-country.
+import { CLASSIFIED_ISO_CODES, getCountryClassification } from './CountryClassifications.js';
+import { isKnownIsoAlpha3, isoAlpha2ToAlpha3, isoNumericToAlpha3 } from './CountryCodes.js';
+
+// Confidence by match type. Fuzzy matches scale with name similarity.
+const ALIAS_CONFIDENCE = 0.95;
+const FUZZY_CONFIDENCE_SCALE = 0.9;
+
+// Minimum similarity (1 - edit distance / length) for a typo to count as a match,
+// and the shortest query that is matched fuzzily at all
+export const FUZZY_MIN_SIMILARITY = 0.8;
+const FUZZY_MIN_LENGTH = 4;
+
+// Other names used in trade data, World Bank and Natural Earth exports, by ISO3
+const ALIASES = {
+  ARE: ['UAE', 'Emirates'],
+  BHS: ['The Bahamas', 'Bahamas, The'],
+  BIH: ['Bosnia', 'Bosnia-Herzegovina', 'Bosnia and Herz.'],
+  BOL: ['Plurinational State of Bolivia', 'Bolivia (Plurinational State of)'],
+  BRN: ['Brunei'],
+  CAF: ['Central African Rep.'],
+  CHN: ['PRC', "People's Republic of China", 'Mainland China'],
+  CIV: ['Ivory Coast', "Côte d'Ivoire"],
+  COD: ['DRC', 'DR Congo', 'Democratic Republic of the Congo', 'Congo, Dem. Rep.', 'Dem. Rep. Congo', 'Congo-Kinshasa', 'Zaire'],
+  COG: ['Republic of the Congo', 'Congo, Rep.', 'Congo-Brazzaville'],
+  CPV: ['Cabo Verde'],
+  CZE: ['Czech Republic'],
+  DOM: ['Dominican Rep.'],
+  EGY: ['Egypt, Arab Rep.'],
+  FSM: ['Federated States of Micronesia', 'Micronesia, Fed. Sts.'],
+  GBR: ['UK', 'U.K.', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'],
+  GMB: ['The Gambia', 'Gambia, The'],
+  GNQ: ['Eq. Guinea'],
+  HKG: ['Hong Kong SAR', 'Hong Kong SAR, China'],
+  IRN: ['Islamic Republic of Iran', 'Iran, Islamic Rep.'],
+  KGZ: ['Kyrgyz Republic'],
+  KNA: ['St. Kitts and Nevis'],
+  KOR: ['Korea', 'Republic of Korea', 'Korea, Rep.'],
+  LAO: ['Lao PDR', "Lao People's Democratic Republic"],
+  LCA: ['St. Lucia'],
+  MAC: ['Macau', 'Macao SAR, China'],
+  MDA: ['Republic of Moldova'],
+  MKD: ['Macedonia', 'FYROM'],
+  MMR: ['Burma'],
+  NLD: ['Holland', 'The Netherlands'],
+  PRK: ['North Korea', 'DPRK', "Democratic People's Republic of Korea", "Korea, Dem. People's Rep."],
+  PSE: ['Palestine', 'State of Palestine', 'West Bank and Gaza'],
+  RUS: ['Russian Federation'],
+  SLB: ['Solomon Is.'],
+  SSD: ['S. Sudan'],
+  SVK: ['Slovak Republic'],
+  SWZ: ['Swaziland'],
+  SYR: ['Syrian Arab Republic'],
+  TLS: ['East Timor', 'Timor Leste'],
+  TUR: ['Türkiye', 'Turkey'],
+  TWN: ['Chinese Taipei', 'Taiwan, China'],
+  TZA: ['United Republic of Tanzania'],
+  USA: ['US', 'U.S.', 'U.S.A.', 'United States', 'United States of America', 'America'],
+  VAT: ['Vatican', 'Vatican City', 'Holy See'],
+  VCT: ['St. Vincent and the Grenadines'],
+  VEN: ['Bolivarian Republic of Venezuela', 'Venezuela, RB'],
+  VNM: ['Viet Nam'],
+  XKX: ['Kosovo'],
+  YEM: ['Yemen, Rep.']
+};
+
+// Lower-case, accent-free, letters and digits only, so "Côte d'Ivoire" and
+// "cote divoire" compare equal
+export function normalizeCountryName(name) {
+  return String(name ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Build a resolver over the classification names, the dataset's own names (so the
+// map and importer agree with the country list the user sees) and the aliases above.
+// `countries` is an array of { isoCode, name } records; sub-national units are ignored.
+export function createCountryResolver(countries = []) {
+  const displayNames = new Map();
+  const names = new Map();
+  const aliases = new Map();
+
+  CLASSIFIED_ISO_CODES.forEach(isoCode => {
+    const { name } = getCountryClassification(isoCode);
+    displayNames.set(isoCode, name);
+    names.set(normalizeCountryName(name), isoCode);
+  });
+  (Array.isArray(countries) ? countries : []).forEach(country => {
+    const isoCode = typeof country?.isoCode === 'string' ? country.isoCode.trim().toUpperCase() : '';
+    if (!isoCode || country.isSubnational || !country.name) return;
+    displayNames.set(isoCode, country.name);
+    names.set(normalizeCountryName(country.name), isoCode);
+  });
+  Object.entries(ALIASES).forEach(([isoCode, list]) => {
+    list.forEach(alias => {
+      const normalized = normalizeCountryName(alias);
+      if (!names.has(normalized)) aliases.set(normalized, isoCode);
+    });
+  });
+
+  const fuzzyCandidates = [...names.entries(), ...aliases.entries()]
+    .filter(([normalized]) => normalized.length >= FUZZY_MIN_LENGTH);
+  const cache = new Map();
+
+  const toResult = (query, isoCode, confidence, matchType) => ({
+    query,
+    isoCode,
+    name: displayNames.get(isoCode) || null,
+    confidence,
+    matchType
+  });
+
+  const resolveUncached = query => {
+    const trimmed = String(query ?? '').trim();
+    if (!trimmed) return null;
+
+    if (/^\d{1,3}$/.test(trimmed)) {
+      const isoCode = isoNumericToAlpha3(trimmed);
+      return isoCode ? toResult(trimmed, isoCode, 1, 'numeric') : null;
+    }
+    if (/^[A-Za-z]{2}$/.test(trimmed)) {
+      const isoCode = isoAlpha2ToAlpha3(trimmed);
+      if (isoCode) return toResult(trimmed, isoCode, 1, 'iso2');
+    }
+    if (/^[A-Za-z]{3}$/.test(trimmed)) {
+      const isoCode = trimmed.toUpperCase();
+      if (isKnownIsoAlpha3(isoCode) || displayNames.has(isoCode)) {
+        return toResult(trimmed, isoCode, 1, 'iso3');
+      }
+    }
+
+    const normalized = normalizeCountryName(trimmed);
+    if (!normalized) return null;
+    if (names.has(normalized)) {
+      return toResult(trimmed, names.get(normalized), 1, 'name');
+    }
+    if (aliases.has(normalized)) {
+      return toResult(trimmed, aliases.get(normalized), ALIAS_CONFIDENCE, 'alias');
+    }
+    if (normalized.length < FUZZY_MIN_LENGTH) return null;
+
+    let best = null;
+    fuzzyCandidates.forEach(([candidate, isoCode]) => {
+      if (Math.abs(candidate.length - normalized.length) > 3) return;
+      const similarity = 1 - editDistance(normalized, candidate) / Math.max(candidate.length, normalized.length);
+      if (similarity >= FUZZY_MIN_SIMILARITY && (!best || similarity > best.similarity)) {
+        best = { isoCode, similarity };
+      }
+    });
+    if (!best) return null;
+    const confidence = Math.round(best.similarity * FUZZY_CONFIDENCE_SCALE * 100) / 100;
+    return toResult(trimmed, best.isoCode, confidence, 'fuzzy');
+  };
+
+  return {
+    // Best match as { query, isoCode, name, confidence, matchType }, or null.
+    // matchType is one of numeric, iso2, iso3, name, alias or fuzzy.
+    resolve(query) {
+      const key = String(query ?? '').trim();
+      if (!cache.has(key)) {
+        cache.set(key, resolveUncached(key));
+      }
+      return cache.get(key);
+    }
+  };
+}
@@ -50,9 +50,10 @@ export class DataService {
     }
   }
 
-  async getAllCountries() {
+  async getAllCountries(year = null) {
     try {
-      const data = await this._fetchWithCache(`${this.baseURL}/countries`);
+      const query = year !== null && year !== undefined ? `?year=${encodeURIComponent(year)}` : '';
+      const data = await this._fetchWithCache(`${this.baseURL}/countries${query}`);
       // Handle different response formats from backend
       if (data.countries) return data.countries;
       if (Array.isArray(data)) return data;
@@ -64,8 +65,57 @@ export class DataService {
     }
   }
 
-  async getCountries() {
-    return this.getAllCountries();
+  async getCountries(year = null) {
+    return this.getAllCountries(year);
+  }
+
+  // One yearly edition of the country data (latest when year is omitted) and the editions on offer
+  async getCountryEdition(year = null) {
+    try {
+      const yearQuery = year !== null && year !== undefined ? `&year=${encodeURIComponent(year)}` : '';
+      const data = await this._fetchWithCache(`${this.baseURL}/countries?include=metadata${yearQuery}`);
+      return {
+        year: data?.year ?? null,
+        availableYears: Array.isArray(data?.availableYears) ? data.availableYears : [],
+        datasetVersion: data?.datasetVersion ?? null,
+        sourceHash: data?.sourceHash ?? null,
+        contentHash: data?.contentHash ?? null,
+        countries: Array.isArray(data?.countries) ? data.countries : [],
+        subnationalAdjustments: data?.subnationalAdjustments && typeof data.subnationalAdjustments === 'object'
+          ? data.subnationalAdjustments
+          : {}
+      };
+    } catch (error) {
+      console.error('Error fetching country edition:', error);
+      throw new Error(`Failed to load countries: ${error.message}`);
+    }
+  }
+
+  // Stored sub-national unit adjustments of one edition (latest when year is omitted),
+  // keyed by ISO 3166-2 code. getCountryEdition returns them with the countries.
+  async getSubnationalAdjustments(year = null) {
+    try {
+      const query = year !== null && year !== undefined ? `?year=${encodeURIComponent(year)}` : '';
+      const data = await this._fetchWithCache(`${this.baseURL}/subnational-units${query}`);
+      return data?.adjustments && typeof data.adjustments === 'object' ? data.adjustments : {};
+    } catch (error) {
+      console.error('Error fetching sub-national adjustments:', error);
+      throw new Error(`Failed to load sub-national adjustments: ${error.message}`);
+    }
+  }
+
+  // Indicator registry details and the normalisation applied to each column
+  async getIndicatorMetadata() {
+    try {
+      const data = await this._fetchWithCache(`${this.baseURL}/countries?include=metadata`);
+      return {
+        schemaVersion: data?.schemaVersion ?? null,
+        indicators: Array.isArray(data?.indicators) ? data.indicators : []
+      };
+    } catch (error) {
+      console.error('Error fetching indicator metadata:', error);
+      throw new Error(`Failed to load indicator metadata: ${error.message}`);
+    }
   }
 
   async getCountry(isoCode) {
@@ -77,13 +127,14 @@ export class DataService {
     }
   }
 
-  async calculateRisk(countryIsoCode, weights) {
+  async calculateRisk(countryIsoCode, weights, imputationStrategy = null) {
     try {
       return await this._fetchWithCache(`${this.baseURL}/calculate-risk`, {
         method: 'POST',
         body: JSON.stringify({
           countryIsoCode,
-          weights
+          weights,
+          imputationStrategy
         })
       });
     } catch (error) {
@@ -93,9 +144,9 @@ export class DataService {
   }
 
   // Batch calculate risks for multiple countries
-  async calculateMultipleRisks(countryCodes, weights) {
+  async calculateMultipleRisks(countryCodes, weights, imputationStrategy = null) {
     const promises = countryCodes.map(code => 
-      this.calculateRisk(code, weights).catch(err => ({
+      this.calculateRisk(code, weights, imputationStrategy).catch(err => ({
         error: err.message,
         countryCode: code
       }))
@@ -104,18 +155,20 @@ export class DataService {
   }
 
 // Calculate coverage-based risk with HRDD strategy
-  async calculateCoverageBasedRisk(countryCodes, weights, hrddStrategy, transparencyEffectiveness, responsivenessStrategy, responsivenessEffectiveness, focus) {
+  async calculateCoverageBasedRisk(countryCodes, weights, hrddStrategy, transparencyEffectiveness, responsivenessStrategy, responsivenessEffectiveness, focus, countryVolumes = null, imputationStrategy = null) {
     try {
       return await this._fetchWithCache(`${this.baseURL}/calculate-coverage-risk`, {
         method: 'POST',
         body: JSON.stringify({
           countryCodes,
+          countryVolumes,
           weights,
           hrddStrategy, // Coverage percentages
           transparencyEffectiveness, // Detection rates
           responsivenessStrategy,
           responsivenessEffectiveness,
-          focus
+          focus,
+          imputationStrategy
         })
       });
     } catch (error) {
@@ -124,6 +177,124 @@ export class DataService {
     }
   }
 
+  // Uncached request for writes and per-user data; API error messages are passed through
+  async _request(url, { method = 'GET', body, headers = {} } = {}) {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(data?.error || `HTTP error! status: ${response.status} - ${response.statusText}`);
+    }
+    return data;
+  }
+
+  // Saved assessments are authorised by the caller's access token, which the server
+  // reads the user and workspaces from; the workspace is picked from those
+  _assessmentURL(path, { workspace = '' } = {}) {
+    return `${this.baseURL}/assessments${path}${workspace ? `?workspace=${encodeURIComponent(workspace)}` : ''}`;
+  }
+
+  _assessmentHeaders({ token = '' } = {}) {
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  // { user, workspace, workspaces } named by the token
+  async getAssessmentAccount(identity) {
+    try {
+      return await this._request(this._assessmentURL('/identity', identity), {
+        headers: this._assessmentHeaders(identity)
+      });
+    } catch (error) {
+      console.error('Error checking assessment access:', error);
+      throw new Error(`Failed to sign in: ${error.message}`);
+    }
+  }
+
+  async listAssessments(identity) {
+    try {
+      const data = await this._request(this._assessmentURL('', identity), {
+        headers: this._assessmentHeaders(identity)
+      });
+      return Array.isArray(data?.assessments) ? data.assessments : [];
+    } catch (error) {
+      console.error('Error listing assessments:', error);
+      throw new Error(`Failed to load assessments: ${error.message}`);
+    }
+  }
+
+  async getAssessment(id, identity) {
+    try {
+      const data = await this._request(this._assessmentURL(`/${encodeURIComponent(id)}`, identity), {
+        headers: this._assessmentHeaders(identity)
+      });
+      return data.assessment;
+    } catch (error) {
+      console.error(`Error fetching assessment ${id}:`, error);
+      throw new Error(`Failed to open assessment: ${error.message}`);
+    }
+  }
+
+  async createAssessment(fields, identity) {
+    try {
+      const data = await this._request(this._assessmentURL('', identity), {
+        method: 'POST',
+        body: fields,
+        headers: this._assessmentHeaders(identity)
+      });
+      return data.assessment;
+    } catch (error) {
+      console.error('Error saving assessment:', error);
+      throw new Error(`Failed to save assessment: ${error.message}`);
+    }
+  }
+
+  // Partial update of name, notes and/or state
+  async updateAssessment(id, fields, identity) {
+    try {
+      const data = await this._request(this._assessmentURL(`/${encodeURIComponent(id)}`, identity), {
+        method: 'PUT',
+        body: fields,
+        headers: this._assessmentHeaders(identity)
+      });
+      return data.assessment;
+    } catch (error) {
+      console.error(`Error updating assessment ${id}:`, error);
+      throw new Error(`Failed to update assessment: ${error.message}`);
+    }
+  }
+
+  async duplicateAssessment(id, identity, name = null) {
+    try {
+      const data = await this._request(this._assessmentURL(`/${encodeURIComponent(id)}/duplicate`, identity), {
+        method: 'POST',
+        body: name ? { name } : {},
+        headers: this._assessmentHeaders(identity)
+      });
+      return data.assessment;
+    } catch (error) {
+      console.error(`Error duplicating assessment ${id}:`, error);
+      throw new Error(`Failed to duplicate assessment: ${error.message}`);
+    }
+  }
+
+  async deleteAssessment(id, identity) {
+    try {
+      return await this._request(this._assessmentURL(`/${encodeURIComponent(id)}`, identity), {
+        method: 'DELETE',
+        headers: this._assessmentHeaders(identity)
+      });
+    } catch (error) {
+      console.error(`Error deleting assessment ${id}:`, error);
+      throw new Error(`Failed to delete assessment: ${error.message}`);
+    }
+  }
+
   // Health check for API
   async healthCheck() {
     try {
@@ -0,0 +1,208 @@
+// ExecutiveNarrative.js - Plain-language reading of the assessment results, written by
+// fixed rules from the same figures the panels show. Panel 5 and the report's executive
+// summary both use it, so the wording is the same on screen and on paper.
+// The narrative is a list of paragraphs in this order, each left out when its figures
+// are missing:
+//   overview       baseline and managed risk of the portfolio
+//   contributors   countries holding most of the remaining risk
+//   chain          the weaker of detection (transparency) and remedy (responsiveness)
+//   focus          how well the focus on higher-risk countries works
+//   cost           how far the current spend is from the optimizer's allocation
+import { riskEngine } from './RiskEngine.js';
+import { getRiskReduction } from './ScenarioComparison.js';
+
+export const NARRATIVE_MAX_CONTRIBUTORS = 3;
+
+// Detection and remedy closer than this (0-1 scale) are described as equally strong
+const CHAIN_BALANCE_TOLERANCE = 0.05;
+// Below this focus level effort is described as spread evenly
+const FOCUS_MIN_LEVEL = 0.05;
+// Smallest gain in risk reduction (percentage points) the optimizer treats as material
+const COST_GAP_MIN_POINTS = 0.1;
+// Smallest saving, as a share of the budget, worth mentioning
+const COST_SAVING_MIN_SHARE = 0.01;
+
+const FOCUS_TIERS = [
+  { key: 'High', label: 'high-risk', range: 'baseline 60 or more' },
+  { key: 'Medium', label: 'medium-risk', range: '40 to 60' },
+  { key: 'Low', label: 'low-risk', range: 'below 40' }
+];
+
+const toNumber = (value, fallback = 0) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+const formatRisk = value => toNumber(value).toFixed(1);
+const formatPercent = (value, digits = 0) => `${toNumber(value).toFixed(digits)}%`;
+const formatCost = value => `$${Math.round(toNumber(value)).toLocaleString('en-US')}`;
+const pluralize = (count, singular, plural = `${singular}s`) => `${count} ${count === 1 ? singular : plural}`;
+
+function joinList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+// Largest shares of the portfolio's managed risk: volume share x managed risk.
+// `lines` carry volumeShare (percent) and managedRisk; largest contribution first.
+export function getRiskContributors(lines) {
+  const contributions = lines.map(line => ({
+    ...line,
+    contribution: (line.volumeShare / 100) * Math.max(0, toNumber(line.managedRisk))
+  }));
+  const total = contributions.reduce((sum, line) => sum + line.contribution, 0);
+  return contributions
+    .map(line => ({ ...line, contributionShare: total > 0 ? (line.contribution / total) * 100 : null }))
+    .sort((a, b) => b.contribution - a.contribution);
+}
+
+function getCountryLines(state) {
+  const selectedCountries = Array.isArray(state.selectedCountries) ? state.selectedCountries : [];
+  const names = new Map((state.countries || []).map(country => [country.isoCode, riskEngine.getCountryDisplayName(country)]));
+  const volumes = selectedCountries.map(isoCode => Math.max(0, toNumber(state.countryVolumes?.[isoCode])));
+  const total = volumes.reduce((sum, volume) => sum + volume, 0);
+
+  return selectedCountries.map((isoCode, index) => ({
+    isoCode,
+    name: names.get(isoCode) || isoCode,
+    volumeShare: total > 0 ? (volumes[index] / total) * 100 : 100 / selectedCountries.length,
+    managedRisk: state.countryManagedRisks?.[isoCode]
+  }));
+}
+
+function describeOverview(state, countryCount) {
+  const { baselineRisk, managedRisk } = state;
+  if (!Number.isFinite(baselineRisk) || !Number.isFinite(managedRisk)) return null;
+  const reduction = getRiskReduction(baselineRisk, managedRisk);
+  return `${countryCount === 1 ? 'For the one selected country' : `Across ${countryCount} countries`}, the portfolio's baseline risk of ${formatRisk(baselineRisk)} ` +
+    `(${riskEngine.getRiskBand(baselineRisk)}) comes down to a managed risk of ${formatRisk(managedRisk)} ` +
+    `(${riskEngine.getRiskBand(managedRisk)}) with the current HRDD strategy` +
+    `${reduction !== null ? `, a reduction of ${formatPercent(reduction, 1)}` : ''}.`;
+}
+
+function describeContributors(lines) {
+  const contributors = getRiskContributors(lines).filter(line => line.contributionShare > 0);
+  if (contributors.length === 0) return null;
+  const [top] = contributors;
+  if (lines.length === 1) {
+    return `All of the remaining risk sits in ${top.name}, at a managed risk of ${formatRisk(top.managedRisk)}.`;
+  }
+
+  const listed = contributors.slice(0, NARRATIVE_MAX_CONTRIBUTORS);
+  const others = listed.slice(1).map(line => `${line.name} (${formatPercent(line.contributionShare)})`);
+  let text = `${top.name} holds the largest share of the remaining risk: ${formatPercent(top.contributionShare)} of it, ` +
+    `from ${formatPercent(top.volumeShare)} of volume at a managed risk of ${formatRisk(top.managedRisk)}.`;
+  if (others.length > 0) {
+    const listedShare = listed.reduce((sum, line) => sum + line.contributionShare, 0);
+    text += ` It is followed by ${joinList(others)}; together these ${listed.length} countries hold ` +
+      `${formatPercent(listedShare)} of the remaining risk.`;
+  }
+  const outsized = listed.find(line => line.contributionShare > line.volumeShare * 1.25);
+  if (outsized) {
+    text += ` ${outsized.name}'s share of the risk is well above its share of volume, so added due diligence there would count most.`;
+  }
+  return text;
+}
+
+function describeChain(strategy) {
+  if (!strategy) return null;
+  const transparency = Math.max(0, Math.min(1, toNumber(strategy?.overallTransparency)));
+  const responsiveness = Math.max(0, Math.min(1, toNumber(strategy?.overallResponsiveness)));
+  let text = 'A risk is only reduced when it is first detected and then remedied. ' +
+    `The HRDD tools are expected to detect about ${formatPercent(transparency * 100)} of issues and the responses to remedy ` +
+    `about ${formatPercent(responsiveness * 100)} of those detected, so about ${formatPercent(transparency * responsiveness * 100)} ` +
+    'of issues are both detected and remedied.';
+
+  if (Math.abs(transparency - responsiveness) < CHAIN_BALANCE_TOLERANCE) {
+    return `${text} The two stages are about equally strong, so raising either one lifts the combined effect by a similar amount.`;
+  }
+  // Ten more points on one stage raise the product by ten times the other stage
+  const gainFromDetection = responsiveness * 10;
+  const gainFromRemedy = transparency * 10;
+  if (transparency < responsiveness) {
+    return `${text} Detection is the weaker link: ten more points of detection would add about ${gainFromDetection.toFixed(1)} points ` +
+      `to the combined effect, against ${gainFromRemedy.toFixed(1)} for ten more points of remedy. ` +
+      'Wider coverage with the tools that detect most, such as worker voice, in Panel 3 would do most to reduce risk.';
+  }
+  return `${text} Remedy is the weaker link: ten more points of remedy would add about ${gainFromRemedy.toFixed(1)} points ` +
+    `to the combined effect, against ${gainFromDetection.toFixed(1)} for ten more points of detection. ` +
+    'Shifting responses in Panel 4 toward the more effective methods would do most to reduce risk.';
+}
+
+function describeFocus(focus, metrics) {
+  if (!metrics) return null;
+  const tiers = FOCUS_TIERS
+    .map(tier => ({
+      ...tier,
+      count: toNumber(metrics[`${tier.key.toLowerCase()}RiskCountries`]),
+      reduction: toNumber(metrics[`avgReduction${tier.key}`])
+    }))
+    .filter(tier => tier.count > 0);
+  if (tiers.length === 0) return null;
+  const highRiskCount = toNumber(metrics.highRiskCountries);
+
+  if (focus < FOCUS_MIN_LEVEL) {
+    return 'Due diligence effort is spread evenly across countries, whatever their risk.' +
+      (highRiskCount > 0
+        ? ` ${pluralize(highRiskCount, 'selected country has', 'selected countries have')} a baseline risk of 60 or more; ` +
+          'setting a focus in Panel 3 would move coverage toward them.'
+        : '');
+  }
+
+  if (tiers.length === 1) {
+    return `All selected countries are ${tiers[0].label} (${tiers[0].range}), so the focus setting ` +
+      'has no higher-risk countries to favour.';
+  }
+
+  // Focus moves coverage away from lower-risk countries, so their risk can rise
+  const changes = tiers.map(tier => `${tier.reduction >= 0 ? 'falls' : 'rises'} by ${formatPercent(Math.abs(tier.reduction), 1)} ` +
+    `in the ${pluralize(tier.count, `${tier.label} country`, `${tier.label} countries`)} (${tier.range})`);
+  let text = `With the focus on higher-risk countries set to ${formatPercent(focus * 100)}, average risk ${joinList(changes)}.`;
+  if (highRiskCount > 0 && toNumber(metrics.lowRiskCountries) > 0) {
+    const effectiveness = Math.max(0, toNumber(metrics.focusEffectiveness));
+    if (effectiveness >= 70) {
+      text += ` The focus is working well, achieving ${formatPercent(effectiveness)} of the extra reduction in high-risk countries this focus level can give.`;
+    } else if (effectiveness >= 40) {
+      text += ` The focus is partly effective, achieving ${formatPercent(effectiveness)} of the extra reduction in high-risk countries this focus level can give.`;
+    } else {
+      text += ` The focus has little effect, achieving ${formatPercent(effectiveness)} of the extra reduction in high-risk countries this focus level can give.`;
+    }
+  }
+  return text;
+}
+
+// `optimization` is the RiskEngine.optimizeBudgetAllocation result for the current inputs
+function describeCostGap(optimization) {
+  if (!optimization) return null;
+  const budget = toNumber(optimization.targetBudget);
+  const optimizedBudget = toNumber(optimization.finalBudget, budget);
+  const gap = toNumber(optimization.optimizedEffectiveness) - toNumber(optimization.currentEffectiveness);
+  const saving = budget - optimizedBudget;
+  const savingText = saving > budget * COST_SAVING_MIN_SHARE
+    ? ` while costing ${formatCost(saving)} a year less (${formatCost(optimizedBudget)})`
+    : '';
+
+  if (gap < COST_GAP_MIN_POINTS) {
+    return savingText
+      ? `The Panel 6 optimizer found an allocation with the same risk reduction${savingText}, so part of the current ${formatCost(budget)} budget could be saved.`
+      : `The Panel 6 optimizer found no allocation that reduces risk materially more for the current annual cost of ${formatCost(budget)}, so the budget is already spent efficiently.`;
+  }
+  return `For the current annual cost of ${formatCost(budget)}, the Panel 6 optimizer found a tool and response allocation that ` +
+    `reduces risk by ${formatPercent(optimization.optimizedEffectiveness, 1)} instead of ${formatPercent(optimization.currentEffectiveness, 1)} ` +
+    `(managed risk ${formatRisk(optimization.optimizedManagedRisk)} instead of ${formatRisk(optimization.currentManagedRisk)})${savingText}. ` +
+    `That gap of ${gap.toFixed(1)} points is the risk reduction the same budget could still buy.`;
+}
+
+// Narrative for an AppController.getState()-shaped snapshot. `summary` is the matching
+// RiskEngine.generateRiskSummary result; `optimization` the Panel 6 optimizer result,
+// when there is one. Returns the paragraphs as text, none when no country is selected.
+export function buildExecutiveNarrative(state, { summary = null, optimization = null } = {}) {
+  const appState = state && typeof state === 'object' ? state : {};
+  const lines = getCountryLines(appState);
+  if (lines.length === 0) return [];
+  const focus = Math.max(0, Math.min(1, toNumber(appState.focus)));
+
+  return [
+    describeOverview(appState, lines.length),
+    describeContributors(lines),
+    describeChain(summary?.strategy),
+    describeFocus(focus, appState.focusEffectivenessMetrics || summary?.focusEffectiveness || null),
+    describeCostGap(optimization)
+  ].filter(Boolean);
+}
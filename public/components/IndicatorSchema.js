@@ -0,0 +1,173 @@
+// IndicatorSchema.js - Canonical country indicator schema and registry shared by the data loader, API and RiskEngine
+
+// Bump whenever an indicator is added, removed or changes meaning. Records stored
+// under an older version (e.g. MongoDB imports) are treated as stale.
+// v3: missing values are stored as null rather than 0.
+// v4: records carry an edition `year`; a country may have one record per edition.
+export const INDICATOR_SCHEMA_VERSION = 4;
+
+// Edition assigned to rows from data files without a year column
+export const CURRENT_DATA_EDITION = 2024;
+
+export const INDICATOR_DIRECTIONS = {
+  HIGHER_IS_WORSE: 'higher-is-worse',
+  HIGHER_IS_BETTER: 'higher-is-better'
+};
+
+// Identity columns for each country row. Name and ISO code are required; `year`
+// is optional and lets one file hold several yearly editions of the indices.
+export const COUNTRY_IDENTITY_FIELDS = [
+  { field: 'name', headers: ['Country', 'Country Name', 'Name'] },
+  { field: 'isoCode', headers: ['ISO_Code', 'ISO Code', 'ISO3', 'ISO'] },
+  { field: 'year', headers: ['Year', 'Edition', 'Edition Year', 'Data Year'] }
+];
+
+// Indicator registry. Adding an entry here is enough for the loader, API, weightings
+// panel and scoring to pick it up. `id` doubles as the country record field and the
+// weights key; `headers` lists the source file column names that map onto it.
+// `direction` describes the source data: higher-is-better columns are inverted by the
+// loader so every value reaching RiskEngine reads 0-100 with higher meaning worse.
+// `normalisation` optionally lists ordered loader steps - minmax, zscore-percentile,
+// invert and clamp - e.g. [{ type: 'minmax', min: 0, max: 1 }] for a 0-1 factor score.
+export const INDICATORS = [
+  {
+    id: 'itucRightsRating',
+    label: 'International Trade Union Confederation - Global Rights Index',
+    shortLabel: 'ITUC Rights Rating',
+    description: 'Measures the overall protection of internationally recognised core labour rights.',
+    sourceName: 'ITUC Global Rights Index',
+    sourceUrl: 'https://www.ituc-csi.org/global-rights-index',
+    direction: INDICATOR_DIRECTIONS.HIGHER_IS_WORSE,
+    year: 2024,
+    defaultWeight: 20,
+    normalisation: null,
+    headers: ['ITUC_Rights_Rating', 'ITUC Rights Rating']
+  },
+  {
+    id: 'corruptionIndex',
+    label: 'Transparency International - Corruption Perceptions Index',
+    shortLabel: 'Corruption Index',
+    description: 'Uses Transparency International data to capture perceived corruption in public institutions.',
+    sourceName: 'Transparency International – Corruption Perceptions Index',
+    sourceUrl: 'https://www.transparency.org/en/cpi/2024',
+    direction: INDICATOR_DIRECTIONS.HIGHER_IS_WORSE,
+    year: 2024,
+    defaultWeight: 20,
+    normalisation: null,
+    headers: ['Corruption_Index_TI', 'Corruption Index']
+  },
+  {
+    id: 'freedomRating',
+    label: 'Freedom House - Global Freedom Scores',
+    shortLabel: 'Freedom Rating',
+    description: 'Captures democratic freedoms and labour rights performance using Freedom House data.',
+    sourceName: 'Freedom House Global Freedom Scores',
+    sourceUrl: 'https://freedomhouse.org/report/freedom-world',
+    direction: INDICATOR_DIRECTIONS.HIGHER_IS_WORSE,
+    year: 2024,
+    defaultWeight: 20,
+    normalisation: null,
+    headers: ['Freedom_rating', 'Freedom Rating']
+  },
+  {
+    id: 'wjpIndex',
+    label: 'World Justice Project - Rule of Law Index (using 4.8: Fundamental Labour Rights)',
+    shortLabel: 'WJP Index',
+    description: 'Reflects fundamental labour rights performance from the World Justice Project Rule of Law Index.',
+    sourceName: 'WJP Rule of Law Index – Fundamental Rights',
+    sourceUrl: 'https://worldjusticeproject.org/rule-of-law-index/global/2024/Fundamental%20Rights/',
+    direction: INDICATOR_DIRECTIONS.HIGHER_IS_WORSE,
+    year: 2024,
+    defaultWeight: 20,
+    normalisation: null,
+    headers: ['WJP_ index 4.8', 'WJP_index', 'WJP Index']
+  },
+  {
+    id: 'walkfreeSlaveryIndex',
+    label: 'Walk Free - Global Slavery Index',
+    shortLabel: 'Walk Free Slavery Index',
+    description: 'Captures vulnerability to modern slavery using Walk Free’s Global Slavery Index.',
+    sourceName: 'Walk Free Global Slavery Index',
+    sourceUrl: 'https://www.walkfree.org/global-slavery-index/',
+    direction: INDICATOR_DIRECTIONS.HIGHER_IS_WORSE,
+    year: 2023,
+    defaultWeight: 20,
+    normalisation: null,
+    headers: ['Walkfree_Slavery_Index', 'Walk Free Slavery Index']
+  }
+];
+
+export const INDICATOR_IDS = INDICATORS.map(({ id }) => id);
+
+export function getIndicator(id) {
+  return INDICATORS.find(indicator => indicator.id === id) || null;
+}
+
+export function getDefaultIndicatorWeights() {
+  return INDICATORS.reduce((acc, { id, defaultWeight }) => {
+    acc[id] = defaultWeight;
+    return acc;
+  }, {});
+}
+
+// Weights are keyed by indicator id. Positional arrays from older saved states and
+// exports follow the registry order. Missing or invalid entries take the fallback.
+export function normalizeIndicatorWeights(weights, fallback = getDefaultIndicatorWeights()) {
+  const source = Array.isArray(weights)
+    ? INDICATOR_IDS.reduce((acc, id, index) => {
+        if (index < weights.length) acc[id] = weights[index];
+        return acc;
+      }, {})
+    : (weights && typeof weights === 'object' ? weights : {});
+
+  return INDICATOR_IDS.reduce((acc, id) => {
+    const parsed = source[id] === null || source[id] === undefined || source[id] === ''
+      ? NaN
+      : Number(source[id]);
+    const fallbackValue = Number(fallback?.[id]);
+    acc[id] = Number.isFinite(parsed) && parsed >= 0
+      ? parsed
+      : (Number.isFinite(fallbackValue) ? fallbackValue : 0);
+    return acc;
+  }, {});
+}
+
+// Header comparison ignores case, spacing, punctuation and any byte order mark
+export function normalizeColumnHeader(header) {
+  if (typeof header !== 'string') {
+    return '';
+  }
+  return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Map a header row onto schema fields. Returns the column index for each field
+// that was found, the schema fields with no matching column and any extra columns.
+export function resolveColumnMapping(headers = []) {
+  const normalizedHeaders = headers.map(normalizeColumnHeader);
+  const columns = {};
+  const missingFields = [];
+  const claimedIndexes = new Set();
+  const fieldDefinitions = [
+    ...COUNTRY_IDENTITY_FIELDS,
+    ...INDICATORS.map(({ id, headers: aliases }) => ({ field: id, headers: aliases }))
+  ];
+
+  fieldDefinitions.forEach(({ field, headers: aliases }) => {
+    const candidates = [field, ...aliases].map(normalizeColumnHeader);
+    const index = normalizedHeaders.findIndex((header, position) =>
+      !claimedIndexes.has(position) && candidates.includes(header)
+    );
+
+    if (index === -1) {
+      missingFields.push(field);
+      return;
+    }
+
+    columns[field] = index;
+    claimedIndexes.add(index);
+  });
+
+  const unmappedHeaders = headers.filter((_, index) => !claimedIndexes.has(index));
+
+  return { columns, missingFields, unmappedHeaders };
+}
@@ -1,8 +1,26 @@
 // PDFGenerator.js - PDF Report Generation for HRDD Risk Assessment Tool
+// The report is drawn as vector text, tables and charts from the report model
+// (ReportModel.js), so it stays sharp, small and searchable.
+import { buildReportModel } from './ReportModel.js';
+import { reportUsesOptimizer } from './ReportTemplates.js';
+
+// A4 portrait, in mm
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN = 20;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const BLOCK_SPACING = 5;
+
+// Line height in mm for a font size in pt
+const lineHeightFor = fontSize => fontSize * 0.3528 * 1.3;
+
+// Largest logo on the cover, in mm
+const LOGO_MAX_WIDTH = 50;
+const LOGO_MAX_HEIGHT = 18;
+
 export class PDFGenerator {
   constructor() {
     this.jsPDFLoaded = false;
-    this.html2canvasLoaded = false;
     this.loadingPromises = new Map();
   }
 
@@ -51,21 +69,11 @@ export class PDFGenerator {
       () => this.ensureJsPDFAvailable()
     );
 
-    const html2canvasPromise = this.loadLibrary(
-      'html2canvas',
-      'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js',
-      () => typeof window !== 'undefined' && typeof window.html2canvas !== 'undefined'
-    );
-
-    await Promise.all([jsPDFPromise, html2canvasPromise]);
+    await jsPDFPromise;
 
     if (!this.ensureJsPDFAvailable()) {
       throw new Error('jsPDF library failed to load');
     }
-
-    if (typeof window === 'undefined' || typeof window.html2canvas === 'undefined') {
-      throw new Error('html2canvas library failed to load');
-    }
   }
 
   ensureJsPDFAvailable() {
@@ -120,329 +128,53 @@ export class PDFGenerator {
     }
   }
 
-  hideElements(elements = []) {
-    const hiddenStates = [];
-    elements.forEach(element => {
-      if (element && element.style) {
-        hiddenStates.push({ element, display: element.style.display });
-        element.style.display = 'none';
-      }
-    });
-    return hiddenStates;
-  }
-
-  restoreElements(hiddenStates = []) {
-    hiddenStates.forEach(state => {
-      if (state && state.element && state.element.style) {
-        state.element.style.display = state.display ?? '';
-      }
-    });
-  }
-
-  async captureElement(element, options = {}) {
-    if (!element) return null;
-
-    const pixelRatio = (() => {
-      if (typeof window !== 'undefined' && window.devicePixelRatio) {
-        const ratio = Math.max(1.25, window.devicePixelRatio);
-        return Math.min(ratio, 1.5);
-      }
-      return 1.35;
-    })();
-
-    const defaultOptions = {
-      scale: pixelRatio,
-      useCORS: true,
-      allowTaint: true,
-      backgroundColor: '#ffffff',
-      width: element.offsetWidth,
-      height: element.offsetHeight,
-      scrollX: 0,
-      scrollY: 0,
-      ...options
-    };
-
-    try {
-      // Handle SVG elements specifically (like D3 maps)
-      const svgElements = element.querySelectorAll('svg');
-      const svgDataUrls = [];
-      
-      for (let svg of svgElements) {
-        try {
-          const svgData = new XMLSerializer().serializeToString(svg);
-          const canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d');
-          const img = new Image();
-          
-          canvas.width = svg.clientWidth || 800;
-          canvas.height = svg.clientHeight || 400;
-          
-          const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
-          const url = URL.createObjectURL(svgBlob);
-          
-          await new Promise((resolve, reject) => {
-            img.onload = () => {
-              ctx.fillStyle = '#ffffff';
-              ctx.fillRect(0, 0, canvas.width, canvas.height);
-              ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-              URL.revokeObjectURL(url);
-              resolve();
-            };
-            img.onerror = reject;
-            img.src = url;
-          });
-          
-          svgDataUrls.push({ svg, dataUrl: canvas.toDataURL('image/png') });
-        } catch (error) {
-          console.warn('Failed to convert SVG to image:', error);
-        }
-      }
-
-      // Temporarily replace SVGs with images
-      const originalSvgs = [];
-      svgDataUrls.forEach(({ svg, dataUrl }) => {
-        const img = document.createElement('img');
-        img.src = dataUrl;
-        img.style.width = svg.style.width || `${svg.clientWidth}px`;
-        img.style.height = svg.style.height || `${svg.clientHeight}px`;
-        img.style.maxWidth = '100%';
-        originalSvgs.push({ svg, img });
-        svg.parentNode.insertBefore(img, svg);
-        svg.style.display = 'none';
-      });
-
-      const canvas = await html2canvas(element, defaultOptions);
-
-      // Restore original SVGs
-      originalSvgs.forEach(({ svg, img }) => {
-        svg.style.display = '';
-        img.remove();
-      });
-
-      return canvas;
-    } catch (error) {
- console.error('Error capturing element:', error);
-      return null;
-    }
-  }
-
-  async captureWithHiddenElements(targetElement, elementsToHide = []) {
-    const hiddenStates = this.hideElements(elementsToHide);
-    try {
-      return await this.captureElement(targetElement);
-    } finally {
-      this.restoreElements(hiddenStates);
-    }
-  }
-
-  async generatePanelContent(appInstance, panelNumber) {
-    const originalPanel = appInstance.state.currentPanel;
-    appInstance.state.currentPanel = panelNumber;
-    appInstance.render();
-
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    try {
-      const panelContent = document.getElementById('panelContent');
-      if (!panelContent) {
-        return [];
-      }
-
-           if (panelNumber === 2) {
-        const sections = [];
-        const resultsPanel = document.getElementById('resultsPanel');
-        const baselineMap = document.getElementById('baselineMapContainer');
-        const countrySelection = document.getElementById('countrySelectionPanel');
-
-        const countrySelectionCanvas = await this.captureWithHiddenElements(panelContent, [resultsPanel]);
-        if (countrySelectionCanvas) {
-          sections.push({ canvas: countrySelectionCanvas, sectionTitle: 'Country Selection' });
-        }
-
-        const portfolioCanvas = await this.captureWithHiddenElements(panelContent, [baselineMap, countrySelection]);
-        if (portfolioCanvas) {
-          sections.push({ canvas: portfolioCanvas, sectionTitle: 'Portfolio Risk Assessment' });
-        }
-
-        if (sections.length > 0) {
-          return sections;
-        }
-
-        const fallbackCanvas = await this.captureElement(panelContent);
-        return fallbackCanvas ? [{ canvas: fallbackCanvas }] : [];
-      }
-
-      if (panelNumber === 3) {
-        const sections = [];
-        const strategyInfo = panelContent.querySelector('[data-panel3-info="strategy"]');
-        const transparencyInfo = panelContent.querySelector('[data-panel3-info="transparency"]');
-        const focusPanel = document.getElementById('focusPanel');
-
-        const strategyCanvas = await this.captureWithHiddenElements(panelContent, [strategyInfo, transparencyInfo, focusPanel]);
-        if (strategyCanvas) {
-          sections.push({ canvas: strategyCanvas, sectionTitle: 'HRDD Strategy Configuration' });
-        }
-
-        const strategyPanel = document.getElementById('hrddStrategyPanel');
-        const transparencyPanel = document.getElementById('transparencyPanel');
-        const strategyContainer = document.getElementById('strategyContainer');
-        const transparencyContainer = document.getElementById('transparencyContainer');
-        const riskSummary = document.getElementById('strategyRiskSummary');
-
-        const guidanceCanvas = await this.captureWithHiddenElements(panelContent, [
-          riskSummary,
-          strategyPanel ? strategyPanel.firstElementChild : null,
-          strategyContainer,
-          transparencyPanel ? transparencyPanel.firstElementChild : null,
-          transparencyContainer
-        ]);
-
-        if (guidanceCanvas) {
-          sections.push({ canvas: guidanceCanvas, sectionTitle: 'Guidance & Focus Settings' });
-        }
-
-        if (sections.length > 0) {
-          return sections;
-        }
-
-        const fallbackCanvas = await this.captureElement(panelContent);
-        return fallbackCanvas ? [{ canvas: fallbackCanvas }] : [];
-      }
-
-      if (panelNumber === 5) {
-        const sectionCanvases = [];
-
-        const mapSection = document.getElementById('panel5MapsSection');
-        if (mapSection) {
-          const mapsCanvas = await this.captureElement(mapSection);
-          if (mapsCanvas) {
-            sectionCanvases.push({ canvas: mapsCanvas, sectionTitle: 'Risk Maps' });
-          }
-        }
-
-        const finalResultsPanel = document.getElementById('finalResultsPanel');
-        let resultsCaptured = false;
-
-        if (finalResultsPanel) {
-          const coverageBreakdown = document.getElementById('coverageResponseBreakdownSection');
-          const actionsSection = document.getElementById('finalResultsActions');
-
-          const strategyCanvas = await this.captureWithHiddenElements(finalResultsPanel, [coverageBreakdown, actionsSection]);
-          if (strategyCanvas) {
-            sectionCanvases.push({
-              canvas: strategyCanvas,
-              sectionTitle: 'How Your Enhanced HRDD Strategy Reduces Risk'
-            });
-            resultsCaptured = true;
-          }
-
-          const riskSummary = document.getElementById('finalRiskSummary');
-          const strategyTransformation = document.getElementById('strategyTransformationSection');
-
-          const breakdownCanvas = await this.captureWithHiddenElements(finalResultsPanel, [riskSummary, strategyTransformation]);
-          if (breakdownCanvas) {
-            sectionCanvases.push({
-              canvas: breakdownCanvas,
-              sectionTitle: 'How Coverage & Response Choices Reduce Risk'
-            });
-            resultsCaptured = true;
-          }
-
-          if (!resultsCaptured) {
-            const fallbackResults = await this.captureElement(finalResultsPanel);
-            if (fallbackResults) {
-              sectionCanvases.push({ canvas: fallbackResults, sectionTitle: 'Strategy Summary' });
-              resultsCaptured = true;
-            }
-          }
-        } else {
-          const resultsSection = document.getElementById('panel5ResultsSection') || document.getElementById('finalResultsPanel');
-          if (resultsSection) {
-            const resultsCanvas = await this.captureElement(resultsSection);
-            if (resultsCanvas) {
-              sectionCanvases.push({ canvas: resultsCanvas, sectionTitle: 'Strategy Summary' });
-              resultsCaptured = true;
-            }
-          }
-        }
-
-        if (sectionCanvases.length === 0) {
-          const fallbackCanvas = await this.captureElement(panelContent);
-          if (fallbackCanvas) {
-            sectionCanvases.push({ canvas: fallbackCanvas });
-          }
-        }
-
-        return sectionCanvases;
-      }
-
-      const canvas = await this.captureElement(panelContent);
-      if (canvas) {
-        return [{ canvas }];
-      }
-
-      return [];
-    } finally {
-      appInstance.state.currentPanel = originalPanel;
-      appInstance.render();
-    }
+  formatDateTime(date) {
+    if (!(date instanceof Date)) return '';
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
   }
 
   formatRiskValue(value) {
     return Number.isFinite(value) ? value.toFixed(1) : 'N/A';
   }
 
-  formatCountriesCount(selectedCountries) {
-    if (!Array.isArray(selectedCountries)) return '0';
-    return selectedCountries.length.toString();
-  }
+  createCoverPage(pdf, report) {
+    const pageWidth = PAGE_WIDTH;
+    const pageHeight = PAGE_HEIGHT;
+    const margin = MARGIN;
+    const cardWidth = CONTENT_WIDTH;
 
-  calculateRiskReduction(baseline, managed) {
-    if (!Number.isFinite(baseline) || !Number.isFinite(managed) || baseline === 0) {
-      return null;
-    }
+    const { headline, branding } = report;
+    const baselineRisk = this.formatRiskValue(headline.baselineRisk);
+    const managedRisk = this.formatRiskValue(headline.managedRisk);
+    const selectedCount = String(headline.countryCount);
 
-    const absolute = baseline - managed;
-    const percentage = (absolute / baseline) * 100;
-    return {
-      absolute: absolute.toFixed(1),
-      percentage: percentage.toFixed(1)
-    };
-  }
-
-  formatDateTime(date) {
-    if (!(date instanceof Date)) return '';
-    return `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
-  }
-
-  createCoverPage(pdf, appInstance, generatedAt) {
-    const pageWidth = 210;
-    const pageHeight = 297;
-    const margin = 20;
-    const cardWidth = pageWidth - 2 * margin;
-
-    const baselineRisk = this.formatRiskValue(appInstance.state.baselineRisk);
-    const managedRisk = this.formatRiskValue(appInstance.state.managedRisk);
-    const selectedCount = this.formatCountriesCount(appInstance.state.selectedCountries);
-    const riskReduction = this.calculateRiskReduction(appInstance.state.baselineRisk, appInstance.state.managedRisk);
-
-    // Decorative hero section
-    pdf.setFillColor(17, 24, 39); // Slate-900
+    // Decorative hero section in the template colours
+    pdf.setFillColor(branding.colors.primary);
     pdf.rect(0, 0, pageWidth, 120, 'F');
 
-    pdf.setFillColor(59, 130, 246); // Blue-500 accent
+    pdf.setFillColor(branding.colors.accent);
     pdf.circle(pageWidth - 30, 30, 20, 'F');
-    pdf.setFillColor(99, 102, 241); // Indigo-500 accent
+    pdf.setFillColor(branding.colors.highlight);
     pdf.circle(pageWidth - 60, 70, 14, 'F');
 
+    if (branding.logo) {
+      this.drawLogo(pdf, branding.logo, margin, 14);
+    }
+
     // Title content
     pdf.setTextColor(255, 255, 255);
+    if (branding.companyName) {
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(12);
+      pdf.text(branding.companyName, margin, 42, { maxWidth: pageWidth - 2 * margin - 70 });
+    }
+
     pdf.setFont('helvetica', 'bold');
     pdf.setFontSize(26);
-    pdf.text('Labour Rights Due Diligence', margin, 55);
+    pdf.text(report.title, margin, 55);
 
     pdf.setFontSize(22);
-    pdf.text('Risk Assessment Report', margin, 75);
+    pdf.text(report.subtitle, margin, 75);
 
     pdf.setFont('helvetica', 'normal');
     pdf.setFontSize(12);
@@ -469,7 +201,13 @@ export class PDFGenerator {
     pdf.setTextColor(30, 41, 59);
     pdf.setFont('helvetica', 'bold');
     pdf.setFontSize(12);
-    pdf.text(this.formatDateTime(generatedAt), margin + 10, 168);
+    pdf.text(this.formatDateTime(new Date(report.generatedAt)), margin + 10, 168);
+
+    // Which data produced these numbers, so the report can be reproduced later
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(10);
+    pdf.setTextColor(100, 116, 139);
+    pdf.text(`Index data: ${report.dataset}`, margin + 10, 178);
 
     const metrics = [
       {
@@ -491,7 +229,7 @@ export class PDFGenerator {
 
     metrics.forEach((metric, index) => {
       const xCenter = margin + 10 + columnWidth * index + columnWidth / 2;
-      pdf.setTextColor(99, 102, 241);
+      pdf.setTextColor(branding.colors.highlight);
       pdf.setFont('helvetica', 'bold');
       pdf.setFontSize(22);
       pdf.text(metric.value, xCenter, metricsY, { align: 'center' });
@@ -502,13 +240,22 @@ export class PDFGenerator {
       pdf.text(metric.label, xCenter, metricsY + 8, { align: 'center' });
     });
 
-    if (riskReduction) {
+    if (Number.isFinite(headline.riskReduction)) {
       pdf.setTextColor(15, 118, 110); // Teal-700
       pdf.setFont('helvetica', 'bold');
       pdf.setFontSize(13);
-      pdf.text(`Risk reduction achieved: ${riskReduction.absolute} (${riskReduction.percentage}%)`, margin + 10, metricsY + 26);
+      pdf.text(
+        `Risk reduction achieved: ${headline.absoluteReduction.toFixed(1)} (${headline.riskReduction.toFixed(1)}%)`,
+        margin + 10,
+        metricsY + 26
+      );
     }
 
+    pdf.setTextColor(71, 85, 105);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    pdf.text(`Indicator sources: ${report.indicatorSources}`, margin, 240, { maxWidth: cardWidth });
+
     // Footer note
     pdf.setTextColor(100, 116, 139);
     pdf.setFont('helvetica', 'normal');
@@ -519,74 +266,335 @@ export class PDFGenerator {
     pdf.setTextColor(33, 37, 41);
   }
 
-  addPageContent(pdf, canvas, { panelNumber, panelTitle, pageNumber, sectionTitle }) {
-    if (!canvas) return;
-
-    const pageWidth = 210; // A4 width in mm␊
-    const pageHeight = 297; // A4 height in mm␊
-    const margin = 20;
-    const contentWidth = pageWidth - 2 * margin;
-    const baseHeaderHeight = 22;
-    const hasSectionTitle = Boolean(sectionTitle);
-    const headerHeight = hasSectionTitle ? baseHeaderHeight + 6 : baseHeaderHeight;
-    const headerSpacing = 6;
-    const imageTop = margin + headerHeight + headerSpacing;
-    const maxContentHeight = pageHeight - imageTop - margin;
-
-    if (pageNumber > 1) {
-      pdf.addPage();
-    }
-
-    // Calculate image dimensions
-    const canvasAspectRatio = canvas.width / canvas.height;
-    let imgWidth = contentWidth;
-    let imgHeight = imgWidth / canvasAspectRatio;
-
-    if (imgHeight > maxContentHeight) {
-      imgHeight = maxContentHeight;
-      imgWidth = imgHeight * canvasAspectRatio;
-    }
-
-    const imgX = margin + (contentWidth - imgWidth) / 2;
-    const imgY = imageTop;
-
+  // Template logo scaled into the cover's logo area, keeping its proportions
+  drawLogo(pdf, logo, x, y) {
+    const scale = Math.min(LOGO_MAX_WIDTH / logo.width, LOGO_MAX_HEIGHT / logo.height);
+    const format = logo.dataUrl.startsWith('data:image/png') ? 'PNG' : 'JPEG';
     try {
-      const imgData = canvas.toDataURL('image/jpeg', 0.82);
-      pdf.addImage(imgData, 'JPEG', imgX, imgY, imgWidth, imgHeight, undefined, 'FAST');
+      pdf.addImage(logo.dataUrl, format, x, y, logo.width * scale, logo.height * scale);
     } catch (error) {
-      console.error('Error adding image to PDF:', error);
-      pdf.setFontSize(12);
-      pdf.text('Error: Could not capture panel content', margin, margin + 40);
+      console.warn('Report logo could not be drawn:', error);
     }
+  }
+
+  // Section header on a new page; returns where the content starts
+  startSectionPage(pdf, section, continued) {
+    pdf.addPage();
+    const heading = section.panel ? `Panel ${section.panel}: ${section.title}` : section.title;
+    const headerHeight = section.subtitle ? 30 : 22;
 
-     // Header background to keep titles visible
     pdf.setFillColor(241, 245, 249);
-    pdf.roundedRect(margin - 2, margin - 8, contentWidth + 4, headerHeight + 10, 4, 4, 'F');
+    pdf.roundedRect(MARGIN - 2, MARGIN - 8, CONTENT_WIDTH + 4, headerHeight, 4, 4, 'F');
 
     pdf.setTextColor(30, 41, 59);
     pdf.setFont('helvetica', 'bold');
     pdf.setFontSize(15);
+    pdf.text(`${heading}${continued ? ' (continued)' : ''}`, MARGIN, MARGIN + 8);
 
-   pdf.text(`Panel ${panelNumber}: ${panelTitle}`, margin, margin + 8);
-
-    if (hasSectionTitle) {
+    if (section.subtitle) {
       pdf.setFont('helvetica', 'normal');
       pdf.setFontSize(11);
       pdf.setTextColor(71, 85, 105);
-      pdf.text(sectionTitle, margin, margin + 16);
-      pdf.setTextColor(30, 41, 59);
+      pdf.text(section.subtitle, MARGIN, MARGIN + 16, { maxWidth: CONTENT_WIDTH });
     }
 
+    return MARGIN + headerHeight;
+  }
+
+  // Draw one report section, continuing on new pages as needed. `layout.y` is the
+  // cursor; block renderers call layout.ensureSpace(height) before drawing.
+  renderSection(pdf, section) {
+    const layout = { y: this.startSectionPage(pdf, section, false) };
+    layout.ensureSpace = height => {
+      if (layout.y + height <= PAGE_HEIGHT - MARGIN) return false;
+      layout.y = this.startSectionPage(pdf, section, true);
+      return true;
+    };
+
+    const heading = section.panel ? `Panel ${section.panel}: ${section.title}` : section.title;
+    pdf.outline.add(null, heading, { pageNumber: pdf.getNumberOfPages() });
+
+    const renderers = {
+      paragraph: this.drawParagraph,
+      metrics: this.drawMetrics,
+      riskScale: this.drawRiskScale,
+      table: this.drawTable,
+      bars: this.drawBars
+    };
+    section.blocks.forEach(block => {
+      const render = renderers[block.type];
+      if (!render) {
+        console.warn(`Unknown report block type: ${block.type}`);
+        return;
+      }
+      render.call(this, pdf, block, layout);
+      layout.y += BLOCK_SPACING;
+    });
+  }
+
+  drawParagraph(pdf, block, layout) {
+    const tones = {
+      muted: [100, 116, 139],
+      warning: [180, 83, 9]
+    };
+    const fontSize = block.tone === 'muted' || block.tone === 'warning' ? 9 : 10;
+    const lineHeight = lineHeightFor(fontSize);
+
     pdf.setFont('helvetica', 'normal');
-    pdf.setFontSize(10);
-    pdf.text(`Page ${pageNumber}`, pageWidth - margin - 20, margin + 8);
+    pdf.setFontSize(fontSize);
+    pdf.setTextColor(...(tones[block.tone] || [30, 41, 59]));
+    pdf.splitTextToSize(block.text, CONTENT_WIDTH).forEach(line => {
+      layout.ensureSpace(lineHeight);
+      pdf.text(line, MARGIN, layout.y + lineHeight * 0.75);
+      layout.y += lineHeight;
+    });
+  }
+
+  drawMetrics(pdf, block, layout) {
+    const gap = 4;
+    const height = 22;
+    const cardWidth = (CONTENT_WIDTH - gap * (block.items.length - 1)) / block.items.length;
+    layout.ensureSpace(height);
+
+    block.items.forEach((item, index) => {
+      const x = MARGIN + index * (cardWidth + gap);
+      pdf.setFillColor(248, 250, 252);
+      pdf.setDrawColor(226, 232, 240);
+      pdf.roundedRect(x, layout.y, cardWidth, height, 3, 3, 'FD');
+
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(16);
+      if (item.color) {
+        pdf.setTextColor(item.color);
+      } else {
+        pdf.setTextColor(30, 41, 59);
+      }
+      pdf.text(item.value, x + cardWidth / 2, layout.y + 10, { align: 'center', maxWidth: cardWidth - 4 });
+
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(9);
+      pdf.setTextColor(71, 85, 105);
+      pdf.text(item.label, x + cardWidth / 2, layout.y + 17, { align: 'center', maxWidth: cardWidth - 4 });
+    });
+
+    layout.y += height;
+  }
+
+  // The 0-100 scale split into the risk bands, with markers for the given scores
+  drawRiskScale(pdf, block, layout) {
+    const markers = block.markers.filter(marker => Number.isFinite(marker.score));
+    const markerSpace = markers.length * 5;
+    const barHeight = 7;
+    layout.ensureSpace(markerSpace + barHeight + 10);
+
+    const barTop = layout.y + markerSpace;
+    const xFor = score => MARGIN + (Math.max(0, Math.min(100, score)) / 100) * CONTENT_WIDTH;
+
+    block.bands.forEach((band, index) => {
+      const next = block.bands[index + 1];
+      const x = xFor(band.min);
+      const width = xFor(next ? next.min : 100) - x;
+      pdf.setFillColor(band.color);
+      pdf.rect(x, barTop, width, barHeight, 'F');
+
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(8);
+      pdf.setTextColor(71, 85, 105);
+      pdf.text(band.name, x + width / 2, barTop + barHeight + 4, { align: 'center' });
+      pdf.text(String(band.min), x, barTop + barHeight + 8);
+    });
+    pdf.text('100', MARGIN + CONTENT_WIDTH, barTop + barHeight + 8, { align: 'right' });
+
+    markers.forEach((marker, index) => {
+      const x = xFor(marker.score);
+      const labelY = layout.y + index * 5 + 3.5;
+      pdf.setDrawColor(15, 23, 42);
+      pdf.setLineWidth(0.6);
+      pdf.line(x, labelY + 1, x, barTop + barHeight);
+      pdf.setLineWidth(0.2);
+
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(8);
+      pdf.setTextColor(15, 23, 42);
+      const label = `${marker.label} ${marker.score.toFixed(1)}`;
+      const align = x > MARGIN + CONTENT_WIDTH * 0.75 ? 'right' : 'left';
+      pdf.text(label, align === 'right' ? x - 1 : x + 1, labelY, { align });
+    });
+
+    layout.y = barTop + barHeight + 10;
+  }
+
+  // Table with wrapped cells; the header row repeats after a page break
+  drawTable(pdf, block, layout) {
+    const fontSize = 9;
+    const lineHeight = lineHeightFor(fontSize);
+    const padding = 1.5;
+    const columns = block.columns.map((column, index) => {
+      const x = MARGIN + block.columns.slice(0, index).reduce((sum, { width }) => sum + width * CONTENT_WIDTH, 0);
+      return { ...column, x, width: column.width * CONTENT_WIDTH };
+    });
+
+    const drawRow = (row, { header = false, shaded = false } = {}) => {
+      const cells = row.map(cell => (cell !== null && typeof cell === 'object' ? cell : { text: cell }));
+      pdf.setFontSize(fontSize);
+      const wrapped = cells.map((cell, index) => {
+        pdf.setFont('helvetica', header || cell.bold ? 'bold' : 'normal');
+        return pdf.splitTextToSize(String(cell.text ?? ''), columns[index].width - padding * 2);
+      });
+      const height = Math.max(1, ...wrapped.map(lines => lines.length)) * lineHeight + padding * 2;
+
+      if (layout.ensureSpace(height) && !header) {
+        drawRow(block.columns.map(column => column.label), { header: true });
+      }
+
+      if (header || shaded) {
+        pdf.setFillColor(...(header ? [226, 232, 240] : [248, 250, 252]));
+        pdf.rect(MARGIN, layout.y, CONTENT_WIDTH, height, 'F');
+      }
+
+      wrapped.forEach((lines, index) => {
+        const cell = cells[index];
+        const column = columns[index];
+        pdf.setFont('helvetica', header || cell.bold ? 'bold' : 'normal');
+        if (!header && cell.color) {
+          pdf.setTextColor(cell.color);
+        } else {
+          pdf.setTextColor(30, 41, 59);
+        }
+        const x = column.align === 'right' ? column.x + column.width - padding : column.x + padding;
+        lines.forEach((line, lineIndex) => {
+          pdf.text(line, x, layout.y + padding + lineHeight * (lineIndex + 0.75), { align: column.align === 'right' ? 'right' : 'left' });
+        });
+      });
+
+      pdf.setDrawColor(226, 232, 240);
+      pdf.line(MARGIN, layout.y + height, MARGIN + CONTENT_WIDTH, layout.y + height);
+      layout.y += height;
+    };
+
+    layout.ensureSpace((lineHeight + padding * 2) * 2);
+    drawRow(block.columns.map(column => column.label), { header: true });
+    block.rows.forEach((row, index) => drawRow(row, { shaded: index % 2 === 1 }));
+  }
+
+  // Horizontal bar chart: one group of bars per item, on a 0-max axis
+  drawBars(pdf, block, layout) {
+    if (block.items.length === 0) return;
+
+    const labelWidth = 62;
+    const valueWidth = 14;
+    const chartX = MARGIN + labelWidth;
+    const chartWidth = CONTENT_WIDTH - labelWidth - valueWidth;
+    const barHeight = 3.2;
+    const groupHeight = block.items[0].values.length * barHeight + 2.5;
+    const xFor = value => chartX + (Math.max(0, Math.min(block.max, value)) / block.max) * chartWidth;
+
+    const drawAxis = () => {
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(7);
+      pdf.setTextColor(100, 116, 139);
+      pdf.setDrawColor(226, 232, 240);
+      for (let tick = 0; tick <= block.max; tick += block.max / 5) {
+        pdf.text(String(tick), xFor(tick), layout.y + 3, { align: 'center' });
+      }
+      layout.y += 5;
+    };
+    const drawGrid = (top, bottom) => {
+      pdf.setDrawColor(226, 232, 240);
+      for (let tick = 0; tick <= block.max; tick += block.max / 5) {
+        pdf.line(xFor(tick), top, xFor(tick), bottom);
+      }
+    };
+
+    if (block.legend.length > 0) {
+      layout.ensureSpace(6 + groupHeight);
+      let x = chartX;
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(8);
+      block.legend.forEach(entry => {
+        pdf.setFillColor(entry.color);
+        pdf.rect(x, layout.y + 0.5, 3, 3, 'F');
+        pdf.setTextColor(71, 85, 105);
+        pdf.text(entry.label, x + 4.5, layout.y + 3);
+        x += pdf.getTextWidth(entry.label) + 10;
+      });
+      layout.y += 6;
+    }
+
+    layout.ensureSpace(5 + groupHeight);
+    drawAxis();
+    let gridTop = layout.y;
+
+    block.items.forEach(item => {
+      if (layout.ensureSpace(groupHeight)) {
+        drawAxis();
+        gridTop = layout.y;
+      }
+      drawGrid(layout.y, layout.y + groupHeight);
+
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(8);
+      pdf.setTextColor(30, 41, 59);
+      const [label] = pdf.splitTextToSize(item.label, labelWidth - 3);
+      pdf.text(label, MARGIN, layout.y + groupHeight / 2 + 1);
+
+      item.values.forEach((value, index) => {
+        const y = layout.y + 1.25 + index * barHeight;
+        pdf.setFillColor(value.color);
+        pdf.rect(chartX, y, Math.max(0.3, xFor(value.value) - chartX), barHeight - 0.6, 'F');
+        pdf.setFontSize(7);
+        pdf.setTextColor(71, 85, 105);
+        pdf.text(value.text, xFor(value.value) + 1, y + barHeight - 1.2);
+      });
+      layout.y += groupHeight;
+    });
+
+    pdf.setDrawColor(148, 163, 184);
+    pdf.line(chartX, gridTop, chartX, layout.y);
+  }
+
+  // Page numbers (and the company name, if set) on every page after the cover, once
+  // the page count is known
+  addPageNumbers(pdf, companyName = '') {
+    const pageCount = pdf.getNumberOfPages();
+    for (let page = 2; page <= pageCount; page++) {
+      pdf.setPage(page);
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(9);
+      pdf.setTextColor(100, 116, 139);
+      pdf.text(`Page ${page} of ${pageCount}`, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 10, { align: 'right' });
+      if (companyName) {
+        pdf.text(companyName, MARGIN, PAGE_HEIGHT - 10, { maxWidth: CONTENT_WIDTH - 40 });
+      }
+    }
+    pdf.setTextColor(33, 37, 41);
+  }
+
+  // Draw a whole report model into an empty A4 jsPDF document. Used by generateReport()
+  // here and by POST /api/reports on the server, which passes the bundled jsPDF.
+  drawReport(pdf, report) {
+    // Document properties and bookmarks help screen readers and PDF navigation
+    pdf.setProperties({
+      title: `${report.title} - ${report.subtitle}`,
+      subject: `Baseline risk ${this.formatRiskValue(report.headline.baselineRisk)}, managed risk ${this.formatRiskValue(report.headline.managedRisk)}`,
+      keywords: 'human rights due diligence, labour rights, supply chain risk',
+      creator: 'HRDD Risk Assessment Tool',
+      ...(report.branding.companyName ? { author: report.branding.companyName } : {})
+    });
+    pdf.setLanguage('en-GB');
+
+    this.createCoverPage(pdf, report);
+    pdf.outline.add(null, 'Summary', { pageNumber: 1 });
+    report.sections.forEach(section => this.renderSection(pdf, section));
+    this.addPageNumbers(pdf, report.branding.companyName);
+    return pdf;
   }
 
   async generateReport(appInstance) {
     const modal = this.createLoadingModal();
     
     try {
-      this.updateProgress('Loading PDF libraries...');
+      this.updateProgress('Loading PDF library...');
       await this.loadRequiredLibraries();
 
        const jsPDFConstructor = this.ensureJsPDFAvailable();
@@ -601,45 +609,28 @@ export class PDFGenerator {
       });
 
       const now = new Date();
-      const panelTitles = {
-        1: 'Global Risks',
-        2: 'Baseline Risk',
-        3: 'HRDD Strategy',
-        4: 'Response Strategy',
-        5: 'Managed Risk'
-      };
-
-      this.updateProgress('Designing cover page...');
-      this.createCoverPage(pdf, appInstance, now);
-
-      // Generate each panel
-      let currentPageNumber = 2;
-      for (let panelNumber = 1; panelNumber <= 5; panelNumber++) {
-        this.updateProgress(`Capturing Panel ${panelNumber}: ${panelTitles[panelNumber]}...`);
-
-         const panelSections = await this.generatePanelContent(appInstance, panelNumber);
-
-        if (Array.isArray(panelSections) && panelSections.length > 0) {
-          const validSections = panelSections.filter(section => section && section.canvas);
-
-          validSections.forEach((section, index) => {
-            const { canvas, sectionTitle } = section;
-
-            this.addPageContent(pdf, canvas, {
-              panelNumber,
-              panelTitle: panelTitles[panelNumber],
-              pageNumber: currentPageNumber + index,
-              sectionTitle
-            });
-          });
-
-          currentPageNumber += validSections.length;
+      const template = appInstance.getReportTemplate();
+      let optimization = null;
+      if (reportUsesOptimizer(template)) {
+        // Panel 6 keeps the result for the current inputs; search again only without one
+        optimization = appInstance.getCachedOptimization();
+        if (!optimization) {
+          this.updateProgress('Running budget optimization...');
+          // Let the message paint before the optimizer holds the page for a few seconds
+          await new Promise(resolve => setTimeout(resolve, 0));
+          optimization = appInstance.optimizeBudgetAllocation();
         }
-        
-        // Add a small delay between panels
-        await new Promise(resolve => setTimeout(resolve, 500));
       }
+      const report = buildReportModel(appInstance.getState(), {
+        generatedAt: now,
+        budget: appInstance.getScenarioBudget(),
+        scenarios: appInstance.getComparedScenarios(),
+        optimization,
+        template
+      });
 
+      this.updateProgress('Drawing report...');
+      this.drawReport(pdf, report);
 
       this.updateProgress('Finalizing PDF...');
       
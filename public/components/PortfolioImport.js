@@ -0,0 +1,297 @@
+// PortfolioImport.js - Client-side CSV/XLSX import of supplier portfolios for Panel 2.
+// Rows are matched to countries with the shared country resolver (codes, names, aliases
+// and small typos) and aggregated into selectedCountries / countryVolumes. A file with a
+// supplier name column is read as a supplier list instead (see SupplierPortfolio.js).
+// Files are read in the browser and never uploaded.
+import { normalizeColumnHeader } from './IndicatorSchema.js';
+import { createCountryResolver } from './CountryResolver.js';
+import { resolveSectorId } from './SectorRisk.js';
+import { SUPPLIER_VOLUME_BASIS_LABELS, deriveCountryPortfolio, normalizeSuppliers } from './SupplierPortfolio.js';
+
+const SHEETJS_SRC = 'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js';
+
+// Recognised columns. Either isoCode or country is required; volumes come from spend
+// when present, otherwise supplier count, otherwise one per row (one row per supplier).
+// With a supplierName column each row is one supplier and workers, tier and sector are
+// read too.
+export const PORTFOLIO_COLUMNS = [
+  { field: 'supplierName', headers: ['Supplier', 'Supplier Name', 'Vendor', 'Vendor Name', 'Factory', 'Factory Name', 'Site Name'] },
+  { field: 'isoCode', headers: ['ISO3', 'ISO 3', 'ISO_Code', 'ISO Code', 'ISO', 'ISO2', 'ISO 2', 'Country Code', 'Alpha-3', 'Alpha-2'] },
+  { field: 'country', headers: ['Country', 'Country Name', 'Country of Origin', 'Sourcing Country', 'Supplier Country', 'Location'] },
+  { field: 'spend', headers: ['Spend', 'Annual Spend', 'Total Spend', 'Spend (USD)', 'Spend USD', 'Purchase Value', 'Value', 'Amount'] },
+  { field: 'supplierCount', headers: ['Suppliers', 'Supplier Count', 'Number of Suppliers', 'No. of Suppliers', 'Supplier Numbers'] },
+  { field: 'workers', headers: ['Workers', 'Worker Count', 'Number of Workers', 'No. of Workers', 'Employees', 'Headcount'] },
+  { field: 'tier', headers: ['Tier', 'Supplier Tier'] },
+  { field: 'sector', headers: ['Sector', 'Commodity', 'Industry', 'Category'] }
+];
+
+const SUPPLIER_ONLY_FIELDS = ['workers', 'tier', 'sector'];
+
+export const VOLUME_BASIS_LABELS = {
+  ...SUPPLIER_VOLUME_BASIS_LABELS,
+  supplierCount: 'supplier count',
+  rows: 'number of rows'
+};
+
+let sheetJsPromise = null;
+
+// SheetJS from the CDN, loaded once on first use (imports and the calculation workbook)
+export function loadSheetJS() {
+  if (typeof window !== 'undefined' && window.XLSX) {
+    return Promise.resolve(window.XLSX);
+  }
+  if (!sheetJsPromise) {
+    sheetJsPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = SHEETJS_SRC;
+      script.onload = () => resolve(window.XLSX);
+      script.onerror = () => {
+        sheetJsPromise = null;
+        reject(new Error('Failed to load the spreadsheet reader'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return sheetJsPromise;
+}
+
+// Minimal CSV parser: quoted fields, escaped quotes, and comma, semicolon or tab
+// delimiters (whichever is most common in the header line)
+export function parseCsv(text) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function isBlankRow(row) {
+  return !Array.isArray(row) || row.every(cell => String(cell ?? '').trim() === '');
+}
+
+// Read the first sheet of an .xlsx/.xls file, or a .csv/.txt file, into
+// { headers, rows, lineNumbers }. lineNumbers are 1-based spreadsheet row numbers.
+export async function readPortfolioFile(file) {
+  if (!file) {
+    throw new Error('No file selected');
+  }
+
+  const name = String(file.name || '').toLowerCase();
+  let table;
+  if (/\.(xlsx|xls)$/.test(name)) {
+    const XLSX = await loadSheetJS();
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    table = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: true, blankrows: true }) : [];
+  } else if (/\.(csv|txt)$/.test(name)) {
+    table = parseCsv(await file.text());
+  } else {
+    throw new Error('Unsupported file type. Use a .csv or .xlsx file.');
+  }
+
+  const headerIndex = table.findIndex(row => !isBlankRow(row));
+  if (headerIndex === -1) {
+    throw new Error('The file is empty');
+  }
+
+  const headers = table[headerIndex].map(cell => String(cell ?? '').trim());
+  const rows = [];
+  const lineNumbers = [];
+  table.slice(headerIndex + 1).forEach((row, index) => {
+    if (!isBlankRow(row)) {
+      rows.push(row);
+      lineNumbers.push(headerIndex + index + 2);
+    }
+  });
+
+  return { headers, rows, lineNumbers };
+}
+
+function resolvePortfolioColumns(headers) {
+  const normalizedHeaders = headers.map(normalizeColumnHeader);
+  return PORTFOLIO_COLUMNS.reduce((acc, { field, headers: candidates }) => {
+    const index = candidates
+      .map(normalizeColumnHeader)
+      .map(candidate => normalizedHeaders.indexOf(candidate))
+      .find(position => position !== -1);
+    if (index !== undefined) {
+      acc[field] = index;
+    }
+    return acc;
+  }, {});
+}
+
+// Spreadsheet numbers may arrive as text with currency symbols and separators
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : NaN;
+  }
+  const cleaned = String(value ?? '').replace(/[^0-9.-]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
+// Match rows to countries and aggregate volumes per country. Returns the new
+// selection and volumes plus a report of the rows that could not be used and of the
+// rows matched only approximately (typos), so the user can check them.
+export function buildPortfolioFromTable({ headers, rows, lineNumbers = [] }, countries) {
+  const columns = resolvePortfolioColumns(headers);
+  if (columns.isoCode === undefined && columns.country === undefined) {
+    throw new Error(`No country or ISO code column found. Columns in the file: ${headers.join(', ') || 'none'}`);
+  }
+
+  const supplierMode = columns.supplierName !== undefined;
+  if (!supplierMode) {
+    SUPPLIER_ONLY_FIELDS.forEach(field => delete columns[field]);
+  }
+
+  let volumeBasis = columns.spend !== undefined
+    ? 'spend'
+    : (columns.supplierCount !== undefined ? 'supplierCount' : 'rows');
+
+  const knownCountries = Array.isArray(countries) ? countries : [];
+  const byIso = new Map();
+  knownCountries.forEach(country => {
+    if (country?.isoCode) byIso.set(country.isoCode.toUpperCase(), country.isoCode);
+  });
+  const resolver = createCountryResolver(knownCountries);
+
+  // The code column wins over the name column; a resolved country outside the
+  // dataset is reported rather than silently dropped
+  const matchRow = row => {
+    const values = [columns.isoCode, columns.country]
+      .filter(index => index !== undefined)
+      .map(index => String(row[index] ?? '').trim())
+      .filter(Boolean);
+    let outsideDataset = null;
+    for (const value of values) {
+      const match = resolver.resolve(value);
+      if (match && byIso.has(match.isoCode)) return { ...match, isoCode: byIso.get(match.isoCode) };
+      if (match && !outsideDataset) outsideDataset = match;
+    }
+    return outsideDataset ? { ...outsideDataset, outsideDataset: true } : null;
+  };
+
+  let countryVolumes = {};
+  let selectedCountries = [];
+  const suppliers = [];
+  const unmatched = [];
+  const approximate = [];
+  let matchedRows = 0;
+
+  rows.forEach((row, index) => {
+    const line = lineNumbers[index] ?? index + 2;
+    const label = [
+      columns.country !== undefined ? String(row[columns.country] ?? '').trim() : '',
+      columns.isoCode !== undefined ? String(row[columns.isoCode] ?? '').trim() : ''
+    ].filter(Boolean).join(' / ');
+
+    const match = matchRow(row);
+    if (!match) {
+      unmatched.push({ line, value: label, reason: label ? 'Country not recognised' : 'No country given' });
+      return;
+    }
+    if (match.outsideDataset) {
+      unmatched.push({ line, value: label, reason: `${match.name || match.isoCode} is not in the risk dataset` });
+      return;
+    }
+    const { isoCode } = match;
+
+    if (supplierMode) {
+      const cell = field => (columns[field] !== undefined ? row[columns[field]] : null);
+      const spend = parseAmount(cell('spend'));
+      const workers = parseAmount(cell('workers'));
+      suppliers.push({
+        name: String(cell('supplierName') ?? '').trim(),
+        isoCode,
+        sector: resolveSectorId(cell('sector')),
+        spend: Number.isFinite(spend) ? spend : null,
+        workers: Number.isFinite(workers) ? workers : null,
+        tier: parseAmount(cell('tier'))
+      });
+      matchedRows += 1;
+      if (match.matchType === 'fuzzy') {
+        approximate.push({ line, value: match.query, isoCode, name: match.name, confidence: match.confidence });
+      }
+      return;
+    }
+
+    let amount = 1;
+    if (volumeBasis !== 'rows') {
+      amount = parseAmount(row[columns[volumeBasis]]);
+      if (!Number.isFinite(amount) || amount < 0) {
+        unmatched.push({ line, value: label, reason: `Missing or invalid ${VOLUME_BASIS_LABELS[volumeBasis]}` });
+        return;
+      }
+    }
+
+    if (!(isoCode in countryVolumes)) {
+      selectedCountries.push(isoCode);
+      countryVolumes[isoCode] = 0;
+    }
+    countryVolumes[isoCode] += amount;
+    matchedRows += 1;
+    if (match.matchType === 'fuzzy') {
+      approximate.push({ line, value: match.query, isoCode, name: match.name, confidence: match.confidence });
+    }
+  });
+
+  // Supplier rows are aggregated the same way as a supplier list edited in Panel 2
+  let normalizedSuppliers = null;
+  let countrySectors = null;
+  if (supplierMode) {
+    normalizedSuppliers = normalizeSuppliers(suppliers);
+    const derived = deriveCountryPortfolio(normalizedSuppliers);
+    ({ selectedCountries, countryVolumes, countrySectors, volumeBasis } = derived);
+  }
+
+  return {
+    selectedCountries,
+    countryVolumes,
+    countrySectors,
+    suppliers: normalizedSuppliers,
+    volumeBasis,
+    columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]])),
+    totalRows: rows.length,
+    matchedRows,
+    unmatched,
+    approximate
+  };
+}
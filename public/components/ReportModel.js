@@ -0,0 +1,823 @@
+// ReportModel.js - Content of the assessment report as plain data, built from an
+// AppController.getState() snapshot and RiskEngine.generateRiskSummary. Renderers draw
+// the model (PDFGenerator draws it as vector text and shapes); nothing here touches the
+// DOM, so the same content can be produced wherever the risk engine runs.
+//
+// A report is { title, subtitle, generatedAt, dataset, indicatorSources, headline, branding,
+// sections: [{ id, panel, title, subtitle, blocks }] } and each block is one of:
+//   { type: 'paragraph', text, tone }          tone: 'normal', 'muted' or 'warning'
+//   { type: 'metrics', items: [{ label, value, color }] }
+//   { type: 'riskScale', bands: [{ name, min, max, color }], markers: [{ label, score }] }
+//   { type: 'table', columns: [{ label, width, align }], rows: [[cell]] }
+//       width is a share of the content width; a cell is text or { text, color, bold }
+//   { type: 'bars', max, legend: [{ label, color }], items: [{ label, values: [{ value, color, text }] }] }
+import { riskEngine } from './RiskEngine.js';
+import { INDICATORS } from './IndicatorSchema.js';
+import { DEFAULT_SECTOR_ID, getSector } from './SectorRisk.js';
+import { SUPPLIER_VOLUME_BASIS_LABELS } from './SupplierPortfolio.js';
+import { compareScenarios, getRiskReduction } from './ScenarioComparison.js';
+import { REPORT_SECTIONS, normalizeReportTemplate, splitNarrative } from './ReportTemplates.js';
+import { buildExecutiveNarrative, getRiskContributors } from './ExecutiveNarrative.js';
+
+export const REPORT_TITLE = 'Labour Rights Due Diligence';
+export const REPORT_SUBTITLE = 'Risk Assessment Report';
+
+// Bar charts show the largest countries by volume; tables list every country
+export const REPORT_CHART_MAX_COUNTRIES = 15;
+const EXECUTIVE_SUMMARY_MAX_COUNTRIES = 5;
+
+const COLORS = {
+  muted: '#94a3b8',
+  coverage: '#3b82f6',
+  effectiveness: '#6366f1',
+  warning: '#b45309'
+};
+
+const formatRisk = value => (Number.isFinite(value) ? value.toFixed(1) : 'N/A');
+const formatPercent = (value, digits = 0) => (Number.isFinite(value) ? `${value.toFixed(digits)}%` : 'N/A');
+const formatCost = value => (Number.isFinite(value) ? `$${Math.round(value).toLocaleString('en-US')}` : 'N/A');
+const formatChange = (value, formatter) => (Number.isFinite(value) && value !== 0
+  ? ` (${value > 0 ? '+' : '-'}${formatter(Math.abs(value))})`
+  : '');
+const toNumber = (value, fallback = 0) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+function riskCell(score) {
+  return Number.isFinite(score)
+    ? { text: formatRisk(score), color: riskEngine.getRiskColor(score) }
+    : 'N/A';
+}
+
+function getRiskBands() {
+  return Object.entries(riskEngine.riskBands).map(([name, { min, max, color }]) => ({ name, min, max, color }));
+}
+
+// Selected countries with their names and volume shares, largest share first
+function getPortfolioLines(state) {
+  const selectedCountries = Array.isArray(state.selectedCountries) ? state.selectedCountries : [];
+  const names = new Map((state.countries || []).map(country => [country.isoCode, riskEngine.getCountryDisplayName(country)]));
+  const volumes = selectedCountries.map(isoCode => Math.max(0, toNumber(state.countryVolumes?.[isoCode])));
+  const total = volumes.reduce((sum, volume) => sum + volume, 0);
+
+  return selectedCountries
+    .map((isoCode, index) => ({
+      isoCode,
+      name: names.get(isoCode) || isoCode,
+      volumeShare: total > 0 ? (volumes[index] / total) * 100 : 100 / selectedCountries.length,
+      sector: getSector(state.countrySectors?.[isoCode]),
+      baselineRisk: state.portfolioRisks?.[isoCode],
+      managedRisk: state.countryManagedRisks?.[isoCode]
+    }))
+    .sort((a, b) => (b.volumeShare - a.volumeShare) || a.name.localeCompare(b.name));
+}
+
+function chartLimitNote(lines) {
+  return lines.length > REPORT_CHART_MAX_COUNTRIES
+    ? [{
+      type: 'paragraph',
+      tone: 'muted',
+      text: `The chart shows the ${REPORT_CHART_MAX_COUNTRIES} largest countries by volume; the table lists all ${lines.length}.`
+    }]
+    : [];
+}
+
+function buildGlobalRisksSection(state) {
+  const weights = state.weights || {};
+  const totalWeight = INDICATORS.reduce((sum, { id }) => sum + Math.max(0, toNumber(weights[id])), 0);
+  const strategy = riskEngine.normalizeImputationStrategy(state.imputationStrategy);
+
+  return {
+    id: 'global-risks',
+    panel: 1,
+    title: 'Global Risks',
+    subtitle: 'How country baseline risk is scored',
+    blocks: [
+      {
+        type: 'paragraph',
+        text: 'Each country\'s baseline risk combines the indices below using these weights, on a 0-100 scale where higher is riskier.'
+      },
+      {
+        type: 'table',
+        columns: [
+          { label: 'Index', width: 0.5 },
+          { label: 'Data year', width: 0.16, align: 'right' },
+          { label: 'Weight', width: 0.17, align: 'right' },
+          { label: 'Share', width: 0.17, align: 'right' }
+        ],
+        rows: INDICATORS.map(({ id, label, year }) => {
+          const weight = Math.max(0, toNumber(weights[id]));
+          return [label, String(year ?? 'n/a'), String(weight), formatPercent(totalWeight > 0 ? (weight / totalWeight) * 100 : null)];
+        })
+      },
+      {
+        type: 'paragraph',
+        tone: 'muted',
+        text: `Missing data handling: ${riskEngine.imputationStrategies[strategy]}.`
+      },
+      { type: 'riskScale', bands: getRiskBands(), markers: [] }
+    ]
+  };
+}
+
+function buildBaselineSection(state, lines) {
+  const baselineRisk = state.baselineRisk;
+  const blocks = [
+    {
+      type: 'metrics',
+      items: [
+        { label: 'Countries selected', value: String(lines.length) },
+        { label: 'Baseline risk', value: formatRisk(baselineRisk), color: Number.isFinite(baselineRisk) ? riskEngine.getRiskColor(baselineRisk) : null },
+        { label: 'Risk band', value: Number.isFinite(baselineRisk) ? riskEngine.getRiskBand(baselineRisk) : 'N/A' }
+      ]
+    }
+  ];
+
+  if (lines.length === 0) {
+    blocks.push({ type: 'paragraph', tone: 'muted', text: 'No countries selected.' });
+    return { id: 'baseline-risk', panel: 2, title: 'Baseline Risk', subtitle: 'Portfolio risk before HRDD', blocks };
+  }
+
+  const suppliers = Array.isArray(state.suppliers) ? state.suppliers : [];
+  if (suppliers.length > 0) {
+    const basis = SUPPLIER_VOLUME_BASIS_LABELS[state.supplierVolumeBasis] || SUPPLIER_VOLUME_BASIS_LABELS.suppliers;
+    blocks.push({
+      type: 'paragraph',
+      tone: 'muted',
+      text: `Country volumes are derived from ${suppliers.length} ${suppliers.length === 1 ? 'supplier' : 'suppliers'} by ${basis}.`
+    });
+  }
+
+  blocks.push(
+    { type: 'riskScale', bands: getRiskBands(), markers: [{ label: 'Baseline', score: baselineRisk }] },
+    {
+      type: 'bars',
+      max: 100,
+      legend: [],
+      items: lines.slice(0, REPORT_CHART_MAX_COUNTRIES).map(line => ({
+        label: line.name,
+        values: [{
+          value: toNumber(line.baselineRisk),
+          color: Number.isFinite(line.baselineRisk) ? riskEngine.getRiskColor(line.baselineRisk) : COLORS.muted,
+          text: formatRisk(line.baselineRisk)
+        }]
+      }))
+    },
+    ...chartLimitNote(lines),
+    {
+      type: 'table',
+      columns: [
+        { label: 'Country', width: 0.32 },
+        { label: 'Sector', width: 0.28 },
+        { label: 'Volume share', width: 0.14, align: 'right' },
+        { label: 'Baseline risk', width: 0.13, align: 'right' },
+        { label: 'Band', width: 0.13 }
+      ],
+      rows: lines.map(line => [
+        line.name,
+        line.sector.id === DEFAULT_SECTOR_ID ? '-' : `${line.sector.label} (x${line.sector.multiplier})`,
+        formatPercent(line.volumeShare, 1),
+        riskCell(line.baselineRisk),
+        Number.isFinite(line.baselineRisk) ? riskEngine.getRiskBand(line.baselineRisk) : 'N/A'
+      ])
+    }
+  );
+
+  return { id: 'baseline-risk', panel: 2, title: 'Baseline Risk', subtitle: 'Portfolio risk before HRDD', blocks };
+}
+
+function buildStrategySection(strategy) {
+  const focus = strategy.focus || { level: 0, concentration: 1, portfolioMultiplier: 1 };
+  const tools = Array.isArray(strategy.hrddStrategies) ? strategy.hrddStrategies : [];
+
+  return {
+    id: 'hrdd-strategy',
+    panel: 3,
+    title: 'HRDD Strategy',
+    subtitle: 'Coverage and effectiveness of the due diligence tools',
+    blocks: [
+      {
+        type: 'metrics',
+        items: [
+          { label: 'Risks detected (transparency)', value: formatPercent(toNumber(strategy.overallTransparency) * 100) },
+          { label: 'Focus on high-risk countries', value: formatPercent(toNumber(focus.level) * 100) },
+          { label: 'Focus multiplier', value: `x${toNumber(focus.portfolioMultiplier, 1).toFixed(2)}` }
+        ]
+      },
+      {
+        type: 'bars',
+        max: 100,
+        legend: [
+          { label: 'Coverage', color: COLORS.coverage },
+          { label: 'Effectiveness', color: COLORS.effectiveness }
+        ],
+        items: tools.map(tool => ({
+          label: tool.name,
+          values: [
+            { value: tool.coverage, color: COLORS.coverage, text: formatPercent(tool.coverage) },
+            { value: tool.averageEffectiveness, color: COLORS.effectiveness, text: formatPercent(tool.averageEffectiveness) }
+          ]
+        }))
+      },
+      {
+        type: 'table',
+        columns: [
+          { label: 'Tool', width: 0.36 },
+          { label: 'Category', width: 0.16 },
+          { label: 'Coverage', width: 0.14, align: 'right' },
+          { label: 'By country', width: 0.2, align: 'right' },
+          { label: 'Effectiveness', width: 0.14, align: 'right' }
+        ],
+        rows: tools.map(tool => [
+          tool.name,
+          tool.category,
+          formatPercent(tool.coverage),
+          tool.coverageRange || '-',
+          formatPercent(tool.averageEffectiveness)
+        ])
+      },
+      {
+        type: 'paragraph',
+        tone: 'muted',
+        text: 'Effectiveness averages the methodology\'s base effectiveness for each tool with the transparency entered in Panel 3. ' +
+          `Coverage by country reflects the focus setting and a portfolio risk concentration of ${toNumber(focus.concentration, 1).toFixed(2)}.`
+      }
+    ]
+  };
+}
+
+function buildResponseSection(state, strategy) {
+  const labels = Array.isArray(riskEngine.responsivenessLabels) ? riskEngine.responsivenessLabels : [];
+  const coverage = Array.isArray(state.responsivenessStrategy) ? state.responsivenessStrategy : [];
+  const effectiveness = Array.isArray(state.responsivenessEffectiveness) ? state.responsivenessEffectiveness : [];
+  const primary = strategy.primaryResponse || {};
+
+  return {
+    id: 'response-strategy',
+    panel: 4,
+    title: 'Response Strategy',
+    subtitle: 'How detected risks are followed up',
+    blocks: [
+      {
+        type: 'metrics',
+        items: [
+          { label: 'Risks remedied (responsiveness)', value: formatPercent(toNumber(strategy.overallResponsiveness) * 100) },
+          { label: 'Primary response coverage', value: formatPercent(toNumber(primary.weight)) }
+        ]
+      },
+      {
+        type: 'paragraph',
+        text: `Primary response method: ${primary.method || 'Not specified'}.`
+      },
+      {
+        type: 'bars',
+        max: 100,
+        legend: [
+          { label: 'Coverage', color: COLORS.coverage },
+          { label: 'Effectiveness', color: COLORS.effectiveness }
+        ],
+        items: labels.map((label, index) => ({
+          label,
+          values: [
+            { value: toNumber(coverage[index]), color: COLORS.coverage, text: formatPercent(toNumber(coverage[index])) },
+            { value: toNumber(effectiveness[index]), color: COLORS.effectiveness, text: formatPercent(toNumber(effectiveness[index])) }
+          ]
+        }))
+      },
+      {
+        type: 'table',
+        columns: [
+          { label: 'Response method', width: 0.6 },
+          { label: 'Coverage', width: 0.2, align: 'right' },
+          { label: 'Effectiveness', width: 0.2, align: 'right' }
+        ],
+        rows: labels.map((label, index) => [
+          label,
+          formatPercent(toNumber(coverage[index])),
+          formatPercent(toNumber(effectiveness[index]))
+        ])
+      }
+    ]
+  };
+}
+
+function buildManagedSection(state, summary, lines) {
+  const { baselineRisk, managedRisk } = state;
+  const improvement = summary.improvement || {};
+  const blocks = [
+    {
+      type: 'metrics',
+      items: [
+        { label: 'Baseline risk', value: formatRisk(baselineRisk), color: Number.isFinite(baselineRisk) ? riskEngine.getRiskColor(baselineRisk) : null },
+        { label: 'Managed risk', value: formatRisk(managedRisk), color: Number.isFinite(managedRisk) ? riskEngine.getRiskColor(managedRisk) : null },
+        {
+          label: 'Risk reduction',
+          value: Number.isFinite(improvement.riskReduction) ? formatPercent(improvement.riskReduction, 1) : 'N/A'
+        }
+      ]
+    },
+    {
+      type: 'riskScale',
+      bands: getRiskBands(),
+      markers: [
+        { label: 'Baseline', score: baselineRisk },
+        { label: 'Managed', score: managedRisk }
+      ]
+    }
+  ];
+
+  if (lines.length > 0) {
+    blocks.push(
+      {
+        type: 'bars',
+        max: 100,
+        legend: [
+          { label: 'Baseline risk', color: COLORS.muted },
+          { label: 'Managed risk (coloured by band)', color: riskEngine.getRiskColor(toNumber(managedRisk)) }
+        ],
+        items: lines.slice(0, REPORT_CHART_MAX_COUNTRIES).map(line => ({
+          label: line.name,
+          values: [
+            { value: toNumber(line.baselineRisk), color: COLORS.muted, text: formatRisk(line.baselineRisk) },
+            {
+              value: toNumber(line.managedRisk),
+              color: Number.isFinite(line.managedRisk) ? riskEngine.getRiskColor(line.managedRisk) : COLORS.muted,
+              text: formatRisk(line.managedRisk)
+            }
+          ]
+        }))
+      },
+      ...chartLimitNote(lines),
+      {
+        type: 'table',
+        columns: [
+          { label: 'Country', width: 0.4 },
+          { label: 'Volume share', width: 0.15, align: 'right' },
+          { label: 'Baseline risk', width: 0.15, align: 'right' },
+          { label: 'Managed risk', width: 0.15, align: 'right' },
+          { label: 'Reduction', width: 0.15, align: 'right' }
+        ],
+        rows: lines.map(line => [
+          line.name,
+          formatPercent(line.volumeShare, 1),
+          riskCell(line.baselineRisk),
+          riskCell(line.managedRisk),
+          formatPercent(getRiskReduction(line.baselineRisk, line.managedRisk), 1)
+        ])
+      }
+    );
+  }
+
+  const tiers = state.tierRiskBreakdown?.tiers;
+  if (Array.isArray(tiers) && tiers.length > 0) {
+    blocks.push(
+      {
+        type: 'paragraph',
+        text: 'By supply chain tier. Deeper tiers are scored with their own HRDD coverage; the managed risk above is the combined figure, weighted by volume.'
+      },
+      {
+        type: 'table',
+        columns: [
+          { label: 'Tier', width: 0.3 },
+          { label: 'Suppliers', width: 0.14, align: 'right' },
+          { label: 'Volume share', width: 0.14, align: 'right' },
+          { label: 'Baseline risk', width: 0.14, align: 'right' },
+          { label: 'Managed risk', width: 0.14, align: 'right' },
+          { label: 'Reduction', width: 0.14, align: 'right' }
+        ],
+        rows: [
+          ...tiers.map(tier => [
+            tier.label,
+            String(tier.supplierCount),
+            formatPercent(toNumber(tier.volumeShare) * 100, 1),
+            riskCell(tier.baselineRisk),
+            riskCell(tier.managedRisk),
+            formatPercent(tier.riskReduction, 1)
+          ]),
+          [
+            { text: 'All tiers', bold: true },
+            '',
+            '',
+            riskCell(state.tierRiskBreakdown.combined.baselineRisk),
+            riskCell(state.tierRiskBreakdown.combined.managedRisk),
+            formatPercent(state.tierRiskBreakdown.combined.riskReduction, 1)
+          ]
+        ]
+      }
+    );
+  }
+
+  return { id: 'managed-risk', panel: 5, title: 'Managed Risk', subtitle: 'Residual risk after the HRDD and response strategies', blocks };
+}
+
+// `narrative` is the ExecutiveNarrative paragraphs for the same results
+function buildExecutiveSummarySection(state, lines, budget, narrative) {
+  const { baselineRisk, managedRisk } = state;
+  const blocks = [
+    {
+      type: 'metrics',
+      items: [
+        { label: 'Countries', value: String(lines.length) },
+        { label: 'Baseline risk', value: formatRisk(baselineRisk), color: Number.isFinite(baselineRisk) ? riskEngine.getRiskColor(baselineRisk) : null },
+        { label: 'Managed risk', value: formatRisk(managedRisk), color: Number.isFinite(managedRisk) ? riskEngine.getRiskColor(managedRisk) : null },
+        { label: 'Risk reduction', value: formatPercent(getRiskReduction(baselineRisk, managedRisk), 1) }
+      ]
+    },
+    ...narrative.map(text => ({ type: 'paragraph', text }))
+  ];
+
+  if (budget) {
+    blocks.push({
+      type: 'paragraph',
+      text: `The HRDD strategy costs ${formatCost(budget.totalBudget)} a year across ${budget.supplierCount} suppliers (${formatCost(budget.costPerSupplier)} per supplier).`
+    });
+  }
+
+  const contributors = getRiskContributors(lines).slice(0, EXECUTIVE_SUMMARY_MAX_COUNTRIES);
+  if (contributors.length > 0) {
+    blocks.push(
+      {
+        type: 'paragraph',
+        text: 'Countries contributing most to the remaining risk, by volume share times managed risk.'
+      },
+      {
+        type: 'table',
+        columns: [
+          { label: 'Country', width: 0.4 },
+          { label: 'Volume share', width: 0.2, align: 'right' },
+          { label: 'Managed risk', width: 0.2, align: 'right' },
+          { label: 'Share of managed risk', width: 0.2, align: 'right' }
+        ],
+        rows: contributors.map(line => [
+          line.name,
+          formatPercent(line.volumeShare, 1),
+          riskCell(line.managedRisk),
+          formatPercent(line.contributionShare, 1)
+        ])
+      }
+    );
+  }
+
+  return { id: 'executive-summary', panel: null, title: 'Executive Summary', subtitle: 'Headline results of the assessment', blocks };
+}
+
+function buildMethodologySection(state, budget) {
+  const strategy = riskEngine.normalizeImputationStrategy(state.imputationStrategy);
+  const focus = Math.max(0, Math.min(1, toNumber(state.focus)));
+  const blocks = [
+    {
+      type: 'paragraph',
+      text: 'Baseline risk. Each country is scored from 0 to 100 as a weighted average of the indices in Panel 1. ' +
+        `Missing index values are handled as follows: ${riskEngine.imputationStrategies[strategy].toLowerCase()}. ` +
+        'Where a sector is set for a portfolio line, the country score is multiplied by the sector multiplier. ' +
+        'The portfolio baseline risk is the volume-weighted average of the country scores.'
+    },
+    {
+      type: 'paragraph',
+      text: 'HRDD coverage. Each due diligence tool in Panel 3 reaches a share of suppliers. ' +
+        `With the focus set to ${formatPercent(focus * 100)}, coverage is shifted toward countries with above-average risk, ` +
+        `more so the more concentrated the portfolio risk is (concentration ${toNumber(state.riskConcentration, 1).toFixed(2)}).`
+    },
+    {
+      type: 'paragraph',
+      text: 'Managed risk. A risk is reduced only when it is detected and then remedied. Detection depends on the coverage and ' +
+        'transparency effectiveness of the tools; remediation on the Panel 4 response methods and their effectiveness. ' +
+        'Reductions are capped so that higher-risk countries keep more of their risk, no country falls below 25% of its ' +
+        'baseline risk, and countries keep their baseline risk ranking.'
+    }
+  ];
+
+  if (budget) {
+    blocks.push({
+      type: 'paragraph',
+      text: 'Cost. The annual cost adds the external programme and per-supplier costs of each tool to the internal hours spent ' +
+        'on tools and responses, at the Panel 6 hourly rate. The optimizer searches for tool and response coverage that ' +
+        'lowers managed risk further within the same budget.'
+    });
+  }
+
+  return { id: 'methodology', panel: null, title: 'Methodology', subtitle: 'How the figures in this report are calculated', blocks };
+}
+
+function buildCountryDetailSection(state, lines) {
+  const completenessByCountry = state.countryDataCompleteness || {};
+  const blocks = lines.length === 0
+    ? [{ type: 'paragraph', tone: 'muted', text: 'No countries selected.' }]
+    : [{
+      type: 'table',
+      columns: [
+        { label: 'Country', width: 0.26 },
+        { label: 'Volume share', width: 0.12, align: 'right' },
+        { label: 'Baseline risk', width: 0.12, align: 'right' },
+        { label: 'Managed risk', width: 0.12, align: 'right' },
+        { label: 'Reduction', width: 0.12, align: 'right' },
+        { label: 'Index coverage', width: 0.26 }
+      ],
+      rows: lines.map(line => [
+        line.sector.id === DEFAULT_SECTOR_ID ? line.name : `${line.name} (${line.sector.label})`,
+        formatPercent(line.volumeShare, 1),
+        riskCell(line.baselineRisk),
+        riskCell(line.managedRisk),
+        formatPercent(getRiskReduction(line.baselineRisk, line.managedRisk), 1),
+        riskEngine.describeDataCompleteness(completenessByCountry[line.isoCode])
+      ])
+    }];
+
+  return { id: 'country-detail', panel: null, title: 'Country Detail', subtitle: 'Every country in the portfolio, largest volume first', blocks };
+}
+
+// Panel 6 optimizer result (RiskEngine.optimizeBudgetAllocation) against the current strategy
+function buildOptimizationSection(optimization) {
+  const allocationRows = (labels, current, optimized) => labels.map((label, index) => {
+    const from = toNumber(current?.[index]);
+    const to = toNumber(optimized?.[index], from);
+    return [label, formatPercent(from), formatPercent(to), `${to - from > 0 ? '+' : ''}${(to - from).toFixed(0)} pts`];
+  });
+  const allocationColumns = label => [
+    { label, width: 0.52 },
+    { label: 'Current', width: 0.16, align: 'right' },
+    { label: 'Optimized', width: 0.16, align: 'right' },
+    { label: 'Change', width: 0.16, align: 'right' }
+  ];
+  const { currentManagedRisk, optimizedManagedRisk } = optimization;
+
+  const blocks = [
+    {
+      type: 'metrics',
+      items: [
+        { label: 'Current managed risk', value: formatRisk(currentManagedRisk), color: Number.isFinite(currentManagedRisk) ? riskEngine.getRiskColor(currentManagedRisk) : null },
+        { label: 'Optimized managed risk', value: formatRisk(optimizedManagedRisk), color: Number.isFinite(optimizedManagedRisk) ? riskEngine.getRiskColor(optimizedManagedRisk) : null },
+        { label: 'Current risk reduction', value: formatPercent(optimization.currentEffectiveness, 1) },
+        { label: 'Optimized risk reduction', value: formatPercent(optimization.optimizedEffectiveness, 1) }
+      ]
+    },
+    {
+      type: 'metrics',
+      items: [
+        { label: 'Current annual cost', value: formatCost(optimization.targetBudget) },
+        { label: 'Optimized annual cost', value: formatCost(optimization.finalBudget ?? optimization.targetBudget) }
+      ]
+    }
+  ];
+
+  if (optimization.insight) {
+    blocks.push({ type: 'paragraph', text: optimization.insight });
+  }
+  blocks.push(
+    {
+      type: 'table',
+      columns: allocationColumns('HRDD tool coverage'),
+      rows: allocationRows(riskEngine.hrddStrategyLabels, optimization.currentToolAllocation, optimization.optimizedToolAllocation)
+    },
+    {
+      type: 'table',
+      columns: allocationColumns('Response method coverage'),
+      rows: allocationRows(riskEngine.responsivenessLabels, optimization.currentResponseAllocation, optimization.optimizedResponseAllocation)
+    }
+  );
+  if (optimization.saqConstraintEnforced) {
+    blocks.push({ type: 'paragraph', tone: 'muted', text: 'The SAQ constraint was enforced: the two supplier SAQ tools together cover all suppliers.' });
+  }
+
+  return {
+    id: 'optimization',
+    panel: 6,
+    title: 'Optimization Results',
+    subtitle: 'Tool and response coverage that lowers managed risk within the same budget',
+    blocks
+  };
+}
+
+function buildCostSection(budget) {
+  return {
+    id: 'cost-analysis',
+    panel: 6,
+    title: 'Cost Analysis',
+    subtitle: 'Annual cost of the HRDD strategy',
+    blocks: [
+      {
+        type: 'metrics',
+        items: [
+          { label: 'Suppliers', value: Number.isFinite(budget.supplierCount) ? String(budget.supplierCount) : 'N/A' },
+          { label: 'External cost', value: formatCost(budget.totalExternalCost) },
+          { label: 'Internal cost', value: formatCost(budget.totalInternalCost) }
+        ]
+      },
+      {
+        type: 'metrics',
+        items: [
+          { label: 'Total annual cost', value: formatCost(budget.totalBudget) },
+          { label: 'Cost per supplier', value: formatCost(budget.costPerSupplier) }
+        ]
+      }
+    ]
+  };
+}
+
+function buildDataCompletenessSection(state, lines) {
+  const completenessByCountry = state.countryDataCompleteness || {};
+  const strategy = riskEngine.normalizeImputationStrategy(state.imputationStrategy);
+  const blocks = [];
+
+  if (lines.length === 0) {
+    blocks.push({ type: 'paragraph', tone: 'muted', text: 'No countries selected.' });
+  } else {
+    blocks.push({
+      type: 'table',
+      columns: [
+        { label: 'Country', width: 0.35 },
+        { label: 'Baseline risk', width: 0.2, align: 'right' },
+        { label: 'Index coverage', width: 0.45 }
+      ],
+      rows: lines.map(line => {
+        const completeness = completenessByCountry[line.isoCode];
+        const riskLabel = formatRisk(line.baselineRisk);
+        return [
+          line.name,
+          line.sector.id === DEFAULT_SECTOR_ID ? riskLabel : `${riskLabel} (x${line.sector.multiplier})`,
+          {
+            text: riskEngine.describeDataCompleteness(completeness),
+            color: completeness && completeness.ratio < 1 ? COLORS.warning : null
+          }
+        ];
+      })
+    });
+  }
+
+  // Each estimate names the peer group it was taken from; scarce peers widen the group
+  const estimated = lines
+    .map(line => ({ line, proxy: completenessByCountry[line.isoCode]?.proxy }))
+    .filter(entry => entry.proxy);
+  if (estimated.length > 0) {
+    blocks.push({
+      type: 'paragraph',
+      tone: 'warning',
+      text: `${estimated.length} ${estimated.length === 1 ? 'country is' : 'countries are'} not covered by the source indices. ` +
+        'Their scores are imputed from the mean of World Bank peer countries: ' +
+        `${estimated.map(({ line, proxy }) => `${line.name} from ${proxy.peerCount} ${riskEngine.getProxyBasisLabel(proxy)} peers`).join('; ')}.`
+    });
+  }
+
+  const sectorLines = lines.filter(line => line.sector.id !== DEFAULT_SECTOR_ID);
+  if (sectorLines.length > 0) {
+    blocks.push({
+      type: 'paragraph',
+      tone: 'muted',
+      text: 'Baseline risk includes the sector multiplier (x) for lines with a sector set. ' +
+        `${sectorLines.map(line => `${line.name}: ${line.sector.label}`).join('; ')}.`
+    });
+  }
+
+  return {
+    id: 'data-completeness',
+    panel: null,
+    title: 'Data Completeness',
+    subtitle: `Missing data handling: ${riskEngine.imputationStrategies[strategy]}`,
+    blocks
+  };
+}
+
+function buildScenarioSection(comparison, countryNames) {
+  const { scenarios } = comparison;
+  const labelWidth = 0.28;
+  const columnWidth = (1 - labelWidth) / scenarios.length;
+  const row = (label, values) => [{ text: label, bold: true }, ...values];
+
+  const blocks = [
+    {
+      type: 'table',
+      columns: [
+        { label: '', width: labelWidth },
+        ...scenarios.map(scenario => ({ label: scenario.name, width: columnWidth, align: 'right' }))
+      ],
+      rows: [
+        row('Baseline risk', scenarios.map(scenario => riskCell(scenario.baselineRisk))),
+        row('Managed risk', scenarios.map(scenario =>
+          `${formatRisk(scenario.managedRisk)}${formatChange(scenario.managedRiskChange, value => value.toFixed(1))}`)),
+        row('Risk reduction', scenarios.map(scenario => formatPercent(scenario.riskReduction, 1))),
+        row('Countries', scenarios.map(scenario => String(scenario.countryCount))),
+        row('Annual cost', scenarios.map(scenario =>
+          `${formatCost(scenario.totalBudget)}${formatChange(scenario.totalBudgetChange, formatCost)}`))
+      ]
+    },
+    {
+      type: 'paragraph',
+      text: 'Managed risk by country, with the country\'s share of volume in brackets.'
+    },
+    {
+      type: 'table',
+      columns: [
+        { label: 'Country', width: labelWidth },
+        ...scenarios.map(scenario => ({ label: scenario.name, width: columnWidth, align: 'right' }))
+      ],
+      rows: comparison.countries.map(({ isoCode, values }) => [
+        countryNames.get(isoCode) || isoCode,
+        ...values.map(value => (value
+          ? { text: `${formatRisk(value.managedRisk)} (${value.volumeShare.toFixed(0)}%)`, color: Number.isFinite(value.managedRisk) ? riskEngine.getRiskColor(value.managedRisk) : null }
+          : '-'))
+      ])
+    }
+  ];
+
+  if (comparison.mixedDataYears) {
+    blocks.push({
+      type: 'paragraph',
+      tone: 'warning',
+      text: 'These scenarios were saved against different data editions, so part of the difference comes from the data rather than the strategy.'
+    });
+  }
+
+  return {
+    id: 'scenario-comparison',
+    panel: null,
+    title: 'Scenario Comparison',
+    subtitle: `Changes are against the reference scenario, ${scenarios[0].name}`,
+    blocks
+  };
+}
+
+// Report for one assessment with the sections of `template` (see ReportTemplates.js;
+// the standard template when omitted). `budget` is the Panel 6 calculateBudgetAnalysis()
+// result (null when Panel 6 is disabled), `scenarios` the scenarios picked for
+// comparison in Panel 5 and `optimization` the Panel 6 optimizer result, if it was run
+// (the optimization section and the executive summary's cost paragraph need it).
+// Sections whose data is missing are left out.
+export function buildReportModel(state, {
+  generatedAt = new Date(),
+  budget = null,
+  scenarios = [],
+  optimization = null,
+  template = null
+} = {}) {
+  const appState = state && typeof state === 'object' ? state : {};
+  const lines = getPortfolioLines(appState);
+  const focus = Math.max(0, Math.min(1, toNumber(appState.focus)));
+  const riskConcentration = toNumber(appState.riskConcentration, 1) > 0 ? Math.max(1, toNumber(appState.riskConcentration, 1)) : 1;
+
+  const summary = riskEngine.generateRiskSummary(
+    appState.baselineRisk,
+    appState.managedRisk,
+    lines.map(line => line.isoCode),
+    appState.hrddStrategy,
+    appState.transparencyEffectiveness,
+    appState.responsivenessStrategy,
+    appState.responsivenessEffectiveness,
+    focus,
+    riskConcentration,
+    appState.countryVolumes || {},
+    appState.portfolioRisks || {},
+    appState.tierRiskBreakdown
+  ) || {};
+  const strategy = summary.strategy || {};
+
+  const datasetStamp = appState.dataset?.indicatorSourceYears
+    ? appState.dataset
+    : riskEngine.buildDatasetStamp(appState.dataset, appState.dataYear);
+  const countryNames = new Map((appState.countries || []).map(country => [country.isoCode, riskEngine.getCountryDisplayName(country)]));
+  const comparison = compareScenarios(scenarios);
+  const { baselineRisk, managedRisk } = appState;
+  const absoluteReduction = Number.isFinite(baselineRisk) && Number.isFinite(managedRisk) ? baselineRisk - managedRisk : null;
+  const reportTemplate = normalizeReportTemplate(template).template;
+
+  const sectionBuilders = {
+    'executive-summary': () => buildExecutiveSummarySection(appState, lines, budget, buildExecutiveNarrative(appState, { summary, optimization })),
+    methodology: () => buildMethodologySection(appState, budget),
+    'global-risks': () => buildGlobalRisksSection(appState),
+    'baseline-risk': () => buildBaselineSection(appState, lines),
+    'hrdd-strategy': () => buildStrategySection(strategy),
+    'response-strategy': () => buildResponseSection(appState, strategy),
+    'managed-risk': () => buildManagedSection(appState, summary, lines),
+    'country-detail': () => buildCountryDetailSection(appState, lines),
+    'cost-analysis': () => (budget ? buildCostSection(budget) : null),
+    optimization: () => (optimization ? buildOptimizationSection(optimization) : null),
+    'data-completeness': () => buildDataCompletenessSection(appState, lines),
+    'scenario-comparison': () => (comparison ? buildScenarioSection(comparison, countryNames) : null)
+  };
+  // The section's narrative from the template opens the section
+  const sections = REPORT_SECTIONS
+    .filter(({ id }) => reportTemplate.sections[id].include)
+    .map(({ id }) => {
+      const section = sectionBuilders[id]();
+      if (!section) return null;
+      const narrative = splitNarrative(reportTemplate.sections[id].narrative).map(text => ({ type: 'paragraph', text }));
+      return { ...section, blocks: [...narrative, ...section.blocks] };
+    })
+    .filter(Boolean);
+
+  return {
+    title: REPORT_TITLE,
+    subtitle: REPORT_SUBTITLE,
+    generatedAt: (generatedAt instanceof Date ? generatedAt : new Date()).toISOString(),
+    dataset: riskEngine.describeDatasetStamp(datasetStamp),
+    indicatorSources: INDICATORS
+      .map(({ id, shortLabel }) => `${shortLabel} (${datasetStamp.indicatorSourceYears?.[id] ?? 'n/a'})`)
+      .join(', '),
+    headline: {
+      countryCount: lines.length,
+      baselineRisk: Number.isFinite(baselineRisk) ? baselineRisk : null,
+      managedRisk: Number.isFinite(managedRisk) ? managedRisk : null,
+      absoluteReduction,
+      riskReduction: getRiskReduction(baselineRisk, managedRisk)
+    },
+    branding: reportTemplate.branding,
+    sections
+  };
+}
@@ -0,0 +1,220 @@
+// ReportTemplates.js - What goes into the assessment report and how it is branded.
+// A template picks the report sections, carries a narrative text for each section and
+// the branding drawn on the cover and page footers:
+//   { preset, sections: { [sectionId]: { include, narrative } },
+//     branding: { companyName, logo: { dataUrl, width, height } | null,
+//                 colors: { primary, accent, highlight } } }
+// `preset` names the REPORT_TEMPLATE_PRESETS entry the sections came from, or is null
+// once sections are picked by hand.
+// ReportModel.js applies the sections and narratives; the renderers apply the branding.
+
+// Sections in report order. `requires` notes what must exist for the section to appear;
+// sections without their data are left out even when included. `optimizer` marks the
+// sections that read the Panel 6 optimizer result, which takes a few seconds to compute.
+export const REPORT_SECTIONS = [
+  { id: 'executive-summary', label: 'Executive summary', optimizer: true },
+  { id: 'methodology', label: 'Methodology' },
+  { id: 'global-risks', label: 'Panel 1: Global risks' },
+  { id: 'baseline-risk', label: 'Panel 2: Baseline risk' },
+  { id: 'hrdd-strategy', label: 'Panel 3: HRDD strategy' },
+  { id: 'response-strategy', label: 'Panel 4: Response strategy' },
+  { id: 'managed-risk', label: 'Panel 5: Managed risk' },
+  { id: 'country-detail', label: 'Per-country table' },
+  { id: 'cost-analysis', label: 'Panel 6: Cost analysis', requires: 'Panel 6 cost inputs' },
+  { id: 'optimization', label: 'Optimization results', requires: 'Panel 6 cost inputs', optimizer: true },
+  { id: 'data-completeness', label: 'Data completeness' },
+  { id: 'scenario-comparison', label: 'Scenario comparison', requires: 'two or more compared scenarios' }
+];
+
+// Section choices offered as starting points. `standard` is the report as it was
+// before templates existed: Panels 1-5 without Panel 6. The executive summary is opt-in
+// since its cost paragraph runs the optimizer.
+export const REPORT_TEMPLATE_PRESETS = {
+  standard: {
+    label: 'Standard report',
+    sections: ['global-risks', 'baseline-risk', 'hrdd-strategy', 'response-strategy', 'managed-risk', 'data-completeness', 'scenario-comparison']
+  },
+  executive: {
+    label: 'Executive briefing',
+    sections: ['executive-summary', 'managed-risk', 'cost-analysis', 'optimization', 'scenario-comparison']
+  },
+  full: {
+    label: 'Full report with methodology',
+    sections: REPORT_SECTIONS.map(section => section.id)
+  }
+};
+
+export const DEFAULT_REPORT_PRESET = 'standard';
+
+export const DEFAULT_REPORT_COLORS = {
+  primary: '#111827',   // cover background
+  accent: '#3b82f6',    // cover decoration
+  highlight: '#6366f1'  // cover decoration and headline figures
+};
+
+export const REPORT_NARRATIVE_MAX_LENGTH = 5000;
+export const REPORT_COMPANY_NAME_MAX_LENGTH = 120;
+// A data URL of about 300 KB of PNG or JPEG
+export const REPORT_LOGO_MAX_LENGTH = 400000;
+
+const SECTION_IDS = new Set(REPORT_SECTIONS.map(section => section.id));
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const LOGO_PATTERN = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/]+=*$/;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function buildPresetSections(presetId) {
+  const included = new Set(REPORT_TEMPLATE_PRESETS[presetId].sections);
+  return Object.fromEntries(REPORT_SECTIONS.map(({ id }) => [id, { include: included.has(id), narrative: '' }]));
+}
+
+export function createDefaultReportTemplate() {
+  return {
+    preset: DEFAULT_REPORT_PRESET,
+    sections: buildPresetSections(DEFAULT_REPORT_PRESET),
+    branding: {
+      companyName: '',
+      logo: null,
+      colors: { ...DEFAULT_REPORT_COLORS }
+    }
+  };
+}
+
+// Switch the section choice to a preset, keeping narratives and branding
+export function applyReportPreset(template, presetId) {
+  if (!REPORT_TEMPLATE_PRESETS[presetId]) return template;
+  const presetSections = buildPresetSections(presetId);
+  return {
+    ...template,
+    preset: presetId,
+    sections: Object.fromEntries(Object.entries(template.sections).map(([id, section]) => [
+      id,
+      { ...section, include: presetSections[id].include }
+    ]))
+  };
+}
+
+export function isReportSectionIncluded(template, sectionId) {
+  return Boolean(template?.sections?.[sectionId]?.include);
+}
+
+// Whether the Panel 6 optimizer has to run for a report from this template
+export function reportUsesOptimizer(template) {
+  return REPORT_SECTIONS.some(section => section.optimizer && isReportSectionIncluded(template, section.id));
+}
+
+// The narrative as paragraphs; blank lines separate paragraphs
+export function splitNarrative(narrative) {
+  return String(narrative || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+}
+
+function normalizeLogo(logo, warnings) {
+  if (logo === null || logo === undefined) return null;
+  const dataUrl = isPlainObject(logo) && typeof logo.dataUrl === 'string' ? logo.dataUrl : '';
+  const width = Number(logo?.width);
+  const height = Number(logo?.height);
+  if (!LOGO_PATTERN.test(dataUrl) || !(width > 0) || !(height > 0)) {
+    warnings.push('branding.logo must be { dataUrl, width, height } with a base64 PNG or JPEG data URL');
+    return null;
+  }
+  if (dataUrl.length > REPORT_LOGO_MAX_LENGTH) {
+    warnings.push(`branding.logo must be at most ${Math.round(REPORT_LOGO_MAX_LENGTH / 1000)} KB as a data URL`);
+    return null;
+  }
+  return { dataUrl, width, height };
+}
+
+// Sanitise a stored or submitted template. Anything missing or invalid falls back to
+// the default and invalid values are listed in `warnings`. Returns { template, warnings }.
+export function normalizeReportTemplate(input) {
+  const template = createDefaultReportTemplate();
+  const warnings = [];
+  if (input === null || input === undefined) return { template, warnings };
+  if (!isPlainObject(input)) {
+    return { template, warnings: ['template must be an object'] };
+  }
+
+  if (input.preset === null) {
+    template.preset = null;
+  } else if (input.preset !== undefined) {
+    if (REPORT_TEMPLATE_PRESETS[input.preset]) {
+      Object.assign(template, applyReportPreset(template, input.preset));
+    } else {
+      warnings.push(`Unknown preset "${input.preset}"`);
+    }
+  }
+
+  if (input.sections !== undefined) {
+    if (!isPlainObject(input.sections)) {
+      warnings.push('sections must be an object keyed by section id');
+    } else {
+      Object.entries(input.sections).forEach(([id, section]) => {
+        if (!SECTION_IDS.has(id)) {
+          warnings.push(`Unknown section "${id}"`);
+          return;
+        }
+        if (!isPlainObject(section)) {
+          warnings.push(`sections.${id} must be an object`);
+          return;
+        }
+        if (section.include !== undefined) {
+          if (typeof section.include === 'boolean') {
+            template.sections[id].include = section.include;
+          } else {
+            warnings.push(`sections.${id}.include must be true or false`);
+          }
+        }
+        if (section.narrative !== undefined && section.narrative !== null) {
+          if (typeof section.narrative !== 'string') {
+            warnings.push(`sections.${id}.narrative must be text`);
+          } else if (section.narrative.length > REPORT_NARRATIVE_MAX_LENGTH) {
+            warnings.push(`sections.${id}.narrative must be at most ${REPORT_NARRATIVE_MAX_LENGTH} characters`);
+          } else {
+            template.sections[id].narrative = section.narrative;
+          }
+        }
+      });
+    }
+  }
+
+  if (input.branding !== undefined) {
+    const branding = input.branding;
+    if (!isPlainObject(branding)) {
+      warnings.push('branding must be an object');
+    } else {
+      if (branding.companyName !== undefined && branding.companyName !== null) {
+        const companyName = typeof branding.companyName === 'string' ? branding.companyName.trim() : null;
+        if (companyName === null) {
+          warnings.push('branding.companyName must be text');
+        } else if (companyName.length > REPORT_COMPANY_NAME_MAX_LENGTH) {
+          warnings.push(`branding.companyName must be at most ${REPORT_COMPANY_NAME_MAX_LENGTH} characters`);
+        } else {
+          template.branding.companyName = companyName;
+        }
+      }
+      template.branding.logo = normalizeLogo(branding.logo, warnings);
+      if (branding.colors !== undefined) {
+        if (!isPlainObject(branding.colors)) {
+          warnings.push('branding.colors must be an object');
+        } else {
+          Object.keys(DEFAULT_REPORT_COLORS).forEach(key => {
+            const color = branding.colors[key];
+            if (color === undefined) return;
+            if (typeof color === 'string' && COLOR_PATTERN.test(color)) {
+              template.branding.colors[key] = color.toLowerCase();
+            } else {
+              warnings.push(`branding.colors.${key} must be a hex colour such as #1f2937`);
+            }
+          });
+        }
+      }
+    }
+  }
+
+  return { template, warnings };
+}
@@ -1,13 +1,47 @@
 // RiskEngine.js - Enhanced with SAQ Coverage Constraint
+import {
+  INDICATORS,
+  getDefaultIndicatorWeights,
+  normalizeIndicatorWeights
+} from './IndicatorSchema.js';
+import {
+  CLASSIFIED_ISO_CODES,
+  getCountryClassification,
+  getCountryRegion,
+  getIncomeGroupLabel,
+  getRegionLabel
+} from './CountryClassifications.js';
+import { SUBNATIONAL_UNITS } from './SubnationalUnits.js';
+import { getSector, getSectorMultiplier, normalizeCountrySectors } from './SectorRisk.js';
+
 export class RiskEngine {
   constructor() {
-    // Step 1: Default weightings for the 5 input columns
-    this.defaultWeights = [20, 20, 20, 20, 20]; // ITUC, Corruption, Freedom, WJP, Walkfree
+    // Step 1: Default weightings keyed by indicator id (see IndicatorSchema registry)
+    this.defaultWeights = getDefaultIndicatorWeights();
+
+    // How missing indicator values are handled when scoring a country
+    this.imputationStrategies = {
+      skip: 'Skip and renormalise weights',
+      'regional-mean': 'Regional mean',
+      'worst-case': 'Worst case (100)'
+    };
+    this.defaultImputationStrategy = 'skip';
+    this.worstCaseIndicatorValue = 100;
+
+    // Minimum number of peer countries needed before a proxy estimate is trusted
+    this.minProxyPeers = 3;
     
     // Step 2: HRDD Strategy defaults - representing supplier base coverage percentages
     this.defaultHRDDStrategy = [10, 10, 25, 60, 80, 90]; // Coverage percentages: Worker voice is rare, trusting approaches are common
     this.defaultTransparencyEffectiveness = [90, 45, 25, 15, 12, 5]; // Base effectiveness rates
 
+    // Coverage for deeper supply chain tiers, keyed by tier (see SUPPLY_CHAIN_TIERS).
+    // Tier 1 uses the strategy above; tools reach processors and raw material suppliers far less often.
+    this.defaultTierHRDDStrategies = {
+      2: [2, 5, 10, 20, 30, 40],
+      3: [1, 2, 3, 5, 10, 15]
+    };
+
     // Step 3: Responsiveness Strategy defaults
     this.defaultResponsivenessStrategy = [35, 5, 20, 20, 10, 5]; // Portfolio of response levers from weakest to strongest
     this.defaultResponsivenessEffectiveness = [75, 80, 35, 25, 15, 5]; // Mid-point response effectiveness assumptions in percentages
@@ -30,6 +64,44 @@ export class RiskEngine {
     // Resource conservation settings
     this.maxResourceExpansion = 0.3; // 30% maximum allowed resource increase
 
+    // Extra coverage for countries at or above minRisk once focus passes minFocus. It grows
+    // with risk over riskRange and with focus up to 1, to at most maxBoost.
+    this.highRiskCoverageBoost = { minFocus: 0.3, minRisk: 40, riskRange: 40, maxBoost: 0.3 };
+
+    // Very high-risk countries take the portfolio focus multiplier with a bonus:
+    // Fᵢ = F₀ · [1 + (f - minFocus) · rate] when f > minFocus and bᵢ ≥ minRisk
+    this.highRiskFocusBonus = { minFocus: 0.6, minRisk: 70, rate: 0.5 };
+
+    // Bounds on managed risk: the reduction factor is capped at maxCap for a risk of 0 down
+    // to minCap for a risk of 100, and managedRiskFloor of the country risk always remains
+    this.effectivenessCap = { minCap: 0.50, maxCap: 0.70 };
+    this.managedRiskFloor = 0.25;
+
+    // Detection by tool category: each tool detects at the mean of its base rate and the
+    // Panel 3 effectiveness, tools combine within a category, and categories combine by
+    // weight up to maxTransparency
+    this.transparencyToolCategories = [
+      {
+        name: 'Worker Voice',
+        tools: [0, 1],
+        baseEffectiveness: [0.90, 0.45],
+        categoryWeight: 1.0
+      },
+      {
+        name: 'Audit',
+        tools: [2, 3],
+        baseEffectiveness: [0.25, 0.15],
+        categoryWeight: 0.85
+      },
+      {
+        name: 'SAQ',
+        tools: [4, 5],
+        baseEffectiveness: [0.12, 0.05],
+        categoryWeight: 0.70
+      }
+    ];
+    this.maxTransparency = 0.90;
+
     // Strategy labels
     this.hrddStrategyLabels = [
       'Continuous Worker Voice',
@@ -162,20 +234,32 @@ export class RiskEngine {
     const safeFocus = Number.isFinite(focus) ? Math.max(0, Math.min(1, focus)) : 0;
     const gamma = this.focusConcentrationWeight;
     
+    const { minFocus, minRisk, rate } = this.highRiskFocusBonus;
+
     // Mathematical specification:
     // If f > 0.6 AND bᵢ ≥ 70:
     //   Fᵢ = F₀ · [1 + (f-0.6) · 0.5]
     // Else:
     //   Fᵢ = (1 - f · γ) + f · γ · rᵢ'
     
-    if (safeFocus > 0.6 && countryRisk >= 70) {
-      const highRiskBonus = 1 + (safeFocus - 0.6) * 0.5;
+    if (safeFocus > minFocus && countryRisk >= minRisk) {
+      const highRiskBonus = 1 + (safeFocus - minFocus) * rate;
       return portfolioFocusMultiplier * highRiskBonus;
     } else {
       return (1 - safeFocus * gamma) + safeFocus * gamma * biasedRiskRatio;
     }
   }
 
+  // Coverage multiplier for higher-risk countries: 1 below the thresholds, rising to
+  // 1 + maxBoost at minRisk + riskRange and full focus
+  calculateHighRiskCoverageBoost(countryRisk, focus) {
+    const { minFocus, minRisk, riskRange, maxBoost } = this.highRiskCoverageBoost;
+    if (!(focus > minFocus && countryRisk >= minRisk)) return 1;
+    const riskNormalized = Math.min(1, (countryRisk - minRisk) / riskRange); // 0 to 1 for risks 40-80
+    const focusNormalized = Math.min(1, (focus - minFocus) / (1 - minFocus)); // 0 to 1 for focus 0.3-1.0
+    return 1 + riskNormalized * focusNormalized * maxBoost;
+  }
+
   // Calculate resource conservation factor
   calculateResourceConservationFactor(selectedCountries, countryVolumes, countryRisks, hrddStrategy, focus) {
     if (!Array.isArray(selectedCountries) || selectedCountries.length === 0) {
@@ -214,12 +298,7 @@ export class RiskEngine {
         let riskAdjustmentFactor = (1 - focus) + focus * biasedRiskRatio;
         
         // MODIFIED: Gradual high-risk boost instead of sharp threshold
-        if (focus > 0.3 && countryRisk >= 40) {
-          const riskNormalized = Math.min(1, (countryRisk - 40) / 40); // 0 to 1 for risks 40-80
-          const focusNormalized = Math.min(1, (focus - 0.3) / 0.7); // 0 to 1 for focus 0.3-1.0
-          const boostFactor = 1 + (riskNormalized * focusNormalized * 0.3); // Max 30% boost
-          riskAdjustmentFactor *= boostFactor;
-        }
+        riskAdjustmentFactor *= this.calculateHighRiskCoverageBoost(countryRisk, focus);
         
         const adjustedCoverage = originalCoverage * riskAdjustmentFactor;
         
@@ -293,12 +372,7 @@ export class RiskEngine {
         let adjustedValue = toolCoverage * baseCoverageAdjustment;
         
         // MODIFIED: Apply gradual high-risk boost instead of sharp threshold
-        if (safeFocus > 0.3 && countryRisk >= 40) {
-          const riskNormalized = Math.min(1, (countryRisk - 40) / 40); // 0 to 1 for risks 40-80
-          const focusNormalized = Math.min(1, (safeFocus - 0.3) / 0.7); // 0 to 1 for focus 0.3-1.0
-          const boostFactor = 1 + (riskNormalized * focusNormalized * 0.3); // Max 30% boost (reduced from 80%)
-          adjustedValue *= boostFactor;
-        }
+        adjustedValue *= this.calculateHighRiskCoverageBoost(countryRisk, safeFocus);
         
         // Apply resource conservation factor (ηᵢ)
         const conservationFactor = resourceConservationFactors[countryCode] && 
@@ -323,8 +397,7 @@ export class RiskEngine {
     const baselineNormalized = Math.min(1, Math.max(0, countryRisk / 100)); // 0 to 1
     
     // Strengthened progressive cap: High-risk countries (80+) max 50% reduction, low-risk countries (20-) max 70% reduction
-    const minCap = 0.50; // Strengthened from 0.65 to 0.50
-    const maxCap = 0.70; // Strengthened from 0.85 to 0.70
+    const { minCap, maxCap } = this.effectivenessCap;
     
     return maxCap - (maxCap - minCap) * (baselineNormalized);
   }
@@ -489,7 +562,7 @@ export class RiskEngine {
       let managedValue = Math.max(0, countryRisk * (1 - cappedReductionFactor));
       
       // MODIFIED: Increased risk floor to prevent extreme reductions
-      const riskFloor = countryRisk * 0.25; // Increased from 0.12 to 0.25 (25% minimum retention)
+      const riskFloor = countryRisk * this.managedRiskFloor; // 25% minimum retention
       managedValue = Math.max(managedValue, riskFloor);
       
       managedRisksByCountry[countryCode] = managedValue;
@@ -521,7 +594,7 @@ export class RiskEngine {
       if (current.managed >= previous.managed) {
         // Force current country to have lower managed risk than previous
         const correctedManagedRisk = Math.max(
-          current.baseline * 0.25, // Still respect the 25% floor
+          current.baseline * this.managedRiskFloor, // Still respect the 25% floor
           previous.managed - 0.5    // But ensure it's lower than the previous
         );
         managedRisksByCountry[current.code] = correctedManagedRisk;
@@ -595,27 +668,294 @@ export class RiskEngine {
   }
 
   // Step 1: Calculate weighted risk score for a country
-  calculateWeightedRisk(countryData, weights = this.defaultWeights) {
-    const values = [
-      countryData.itucRightsRating,
-      countryData.corruptionIndex,
-      countryData.freedomRating,
-      countryData.wjpIndex,
-      countryData.walkfreeSlaveryIndex
+  calculateWeightedRisk(countryData, weights = this.defaultWeights, options = {}) {
+    return this.calculateWeightedRiskDetails(countryData, weights, options).score;
+  }
+
+  // Missing indicators are null; zero is a genuine score
+  hasIndicatorValue(value) {
+    return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+  }
+
+  normalizeImputationStrategy(strategy) {
+    return Object.prototype.hasOwnProperty.call(this.imputationStrategies, strategy)
+      ? strategy
+      : this.defaultImputationStrategy;
+  }
+
+  // Mean of each indicator across the countries in each region, for regional-mean imputation
+  calculateRegionalIndicatorMeans(countries) {
+    const totals = {};
+
+    (Array.isArray(countries) ? countries : []).forEach(country => {
+      if (country?.isImputed) return;
+      const region = getCountryRegion(country?.isoCode);
+      if (!region) return;
+
+      INDICATORS.forEach(({ id }) => {
+        if (!this.hasIndicatorValue(country[id])) return;
+        totals[region] = totals[region] || {};
+        const entry = totals[region][id] || { sum: 0, count: 0 };
+        entry.sum += Number(country[id]);
+        entry.count += 1;
+        totals[region][id] = entry;
+      });
+    });
+
+    return Object.entries(totals).reduce((acc, [region, indicators]) => {
+      acc[region] = {};
+      Object.entries(indicators).forEach(([id, { sum, count }]) => {
+        acc[region][id] = sum / count;
+      });
+      return acc;
+    }, {});
+  }
+
+  // Proxy record for an economy missing from the dataset: the per-indicator mean of peers in the
+  // same region and income group, widening to region-only and then income-only when peers are scarce.
+  estimateProxyCountry(isoCode, referenceCountries) {
+    const classification = getCountryClassification(isoCode);
+    if (!classification) return null;
+
+    const classifiedPeers = (Array.isArray(referenceCountries) ? referenceCountries : [])
+      .filter(country => country && !country.isImputed && country.isoCode !== classification.isoCode)
+      .map(country => ({ country, classification: getCountryClassification(country.isoCode) }))
+      .filter(entry => entry.classification);
+
+    const tiers = [
+      { basis: 'region-income', matches: peer => peer.region === classification.region && peer.incomeGroup === classification.incomeGroup },
+      { basis: 'region', matches: peer => peer.region === classification.region },
+      { basis: 'income', matches: peer => peer.incomeGroup === classification.incomeGroup }
     ];
 
+    for (const tier of tiers) {
+      const peers = classifiedPeers.filter(entry => tier.matches(entry.classification)).map(entry => entry.country);
+      if (peers.length < this.minProxyPeers) continue;
+
+      const record = {
+        name: classification.name,
+        isoCode: classification.isoCode,
+        isImputed: true,
+        proxy: {
+          basis: tier.basis,
+          region: classification.region,
+          incomeGroup: classification.incomeGroup,
+          peerCount: peers.length,
+          peers: peers.map(peer => peer.isoCode)
+        }
+      };
+
+      INDICATORS.forEach(({ id }) => {
+        const values = peers.map(peer => peer[id]).filter(value => this.hasIndicatorValue(value)).map(Number);
+        record[id] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+      });
+
+      return record;
+    }
+
+    return null;
+  }
+
+  // Proxy records for every classified economy that the dataset does not cover
+  buildProxyCountries(countries) {
+    const covered = new Set((Array.isArray(countries) ? countries : []).map(country => country?.isoCode));
+    return CLASSIFIED_ISO_CODES
+      .filter(isoCode => !covered.has(isoCode))
+      .map(isoCode => this.estimateProxyCountry(isoCode, countries))
+      .filter(Boolean);
+  }
+
+  // Records for the sub-national units of countries in the list. Each inherits its parent's
+  // indicator values, applies its adjustment's overrides (0-100, higher is worse) and carries
+  // its risk multiplier. `adjustments` is keyed by unit code, as /api/subnational-units returns it.
+  buildSubnationalRecords(countries, adjustments = {}) {
+    const countriesByIso = new Map(
+      (Array.isArray(countries) ? countries : [])
+        .filter(country => country && !country.isSubnational)
+        .map(country => [country.isoCode, country])
+    );
+
+    return SUBNATIONAL_UNITS
+      .filter(unit => countriesByIso.has(unit.parentIsoCode))
+      .map(unit => {
+        const parent = countriesByIso.get(unit.parentIsoCode);
+        const adjustment = adjustments?.[unit.code];
+        const multiplier = Number(adjustment?.riskMultiplier);
+        const record = {
+          name: `${parent.name} – ${unit.name}`,
+          isoCode: unit.code,
+          parentIsoCode: parent.isoCode,
+          isSubnational: true,
+          subdivisionName: unit.name,
+          riskMultiplier: Number.isFinite(multiplier) && multiplier > 0 ? multiplier : 1,
+          overriddenIndicators: []
+        };
+
+        if (parent.year !== undefined) record.year = parent.year;
+        if (parent.isImputed) {
+          record.isImputed = true;
+          record.proxy = parent.proxy;
+        }
+
+        INDICATORS.forEach(({ id }) => {
+          const override = adjustment?.overrides?.[id];
+          if (this.hasIndicatorValue(override)) {
+            record[id] = Math.max(0, Math.min(100, Number(override)));
+            record.overriddenIndicators.push(id);
+          } else {
+            record[id] = parent[id] ?? null;
+          }
+        });
+
+        return record;
+      });
+  }
+
+  getProxyBasisLabel(proxy) {
+    if (!proxy) return '';
+    const region = getRegionLabel(proxy.region);
+    const income = (getIncomeGroupLabel(proxy.incomeGroup) || '').toLowerCase();
+    if (proxy.basis === 'region-income') return `${region}, ${income}`;
+    if (proxy.basis === 'region') return region;
+    return income;
+  }
+
+  getCountryDisplayName(country) {
+    if (!country) return '';
+    return country.isImputed ? `${country.name} (estimated)` : country.name;
+  }
+
+  imputeIndicatorValue(indicatorId, strategy, region, regionalMeans) {
+    if (strategy === 'worst-case') {
+      return this.worstCaseIndicatorValue;
+    }
+    if (strategy === 'regional-mean') {
+      const mean = region ? regionalMeans?.[region]?.[indicatorId] : undefined;
+      return Number.isFinite(mean) ? mean : null;
+    }
+    return null;
+  }
+
+  // Weighted score plus a data-completeness record. Missing indicators are imputed per
+  // the strategy; anything left unresolved drops out and the remaining weights renormalise.
+  // `values` holds the value scored for each indicator (null when dropped) and `baseScore`
+  // the weighted mean before any sub-national multiplier.
+  calculateWeightedRiskDetails(countryData, weights = this.defaultWeights, { imputationStrategy, regionalMeans = null } = {}) {
+    const weightsById = normalizeIndicatorWeights(weights, this.defaultWeights);
+    const strategy = this.normalizeImputationStrategy(imputationStrategy);
+    const region = getCountryRegion(countryData?.parentIsoCode || countryData?.isoCode);
+
     let weightedSum = 0;
     let totalWeight = 0;
+    const missing = [];
+    const imputed = [];
+    const values = {};
+
+    INDICATORS.forEach(({ id }) => {
+      let value = countryData?.[id];
+      values[id] = null;
+
+      if (!this.hasIndicatorValue(value)) {
+        missing.push(id);
+        value = this.imputeIndicatorValue(id, strategy, region, regionalMeans);
+        if (value === null) return;
+        imputed.push(id);
+      }
+
+      values[id] = Number(value);
+      weightedSum += Number(value) * weightsById[id];
+      totalWeight += weightsById[id];
+    });
+
+    const total = INDICATORS.length;
+    const baseScore = totalWeight > 0 ? weightedSum / totalWeight : 0;
+    const multiplier = Number.isFinite(countryData?.riskMultiplier) ? countryData.riskMultiplier : 1;
+    const score = Math.max(0, Math.min(100, baseScore * multiplier));
+    const subnational = countryData?.isSubnational
+      ? {
+          parentIsoCode: countryData.parentIsoCode,
+          riskMultiplier: multiplier,
+          overridden: Array.isArray(countryData.overriddenIndicators) ? [...countryData.overriddenIndicators] : []
+        }
+      : null;
+
+    // Proxy records carry no observed data of their own
+    if (countryData?.isImputed) {
+      return {
+        score,
+        baseScore,
+        values,
+        completeness: {
+          available: 0,
+          total,
+          ratio: 0,
+          missing: INDICATORS.map(({ id }) => id),
+          imputed: INDICATORS.map(({ id }) => id).filter(id => !missing.includes(id)),
+          strategy: 'proxy',
+          region,
+          proxy: countryData.proxy || null,
+          ...(subnational ? { subnational } : {})
+        }
+      };
+    }
+
+    const available = total - missing.length;
 
-    // Only include values that are greater than 0 (ignore zero values)
-    for (let i = 0; i < values.length; i++) {
-      if (values[i] > 0) {
-        weightedSum += values[i] * weights[i];
-        totalWeight += weights[i];
+    return {
+      score,
+      baseScore,
+      values,
+      completeness: {
+        available,
+        total,
+        ratio: total > 0 ? available / total : 0,
+        missing,
+        imputed,
+        strategy,
+        region,
+        ...(subnational ? { subnational } : {})
       }
+    };
+  }
+
+  // Short human-readable summary used by map tooltips and the PDF report
+  describeDataCompleteness(completeness) {
+    if (!completeness || !Number.isFinite(completeness.total)) {
+      return 'Data completeness unknown';
+    }
+
+    if (completeness.proxy) {
+      return `Estimated from ${completeness.proxy.peerCount} ${this.getProxyBasisLabel(completeness.proxy)} peers`;
     }
 
-    return totalWeight > 0 ? weightedSum / totalWeight : 0;
+    const base = `${completeness.available}/${completeness.total} indicators${this.describeSubnationalAdjustment(completeness.subnational)}`;
+    const imputedCount = Array.isArray(completeness.imputed) ? completeness.imputed.length : 0;
+    const missingCount = Array.isArray(completeness.missing) ? completeness.missing.length : 0;
+
+    if (imputedCount > 0) {
+      const method = completeness.strategy === 'regional-mean'
+        ? `${getRegionLabel(completeness.region) || 'regional'} mean`
+        : (this.imputationStrategies[completeness.strategy] || completeness.strategy).toLowerCase();
+      return `${base} (${imputedCount} imputed: ${method})`;
+    }
+
+    if (missingCount > 0) {
+      return `${base} (${missingCount} missing, weights renormalised)`;
+    }
+
+    return base;
+  }
+
+  describeSubnationalAdjustment(subnational) {
+    if (!subnational) return '';
+    const parts = [];
+    if (subnational.overridden?.length > 0) {
+      parts.push(`${subnational.overridden.length} unit override${subnational.overridden.length === 1 ? '' : 's'}`);
+    }
+    if (subnational.riskMultiplier !== 1) {
+      parts.push(`×${subnational.riskMultiplier} unit multiplier`);
+    }
+    return parts.length > 0 ? `, ${parts.join(', ')}` : `, national values for ${subnational.parentIsoCode}`;
   }
 
   // Step 1: Calculate portfolio risk metrics including baseline risk and concentration factor
@@ -675,14 +1015,31 @@ export class RiskEngine {
   }
 
   // Step 1: Generate a detailed baseline summary for the current selection
-  generateBaselineSummary(selectedCountries, countries, countryRisks, countryVolumes) {
+  // Country x sector risk for each selected portfolio line; other countries keep their country risk
+  applySectorMultipliers(countryRisks, selectedCountries, countrySectors) {
+    const adjusted = { ...(countryRisks && typeof countryRisks === 'object' ? countryRisks : {}) };
+    const sectors = normalizeCountrySectors(countrySectors);
+
+    (Array.isArray(selectedCountries) ? selectedCountries : []).forEach(code => {
+      const risk = adjusted[code];
+      if (!Number.isFinite(risk)) return;
+      adjusted[code] = Math.max(0, Math.min(100, risk * getSectorMultiplier(sectors[code])));
+    });
+
+    return adjusted;
+  }
+
+  // countryRisks are plain country risks; countrySectors (optional) applies each line's sector multiplier
+  generateBaselineSummary(selectedCountries, countries, countryRisks, countryVolumes, countrySectors = null) {
     const safeSelected = Array.isArray(selectedCountries)
       ? selectedCountries
         .map(code => typeof code === 'string' ? code.trim().toUpperCase() : '')
         .filter(Boolean)
       : [];
 
-    const safeCountryRisks = (countryRisks && typeof countryRisks === 'object') ? countryRisks : {};
+    const plainCountryRisks = (countryRisks && typeof countryRisks === 'object') ? countryRisks : {};
+    const safeSectors = normalizeCountrySectors(countrySectors);
+    const safeCountryRisks = this.applySectorMultipliers(plainCountryRisks, safeSelected, safeSectors);
     const safeCountryVolumes = (countryVolumes && typeof countryVolumes === 'object') ? countryVolumes : {};
     const safeCountryList = Array.isArray(countries) ? countries : [];
 
@@ -722,7 +1079,7 @@ export class RiskEngine {
       };
     }
 
-    const metrics = this.calculatePortfolioMetrics(safeSelected, countryVolumes, countryRisks);
+    const metrics = this.calculatePortfolioMetrics(safeSelected, countryVolumes, safeCountryRisks);
     const baselineRisk = Number.isFinite(metrics?.baselineRisk) ? metrics.baselineRisk : 0;
     const totalVolume = Number.isFinite(metrics?.totalVolume) ? metrics.totalVolume : 0;
     const riskConcentration = Number.isFinite(metrics?.riskConcentration) && metrics.riskConcentration > 0
@@ -735,11 +1092,16 @@ export class RiskEngine {
       const countryInfo = countryLookup[code] || {};
       const portfolioShare = totalVolume > 0 ? (volume / totalVolume) * 100 : 0;
       const band = this.getRiskBand(risk);
+      const sector = getSector(safeSectors[code]);
 
       return {
         isoCode: code,
         name: typeof countryInfo.name === 'string' ? countryInfo.name : code,
         region: countryInfo.region || countryInfo.subRegion || null,
+        sector: sector.id,
+        sectorLabel: sector.label,
+        sectorMultiplier: sector.multiplier,
+        countryRisk: Number.isFinite(plainCountryRisks[code]) ? plainCountryRisks[code] : 0,
         risk,
         riskBand: band,
         riskColor: this.getRiskColor(risk),
@@ -810,28 +1172,9 @@ export class RiskEngine {
       return 0;
     }
 
-    const toolCategories = [
-      {
-        name: 'Worker Voice',
-        tools: [0, 1],
-        baseEffectiveness: [0.90, 0.45],
-        categoryWeight: 1.0
-      },
-      {
-        name: 'Audit',
-        tools: [2, 3],
-        baseEffectiveness: [0.25, 0.15],
-        categoryWeight: 0.85
-      },
-      {
-        name: 'SAQ',
-        tools: [4, 5],
-        baseEffectiveness: [0.12, 0.05],
-        categoryWeight: 0.70
-      }
-    ];
+    const toolCategories = this.transparencyToolCategories;
 
-    const maxTransparency = 0.90;
+    const maxTransparency = this.maxTransparency;
     let combinedTransparency = 0;
 
     toolCategories.forEach(category => {
@@ -891,28 +1234,9 @@ export class RiskEngine {
       return 0;
     }
 
-    const toolCategories = [
-      {
-        name: 'Worker Voice',
-        tools: [0, 1],
-        baseEffectiveness: [0.90, 0.45],
-        categoryWeight: 1.0
-      },
-      {
-        name: 'Audit',
-        tools: [2, 3],
-        baseEffectiveness: [0.25, 0.15],
-        categoryWeight: 0.85
-      },
-      {
-        name: 'SAQ',
-        tools: [4, 5],
-        baseEffectiveness: [0.12, 0.05],
-        categoryWeight: 0.70
-      }
-    ];
+    const toolCategories = this.transparencyToolCategories;
 
-    const maxTransparency = 0.90;
+    const maxTransparency = this.maxTransparency;
     let combinedTransparency = 0;
 
     toolCategories.forEach(category => {
@@ -1011,10 +1335,157 @@ export class RiskEngine {
     return ((baselineRisk - managedRisk) / baselineRisk) * 100;
   }
 
+  // Coverage for each deeper tier, falling back to the defaults for missing tiers or tools
+  sanitizeTierHRDDStrategies(tierStrategies = null) {
+    return Object.fromEntries(Object.entries(this.defaultTierHRDDStrategies).map(([tier, defaults]) => {
+      const input = Array.isArray(tierStrategies?.[tier]) ? tierStrategies[tier] : [];
+      return [tier, defaults.map((fallback, index) => {
+        const value = Number(input[index]);
+        return Number.isFinite(value) && input[index] !== null && input[index] !== ''
+          ? Math.max(0, Math.min(100, value))
+          : fallback;
+      })];
+    }));
+  }
+
+  // Baseline and managed risk per supply chain tier, and combined. `tierPortfolios` is
+  // [{ tier, label, supplierCount, selectedCountries, countryVolumes }] (see
+  // deriveTierPortfolios). Each tier is scored on the same country risks with its own
+  // coverage (tier 1 uses hrddStrategy), then tiers are combined weighted by volume.
+  calculateTierRiskBreakdown(
+    tierPortfolios,
+    countryRisks,
+    hrddStrategy,
+    tierHRDDStrategies,
+    transparencyEffectiveness,
+    responsivenessStrategy,
+    responsivenessEffectiveness,
+    focus = this.defaultFocus ?? 0
+  ) {
+    const portfolios = Array.isArray(tierPortfolios)
+      ? tierPortfolios.filter(portfolio => Array.isArray(portfolio?.selectedCountries) && portfolio.selectedCountries.length > 0)
+      : [];
+    if (portfolios.length === 0) return null;
+
+    const tierStrategies = this.sanitizeTierHRDDStrategies(tierHRDDStrategies);
+    // A country sourced at several tiers takes its volume-weighted managed risk across them
+    const countryTotals = {};
+    const tiers = portfolios.map(({ tier, label, supplierCount, selectedCountries, countryVolumes }) => {
+      const strategy = tier > 1 && tierStrategies[tier] ? tierStrategies[tier] : hrddStrategy;
+      const details = this.calculateManagedRiskDetails(
+        selectedCountries,
+        countryVolumes,
+        countryRisks,
+        strategy,
+        transparencyEffectiveness,
+        responsivenessStrategy,
+        responsivenessEffectiveness,
+        focus
+      );
+      const volume = selectedCountries.reduce((sum, countryCode) => {
+        const value = countryVolumes?.[countryCode];
+        return sum + (Number.isFinite(value) ? value : 0);
+      }, 0);
+
+      Object.entries(details.countryManagedRisks).forEach(([countryCode, risk]) => {
+        const countryVolume = Number.isFinite(countryVolumes?.[countryCode]) ? countryVolumes[countryCode] : 0;
+        const total = countryTotals[countryCode] || (countryTotals[countryCode] = { weightedRisk: 0, volume: 0, risks: [] });
+        total.weightedRisk += risk * countryVolume;
+        total.volume += countryVolume;
+        total.risks.push(risk);
+      });
+
+      return {
+        tier,
+        label,
+        supplierCount,
+        countryCount: selectedCountries.length,
+        volume,
+        hrddStrategy: [...strategy],
+        baselineRisk: details.baselineRisk,
+        managedRisk: details.managedRisk,
+        riskReduction: this.calculateRiskReduction(details.baselineRisk, details.managedRisk)
+      };
+    });
+
+    const totalVolume = tiers.reduce((sum, tier) => sum + tier.volume, 0);
+    tiers.forEach(tier => {
+      tier.volumeShare = totalVolume > 0 ? tier.volume / totalVolume : 1 / tiers.length;
+    });
+
+    const combine = field => tiers.reduce((sum, tier) => sum + tier[field] * tier.volumeShare, 0);
+    const baselineRisk = combine('baselineRisk');
+    const managedRisk = combine('managedRisk');
+
+    const countryManagedRisks = Object.fromEntries(Object.entries(countryTotals).map(([countryCode, total]) => [
+      countryCode,
+      total.volume > 0
+        ? total.weightedRisk / total.volume
+        : total.risks.reduce((sum, risk) => sum + risk, 0) / total.risks.length
+    ]));
+
+    return {
+      tiers,
+      combined: {
+        baselineRisk,
+        managedRisk,
+        riskReduction: this.calculateRiskReduction(baselineRisk, managedRisk),
+        countryManagedRisks
+      }
+    };
+  }
+
+  // calculateManagedRiskDetails for the whole portfolio, or the combined tier figures when
+  // there is a supplier list: `tierScoring` is { tierPortfolios, tierHRDDStrategies } as
+  // taken by calculateTierRiskBreakdown, with hrddStrategy as tier 1 coverage
+  calculatePortfolioManagedRiskDetails(
+    selectedCountries,
+    countryVolumes,
+    countryRisks,
+    hrddStrategy,
+    transparencyEffectiveness,
+    responsivenessStrategy,
+    responsivenessEffectiveness,
+    focus,
+    tierScoring = null
+  ) {
+    const breakdown = tierScoring
+      ? this.calculateTierRiskBreakdown(
+        tierScoring.tierPortfolios,
+        countryRisks,
+        hrddStrategy,
+        tierScoring.tierHRDDStrategies,
+        transparencyEffectiveness,
+        responsivenessStrategy,
+        responsivenessEffectiveness,
+        focus
+      )
+      : null;
+    if (!breakdown) {
+      return this.calculateManagedRiskDetails(
+        selectedCountries,
+        countryVolumes,
+        countryRisks,
+        hrddStrategy,
+        transparencyEffectiveness,
+        responsivenessStrategy,
+        responsivenessEffectiveness,
+        focus
+      );
+    }
+    const { baselineRisk, managedRisk, countryManagedRisks } = breakdown.combined;
+    return { baselineRisk, managedRisk, countryManagedRisks };
+  }
+
   // Determine risk band based on score
   getRiskBand(score) {
-    for (const [band, definition] of Object.entries(this.riskBands)) {
-      if (score >= definition.min && score <= definition.max) {
+    const bands = Object.entries(this.riskBands);
+    for (let i = 0; i < bands.length; i++) {
+      const [band, definition] = bands[i];
+      // Bands are contiguous: each runs up to (not including) the next band's minimum
+      const nextBand = bands[i + 1];
+      const withinUpperBound = nextBand ? score < nextBand[1].min : score <= definition.max;
+      if (score >= definition.min && withinUpperBound) {
         return band;
       }
     }
@@ -1038,14 +1509,14 @@ export class RiskEngine {
 
   // Validation methods
   validateWeights(weights) {
-    if (!Array.isArray(weights) || weights.length !== 5) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
       return false;
     }
-    
-    return weights.every(weight => 
-      typeof weight === 'number' && 
-      weight >= 0 && 
-      weight <= 50
+
+    return INDICATORS.every(({ id }) =>
+      typeof weights[id] === 'number' &&
+      weights[id] >= 0 &&
+      weights[id] <= 50
     );
   }
 
@@ -1187,26 +1658,7 @@ export class RiskEngine {
       ? this.calculateCountrySpecificCoverage(safeSelectedCountries, countryVolumes, countryRisks, normalizedStrategy, sanitizedFocus)
       : null;
 
-    const toolCategories = [
-      {
-        name: 'Worker Voice',
-        tools: [0, 1],
-        baseEffectiveness: [0.90, 0.45],
-        categoryWeight: 1.0
-      },
-      {
-        name: 'Audit',
-        tools: [2, 3],
-        baseEffectiveness: [0.25, 0.15],
-        categoryWeight: 0.85
-      },
-      {
-        name: 'SAQ',
-        tools: [4, 5],
-        baseEffectiveness: [0.12, 0.05],
-        categoryWeight: 0.70
-      }
-    ];
+    const toolCategories = this.transparencyToolCategories;
 
     const breakdown = {
       hrddStrategies: [],
@@ -1324,7 +1776,9 @@ export class RiskEngine {
     };
   }
 
-  // Generate risk assessment summary with country-specific data
+  // Generate risk assessment summary with country-specific data. With a supplier list,
+  // pass its calculateTierRiskBreakdown result: the managed figures are then the combined
+  // tier figures, each tier scored with its own coverage
   generateRiskSummary(
     baselineRisk,
     managedRisk,
@@ -1336,7 +1790,8 @@ export class RiskEngine {
     focus = 0,
     riskConcentration = 1,
     countryVolumes = null,
-    countryRisks = null
+    countryRisks = null,
+    tierRiskBreakdown = null
   ) {
     const safeSelectedCountries = Array.isArray(selectedCountries) ? selectedCountries : [];
 
@@ -1352,8 +1807,10 @@ export class RiskEngine {
         responsivenessEffectiveness,
         focus
       );
+      const tierCombined = tierRiskBreakdown?.combined || null;
+      const managedScore = tierCombined ? tierCombined.managedRisk : details.managedRisk;
 
-      const riskReduction = this.calculateRiskReduction(details.baselineRisk, details.managedRisk);
+      const riskReduction = this.calculateRiskReduction(details.baselineRisk, managedScore);
       const breakdown = this.getStrategyBreakdown(
         hrddStrategy,
         transparencyEffectiveness,
@@ -1373,14 +1830,14 @@ export class RiskEngine {
           color: this.getRiskColor(details.baselineRisk)
         },
         managed: {
-          score: details.managedRisk,
-          band: this.getRiskBand(details.managedRisk),
-          color: this.getRiskColor(details.managedRisk)
+          score: managedScore,
+          band: this.getRiskBand(managedScore),
+          color: this.getRiskColor(managedScore)
         },
         improvement: {
           riskReduction: riskReduction,
-          absoluteReduction: details.baselineRisk - details.managedRisk,
-          isImprovement: details.managedRisk < details.baselineRisk
+          absoluteReduction: details.baselineRisk - managedScore,
+          isImprovement: managedScore < details.baselineRisk
         },
         portfolio: {
           countriesSelected: selectedCountries.length,
@@ -1389,7 +1846,7 @@ export class RiskEngine {
         },
         strategy: breakdown,
         focusEffectiveness: details.focusEffectivenessMetrics,
-        countryManagedRisks: details.countryManagedRisks
+        countryManagedRisks: tierCombined ? tierCombined.countryManagedRisks : details.countryManagedRisks
       };
     }
 
@@ -1429,6 +1886,71 @@ export class RiskEngine {
     };
   }
 
+  // Which data produced a set of numbers: dataset version and hashes from the API plus
+  // the edition year and the source year of each indicator. `dataset` is null when
+  // running on demo data.
+  buildDatasetStamp(dataset = null, dataYear = null) {
+    const { datasetVersion = null, sourceHash = null, contentHash = null } = dataset || {};
+    return {
+      datasetVersion: Number.isInteger(datasetVersion) ? datasetVersion : null,
+      sourceHash: typeof sourceHash === 'string' ? sourceHash : null,
+      contentHash: typeof contentHash === 'string' ? contentHash : null,
+      dataYear: Number.isInteger(dataYear) ? dataYear : null,
+      indicatorSourceYears: INDICATORS.reduce((acc, { id, year }) => {
+        acc[id] = year;
+        return acc;
+      }, {})
+    };
+  }
+
+  // Stamps also arrive from saved assessments and imported files, so only integers and
+  // hex hashes are described; anything else is left out of the text
+  describeDatasetStamp(stamp) {
+    if (!stamp || typeof stamp !== 'object') return 'dataset not recorded';
+    const parts = [
+      Number.isInteger(stamp.datasetVersion)
+        ? `dataset version ${stamp.datasetVersion}`
+        : 'bundled dataset'
+    ];
+    if (Number.isInteger(stamp.dataYear)) parts.push(`${stamp.dataYear} edition`);
+    const hash = [stamp.contentHash, stamp.sourceHash].find(value => typeof value === 'string' && /^[0-9a-f]+$/i.test(value));
+    if (hash) parts.push(`hash ${hash.slice(0, 12)}`);
+    return parts.join(' · ');
+  }
+
+  // Warning text when a saved assessment was produced from different data than the
+  // current stamp, or null when the data matches (or the save predates stamps)
+  describeDatasetChange(savedStamp, currentStamp) {
+    if (!savedStamp || typeof savedStamp !== 'object' || !currentStamp) return null;
+
+    const reasons = [];
+    if (savedStamp.contentHash && currentStamp.contentHash && savedStamp.contentHash !== currentStamp.contentHash) {
+      reasons.push('the index values have changed');
+    } else if (
+      Number.isInteger(savedStamp.datasetVersion) &&
+      Number.isInteger(currentStamp.datasetVersion) &&
+      savedStamp.datasetVersion !== currentStamp.datasetVersion
+    ) {
+      reasons.push('a different dataset version is active');
+    }
+    if (Number.isInteger(savedStamp.dataYear) && Number.isInteger(currentStamp.dataYear) && savedStamp.dataYear !== currentStamp.dataYear) {
+      reasons.push(`the ${currentStamp.dataYear} edition is loaded instead of ${savedStamp.dataYear}`);
+    }
+    const changedSources = INDICATORS
+      .filter(({ id }) => {
+        const savedYear = savedStamp.indicatorSourceYears?.[id];
+        return Number.isInteger(savedYear) && savedYear !== currentStamp.indicatorSourceYears?.[id];
+      })
+      .map(({ id, shortLabel }) => `${shortLabel} ${savedStamp.indicatorSourceYears[id]} → ${currentStamp.indicatorSourceYears[id]}`);
+    if (changedSources.length > 0) {
+      reasons.push(`indicator sources were updated (${changedSources.join(', ')})`);
+    }
+
+    if (reasons.length === 0) return null;
+    return `This assessment was saved with ${this.describeDatasetStamp(savedStamp)}. ` +
+      `Since then ${reasons.join('; ')}, so scores may differ from the original results.`;
+  }
+
   // Export configuration for reporting
   exportConfiguration(state) {
     const focusValue = Number.isFinite(state.focus) ? state.focus : 0;
@@ -1441,20 +1963,26 @@ export class RiskEngine {
       metadata: {
         exportDate: new Date().toISOString(),
         version: '6.1',
-        toolName: 'HRDD Risk Assessment Tool - Rank Preservation Enhanced'
+        toolName: 'HRDD Risk Assessment Tool - Rank Preservation Enhanced',
+        dataset: this.buildDatasetStamp(state.dataset, state.dataYear)
       },
       portfolio: {
         selectedCountries: state.selectedCountries,
         countryVolumes: state.countryVolumes,
-        totalCountries: state.selectedCountries.length
+        totalCountries: state.selectedCountries.length,
+        suppliers: Array.isArray(state.suppliers) ? state.suppliers : []
       },
       step1: {
         weights: state.weights,
         baselineRisk: state.baselineRisk,
-        weightLabels: ['ITUC Rights Rating', 'Corruption Index', 'Freedom Rating', 'WJP Index', 'Walk Free Slavery Index']
+        weightLabels: INDICATORS.reduce((acc, { id, shortLabel }) => {
+          acc[id] = shortLabel;
+          return acc;
+        }, {})
       },
       step2: {
         hrddStrategy: state.hrddStrategy,
+        tierHrddStrategies: this.sanitizeTierHRDDStrategies(state.tierHrddStrategies),
         transparencyEffectiveness: state.transparencyEffectiveness,
         strategyLabels: this.hrddStrategyLabels,
         focus: focusValue,
@@ -1468,6 +1996,7 @@ export class RiskEngine {
         managedRisk: state.managedRisk,
         responsivenessLabels: this.responsivenessLabels
       },
+      tierRiskBreakdown: state.tierRiskBreakdown || null,
       results: this.generateRiskSummary(
         state.baselineRisk,
         state.managedRisk,
@@ -1479,7 +2008,8 @@ export class RiskEngine {
         focusValue,
         riskConcentration,
         state.countryVolumes,
-        state.countryRisks
+        state.countryRisks,
+        state.tierRiskBreakdown
       )
     };
   }
@@ -1505,6 +2035,54 @@ getDefaultCostAssumptions() {
   };
 }
 
+// Per-country supplier counts for the selected countries, or null when the portfolio
+// has no supplier list and costs use the single Panel 6 supplier count
+sanitizeCountrySupplierCounts(countrySupplierCounts, selectedCountries = null) {
+  if (!countrySupplierCounts || typeof countrySupplierCounts !== 'object') {
+    return null;
+  }
+  const codes = Array.isArray(selectedCountries) ? selectedCountries : Object.keys(countrySupplierCounts);
+  const counts = {};
+  codes.forEach(code => {
+    const value = Math.floor(Number(countrySupplierCounts[code]));
+    if (Number.isFinite(value) && value > 0) {
+      counts[code] = value;
+    }
+  });
+  return Object.keys(counts).length > 0 ? counts : null;
+}
+
+// Suppliers reached by each tool or response method at the given coverage percentages.
+// Without per-country counts this is ceil(suppliers x coverage) across the portfolio.
+// With them each country is counted on its own; pass `focusContext`
+// ({ selectedCountries, countryVolumes, countryRisks, focus }) to use the
+// focus-adjusted coverage each country receives rather than the portfolio average.
+calculateSuppliersReached(allocation, supplierCount, countrySupplierCounts = null, focusContext = null) {
+  const safeAllocation = Array.isArray(allocation) ? allocation : [];
+  const toRatio = value => Math.max(0, Math.min(1, (Number.isFinite(value) ? value : 0) / 100));
+
+  if (!countrySupplierCounts) {
+    const safeSupplierCount = Math.max(1, Math.floor(supplierCount || 1));
+    return safeAllocation.map(coverage => Math.ceil(safeSupplierCount * toRatio(coverage)));
+  }
+
+  const countryCoverage = focusContext
+    ? this.calculateCountrySpecificCoverage(
+      focusContext.selectedCountries,
+      focusContext.countryVolumes,
+      focusContext.countryRisks,
+      safeAllocation.map(value => (Number.isFinite(value) ? value : 0)),
+      focusContext.focus
+    )
+    : {};
+
+  return safeAllocation.map((coverage, index) => Object.entries(countrySupplierCounts)
+    .reduce((sum, [countryCode, count]) => {
+      const countryValue = countryCoverage[countryCode]?.[index];
+      return sum + Math.ceil(count * toRatio(Number.isFinite(countryValue) ? countryValue : coverage));
+    }, 0));
+}
+
  calculateBudgetAnalysis(
     supplierCount,
     hourlyRate,
@@ -1519,7 +2097,8 @@ getDefaultCostAssumptions() {
     selectedCountries,
     countryVolumes,
     countryRisks,
-    focus
+    focus,
+    countrySupplierCounts = null
   ) {
 
   // Check if Panel 6 is enabled (this will be available globally)
@@ -1528,7 +2107,11 @@ getDefaultCostAssumptions() {
   }
 
   const defaults = this.getDefaultCostAssumptions();
- const safeSupplierCount = Math.max(1, Math.floor(supplierCount || 1));
+  // A supplier list replaces the single supplier count with real per-country counts
+  const safeCountrySupplierCounts = this.sanitizeCountrySupplierCounts(countrySupplierCounts, selectedCountries);
+  const safeSupplierCount = safeCountrySupplierCounts
+    ? Object.values(safeCountrySupplierCounts).reduce((sum, count) => sum + count, 0)
+    : Math.max(1, Math.floor(supplierCount || 1));
     const safeHourlyRate = Math.max(0, Number.isFinite(hourlyRate) ? hourlyRate : 20);
 
     const toolCount = Array.isArray(this.hrddStrategyLabels)
@@ -1580,10 +2163,22 @@ getDefaultCostAssumptions() {
       return Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : 0;
     });
 
+    const suppliersPerTool = this.calculateSuppliersReached(
+      safeHrddStrategy,
+      safeSupplierCount,
+      safeCountrySupplierCounts,
+      { selectedCountries, countryVolumes, countryRisks, focus }
+    );
+    const suppliersPerResponse = this.calculateSuppliersReached(
+      safeResponsivenessStrategy,
+      safeSupplierCount,
+      safeCountrySupplierCounts
+    );
+
     // Calculate actual deployment per tool based on coverage percentages
     const toolDeployments = safeHrddStrategy.map((coverage, index) => {
       const coverageRatio = Math.max(0, Math.min(1, coverage / 100));
-      const suppliersUsingTool = Math.ceil(safeSupplierCount * coverageRatio);
+      const suppliersUsingTool = suppliersPerTool[index];
 
       const annualProgrammeBase = safeAnnualProgrammeCosts[index] || 0;
       const annualProgrammeCost = annualProgrammeBase * coverageRatio;
@@ -1615,8 +2210,7 @@ getDefaultCostAssumptions() {
     });
 
     const responseDeployments = safeResponsivenessStrategy.map((coverage, index) => {
-      const coverageRatio = Math.max(0, Math.min(1, coverage / 100));
-      const suppliersUsingMethod = Math.ceil(safeSupplierCount * coverageRatio);
+      const suppliersUsingMethod = suppliersPerResponse[index];
       const hoursPerSupplier = safeResponseInternalHours[index] || 0;
 
       const totalInternalCost = suppliersUsingMethod * hoursPerSupplier * safeHourlyRate;
@@ -1641,6 +2235,7 @@ getDefaultCostAssumptions() {
 
     return {
       supplierCount: safeSupplierCount,
+      countrySupplierCounts: safeCountrySupplierCounts,
       hourlyRate: safeHourlyRate,
       totalExternalCost,
       totalInternalCost,
@@ -1682,6 +2277,39 @@ getDefaultCostAssumptions() {
     return Math.abs(sum - 100) <= 0.1; // Allow small floating point errors
   }
 
+  // Result of the last optimizeBudgetAllocation run when it was for these same arguments,
+  // without searching again; null when the inputs have changed since
+  getCachedOptimization(
+    supplierCount,
+    hourlyRate,
+    toolAnnualProgrammeCosts,
+    toolPerSupplierCosts,
+    toolInternalHours,
+    responseInternalHours,
+    hrddStrategy,
+    transparencyEffectiveness,
+    responsivenessStrategy,
+    responsivenessEffectiveness,
+    selectedCountries,
+    countryVolumes,
+    countryRisks,
+    focus,
+    enforceSAQConstraint = false,
+    countrySupplierCounts = null,
+    tierScoring = null
+  ) {
+    if (!this.lastOptimizationState) return null;
+    const stateHash = this.generateOptimizationStateHash({
+      supplierCount, hourlyRate, toolAnnualProgrammeCosts, toolPerSupplierCosts,
+      toolInternalHours, responseInternalHours, hrddStrategy, transparencyEffectiveness,
+      responsivenessStrategy, responsivenessEffectiveness, selectedCountries,
+      countryVolumes, countryRisks, focus, enforceSAQConstraint,
+      countrySupplierCounts: this.sanitizeCountrySupplierCounts(countrySupplierCounts, selectedCountries),
+      tierScoring
+    });
+    return this.lastOptimizationState.stateHash === stateHash ? this.lastOptimizationState.results : null;
+  }
+
   // Enhanced budget optimization algorithm for the RiskEngine class
 // Replace the existing optimizeBudgetAllocation method with this improved version
 
@@ -1706,7 +2334,9 @@ optimizeBudgetAllocation(
   countryVolumes,
   countryRisks,
   focus,
-  enforceSAQConstraint = false // NEW: SAQ constraint parameter
+  enforceSAQConstraint = false, // NEW: SAQ constraint parameter
+  countrySupplierCounts = null,
+  tierScoring = null // with a supplier list, deeper tiers keep their own coverage
 ) {
   // Check if Panel 6 is enabled
   if (typeof window !== 'undefined' && window.hrddApp && !window.hrddApp.ENABLE_PANEL_6) {
@@ -1718,10 +2348,11 @@ optimizeBudgetAllocation(
     supplierCount, hourlyRate, toolAnnualProgrammeCosts, toolPerSupplierCosts,
     toolInternalHours, responseInternalHours, hrddStrategy, transparencyEffectiveness,
     responsivenessStrategy, responsivenessEffectiveness, selectedCountries,
-    countryVolumes, countryRisks, focus
+    countryVolumes, countryRisks, focus, countrySupplierCounts
   );
 
   if (!currentBudget) return null;
+  const safeCountrySupplierCounts = currentBudget.countrySupplierCounts;
 
   // ENHANCED: Stricter budget constraints
   const targetBudget = currentBudget.totalBudget;
@@ -1729,10 +2360,10 @@ optimizeBudgetAllocation(
   const minImprovementThreshold = 0.1; // Minimum 0.1 percentage points improvement in risk reduction
 
   // Calculate current effectiveness baseline
-  const currentDetails = this.calculateManagedRiskDetails(
+  const currentDetails = this.calculatePortfolioManagedRiskDetails(
     selectedCountries, countryVolumes, countryRisks,
     hrddStrategy, transparencyEffectiveness,
-    responsivenessStrategy, responsivenessEffectiveness, focus
+    responsivenessStrategy, responsivenessEffectiveness, focus, tierScoring
   );
 
   const currentRiskReduction = currentDetails.baselineRisk - currentDetails.managedRisk;
@@ -1745,7 +2376,9 @@ optimizeBudgetAllocation(
     supplierCount, hourlyRate, toolAnnualProgrammeCosts, toolPerSupplierCosts,
     toolInternalHours, responseInternalHours, hrddStrategy, transparencyEffectiveness,
     responsivenessStrategy, responsivenessEffectiveness, selectedCountries,
-    countryVolumes, countryRisks, focus, enforceSAQConstraint // Include SAQ constraint in hash
+    countryVolumes, countryRisks, focus, enforceSAQConstraint, // Include SAQ constraint in hash
+    countrySupplierCounts: safeCountrySupplierCounts,
+    tierScoring
   });
 
   // Track whether this is a re-optimization with the exact same inputs
@@ -1759,13 +2392,20 @@ optimizeBudgetAllocation(
   // ENHANCED: Improved cost calculation with strict budget enforcement
   const calculateAllocationCost = (toolAllocation, responseAllocation) => {
     let totalCost = 0;
-    const safeSupplierCount = Math.max(1, Math.floor(supplierCount));
+    const safeSupplierCount = currentBudget.supplierCount;
     const safeHourlyRate = Math.max(0, parseFloat(hourlyRate) || 0);
+    const suppliersPerTool = this.calculateSuppliersReached(
+      toolAllocation, safeSupplierCount, safeCountrySupplierCounts,
+      { selectedCountries, countryVolumes, countryRisks, focus }
+    );
+    const suppliersPerResponse = this.calculateSuppliersReached(
+      responseAllocation, safeSupplierCount, safeCountrySupplierCounts
+    );
     
     // Panel 3 tool costs
     toolAllocation.forEach((coverage, index) => {
       const coverageRatio = Math.max(0, Math.min(1, coverage / 100));
-      const suppliersUsingTool = Math.ceil(safeSupplierCount * coverageRatio);
+      const suppliersUsingTool = suppliersPerTool[index];
       const annualCost = (toolAnnualProgrammeCosts[index] || 0) * coverageRatio;
       const perSupplierCost = (toolPerSupplierCosts[index] || 0) * suppliersUsingTool;
       const internalCost = suppliersUsingTool * (toolInternalHours[index] || 0) * safeHourlyRate;
@@ -1774,7 +2414,7 @@ optimizeBudgetAllocation(
     
     // Panel 4 response method costs
     responseAllocation.forEach((allocation, index) => {
-      const effectiveSuppliers = Math.ceil(safeSupplierCount * (allocation / 100));
+      const effectiveSuppliers = suppliersPerResponse[index];
       const internalCost = effectiveSuppliers * (responseInternalHours[index] || 0) * safeHourlyRate;
       totalCost += internalCost;
     });
@@ -1816,10 +2456,10 @@ optimizeBudgetAllocation(
     }
     
     // Calculate risk reduction effectiveness
-    const details = this.calculateManagedRiskDetails(
+    const details = this.calculatePortfolioManagedRiskDetails(
       selectedCountries, countryVolumes, countryRisks,
       toolAllocation, transparencyEffectiveness,
-      linkedResponseAllocation, responsivenessEffectiveness, focus
+      linkedResponseAllocation, responsivenessEffectiveness, focus, tierScoring
     );
     
     const newRiskReduction = details.baselineRisk - details.managedRisk;
@@ -2446,10 +3086,10 @@ optimizeBudgetAllocation(
   }
 
   // Calculate final metrics
-  const optimizedDetails = this.calculateManagedRiskDetails(
+  const optimizedDetails = this.calculatePortfolioManagedRiskDetails(
     selectedCountries, countryVolumes, countryRisks,
     bestToolAllocation, transparencyEffectiveness,
-    bestResponseAllocation, responsivenessEffectiveness, focus
+    bestResponseAllocation, responsivenessEffectiveness, focus, tierScoring
   );
 
   const optimizedEffectiveness = optimizedDetails.managedRisk < optimizedDetails.baselineRisk ?
@@ -0,0 +1,188 @@
+// ScenarioComparison.js - Named what-if scenarios and their side-by-side comparison.
+// A scenario keeps the saved configuration (so it can be applied again) together with
+// the results it produced when it was saved: headline risks, per-country risks and the
+// Panel 6 cost. Comparisons read those stored results, so scenarios saved against the
+// same data can be compared without recalculating.
+
+export const MIN_COMPARED_SCENARIOS = 2;
+export const MAX_COMPARED_SCENARIOS = 4;
+
+function toFiniteOrNull(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// Values for the given countries only, so stored scenarios stay small
+function pickCountryValues(values, isoCodes) {
+  const source = values && typeof values === 'object' ? values : {};
+  return isoCodes.reduce((acc, isoCode) => {
+    const value = toFiniteOrNull(source[isoCode]);
+    if (value !== null) acc[isoCode] = value;
+    return acc;
+  }, {});
+}
+
+function nextScenarioId(scenarios) {
+  const highest = scenarios.reduce((max, scenario) => {
+    const match = /^SC(\d+)$/.exec(scenario?.id || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return `SC${highest + 1}`;
+}
+
+export function getRiskReduction(baselineRisk, managedRisk) {
+  if (!Number.isFinite(baselineRisk) || !Number.isFinite(managedRisk) || baselineRisk <= 0) return null;
+  return ((baselineRisk - managedRisk) / baselineRisk) * 100;
+}
+
+// Results of one scenario from a getState() snapshot and the matching
+// calculateBudgetAnalysis() result (null when Panel 6 is disabled)
+export function buildScenarioResults(appState, budget = null) {
+  const state = appState && typeof appState === 'object' ? appState : {};
+  const selectedCountries = Array.isArray(state.selectedCountries) ? [...state.selectedCountries] : [];
+  const baselineRisk = toFiniteOrNull(state.baselineRisk);
+  const managedRisk = toFiniteOrNull(state.managedRisk);
+
+  return {
+    dataYear: Number.isInteger(state.dataYear) ? state.dataYear : null,
+    baselineRisk,
+    managedRisk,
+    riskReduction: getRiskReduction(baselineRisk, managedRisk),
+    selectedCountries,
+    countryVolumes: pickCountryValues(state.countryVolumes, selectedCountries),
+    countryBaselineRisks: pickCountryValues(state.portfolioRisks, selectedCountries),
+    countryManagedRisks: pickCountryValues(state.countryManagedRisks, selectedCountries),
+    budget: budget
+      ? {
+        supplierCount: toFiniteOrNull(budget.supplierCount),
+        totalExternalCost: toFiniteOrNull(budget.totalExternalCost),
+        totalInternalCost: toFiniteOrNull(budget.totalInternalCost),
+        totalBudget: toFiniteOrNull(budget.totalBudget),
+        costPerSupplier: toFiniteOrNull(budget.costPerSupplier)
+      }
+      : null
+  };
+}
+
+// New scenario appended to `scenarios`. `snapshot` is the configuration to apply later
+// (AppController.buildSavedSnapshot), `results` comes from buildScenarioResults().
+export function createScenario(scenarios, { name, snapshot, results }) {
+  const list = Array.isArray(scenarios) ? scenarios : [];
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  return {
+    id: nextScenarioId(list),
+    name: trimmed || `Scenario ${list.length + 1}`,
+    createdAt: new Date().toISOString(),
+    snapshot: snapshot && typeof snapshot === 'object' ? snapshot : {},
+    results: results && typeof results === 'object' ? results : buildScenarioResults(null)
+  };
+}
+
+// Sanitise stored scenarios, dropping entries without results and duplicate ids
+export function normalizeScenarios(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  return list.filter(scenario => {
+    if (!scenario || typeof scenario !== 'object' || typeof scenario.id !== 'string') return false;
+    if (!scenario.results || typeof scenario.results !== 'object' || seen.has(scenario.id)) return false;
+    seen.add(scenario.id);
+    return true;
+  }).map(scenario => ({
+    id: scenario.id,
+    name: typeof scenario.name === 'string' && scenario.name.trim() ? scenario.name.trim() : scenario.id,
+    createdAt: typeof scenario.createdAt === 'string' ? scenario.createdAt : null,
+    snapshot: scenario.snapshot && typeof scenario.snapshot === 'object' ? scenario.snapshot : {},
+    results: scenario.results
+  }));
+}
+
+// Ids of scenarios picked for comparison: existing, unique and at most the maximum
+export function normalizeComparedScenarioIds(ids, scenarios) {
+  const known = new Set((Array.isArray(scenarios) ? scenarios : []).map(scenario => scenario.id));
+  return Array.from(new Set(Array.isArray(ids) ? ids : []))
+    .filter(id => known.has(id))
+    .slice(0, MAX_COMPARED_SCENARIOS);
+}
+
+// Managed risk change per country from `reference` to `scenario` (positive = riskier).
+// Countries sourced in only one of the two have no per-country change and are listed
+// as added or removed instead.
+export function getScenarioDifferences(reference, scenario) {
+  const from = reference?.results || {};
+  const to = scenario?.results || {};
+  const fromCountries = new Set(from.selectedCountries || []);
+  const toCountries = new Set(to.selectedCountries || []);
+
+  const differences = {};
+  toCountries.forEach(isoCode => {
+    if (!fromCountries.has(isoCode)) return;
+    const before = from.countryManagedRisks?.[isoCode];
+    const after = to.countryManagedRisks?.[isoCode];
+    if (Number.isFinite(before) && Number.isFinite(after)) {
+      differences[isoCode] = after - before;
+    }
+  });
+
+  return {
+    differences,
+    added: [...toCountries].filter(isoCode => !fromCountries.has(isoCode)),
+    removed: [...fromCountries].filter(isoCode => !toCountries.has(isoCode))
+  };
+}
+
+function toVolumeShares(countryVolumes, selectedCountries) {
+  const volumes = selectedCountries.map(isoCode => Math.max(0, toFiniteOrNull(countryVolumes?.[isoCode]) ?? 0));
+  const total = volumes.reduce((sum, volume) => sum + volume, 0);
+  return Object.fromEntries(selectedCountries.map((isoCode, index) => [
+    isoCode,
+    total > 0 ? (volumes[index] / total) * 100 : 100 / selectedCountries.length
+  ]));
+}
+
+// Side-by-side view of 2-4 scenarios. The first is the reference the others are
+// measured against:
+//   { scenarios: [{ id, name, baselineRisk, managedRisk, riskReduction, totalBudget,
+//                   countryCount, managedRiskChange, totalBudgetChange, dataYear }],
+//     countries: [{ isoCode, values: [{ volumeShare, baselineRisk, managedRisk } | null] }],
+//     mixedDataYears }
+// Returns null with fewer than two scenarios.
+export function compareScenarios(scenarios) {
+  const list = (Array.isArray(scenarios) ? scenarios : []).slice(0, MAX_COMPARED_SCENARIOS);
+  if (list.length < MIN_COMPARED_SCENARIOS) return null;
+
+  const reference = list[0].results;
+  const change = (value, base) => (Number.isFinite(value) && Number.isFinite(base) ? value - base : null);
+
+  const summaries = list.map(({ id, name, results }) => {
+    const totalBudget = results.budget?.totalBudget ?? null;
+    return {
+      id,
+      name,
+      dataYear: results.dataYear ?? null,
+      baselineRisk: results.baselineRisk,
+      managedRisk: results.managedRisk,
+      riskReduction: results.riskReduction,
+      totalBudget,
+      countryCount: (results.selectedCountries || []).length,
+      managedRiskChange: change(results.managedRisk, reference.managedRisk),
+      totalBudgetChange: change(totalBudget, reference.budget?.totalBudget ?? null)
+    };
+  });
+
+  const shares = list.map(({ results }) => toVolumeShares(results.countryVolumes, results.selectedCountries || []));
+  const isoCodes = Array.from(new Set(list.flatMap(({ results }) => results.selectedCountries || [])));
+  const countries = isoCodes.map(isoCode => ({
+    isoCode,
+    values: list.map(({ results }, index) => ((results.selectedCountries || []).includes(isoCode)
+      ? {
+        volumeShare: shares[index][isoCode],
+        baselineRisk: results.countryBaselineRisks?.[isoCode] ?? null,
+        managedRisk: results.countryManagedRisks?.[isoCode] ?? null
+      }
+      : null))
+  }));
+
+  const dataYears = new Set(summaries.map(summary => summary.dataYear).filter(year => year !== null));
+
+  return { scenarios: summaries, countries, mixedDataYears: dataYears.size > 1 };
+}
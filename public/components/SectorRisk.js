@@ -0,0 +1,59 @@
+// SectorRisk.js - Sector and commodity multipliers layered on top of country risk.
+// Each portfolio line (country, sector, volume) is scored as country risk x sector
+// multiplier, capped at 100. Multipliers are starting assumptions for sectors where
+// forced and child labour are comparatively common or rare; tune them to your own
+// sector risk assessment. `general` (1.0) leaves country risk unchanged.
+
+export const DEFAULT_SECTOR_ID = 'general';
+
+export const SECTORS = [
+  { id: 'general', label: 'General / unspecified', examples: '', multiplier: 1 },
+  { id: 'agriculture', label: 'Agriculture & raw commodities', examples: 'cotton, cocoa, coffee, palm oil, sugar cane', multiplier: 1.3 },
+  { id: 'fishing', label: 'Fishing & seafood', examples: 'wild catch, aquaculture, processing vessels', multiplier: 1.3 },
+  { id: 'mining', label: 'Mining & minerals', examples: 'cobalt, mica, gold, tin', multiplier: 1.25 },
+  { id: 'apparel', label: 'Apparel, textiles & footwear', examples: 'spinning, garment assembly, leather', multiplier: 1.2 },
+  { id: 'construction', label: 'Construction & building materials', examples: 'bricks, stone, timber', multiplier: 1.2 },
+  { id: 'food-processing', label: 'Food processing', examples: 'meat packing, seafood processing', multiplier: 1.1 },
+  { id: 'electronics', label: 'Electronics & components', examples: 'assembly, solar panels, batteries', multiplier: 1.1 },
+  { id: 'manufacturing', label: 'General manufacturing', examples: 'plastics, metal goods, packaging', multiplier: 1.05 },
+  { id: 'logistics', label: 'Logistics & transport', examples: 'warehousing, trucking, shipping', multiplier: 1 },
+  { id: 'services', label: 'Professional & business services', examples: 'IT, consulting, finance', multiplier: 0.8 }
+];
+
+export const SECTOR_IDS = SECTORS.map(({ id }) => id);
+
+export function getSector(id) {
+  return SECTORS.find(sector => sector.id === id) || SECTORS.find(sector => sector.id === DEFAULT_SECTOR_ID);
+}
+
+export function getSectorMultiplier(id) {
+  return getSector(id).multiplier;
+}
+
+// Match free text from an import (a sector id, label, the start of a label or one of
+// its example commodities)
+// to a sector id; returns null when nothing matches
+export function resolveSectorId(value) {
+  const normalize = text => String(text ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const query = normalize(value);
+  if (!query) return null;
+  const match = SECTORS.find(sector => normalize(sector.id) === query || normalize(sector.label) === query)
+    || SECTORS.find(sector => sector.examples.split(',').some(example => normalize(example) === query))
+    || (query.length >= 4 ? SECTORS.find(sector => normalize(sector.label).startsWith(query)) : null);
+  return match ? match.id : null;
+}
+
+// Sector per portfolio line keyed by ISO code; unknown sector ids fall back to the default
+export function normalizeCountrySectors(countrySectors) {
+  if (!countrySectors || typeof countrySectors !== 'object') {
+    return {};
+  }
+
+  return Object.entries(countrySectors).reduce((acc, [code, sectorId]) => {
+    const normalizedCode = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    if (normalizedCode) {
+      acc[normalizedCode] = SECTOR_IDS.includes(sectorId) ? sectorId : DEFAULT_SECTOR_ID;
+    }
+    return acc;
+  }, {});
+}
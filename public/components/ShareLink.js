@@ -0,0 +1,278 @@
+// ShareLink.js - Encode the assessment configuration into a URL fragment so a link
+// opens the same configuration for a colleague. The fragment is
+//   #hrdd=<format version>.<encoding>.<payload>
+// where the payload is base64url JSON with short keys, deflated first ('z') when the
+// browser supports CompressionStream, plain ('j') otherwise. Decoding returns a
+// snapshot in AppController.buildSavedSnapshot() shape; invalid fields are dropped
+// with a warning rather than failing the whole link.
+import { INDICATOR_IDS, INDICATOR_SCHEMA_VERSION } from './IndicatorSchema.js';
+
+export const SHARE_LINK_PARAM = 'hrdd';
+
+// Bump when the payload layout changes and add a step to SHARE_LINK_MIGRATIONS that
+// upgrades the previous version, so links already sent keep opening.
+export const SHARE_LINK_VERSION = 1;
+
+// { [fromVersion]: payload => payload in fromVersion + 1 layout }
+const SHARE_LINK_MIGRATIONS = {};
+
+// Browsers cap URLs at very different lengths; beyond this some chat and mail clients
+// truncate links
+export const SHARE_LINK_MAX_LENGTH = 8000;
+
+const STRATEGY_LENGTH = 6;
+// ISO 3166-1 alpha-3 countries and ISO 3166-2 sub-national units (see SubnationalUnits.js)
+const ISO_CODE_PATTERN = /^([A-Z]{3}|[A-Z]{2}-[A-Z0-9]{1,3})$/;
+
+export class ShareLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareLinkError';
+  }
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// Round to keep the fragment short; volumes keep more precision than percentages
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function finiteOrNull(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// Compact payload from a buildSavedSnapshot() snapshot. Country lines come from the
+// selection, volumes and sectors; a supplier list is not included.
+export function buildSharePayload(snapshot, { currentPanel = null } = {}) {
+  const source = snapshot && typeof snapshot === 'object' ? snapshot : {};
+  const percentages = list => (Array.isArray(list) ? list.map(value => round(Number(value) || 0, 1)) : undefined);
+  const selected = Array.isArray(source.selectedCountries) ? source.selectedCountries : [];
+
+  const payload = {
+    s: INDICATOR_SCHEMA_VERSION,
+    y: Number.isInteger(source.dataYear) ? source.dataYear : undefined,
+    d: Number.isInteger(source.dataset?.datasetVersion) ? source.dataset.datasetVersion : undefined,
+    w: source.weights ? INDICATOR_IDS.map(id => round(Number(source.weights[id]) || 0)) : undefined,
+    m: typeof source.imputationStrategy === 'string' ? source.imputationStrategy : undefined,
+    c: selected.map(isoCode => {
+      const line = [isoCode, round(finiteOrNull(source.countryVolumes?.[isoCode]) ?? 0, 4)];
+      if (source.countrySectors?.[isoCode]) line.push(source.countrySectors[isoCode]);
+      return line;
+    }),
+    h: percentages(source.hrddStrategy),
+    t: source.tierHrddStrategies && typeof source.tierHrddStrategies === 'object'
+      ? Object.fromEntries(Object.entries(source.tierHrddStrategies).map(([tier, list]) => [tier, percentages(list)]))
+      : undefined,
+    te: percentages(source.transparencyEffectiveness),
+    r: percentages(source.responsivenessStrategy),
+    re: percentages(source.responsivenessEffectiveness),
+    f: Number.isFinite(source.focus) ? round(source.focus, 3) : undefined,
+    rc: Number.isFinite(source.riskConcentration) ? round(source.riskConcentration, 3) : undefined,
+    p: Number.isInteger(currentPanel) ? currentPanel : undefined
+  };
+
+  if (Number.isFinite(source.supplierCount) || Array.isArray(source.toolAnnualProgrammeCosts)) {
+    payload.k = {
+      n: finiteOrNull(source.supplierCount) ?? undefined,
+      hr: finiteOrNull(source.hourlyRate) ?? undefined,
+      a: source.toolAnnualProgrammeCosts,
+      ps: source.toolPerSupplierCosts,
+      ih: source.toolInternalHours,
+      ri: source.responseInternalHours,
+      q: typeof source.saqConstraintEnabled === 'boolean' ? (source.saqConstraintEnabled ? 1 : 0) : undefined
+    };
+  }
+
+  return payload;
+}
+
+// Validate a payload of the current version. Returns { snapshot, currentPanel, warnings }.
+export function parseSharePayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new ShareLinkError('The link does not contain an assessment');
+  }
+
+  const warnings = [];
+  const snapshot = {};
+
+  const numberList = (value, label, { length = STRATEGY_LENGTH, min = 0, max = 100 } = {}) => {
+    if (value === undefined) return undefined;
+    if (!Array.isArray(value) || value.length !== length ||
+      !value.every(item => Number.isFinite(item) && item >= min && item <= max)) {
+      warnings.push(`Ignored invalid ${label} in the link`);
+      return undefined;
+    }
+    return [...value];
+  };
+  const costList = (value, label) => numberList(value, label, { max: Number.MAX_SAFE_INTEGER });
+
+  if (Number.isInteger(payload.y)) snapshot.dataYear = payload.y;
+  if (Number.isInteger(payload.y) || Number.isInteger(payload.d)) {
+    snapshot.dataset = {
+      datasetVersion: Number.isInteger(payload.d) ? payload.d : null,
+      dataYear: Number.isInteger(payload.y) ? payload.y : null
+    };
+  }
+
+  // Weights are positional in registry order. A link made under another indicator
+  // schema may list a different set of indices, so its weights are not trusted.
+  if (payload.w !== undefined && payload.s !== INDICATOR_SCHEMA_VERSION) {
+    warnings.push('The link was made with a different set of risk indices, so its index weights were not applied');
+  } else {
+    const weights = numberList(payload.w, 'index weights', { length: INDICATOR_IDS.length, max: Number.MAX_SAFE_INTEGER });
+    if (weights) {
+      snapshot.weights = Object.fromEntries(INDICATOR_IDS.map((id, index) => [id, weights[index]]));
+    }
+  }
+
+  if (typeof payload.m === 'string') snapshot.imputationStrategy = payload.m;
+
+  if (payload.c !== undefined) {
+    if (!Array.isArray(payload.c)) {
+      warnings.push('The country list in the link was invalid and was not applied');
+    } else {
+      const selectedCountries = [];
+      const countryVolumes = {};
+      const countrySectors = {};
+      let skipped = 0;
+      payload.c.forEach(line => {
+        const [isoCode, volume, sector] = Array.isArray(line) ? line : [];
+        const code = typeof isoCode === 'string' ? isoCode.trim().toUpperCase() : '';
+        if (!ISO_CODE_PATTERN.test(code) || !Number.isFinite(volume) || volume < 0 || selectedCountries.includes(code)) {
+          skipped += 1;
+          return;
+        }
+        selectedCountries.push(code);
+        countryVolumes[code] = volume;
+        if (typeof sector === 'string') countrySectors[code] = sector;
+      });
+      if (skipped > 0) {
+        warnings.push(`${skipped} country ${skipped === 1 ? 'line was' : 'lines were'} invalid and skipped`);
+      }
+      Object.assign(snapshot, { selectedCountries, countryVolumes, countrySectors });
+    }
+  }
+
+  snapshot.hrddStrategy = numberList(payload.h, 'HRDD tool coverage');
+  snapshot.transparencyEffectiveness = numberList(payload.te, 'transparency effectiveness');
+  snapshot.responsivenessStrategy = numberList(payload.r, 'response method coverage');
+  snapshot.responsivenessEffectiveness = numberList(payload.re, 'response effectiveness');
+  if (payload.t && typeof payload.t === 'object') {
+    snapshot.tierHrddStrategies = Object.fromEntries(Object.entries(payload.t)
+      .map(([tier, list]) => [tier, numberList(list, `tier ${tier} coverage`)])
+      .filter(([, list]) => list));
+  }
+
+  if (payload.f !== undefined) {
+    if (Number.isFinite(payload.f) && payload.f >= 0 && payload.f <= 1) {
+      snapshot.focus = payload.f;
+    } else {
+      warnings.push('The focus setting in the link was invalid and was not applied');
+    }
+  }
+  if (Number.isFinite(payload.rc) && payload.rc > 0) snapshot.riskConcentration = payload.rc;
+
+  if (payload.k && typeof payload.k === 'object') {
+    const { n, hr, a, ps, ih, ri, q } = payload.k;
+    if (Number.isFinite(n) && n >= 1) snapshot.supplierCount = n;
+    if (Number.isFinite(hr) && hr >= 0) snapshot.hourlyRate = hr;
+    snapshot.toolAnnualProgrammeCosts = costList(a, 'tool programme costs');
+    snapshot.toolPerSupplierCosts = costList(ps, 'tool per-supplier costs');
+    snapshot.toolInternalHours = costList(ih, 'tool internal hours');
+    snapshot.responseInternalHours = costList(ri, 'response internal hours');
+    if (q === 0 || q === 1) snapshot.saqConstraintEnabled = q === 1;
+  }
+
+  Object.keys(snapshot).forEach(key => {
+    if (snapshot[key] === undefined) delete snapshot[key];
+  });
+
+  return {
+    snapshot,
+    currentPanel: Number.isInteger(payload.p) ? payload.p : null,
+    warnings
+  };
+}
+
+// Upgrade a payload from an older format version to the current one
+export function migrateSharePayload(version, payload) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ShareLinkError('The link is not a valid assessment link');
+  }
+  if (version > SHARE_LINK_VERSION) {
+    throw new ShareLinkError('The link was made with a newer version of this tool. Reload the page to update it and open the link again.');
+  }
+
+  let current = payload;
+  for (let from = version; from < SHARE_LINK_VERSION; from += 1) {
+    const migrate = SHARE_LINK_MIGRATIONS[from];
+    if (!migrate) {
+      throw new ShareLinkError(`Links from version ${version} of this tool can no longer be opened`);
+    }
+    current = migrate(current);
+  }
+  return current;
+}
+
+// URL fragment (without '#') for a snapshot
+export async function encodeShareFragment(snapshot, options = {}) {
+  const json = JSON.stringify(buildSharePayload(snapshot, options));
+  const bytes = new TextEncoder().encode(json);
+  if (typeof CompressionStream === 'function') {
+    const compressed = await transformBytes(bytes, new CompressionStream('deflate'));
+    return `${SHARE_LINK_PARAM}=${SHARE_LINK_VERSION}.z.${toBase64Url(compressed)}`;
+  }
+  return `${SHARE_LINK_PARAM}=${SHARE_LINK_VERSION}.j.${toBase64Url(bytes)}`;
+}
+
+// Read a share fragment from a location hash such as window.location.hash. Returns
+// null when the hash has no share parameter, otherwise parseSharePayload()'s result.
+// Throws ShareLinkError when the link is present but cannot be read.
+export async function decodeShareFragment(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const value = params.get(SHARE_LINK_PARAM);
+  if (value === null) return null;
+
+  const match = /^(\d+)\.([jz])\.([A-Za-z0-9_-]+)$/.exec(value);
+  if (!match) {
+    throw new ShareLinkError('The link is incomplete or damaged. Ask for the link to be sent again.');
+  }
+  const [, version, encoding, data] = match;
+
+  let payload;
+  try {
+    let bytes = fromBase64Url(data);
+    if (encoding === 'z') {
+      if (typeof DecompressionStream !== 'function') {
+        throw new ShareLinkError('This browser cannot open compressed links. Try a current version of Chrome, Edge, Firefox or Safari.');
+      }
+      bytes = await transformBytes(bytes, new DecompressionStream('deflate'));
+    }
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    if (error instanceof ShareLinkError) throw error;
+    throw new ShareLinkError('The link is incomplete or damaged. Ask for the link to be sent again.');
+  }
+
+  return parseSharePayload(migrateSharePayload(Number(version), payload));
+}
@@ -0,0 +1,61 @@
+// SubnationalUnits.js - Optional ISO 3166-2 sub-national units for large sourcing countries.
+// A unit is scored like a country: it inherits its parent's indicator values, then applies
+// any adjustment maintained through the admin API (/api/admin/subnational-units: indicator
+// overrides and a risk multiplier per edition year, kept in each dataset version and served
+// with the countries of that edition). Selected units are keyed by their ISO 3166-2 code
+// wherever countries are keyed by ISO code (selection, volumes, risks), so they roll up
+// into the baseline and managed portfolio calculations alongside whole countries.
+
+// Units by parent ISO 3166-1 alpha-3 code: [ISO 3166-2 code, name, longitude, latitude].
+// The point marks the unit on the map drill-down; it is the capital, or a central point
+// where two units share a capital (Chandigarh for Haryana and Punjab).
+const UNITS_BY_COUNTRY = {
+  CHN: [
+    ['CN-AH', 'Anhui', 117.27, 31.86], ['CN-BJ', 'Beijing', 116.40, 39.90], ['CN-CQ', 'Chongqing', 106.55, 29.56],
+    ['CN-FJ', 'Fujian', 119.30, 26.08], ['CN-GD', 'Guangdong', 113.26, 23.13], ['CN-GX', 'Guangxi', 108.37, 22.82],
+    ['CN-HA', 'Henan', 113.63, 34.75], ['CN-HB', 'Hubei', 114.31, 30.59], ['CN-HE', 'Hebei', 114.51, 38.04],
+    ['CN-HN', 'Hunan', 112.94, 28.23], ['CN-JS', 'Jiangsu', 118.80, 32.06], ['CN-JX', 'Jiangxi', 115.86, 28.68],
+    ['CN-SC', 'Sichuan', 104.07, 30.57], ['CN-SD', 'Shandong', 117.12, 36.65], ['CN-SH', 'Shanghai', 121.47, 31.23],
+    ['CN-TJ', 'Tianjin', 117.20, 39.13], ['CN-XJ', 'Xinjiang', 87.62, 43.83], ['CN-YN', 'Yunnan', 102.83, 24.88],
+    ['CN-ZJ', 'Zhejiang', 120.16, 30.27]
+  ],
+  IND: [
+    ['IN-AP', 'Andhra Pradesh', 80.52, 16.51], ['IN-DL', 'Delhi', 77.21, 28.61], ['IN-GJ', 'Gujarat', 72.64, 23.22],
+    ['IN-HR', 'Haryana', 76.09, 29.06], ['IN-KA', 'Karnataka', 77.59, 12.97], ['IN-KL', 'Kerala', 76.94, 8.52],
+    ['IN-MH', 'Maharashtra', 72.88, 19.08], ['IN-PB', 'Punjab', 75.34, 31.15], ['IN-RJ', 'Rajasthan', 75.79, 26.91],
+    ['IN-TN', 'Tamil Nadu', 80.27, 13.08], ['IN-UP', 'Uttar Pradesh', 80.95, 26.85], ['IN-WB', 'West Bengal', 88.36, 22.57]
+  ],
+  BRA: [
+    ['BR-AM', 'Amazonas', -60.02, -3.12], ['BR-BA', 'Bahia', -38.50, -12.97], ['BR-CE', 'Ceará', -38.54, -3.73],
+    ['BR-GO', 'Goiás', -49.25, -16.68], ['BR-MG', 'Minas Gerais', -43.94, -19.92], ['BR-MT', 'Mato Grosso', -56.10, -15.60],
+    ['BR-PA', 'Pará', -48.50, -1.46], ['BR-PR', 'Paraná', -49.27, -25.43], ['BR-RJ', 'Rio de Janeiro', -43.17, -22.91],
+    ['BR-RS', 'Rio Grande do Sul', -51.23, -30.03], ['BR-SC', 'Santa Catarina', -48.55, -27.60], ['BR-SP', 'São Paulo', -46.63, -23.55]
+  ],
+  MEX: [
+    ['MX-BCN', 'Baja California', -115.45, 32.62], ['MX-CHH', 'Chihuahua', -106.09, 28.63],
+    ['MX-CMX', 'Ciudad de México', -99.13, 19.43], ['MX-COA', 'Coahuila', -101.00, 25.42],
+    ['MX-GUA', 'Guanajuato', -101.26, 21.02], ['MX-JAL', 'Jalisco', -103.35, 20.66], ['MX-MEX', 'México', -99.66, 19.29],
+    ['MX-NLE', 'Nuevo León', -100.32, 25.69], ['MX-PUE', 'Puebla', -98.21, 19.04], ['MX-QUE', 'Querétaro', -100.39, 20.59],
+    ['MX-SON', 'Sonora', -110.96, 29.07], ['MX-TAM', 'Tamaulipas', -99.15, 23.74]
+  ]
+};
+
+export const SUBNATIONAL_UNITS = Object.entries(UNITS_BY_COUNTRY).flatMap(([parentIsoCode, units]) =>
+  units.map(([code, name, longitude, latitude]) => ({ code, name, parentIsoCode, coordinates: [longitude, latitude] }))
+);
+
+export const SUBNATIONAL_PARENT_ISO_CODES = Object.keys(UNITS_BY_COUNTRY);
+
+export function isSubnationalCode(code) {
+  return typeof code === 'string' && /^[A-Z]{2}-[A-Z0-9]{1,3}$/.test(code.trim().toUpperCase());
+}
+
+export function getSubnationalUnit(code) {
+  const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+  return SUBNATIONAL_UNITS.find(unit => unit.code === normalized) || null;
+}
+
+export function getSubnationalUnitsForCountry(isoCode) {
+  const normalized = typeof isoCode === 'string' ? isoCode.trim().toUpperCase() : '';
+  return SUBNATIONAL_UNITS.filter(unit => unit.parentIsoCode === normalized);
+}
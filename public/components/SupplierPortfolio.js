@@ -0,0 +1,156 @@
+// SupplierPortfolio.js - Supplier-level portfolio model. Each supplier has a name,
+// country, sector, spend, worker count and tier. When a supplier list exists it is the
+// source of truth: the country lines the risk engine works with (selection, volumes,
+// sectors) and the per-country supplier counts used by the Panel 6 costing are
+// derived from it.
+import { DEFAULT_SECTOR_ID, SECTOR_IDS, getSectorMultiplier } from './SectorRisk.js';
+
+export const DEFAULT_SUPPLIER_TIER = 1;
+
+// Supply chain tiers that get their own HRDD coverage. Suppliers tagged tier 3 or
+// deeper are grouped with raw materials.
+export const SUPPLY_CHAIN_TIERS = [
+  { tier: 1, label: 'Tier 1', description: 'Direct suppliers and finished goods' },
+  { tier: 2, label: 'Tier 2', description: 'Processing and components, e.g. fabric mills and spinning' },
+  { tier: 3, label: 'Tier 3+ / raw materials', description: 'Raw material production, e.g. cotton farming' }
+];
+
+// How country volumes are derived from the suppliers, in order of preference
+export const SUPPLIER_VOLUME_BASIS_LABELS = {
+  spend: 'spend',
+  workers: 'worker count',
+  suppliers: 'number of suppliers'
+};
+
+function toNonNegativeOrNull(value, { integer = false } = {}) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) return null;
+  return integer ? Math.round(parsed) : parsed;
+}
+
+// Supplier ids are S1, S2, ...; any other id (e.g. from a stored or imported list) is
+// replaced with a new one
+const SUPPLIER_ID_PATTERN = /^S(\d+)$/;
+
+function nextSupplierId(suppliers) {
+  const highest = suppliers.reduce((max, supplier) => {
+    const match = SUPPLIER_ID_PATTERN.exec(supplier?.id || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return `S${highest + 1}`;
+}
+
+// Sanitised copy of one supplier, or null when it has no country
+export function normalizeSupplier(input, id = null) {
+  if (!input || typeof input !== 'object') return null;
+  const isoCode = typeof input.isoCode === 'string' ? input.isoCode.trim().toUpperCase() : '';
+  if (!isoCode) return null;
+
+  const tier = Math.round(Number(input.tier));
+  return {
+    id: typeof input.id === 'string' && SUPPLIER_ID_PATTERN.test(input.id) ? input.id : id,
+    name: typeof input.name === 'string' ? input.name.trim() : '',
+    isoCode,
+    sector: SECTOR_IDS.includes(input.sector) ? input.sector : DEFAULT_SECTOR_ID,
+    spend: toNonNegativeOrNull(input.spend),
+    workers: toNonNegativeOrNull(input.workers, { integer: true }),
+    tier: Number.isFinite(tier) && tier >= 1 ? tier : DEFAULT_SUPPLIER_TIER
+  };
+}
+
+// Sanitise a whole list, dropping entries without a country and giving every
+// supplier a unique id
+export function normalizeSuppliers(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  return list.reduce((acc, input) => {
+    const supplier = normalizeSupplier(input);
+    if (!supplier) return acc;
+    if (!supplier.id || seen.has(supplier.id)) {
+      supplier.id = nextSupplierId(acc);
+    }
+    seen.add(supplier.id);
+    acc.push(supplier);
+    return acc;
+  }, []);
+}
+
+export function createSupplier(suppliers, fields = {}) {
+  return normalizeSupplier({ ...fields, id: null }, nextSupplierId(Array.isArray(suppliers) ? suppliers : []));
+}
+
+// Volumes use spend when every supplier has one, otherwise worker counts when every
+// supplier has one, otherwise one per supplier. Mixing bases within a portfolio would
+// weight countries inconsistently.
+export function getSupplierVolumeBasis(suppliers) {
+  if (!Array.isArray(suppliers) || suppliers.length === 0) return 'suppliers';
+  if (suppliers.every(supplier => supplier.spend > 0)) return 'spend';
+  if (suppliers.every(supplier => supplier.workers > 0)) return 'workers';
+  return 'suppliers';
+}
+
+// Supply chain tier group (see SUPPLY_CHAIN_TIERS) for a supplier's tier number
+export function getSupplyChainTier(tier) {
+  const deepest = SUPPLY_CHAIN_TIERS[SUPPLY_CHAIN_TIERS.length - 1].tier;
+  const value = Math.round(Number(tier));
+  return Number.isFinite(value) && value >= 1 ? Math.min(value, deepest) : DEFAULT_SUPPLIER_TIER;
+}
+
+// Country lines for the risk engine:
+//   { selectedCountries, countryVolumes, countrySectors, countrySupplierCounts, volumeBasis }
+// A country sourcing from several sectors takes the sector with the largest volume
+// (ties go to the higher multiplier), since the engine scores one sector per country.
+// `basis` forces a volume basis instead of picking one from this list.
+export function deriveCountryPortfolio(suppliers, basis = null) {
+  const list = Array.isArray(suppliers) ? suppliers : [];
+  const volumeBasis = basis || getSupplierVolumeBasis(list);
+  const amountOf = supplier => {
+    if (volumeBasis === 'spend') return supplier.spend;
+    if (volumeBasis === 'workers') return supplier.workers;
+    return 1;
+  };
+
+  const selectedCountries = [];
+  const countryVolumes = {};
+  const countrySupplierCounts = {};
+  const sectorVolumes = {};
+
+  list.forEach(supplier => {
+    const { isoCode, sector } = supplier;
+    if (!(isoCode in countryVolumes)) {
+      selectedCountries.push(isoCode);
+      countryVolumes[isoCode] = 0;
+      countrySupplierCounts[isoCode] = 0;
+      sectorVolumes[isoCode] = {};
+    }
+    const amount = amountOf(supplier);
+    countryVolumes[isoCode] += amount;
+    countrySupplierCounts[isoCode] += 1;
+    sectorVolumes[isoCode][sector] = (sectorVolumes[isoCode][sector] || 0) + amount;
+  });
+
+  const countrySectors = Object.fromEntries(selectedCountries.map(isoCode => {
+    const [sector] = Object.entries(sectorVolumes[isoCode])
+      .sort(([sectorA, volumeA], [sectorB, volumeB]) =>
+        (volumeB - volumeA) || (getSectorMultiplier(sectorB) - getSectorMultiplier(sectorA)))[0];
+    return [isoCode, sector];
+  }));
+
+  return { selectedCountries, countryVolumes, countrySectors, countrySupplierCounts, volumeBasis };
+}
+
+// Country lines per supply chain tier, for the tiers that have suppliers:
+//   [{ tier, label, supplierCount, ...deriveCountryPortfolio }]
+// Every tier uses the volume basis of the whole list so tiers weigh consistently
+// against each other.
+export function deriveTierPortfolios(suppliers) {
+  const list = Array.isArray(suppliers) ? suppliers : [];
+  const volumeBasis = getSupplierVolumeBasis(list);
+  return SUPPLY_CHAIN_TIERS
+    .map(({ tier, label }) => {
+      const tierSuppliers = list.filter(supplier => getSupplyChainTier(supplier.tier) === tier);
+      return { tier, label, supplierCount: tierSuppliers.length, ...deriveCountryPortfolio(tierSuppliers, volumeBasis) };
+    })
+    .filter(portfolio => portfolio.supplierCount > 0);
+}
@@ -1,4 +1,10 @@
 import { riskEngine } from './RiskEngine.js';
+import { isoNumericToAlpha3 } from './CountryCodes.js';
+import { createCountryResolver } from './CountryResolver.js';
+import { getSubnationalUnitsForCountry } from './SubnationalUnits.js';
+
+// Name matches below this confidence are left uncoloured rather than guessed
+const MAP_NAME_MIN_CONFIDENCE = 0.8;
 
 let d3LoadingPromise = null;
 let topojsonLoadingPromise = null;
@@ -374,53 +380,38 @@ function getCountryId(countryData) {
       return trimmed.toUpperCase();
     }
     if (/^\d+$/.test(trimmed)) {
-      return null;
+      return isoNumericToAlpha3(trimmed);
     }
   }
 
   if (typeof id === 'number') {
-    return null;
+    return isoNumericToAlpha3(String(id));
   }
 
   return typeof id === 'string' ? id.toUpperCase() : null;
 }
 
-function normalizeCountryName(name) {
-  if (typeof name !== 'string') return '';
-  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
-}
-
 function getFeatureNameCandidates(feature) {
   const properties = feature?.properties || {};
   const names = [properties.NAME, properties.name, properties.NAME_LONG];
   return Array.from(new Set(names.filter(Boolean)));
 }
 
-function buildCountryNameLookup(metadataMap) {
-  const lookup = new Map();
-  metadataMap.forEach((country, iso) => {
-    const normalizedName = normalizeCountryName(country?.name);
-    if (normalizedName) lookup.set(normalizedName, iso);
-  });
-  return lookup;
-}
-
-function resolveCountryCodeFromName(feature, metadataMap, nameLookup = new Map()) {
+function resolveCountryCodeFromName(feature, countryResolver) {
+  if (!countryResolver) return null;
   const candidates = getFeatureNameCandidates(feature);
   for (const candidate of candidates) {
-    const normalized = normalizeCountryName(candidate);
-    if (!normalized) continue;
-    const directMatch = nameLookup.get(normalized);
-    if (directMatch) return directMatch;
+    const match = countryResolver.resolve(candidate);
+    if (match && match.confidence >= MAP_NAME_MIN_CONFIDENCE) return match.isoCode;
   }
   return null;
 }
 
-function getFeatureIsoCode(feature, metadataMap, nameLookup) {
+function getFeatureIsoCode(feature, countryResolver) {
   if (!feature) return null;
   const directId = getCountryId(feature);
   if (directId) return directId;
-  return resolveCountryCodeFromName(feature, metadataMap, nameLookup);
+  return resolveCountryCodeFromName(feature, countryResolver);
 }
 
 function createManagedRiskDisplay(selectedCountries, managedRisk, managedRisksByCountry = null, fallbackRisks = {}) {
@@ -490,9 +481,85 @@ function disableMouseWheelZoom(svg) {
     .on('DOMMouseScroll.zoom', null);
 }
 
-function showMapTooltip(event, countryData, countryRisks, countryMetadata = new Map(), nameLookup = new Map(), mapType = 'baseline') {
+function getCompletenessTooltipLine(countryId, dataCompleteness) {
+  const completeness = countryId ? dataCompleteness?.[countryId] : null;
+  if (!completeness) return '';
+  const color = completeness.ratio >= 1 ? '#cbd5f5' : '#fbbf24';
+  return `<br/><span style="font-size: 11px; color: ${color};">Data: ${riskEngine.describeDataCompleteness(completeness)}</span>`;
+}
+
+// Countries are highlighted when they, or any of their selected sub-national units, are selected
+function buildMapSelectionSet(selectedCountries, countries) {
+  const selectedSet = new Set(Array.isArray(selectedCountries) ? selectedCountries : []);
+  (Array.isArray(countries) ? countries : []).forEach(country => {
+    if (country?.isSubnational && selectedSet.has(country.isoCode)) {
+      selectedSet.add(country.parentIsoCode);
+    }
+  });
+  return selectedSet;
+}
+
+function getSubnationalTooltipLine(countryId, countryMetadata) {
+  if (!countryId) return '';
+  const unitCount = Array.from(countryMetadata.values())
+    .filter(country => country?.isSubnational && country.parentIsoCode === countryId).length;
+  return unitCount > 0
+    ? `<br/><span style="font-size: 11px; color: #bfdbfe;">Click to choose from ${unitCount} provinces/states</span>`
+    : '';
+}
+
+// Drill-down: zoom to a country and mark each of its provinces/states at its point
+// (see SubnationalUnits.js). Markers are coloured by the unit's risk and select the unit.
+function drawSubnationalDrill(svg, zoom, mapGroup, { drillFeature, path, projection, width, height, countryRisks, selectedSet, metadataMap, countryResolver, onCountrySelect, mapType, dataCompleteness }) {
+  const [[x0, y0], [x1, y1]] = path.bounds(drillFeature);
+  const scale = Math.max(1, Math.min(8, 0.85 / Math.max((x1 - x0) / width, (y1 - y0) / height)));
+  const units = getSubnationalUnitsForCountry(drillFeature.__isoCode)
+    .filter(unit => metadataMap.has(unit.code))
+    .map(unit => ({ code: unit.code, __isoCode: unit.code, properties: { NAME: unit.name }, point: projection(unit.coordinates) }))
+    .filter(unit => unit.point);
+
+  mapGroup.append('g')
+    .attr('class', 'subnational-units')
+    .selectAll('circle.subnational-unit')
+    .data(units)
+    .enter()
+    .append('circle')
+    .attr('class', 'subnational-unit')
+    .attr('data-iso-code', unit => unit.code)
+    .attr('cx', unit => unit.point[0])
+    .attr('cy', unit => unit.point[1])
+    .attr('r', unit => (selectedSet.has(unit.code) ? 7 : 5) / scale)
+    .style('cursor', 'pointer')
+    .style('fill', unit => (countryRisks[unit.code] !== undefined ? riskEngine.getRiskColor(countryRisks[unit.code]) : '#9ca3af'))
+    .style('stroke', unit => (selectedSet.has(unit.code) ? '#111827' : '#ffffff'))
+    .style('stroke-width', 1.5 / scale)
+    .on('click', (event, unit) => {
+      event.stopPropagation();
+      if (onCountrySelect) onCountrySelect(unit.code);
+    })
+    .on('mouseover', (event, unit) => showMapTooltip(event, unit, countryRisks, metadataMap, countryResolver, mapType, dataCompleteness))
+    .on('mouseout', () => hideMapTooltip());
+
+  svg.call(zoom.transform, d3.zoomIdentity
+    .translate(width / 2, height / 2)
+    .scale(scale)
+    .translate(-(x0 + x1) / 2, -(y0 + y1) / 2));
+}
+
+// Peer-group estimates (countries missing from the dataset) get a dashed outline
+function getEstimateDashArray(countryId, dataCompleteness) {
+  return countryId && dataCompleteness?.[countryId]?.proxy ? '3,2' : null;
+}
+
+function getTooltipCountryName(countryId, countryData, countryMetadata) {
+  const metadata = countryMetadata.get(countryId);
+  if (metadata) return riskEngine.getCountryDisplayName(metadata);
+  return countryData.properties?.NAME || countryId || 'Unknown';
+}
+
+function showMapTooltip(event, countryData, countryRisks, countryMetadata = new Map(), countryResolver = null, mapType = 'baseline', dataCompleteness = null) {
   const countryId = countryData.__isoCode;
-  const countryName = countryMetadata.get(countryId)?.name || countryData.properties?.NAME || countryId || 'Unknown';
+  const countryName = getTooltipCountryName(countryId, countryData, countryMetadata);
   const risk = countryId ? countryRisks[countryId] : undefined;
 
   d3.selectAll('.map-tooltip').remove();
@@ -520,23 +587,24 @@ function showMapTooltip(event, countryData, countryRisks, countryMetadata = new
   tooltip.html(`
     <strong>${countryName}</strong><br/>
     ${risk !== undefined ?
-      `${riskLabel}: ${risk.toFixed(1)}<br/>Risk Band: ${riskEngine.getRiskBand(risk)}` :
-      'No data available'}
+      `${riskLabel}: ${risk.toFixed(1)}<br/>Risk Band: ${riskEngine.getRiskBand(risk)}${getCompletenessTooltipLine(countryId, dataCompleteness)}` :
+      'No data available'}${mapType === 'baseline' ? getSubnationalTooltipLine(countryId, countryMetadata) : ''}
   `)
   .style('left', (pageX + 10) + 'px')
   .style('top', (pageY - 10) + 'px');
 }
 
 // ENHANCED: Show detailed tooltip with focus effects for comparison maps
-function showComparisonMapTooltip(event, countryData, countryRisks, countryMetadata = new Map(), nameLookup = new Map(), mapType = 'baseline', options = {}) {
+function showComparisonMapTooltip(event, countryData, countryRisks, countryMetadata = new Map(), countryResolver = null, mapType = 'baseline', options = {}) {
   const countryId = countryData.__isoCode;
-  const countryName = countryMetadata.get(countryId)?.name || countryData.properties?.NAME || countryId || 'Unknown';
+  const countryName = getTooltipCountryName(countryId, countryData, countryMetadata);
   const { 
     highlight = false, 
     fallbackRisks = null, 
     baselineRisks = null, 
     focus = 0,
-    focusEffectivenessMetrics = null 
+    focusEffectivenessMetrics = null,
+    dataCompleteness = null
   } = options;
 
   let risk = countryId ? countryRisks?.[countryId] : undefined;
@@ -604,7 +672,7 @@ function showComparisonMapTooltip(event, countryData, countryRisks, countryMetad
   tooltip.html(`
     <strong>${countryName}</strong><br/>
     ${Number.isFinite(risk) ?
-      `${riskLabel}: ${risk.toFixed(1)}<br/>Risk Band: ${riskEngine.getRiskBand(risk)}${highlightNote}${focusBenefitInfo}` :
+      `${riskLabel}: ${risk.toFixed(1)}<br/>Risk Band: ${riskEngine.getRiskBand(risk)}${getCompletenessTooltipLine(countryId, dataCompleteness)}${highlightNote}${focusBenefitInfo}` :
       'No data available'}
   `)
   .style('left', (pageX + 10) + 'px')
@@ -620,7 +688,7 @@ function showMultiRiskTooltip(
     optimizedRisks = {}
   } = {},
   countryMetadata = new Map(),
-  nameLookup = new Map(),
+  countryResolver = null,
   { mode = 'baseline', highlight = false } = {}
 ) {
   const countryId = countryData.__isoCode;
@@ -717,6 +785,14 @@ function createMapLegend(containerId) {
     legendContainer.appendChild(legendItem);
   });
 
+  const estimateItem = document.createElement('div');
+  estimateItem.style.cssText = 'display: flex; align-items: center; gap: 4px;';
+  estimateItem.innerHTML = `
+    <div style="width: 16px; height: 16px; border: 1px dashed #374151; background-color: #f9fafb;"></div>
+    <span style="font-size: 12px;">Estimated from peer countries (not in dataset)</span>
+  `;
+  legendContainer.appendChild(estimateItem);
+
   container.appendChild(legendContainer);
 }
 
@@ -794,15 +870,14 @@ function renderCostAnalysisD3Map(worldData, {
       .attr('stroke-width', 0.6)
       .attr('pointer-events', 'none');
 
-    const safeSelectedCountries = Array.isArray(selectedCountries) ? selectedCountries : [];
-    const selectedSet = new Set(safeSelectedCountries);
+    const selectedSet = buildMapSelectionSet(selectedCountries, countries);
     const hasSelections = selectedSet.size > 0;
 
     const metadataMap = new Map(countries.map(country => [country.isoCode, country]));
-    const nameLookup = buildCountryNameLookup(metadataMap);
+    const countryResolver = createCountryResolver(countries);
 
     features.forEach(feature => {
-      feature.__isoCode = getFeatureIsoCode(feature, metadataMap, nameLookup);
+      feature.__isoCode = getFeatureIsoCode(feature, countryResolver);
     });
 
     const countryGroup = mapGroup.append('g').attr('class', 'countries');
@@ -839,7 +914,7 @@ function renderCostAnalysisD3Map(worldData, {
         baselineRisks,
         managedRisks,
         optimizedRisks
-      }, metadataMap, nameLookup, {
+      }, metadataMap, countryResolver, {
         mode,
         highlight: selectedSet.has(d.__isoCode)
       }))
@@ -950,12 +1025,12 @@ export async function renderCostAnalysisMap(containerId, {
   }
 }
 
-function createSimpleMapGrid(containerId, { countries, countryRisks, selectedCountries = [], onCountrySelect, title, interactive = true, mapType = 'baseline' }) {
+function createSimpleMapGrid(containerId, { countries, countryRisks, selectedCountries = [], onCountrySelect, title, interactive = true, mapType = 'baseline', dataCompleteness = null }) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
   const displayCountries = interactive ?
-    countries.sort((a, b) => a.name.localeCompare(b.name)).slice(0, 20) :
+    countries.filter(country => !country.isSubnational).sort((a, b) => a.name.localeCompare(b.name)).slice(0, 20) :
     countries.filter(country => selectedCountries.includes(country.isoCode));
 
   container.innerHTML = `
@@ -989,7 +1064,13 @@ function createSimpleMapGrid(containerId, { countries, countryRisks, selectedCou
       min-height: 60px; display: flex; flex-direction: column; justify-content: center;
     `;
 
-    countryTile.innerHTML = `<div>${country.name.length > 12 ? country.isoCode : country.name}</div>`;
+    countryTile.innerHTML = `<div>${country.name.length > 12 ? country.isoCode : country.name}${country.isImputed ? '*' : ''}</div>`;
+    if (country.isImputed) {
+      countryTile.style.borderStyle = 'dashed';
+    }
+    if (dataCompleteness?.[country.isoCode]) {
+      countryTile.title = `${riskEngine.getCountryDisplayName(country)}: ${riskEngine.describeDataCompleteness(dataCompleteness[country.isoCode])}`;
+    }
 
     if (interactive && onCountrySelect) {
       countryTile.addEventListener('click', () => {
@@ -1001,15 +1082,15 @@ function createSimpleMapGrid(containerId, { countries, countryRisks, selectedCou
   });
 }
 
-function createFallbackMap(containerId, { countries, countryRisks, selectedCountries, onCountrySelect, title, interactive = true, mapType = 'baseline' }) {
-  createSimpleMapGrid(containerId, { countries, countryRisks, selectedCountries, onCountrySelect, title, interactive, mapType });
+function createFallbackMap(containerId, { countries, countryRisks, selectedCountries, onCountrySelect, title, interactive = true, mapType = 'baseline', dataCompleteness = null }) {
+  createSimpleMapGrid(containerId, { countries, countryRisks, selectedCountries, onCountrySelect, title, interactive, mapType, dataCompleteness });
 }
 
-function createFallbackComparisonMap(containerId, { countries, countryRisks, selectedCountries, title, mapType }) {
-  createSimpleMapGrid(containerId, { countries, countryRisks, selectedCountries, title, interactive: false, mapType });
+function createFallbackComparisonMap(containerId, { countries, countryRisks, selectedCountries, title, mapType, dataCompleteness = null }) {
+  createSimpleMapGrid(containerId, { countries, countryRisks, selectedCountries, title, interactive: false, mapType, dataCompleteness });
 }
 
-function renderGlobalD3Map(worldData, { container, countries, countryRisks, width, height }) {
+function renderGlobalD3Map(worldData, { container, countries, countryRisks, width, height, dataCompleteness = null }) {
   const wrapper = document.getElementById(container);
   if (!wrapper) return;
   wrapper.innerHTML = '';
@@ -1044,10 +1125,10 @@ function renderGlobalD3Map(worldData, { container, countries, countryRisks, widt
       .attr('pointer-events', 'none');
 
     const metadataMap = new Map(countries.map(country => [country.isoCode, country]));
-    const nameLookup = buildCountryNameLookup(metadataMap);
+    const countryResolver = createCountryResolver(countries);
 
     features.forEach(feature => {
-      feature.__isoCode = getFeatureIsoCode(feature, metadataMap, nameLookup);
+      feature.__isoCode = getFeatureIsoCode(feature, countryResolver);
     });
 
     const countryGroup = mapGroup.append('g').attr('class', 'countries');
@@ -1066,15 +1147,16 @@ function renderGlobalD3Map(worldData, { container, countries, countryRisks, widt
         const numericRisk = Number.isFinite(risk) ? risk : Number.isFinite(Number(risk)) ? Number(risk) : NaN;
         return riskEngine.getRiskColor(numericRisk);
       })
-      .style('stroke', '#ffffff')
+      .style('stroke', d => (getEstimateDashArray(d.__isoCode, dataCompleteness) ? '#374151' : '#ffffff'))
       .style('stroke-width', 0.6)
+      .style('stroke-dasharray', d => getEstimateDashArray(d.__isoCode, dataCompleteness))
       .style('fill-opacity', 1)
       .style('opacity', 1)
       .on('click', (event) => {
         event.preventDefault();
         event.stopPropagation();
       })
-      .on('mouseover', (event, d) => showMapTooltip(event, d, countryRisks, metadataMap, nameLookup, 'global'))
+      .on('mouseover', (event, d) => showMapTooltip(event, d, countryRisks, metadataMap, countryResolver, 'global', dataCompleteness))
       .on('mouseout', () => hideMapTooltip());
 
     const zoom = d3.zoom()
@@ -1088,12 +1170,12 @@ function renderGlobalD3Map(worldData, { container, countries, countryRisks, widt
     addZoomControls(svg, zoom);
   } catch (error) {
     console.warn('D3 global map rendering failed, using fallback:', error);
-     createSimpleMapGrid(container, { countries, countryRisks, interactive: false, mapType: 'global' });
+     createSimpleMapGrid(container, { countries, countryRisks, interactive: false, mapType: 'global', dataCompleteness });
   }
 }
 
 // ENHANCED: Render comparison map with focus visualization
-function renderComparisonD3Map(worldData, { container, countries, countryRisks, selectedCountryRisks, selectedCountries, width, height, mapType, baselineRisks = null, focus = 0, focusEffectivenessMetrics = null }) {
+function renderComparisonD3Map(worldData, { container, countries, countryRisks, selectedCountryRisks, selectedCountries, width, height, mapType, baselineRisks = null, focus = 0, focusEffectivenessMetrics = null, dataCompleteness = null }) {
   const wrapper = document.getElementById(container);
   if (!wrapper) return;
   wrapper.innerHTML = '';
@@ -1103,13 +1185,13 @@ function renderComparisonD3Map(worldData, { container, countries, countryRisks,
     if (!features.length) throw new Error('No geographic features available');
 
     const metadataMap = new Map(countries.map(country => [country.isoCode, country]));
-    const nameLookup = buildCountryNameLookup(metadataMap);
+    const countryResolver = createCountryResolver(countries);
 
     features.forEach(feature => {
-      feature.__isoCode = getFeatureIsoCode(feature, metadataMap, nameLookup);
+      feature.__isoCode = getFeatureIsoCode(feature, countryResolver);
     });
 
-    const selectedSet = new Set(selectedCountries);
+    const selectedSet = buildMapSelectionSet(selectedCountries, countries);
     const selectedFeatures = features.filter(feature =>
       feature.__isoCode && selectedSet.has(feature.__isoCode)
     );
@@ -1165,9 +1247,10 @@ function renderComparisonD3Map(worldData, { container, countries, countryRisks,
       })
       .style('stroke', '#e5e7eb')
       .style('stroke-width', 0.5)
+      .style('stroke-dasharray', d => getEstimateDashArray(d.__isoCode, dataCompleteness))
       .style('opacity', d => selectedSet.has(d.__isoCode) ? 0.35 : 0.22)
       .style('pointer-events', d => selectedSet.has(d.__isoCode) ? 'none' : 'auto')
-      .on('mouseover', (event, d) => showComparisonMapTooltip(event, d, countryRisks, metadataMap, nameLookup, 'baseline'))
+      .on('mouseover', (event, d) => showComparisonMapTooltip(event, d, countryRisks, metadataMap, countryResolver, 'baseline', { dataCompleteness }))
       .on('mouseout', () => hideMapTooltip());
 
     const highlightRisks = (selectedCountryRisks && typeof selectedCountryRisks === 'object')
@@ -1231,6 +1314,7 @@ function renderComparisonD3Map(worldData, { container, countries, countryRisks,
         }
         return 1.5;
       })
+      .style('stroke-dasharray', d => getEstimateDashArray(d.__isoCode, dataCompleteness))
       .style('opacity', d => {
         // ENHANCED: Slight opacity differences to show focus allocation
         const countryId = d.__isoCode;
@@ -1243,12 +1327,13 @@ function renderComparisonD3Map(worldData, { container, countries, countryRisks,
         }
         return 0.95;
       })
-      .on('mouseover', (event, d) => showComparisonMapTooltip(event, d, highlightRisks, metadataMap, nameLookup, mapType, {
+      .on('mouseover', (event, d) => showComparisonMapTooltip(event, d, highlightRisks, metadataMap, countryResolver, mapType, {
         highlight: true,
         fallbackRisks: countryRisks,
         baselineRisks: baselineRisks,
         focus: focus,
-        focusEffectivenessMetrics: focusEffectivenessMetrics
+        focusEffectivenessMetrics: focusEffectivenessMetrics,
+        dataCompleteness
       }))
       .on('mouseout', () => hideMapTooltip());
 
@@ -1263,11 +1348,11 @@ function renderComparisonD3Map(worldData, { container, countries, countryRisks,
     addZoomControls(svg, zoom);
   } catch (error) {
     console.warn('D3 comparison map rendering failed, using fallback:', error);
-    createSimpleMapGrid(container, { countries, countryRisks, selectedCountries, title: '', interactive: false, mapType });
+    createSimpleMapGrid(container, { countries, countryRisks, selectedCountries, title: '', interactive: false, mapType, dataCompleteness });
   }
 }
 
-function renderD3Map(worldData, { container, countries, countryRisks, selectedCountries, onCountrySelect, width, height, mapType }) {
+function renderD3Map(worldData, { container, countries, countryRisks, selectedCountries, onCountrySelect, width, height, mapType, dataCompleteness = null, drillCountry = null }) {
   const wrapper = document.getElementById(container);
   if (!wrapper) return;
   wrapper.innerHTML = '';
@@ -1302,15 +1387,14 @@ function renderD3Map(worldData, { container, countries, countryRisks, selectedCo
       .attr('pointer-events', 'none');
 
     const safeCountryRisks = (countryRisks && typeof countryRisks === 'object') ? countryRisks : {};
-    const safeSelectedCountries = Array.isArray(selectedCountries) ? selectedCountries : [];
-    const selectedSet = new Set(safeSelectedCountries);
+    const selectedSet = buildMapSelectionSet(selectedCountries, countries);
     const hasSelections = selectedSet.size > 0;
 
     const metadataMap = new Map(countries.map(country => [country.isoCode, country]));
-    const nameLookup = buildCountryNameLookup(metadataMap);
+    const countryResolver = createCountryResolver(countries);
 
     features.forEach(feature => {
-      feature.__isoCode = getFeatureIsoCode(feature, metadataMap, nameLookup);
+      feature.__isoCode = getFeatureIsoCode(feature, countryResolver);
     });
 
     const countryGroup = mapGroup.append('g').attr('class', 'countries');
@@ -1343,6 +1427,7 @@ function renderD3Map(worldData, { container, countries, countryRisks, selectedCo
         const countryId = d.__isoCode;
         if (!countryId) return '#ffffff';
         if (selectedSet.has(countryId)) return '#111827';
+        if (getEstimateDashArray(countryId, dataCompleteness)) return '#374151';
         return hasSelections ? '#cbd5f5' : '#ffffff';
       })
       .style('stroke-width', d => {
@@ -1354,6 +1439,7 @@ function renderD3Map(worldData, { container, countries, countryRisks, selectedCo
         if (!hasSelections) return 1;
         return selectedSet.has(d.__isoCode) ? 1 : 0.5;
       })
+      .style('stroke-dasharray', d => getEstimateDashArray(d.__isoCode, dataCompleteness))
       .style('filter', d => (hasSelections && selectedSet.has(d.__isoCode)
         ? 'drop-shadow(0 0 6px rgba(15, 23, 42, 0.35))'
         : 'none'))
@@ -1362,7 +1448,7 @@ function renderD3Map(worldData, { container, countries, countryRisks, selectedCo
         if (!countryId) return;
         if (onCountrySelect) onCountrySelect(countryId);
       })
-      .on('mouseover', (event, d) => showMapTooltip(event, d, safeCountryRisks, metadataMap, nameLookup, mapType))
+      .on('mouseover', (event, d) => showMapTooltip(event, d, safeCountryRisks, metadataMap, countryResolver, mapType, dataCompleteness))
       .on('mouseout', () => hideMapTooltip());
 
     const zoom = d3.zoom()
@@ -1374,18 +1460,37 @@ function renderD3Map(worldData, { container, countries, countryRisks, selectedCo
      svg.call(zoom);
     disableMouseWheelZoom(svg);
     addZoomControls(svg, zoom);
+
+    const drillFeature = drillCountry ? features.find(feature => feature.__isoCode === drillCountry) : null;
+    if (drillFeature) {
+      drawSubnationalDrill(svg, zoom, mapGroup, {
+        drillFeature,
+        path,
+        projection,
+        width: responsiveWidth,
+        height: responsiveHeight,
+        countryRisks: safeCountryRisks,
+        selectedSet,
+        metadataMap,
+        countryResolver,
+        onCountrySelect,
+        mapType,
+        dataCompleteness
+      });
+    }
   } catch (error) {
     console.warn('D3 map rendering failed, using fallback:', error);
     createSimpleMapGrid(container, {
       countries,
       countryRisks: safeCountryRisks,
       selectedCountries: safeSelectedCountries,
-      onCountrySelect
+      onCountrySelect,
+      dataCompleteness
     });
   }
 }
 
-export async function createGlobalRiskMap(containerId, { countries, countryRisks, title, height = 500, width = 960 }) {
+export async function createGlobalRiskMap(containerId, { countries, countryRisks, title, height = 500, width = 960, dataCompleteness = null }) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
@@ -1422,7 +1527,8 @@ export async function createGlobalRiskMap(containerId, { countries, countryRisks
       countries,
       countryRisks: safeCountryRisks,
       width,
-      height: Math.max(height, 400)
+      height: Math.max(height, 400),
+      dataCompleteness
     });
 
     createMapLegend('mapLegend');
@@ -1436,13 +1542,14 @@ export async function createGlobalRiskMap(containerId, { countries, countryRisks
       countryRisks: safeCountryRisks,
       title,
       interactive: false,
-      mapType: 'global'
+      mapType: 'global',
+      dataCompleteness
     });
   }
 }
 
 // ENHANCED: Create comparison map with focus visualization
-export async function createComparisonMap(containerId, { countries, countryRisks, selectedCountries, title, mapType = 'baseline', managedRisk = null, baselineRisk = null, selectedCountryRisks = null, height = 400, width = 960, baselineRisks = null, focus = 0, focusEffectivenessMetrics = null }) {
+export async function createComparisonMap(containerId, { countries, countryRisks, selectedCountries, title, mapType = 'baseline', managedRisk = null, baselineRisk = null, selectedCountryRisks = null, height = 400, width = 960, baselineRisks = null, focus = 0, focusEffectivenessMetrics = null, dataCompleteness = null }) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
@@ -1562,7 +1669,8 @@ export async function createComparisonMap(containerId, { countries, countryRisks
       mapType,
       baselineRisks: baselineRisks,
       focus: focus,
-      focusEffectivenessMetrics: focusEffectivenessMetrics
+      focusEffectivenessMetrics: focusEffectivenessMetrics,
+      dataCompleteness
     });
 
     createMapLegend(`compMapLegend-${mapType}`);
@@ -1576,12 +1684,254 @@ export async function createComparisonMap(containerId, { countries, countryRisks
       countryRisks: Object.keys(highlightRisks).length > 0 ? highlightRisks : safeCountryRisks,
       selectedCountries: safeSelectedCountries,
       title: displayTitle,
-      mapType
+      mapType,
+      dataCompleteness
+    });
+  }
+}
+
+// Colours for a managed risk change: green where risk falls, red where it rises
+const SCENARIO_DIFFERENCE_COLORS = { lower: '#059669', neutral: '#f8fafc', higher: '#dc2626' };
+const SCENARIO_ADDED_COLOR = '#bfdbfe';
+const SCENARIO_REMOVED_COLOR = '#e5e7eb';
+
+function getScenarioDifferenceColor(difference, maxChange) {
+  if (!Number.isFinite(difference)) return SCENARIO_REMOVED_COLOR;
+  const ratio = Math.max(-1, Math.min(1, difference / maxChange));
+  return ratio < 0
+    ? d3.interpolateRgb(SCENARIO_DIFFERENCE_COLORS.neutral, SCENARIO_DIFFERENCE_COLORS.lower)(-ratio)
+    : d3.interpolateRgb(SCENARIO_DIFFERENCE_COLORS.neutral, SCENARIO_DIFFERENCE_COLORS.higher)(ratio);
+}
+
+function formatRiskChange(value) {
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+}
+
+function renderScenarioDifferenceD3Map(worldData, { container, countries, differences, added, removed, maxChange, referenceName, scenarioName, width, height }) {
+  const wrapper = document.getElementById(container);
+  if (!wrapper) return;
+  wrapper.innerHTML = '';
+
+  const features = extractWorldFeatures(worldData);
+  if (!features.length) throw new Error('No geographic features available');
+
+  const metadataMap = new Map(countries.map(country => [country.isoCode, country]));
+  const countryResolver = createCountryResolver(countries);
+  features.forEach(feature => {
+    feature.__isoCode = getFeatureIsoCode(feature, countryResolver);
+  });
+
+  // Sub-national lines are drawn on their parent country unless it is a line itself
+  const toMapIso = isoCode => metadataMap.get(isoCode)?.parentIsoCode || isoCode;
+  const changes = new Map();
+  Object.entries(differences).forEach(([isoCode, value]) => {
+    const mapIso = toMapIso(isoCode);
+    if (mapIso === isoCode || !(mapIso in differences)) changes.set(mapIso, value);
+  });
+  const addedSet = new Set(added.map(toMapIso));
+  const removedSet = new Set(removed.map(toMapIso));
+
+  const featureCollection = { type: 'FeatureCollection', features };
+  const { width: responsiveWidth, height: responsiveHeight } = getResponsiveDimensions(wrapper, width, height);
+  const svg = d3.select(wrapper)
+    .append('svg')
+    .attr('viewBox', `0 0 ${responsiveWidth} ${responsiveHeight}`)
+    .attr('preserveAspectRatio', 'xMidYMid meet')
+    .style('width', '100%')
+    .style('height', 'auto')
+    .style('border', '1px solid #e5e7eb')
+    .style('border-radius', '8px')
+    .style('background', '#f8fafc');
+
+  const projection = d3.geoNaturalEarth1()
+    .fitExtent([[16, 16], [responsiveWidth - 16, responsiveHeight - 16]], featureCollection);
+  const path = d3.geoPath(projection);
+  const mapGroup = svg.append('g').attr('class', 'map-layer');
+
+  mapGroup.append('path')
+    .datum({ type: 'Sphere' })
+    .attr('d', path)
+    .attr('fill', '#e0f2fe')
+    .attr('stroke', '#bae6fd')
+    .attr('stroke-width', 0.6)
+    .attr('pointer-events', 'none');
+
+  const isInScenario = isoCode => changes.has(isoCode) || addedSet.has(isoCode) || removedSet.has(isoCode);
+
+  mapGroup.append('g').attr('class', 'countries')
+    .selectAll('path.country')
+    .data(features)
+    .enter()
+    .append('path')
+    .attr('class', 'country')
+    .attr('data-iso-code', d => d.__isoCode || '')
+    .attr('d', path)
+    .style('cursor', 'default')
+    .style('fill', d => {
+      const isoCode = d.__isoCode;
+      if (changes.has(isoCode)) return getScenarioDifferenceColor(changes.get(isoCode), maxChange);
+      if (addedSet.has(isoCode)) return SCENARIO_ADDED_COLOR;
+      if (removedSet.has(isoCode)) return SCENARIO_REMOVED_COLOR;
+      return '#f1f5f9';
+    })
+    .style('stroke', d => (isInScenario(d.__isoCode) ? '#111827' : '#e5e7eb'))
+    .style('stroke-width', d => (isInScenario(d.__isoCode) ? 1.2 : 0.5))
+    .style('stroke-dasharray', d => (removedSet.has(d.__isoCode) && !changes.has(d.__isoCode) ? '3,2' : null))
+    .style('opacity', d => (isInScenario(d.__isoCode) ? 1 : 0.4))
+    .on('mouseover', (event, d) => {
+      const isoCode = d.__isoCode;
+      if (!isInScenario(isoCode)) return;
+      const name = getTooltipCountryName(isoCode, d, metadataMap);
+      let detail = '';
+      if (changes.has(isoCode)) {
+        detail = `Managed risk change: ${formatRiskChange(changes.get(isoCode))}`;
+      } else if (addedSet.has(isoCode)) {
+        detail = `Only in ${scenarioName}`;
+      } else {
+        detail = `Only in ${referenceName}`;
+      }
+
+      d3.selectAll('.map-tooltip').remove();
+      d3.select('body')
+        .append('div')
+        .attr('class', 'map-tooltip')
+        .style('position', 'absolute')
+        .style('background', 'rgba(0, 0, 0, 0.8)')
+        .style('color', 'white')
+        .style('padding', '8px')
+        .style('border-radius', '4px')
+        .style('font-size', '12px')
+        .style('pointer-events', 'none')
+        .html(`<strong>${name}</strong><br/>${detail}`)
+        .style('left', `${(event.pageX || 0) + 10}px`)
+        .style('top', `${(event.pageY || 0) - 10}px`);
+    })
+    .on('mouseout', () => hideMapTooltip());
+
+  const zoom = d3.zoom()
+    .scaleExtent([0.5, 10])
+    .on('zoom', event => {
+      mapGroup.attr('transform', event.transform);
+    });
+
+  svg.call(zoom);
+  disableMouseWheelZoom(svg);
+  addZoomControls(svg, zoom);
+}
+
+function createScenarioDifferenceLegend(containerId, { maxChange, referenceName, scenarioName }) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const swatch = (color, label, dashed = false) => `
+    <div style="display: flex; align-items: center; gap: 4px;">
+      <div style="width: 16px; height: 16px; border: 1px ${dashed ? 'dashed #374151' : 'solid #ccc'}; background-color: ${color};"></div>
+      <span style="font-size: 12px;">${label}</span>
+    </div>
+  `;
+
+  container.innerHTML = `
+    <div style="display: flex; align-items: center; gap: 8px; font-size: 12px;">
+      <span>${formatRiskChange(-maxChange)} lower</span>
+      <div style="width: 180px; height: 12px; border: 1px solid #ccc; background: linear-gradient(to right, ${SCENARIO_DIFFERENCE_COLORS.lower}, ${SCENARIO_DIFFERENCE_COLORS.neutral}, ${SCENARIO_DIFFERENCE_COLORS.higher});"></div>
+      <span>${formatRiskChange(maxChange)} higher</span>
+    </div>
+    ${swatch(SCENARIO_ADDED_COLOR, `Only in ${scenarioName}`)}
+    ${swatch(SCENARIO_REMOVED_COLOR, `Only in ${referenceName}`, true)}
+  `;
+}
+
+// Fallback without D3: the changes as a sorted list
+function createScenarioDifferenceList(containerId, { countries, differences, added, removed, referenceName, scenarioName }) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const nameOf = isoCode => {
+    const country = countries.find(item => item.isoCode === isoCode);
+    return country ? riskEngine.getCountryDisplayName(country) : isoCode;
+  };
+  const rows = Object.entries(differences)
+    .sort(([, a], [, b]) => a - b)
+    .map(([isoCode, value]) => `
+      <div style="display: flex; justify-content: space-between; padding: 4px 0; border-bottom: 1px solid #f3f4f6;">
+        <span>${nameOf(isoCode)}</span>
+        <span style="font-weight: 600; color: ${value < 0 ? SCENARIO_DIFFERENCE_COLORS.lower : (value > 0 ? SCENARIO_DIFFERENCE_COLORS.higher : '#6b7280')};">${formatRiskChange(value)}</span>
+      </div>
+    `).join('');
+
+  container.innerHTML = `
+    <div style="max-width: 480px; margin: 0 auto; text-align: left; font-size: 13px;">
+      ${rows || '<div style="color: #6b7280;">No countries in both scenarios.</div>'}
+      ${added.length ? `<div style="margin-top: 8px; color: #1d4ed8;">Only in ${scenarioName}: ${added.map(nameOf).join(', ')}</div>` : ''}
+      ${removed.length ? `<div style="margin-top: 4px; color: #6b7280;">Only in ${referenceName}: ${removed.map(nameOf).join(', ')}</div>` : ''}
+    </div>
+  `;
+}
+
+// Change in per-country managed risk from a reference scenario to another one.
+// `differences` is { ISO: change }, `added`/`removed` list countries sourced in only one
+// of the two (see ScenarioComparison.getScenarioDifferences). Names are shown as given,
+// so escape user-entered names before passing them in.
+export async function createScenarioDifferenceMap(containerId, { countries = [], differences = {}, added = [], removed = [], referenceName = 'Reference', scenarioName = 'Scenario', title = null, height = 400, width = 960 } = {}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const safeCountries = Array.isArray(countries) ? countries : [];
+  const safeDifferences = (differences && typeof differences === 'object') ? differences : {};
+  const safeAdded = Array.isArray(added) ? added : [];
+  const safeRemoved = Array.isArray(removed) ? removed : [];
+  // Symmetric scale, at least one risk point wide so tiny changes are not saturated
+  const maxChange = Math.max(1, ...Object.values(safeDifferences).map(value => Math.abs(value)));
+
+  container.innerHTML = `
+    <div class="comparison-map-container" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); text-align: center;">
+      <h3 style="font-size: 18px; font-weight: 600; margin-bottom: 16px;">${title || `Managed risk change: ${scenarioName} vs ${referenceName}`}</h3>
+      <div id="${containerId}-loading" style="padding: 30px; color: #6b7280;">Loading difference map...</div>
+      <div id="${containerId}-wrapper" style="width: 100%; display: flex; justify-content: center; margin-bottom: 16px;"></div>
+      <div id="${containerId}-legend" style="display: flex; flex-wrap: wrap; gap: 12px; justify-content: center; align-items: center;"></div>
+    </div>
+  `;
+
+  const options = {
+    countries: safeCountries,
+    differences: safeDifferences,
+    added: safeAdded,
+    removed: safeRemoved,
+    referenceName,
+    scenarioName
+  };
+
+  try {
+    await loadD3();
+    const worldData = await loadWorldData();
+
+    if (worldData?.type === 'Topology') {
+      try {
+        await loadTopoJSON();
+      } catch (topojsonError) {
+        console.warn('TopoJSON library unavailable - using internal converter instead.', topojsonError);
+      }
+    }
+
+    renderScenarioDifferenceD3Map(worldData, {
+      ...options,
+      container: `${containerId}-wrapper`,
+      maxChange,
+      width,
+      height: Math.max(height, 300)
     });
+    createScenarioDifferenceLegend(`${containerId}-legend`, { maxChange, referenceName, scenarioName });
+  } catch (error) {
+    console.warn('Scenario difference map rendering failed, showing a list instead:', error);
+    createScenarioDifferenceList(`${containerId}-wrapper`, options);
   }
+
+  const loadingElement = document.getElementById(`${containerId}-loading`);
+  if (loadingElement) loadingElement.remove();
 }
 
-export async function createWorldMap(containerId, { countries, countryRisks, selectedCountries, onCountrySelect, title, subtitle = null, mapType = 'baseline', managedRisk = null, height = 500, width = 960 }) {
+// sectorFilter: optional { options: [{ value, label }], value, onChange } shown above the map
+export async function createWorldMap(containerId, { countries, countryRisks, selectedCountries, onCountrySelect, title, subtitle = null, mapType = 'baseline', managedRisk = null, height = 500, width = 960, dataCompleteness = null, sectorFilter = null, drillCountry = null }) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
@@ -1590,11 +1940,23 @@ export async function createWorldMap(containerId, { countries, countryRisks, sel
   title;
   const titleMarginBottom = subtitle ? '8px' : '16px';
   const subtitleHtml = subtitle ? `<div style="font-size: 14px; color: #4b5563; margin-bottom: 16px;">${subtitle}</div>` : '';
+  const sectorFilterId = `${containerId}-sectorFilter`;
+  const sectorFilterHtml = sectorFilter && Array.isArray(sectorFilter.options) ? `
+    <div style="display: flex; justify-content: center; align-items: center; gap: 8px; margin-bottom: 16px;">
+      <label for="${sectorFilterId}" style="font-size: 14px; font-weight: 500; color: #374151;">Show risk for sector:</label>
+      <select id="${sectorFilterId}" style="padding: 6px 10px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 14px; background-color: white;">
+        ${sectorFilter.options.map(option => `
+          <option value="${option.value}" ${option.value === sectorFilter.value ? 'selected' : ''}>${option.label}</option>
+        `).join('')}
+      </select>
+    </div>
+  ` : '';
 
   container.innerHTML = `
     <div class="world-map-container" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); text-align: center;">
       <h3 style="font-size: 18px; font-weight: 600; margin-bottom: ${titleMarginBottom};">${displayTitle}</h3>
       ${subtitleHtml}
+      ${sectorFilterHtml}
       <div id="map-loading" style="padding: 40px; color: #6b7280;">
         <div>Loading interactive coverage-based risk map...</div>
         <div style="font-size: 14px; margin-top: 8px;">Click on countries to select them for your portfolio risk assessment.</div>
@@ -1609,6 +1971,11 @@ export async function createWorldMap(containerId, { countries, countryRisks, sel
   const safeSelectedCountries = Array.isArray(selectedCountries) ? selectedCountries : [];
   const safeCountryRisks = (countryRisks && typeof countryRisks === 'object') ? countryRisks : {};
 
+  const sectorSelect = document.getElementById(sectorFilterId);
+  if (sectorSelect && sectorFilter?.onChange) {
+    sectorSelect.addEventListener('change', (e) => sectorFilter.onChange(e.target.value));
+  }
+
   try {
     await loadD3();
     const worldData = await loadWorldData();
@@ -1633,7 +2000,9 @@ export async function createWorldMap(containerId, { countries, countryRisks, sel
       onCountrySelect,
       width,
       height: Math.max(height, 600),
-      mapType
+      mapType,
+      dataCompleteness,
+      drillCountry
     });
 
     createMapLegend('mapLegend');
@@ -1648,7 +2017,8 @@ export async function createWorldMap(containerId, { countries, countryRisks, sel
       selectedCountries: safeSelectedCountries,
       onCountrySelect,
       title: displayTitle,
-      mapType
+      mapType,
+      dataCompleteness
     });
   }
 }
\ No newline at end of file
@@ -1,5 +1,18 @@
 import { riskEngine } from './RiskEngine.js';
-import { renderCostAnalysisMap } from './UIComponents.maps.js';
+import { INDICATORS, normalizeIndicatorWeights } from './IndicatorSchema.js';
+import { DEFAULT_SECTOR_ID, SECTORS, getSector } from './SectorRisk.js';
+import { VOLUME_BASIS_LABELS } from './PortfolioImport.js';
+import { SUPPLIER_VOLUME_BASIS_LABELS, SUPPLY_CHAIN_TIERS, createSupplier } from './SupplierPortfolio.js';
+import { createScenarioDifferenceMap, renderCostAnalysisMap } from './UIComponents.maps.js';
+import { MAX_COMPARED_SCENARIOS, compareScenarios, getScenarioDifferences } from './ScenarioComparison.js';
+import {
+  REPORT_COMPANY_NAME_MAX_LENGTH,
+  REPORT_LOGO_MAX_LENGTH,
+  REPORT_NARRATIVE_MAX_LENGTH,
+  REPORT_SECTIONS,
+  REPORT_TEMPLATE_PRESETS
+} from './ReportTemplates.js';
+import { buildExecutiveNarrative } from './ExecutiveNarrative.js';
 
 let panel3ResizeListenerAttached = false;
 let panel4ResizeListenerAttached = false;
@@ -7,6 +20,16 @@ let panel4ResizeListenerAttached = false;
 const markerObservers = new WeakMap();
 const markerResizeHandlers = new WeakMap();
 
+// For text typed by other users (assessment names, notes) rendered into innerHTML
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function estimateSliderThumbSize(rangeInput, sliderRect) {
   const fallback = 16;
   if (!rangeInput) return fallback;
@@ -399,7 +422,52 @@ export function createRiskComparisonPanel(
 }
 
 
-export function createHRDDStrategyPanel(containerId, { strategy, onStrategyChange, onFocusChange }) {
+// Coverage inputs for the tiers below tier 1, one column per tier
+function renderTierCoverageTable(strategyLabels, tierStrategies, tierRiskBreakdown) {
+  const deeperTiers = SUPPLY_CHAIN_TIERS.filter(({ tier }) => tier > 1);
+  const supplierCounts = Object.fromEntries(
+    (tierRiskBreakdown?.tiers || []).map(({ tier, supplierCount }) => [tier, supplierCount])
+  );
+
+  const headers = deeperTiers.map(({ tier, label, description }) => `
+    <th title="${description}" style="padding: 6px 8px; text-align: center; font-weight: 600; color: #374151; border-bottom: 1px solid #e5e7eb;">
+      ${label}
+      <div style="font-size: 11px; font-weight: 400; color: #6b7280;">${supplierCounts[tier] ? `${supplierCounts[tier]} supplier${supplierCounts[tier] === 1 ? '' : 's'}` : 'no suppliers'}</div>
+    </th>
+  `).join('');
+
+  const rows = strategyLabels.map((label, index) => `
+    <tr>
+      <td style="padding: 6px 8px; color: #374151; border-bottom: 1px solid #f3f4f6;">${label}</td>
+      ${deeperTiers.map(({ tier }) => `
+        <td style="padding: 6px 8px; text-align: center; border-bottom: 1px solid #f3f4f6;">
+          <input type="number" min="0" max="100" value="${tierStrategies?.[tier]?.[index] ?? 0}" data-tier="${tier}" data-tool-index="${index}" style="width: 70px; padding: 4px 6px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px; text-align: center;">
+        </td>
+      `).join('')}
+    </tr>
+  `).join('');
+
+  return `
+    <div id="tierStrategySection" style="margin-top: 16px; padding: 16px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #f9fafb;">
+      <h4 style="font-size: 15px; font-weight: 600; color: #1f2937; margin: 0 0 4px 0;">Coverage in deeper supply chain tiers (%)</h4>
+      <p style="font-size: 12px; color: #6b7280; margin: 0 0 12px 0; line-height: 1.5;">
+        The sliders above set Tier 1 coverage. Tools usually reach processors and raw material suppliers far less often.
+        Tag suppliers by tier in Panel 2 to score each tier with its own coverage in Panel 5.
+      </p>
+      <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+        <thead>
+          <tr>
+            <th style="padding: 6px 8px; text-align: left; font-weight: 600; color: #374151; border-bottom: 1px solid #e5e7eb;">Tool</th>
+            ${headers}
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+export function createHRDDStrategyPanel(containerId, { strategy, onStrategyChange, onFocusChange, tierStrategies = null, onTierStrategyChange = null, tierRiskBreakdown = null }) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
@@ -472,9 +540,24 @@ export function createHRDDStrategyPanel(containerId, { strategy, onStrategyChang
           </ul>
         </div>
       </div>
+
+      ${typeof onTierStrategyChange === 'function' ? renderTierCoverageTable(strategyLabels, tierStrategies, tierRiskBreakdown) : ''}
     </div>
   `;
 
+  if (typeof onTierStrategyChange === 'function') {
+    container.querySelectorAll('#tierStrategySection input[data-tier]').forEach(input => {
+      input.addEventListener('change', () => {
+        const { tier } = input.dataset;
+        const values = strategyLabels.map((_, index) => {
+          const cell = container.querySelector(`#tierStrategySection input[data-tier="${tier}"][data-tool-index="${index}"]`);
+          return Math.max(0, Math.min(100, parseFloat(cell?.value) || 0));
+        });
+        onTierStrategyChange(Number(tier), values);
+      });
+    });
+  }
+
   const strategyContainer = document.getElementById('strategyContainer');
   strategyLabels.forEach((label, index) => {
     // Find which category this tool belongs to
@@ -1070,7 +1153,83 @@ export function createResponsivenessEffectivenessPanel(containerId, { effectiven
 }
 
 // ENHANCED: Final results panel with comprehensive focus analysis
-export function createFinalResultsPanel(containerId, { baselineRisk, managedRisk, selectedCountries, countries, hrddStrategy, transparencyEffectiveness, responsivenessStrategy, responsivenessEffectiveness, focus = 0, riskConcentration = 1, countryVolumes, countryRisks, focusEffectivenessMetrics = null }) {
+// Baseline and managed risk per supply chain tier with the combined result, compared
+// with the headline figures that apply Tier 1 coverage to every supplier
+function renderTierRiskBreakdown(tierRiskBreakdown) {
+  if (!tierRiskBreakdown || !Array.isArray(tierRiskBreakdown.tiers) || tierRiskBreakdown.tiers.length === 0) {
+    return '';
+  }
+
+  const { tiers, combined } = tierRiskBreakdown;
+  const cell = 'padding: 8px 10px; border-bottom: 1px solid #f3f4f6;';
+  const riskCell = value => `
+    <td style="${cell} text-align: center; font-weight: 600; color: ${riskEngine.getRiskColor(value)};">${value.toFixed(1)}</td>
+  `;
+
+  const rows = tiers.map(tier => `
+    <tr>
+      <td style="${cell} color: #1f2937; font-weight: 500;">${tier.label}</td>
+      <td style="${cell} text-align: center; color: #4b5563;">${tier.supplierCount} in ${tier.countryCount} ${tier.countryCount === 1 ? 'country' : 'countries'}</td>
+      <td style="${cell} text-align: center; color: #4b5563;">${(tier.volumeShare * 100).toFixed(0)}%</td>
+      ${riskCell(tier.baselineRisk)}
+      ${riskCell(tier.managedRisk)}
+      <td style="${cell} text-align: center; color: #059669;">${tier.riskReduction.toFixed(1)}%</td>
+    </tr>
+  `).join('');
+
+  const note = tiers.length === 1
+    ? `All suppliers are ${tiers[0].label}. Tag processors and raw material suppliers with their tier in Panel 2 to see how coverage differs deeper in the supply chain.`
+    : 'Each tier is scored on its own Panel 3 coverage. The managed risk shown above is the combined figure, weighted by each tier\'s share of volume.';
+
+  return `
+    <div style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); margin-bottom: 24px;">
+      <h3 style="font-size: 18px; font-weight: 600; margin-bottom: 8px; color: #374151;">Risk by supply chain tier</h3>
+      <p style="font-size: 13px; color: #4b5563; line-height: 1.6; margin-bottom: 16px;">${note}</p>
+      <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+        <thead>
+          <tr style="background-color: #f9fafb;">
+            <th style="${cell} text-align: left; color: #374151;">Tier</th>
+            <th style="${cell} text-align: center; color: #374151;">Suppliers</th>
+            <th style="${cell} text-align: center; color: #374151;">Share of volume</th>
+            <th style="${cell} text-align: center; color: #374151;">Baseline risk</th>
+            <th style="${cell} text-align: center; color: #374151;">Managed risk</th>
+            <th style="${cell} text-align: center; color: #374151;">Reduction</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows}
+          <tr style="background-color: #f0f9ff;">
+            <td style="${cell} font-weight: 700; color: #1e3a8a;">Combined</td>
+            <td style="${cell} text-align: center; color: #4b5563;">${tiers.reduce((sum, tier) => sum + tier.supplierCount, 0)}</td>
+            <td style="${cell} text-align: center; color: #4b5563;">100%</td>
+            ${riskCell(combined.baselineRisk)}
+            ${riskCell(combined.managedRisk)}
+            <td style="${cell} text-align: center; color: #059669; font-weight: 600;">${combined.riskReduction.toFixed(1)}%</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// Written reading of the results (ExecutiveNarrative.js). The cost paragraph needs the
+// optimizer result, which Panel 6 computes, so without it the card points there.
+function renderExecutiveNarrative(paragraphs, { costAnalysisEnabled, hasOptimization }) {
+  if (paragraphs.length === 0) return '';
+  const optimizerHint = costAnalysisEnabled && !hasOptimization
+    ? '<p style="font-size: 12px; color: #64748b; margin: 0;">Open Panel 6 to add how much more risk the same budget could remove with the optimizer\'s allocation.</p>'
+    : '';
+
+  return `
+    <div id="executiveNarrativeSection" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); margin-bottom: 24px;">
+      <h3 style="font-size: 20px; font-weight: bold; margin-bottom: 16px; color: #1f2937;">The Assessment in Brief</h3>
+      ${paragraphs.map(text => `<p style="font-size: 14px; color: #374151; line-height: 1.6; margin: 0 0 12px;">${escapeHtml(text)}</p>`).join('')}
+      ${optimizerHint}
+    </div>
+  `;
+}
+
+export function createFinalResultsPanel(containerId, { baselineRisk, managedRisk, selectedCountries, countries, hrddStrategy, transparencyEffectiveness, responsivenessStrategy, responsivenessEffectiveness, focus = 0, riskConcentration = 1, countryVolumes, countryRisks, countryManagedRisks = {}, focusEffectivenessMetrics = null, tierRiskBreakdown = null, optimization = null, costAnalysisEnabled = false }) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
@@ -1085,7 +1244,8 @@ export function createFinalResultsPanel(containerId, { baselineRisk, managedRisk
     focus,
     riskConcentration,
     countryVolumes,
-    countryRisks
+    countryRisks,
+    tierRiskBreakdown
   ) || {};
 
   const ensureNumber = (value, fallback = 0) => {
@@ -1287,11 +1447,24 @@ export function createFinalResultsPanel(containerId, { baselineRisk, managedRisk
       `).join('')
     : '<div style="padding: 12px 14px; border: 1px dashed #c4b5fd; border-radius: 8px; background-color: #f5f3ff; color: #5b21b6; font-size: 12px;">Allocate response effort in Panel 4 to translate detections into remediation.</div>';
 
+  const narrative = buildExecutiveNarrative({
+    baselineRisk,
+    managedRisk,
+    selectedCountries,
+    countries,
+    countryVolumes,
+    countryManagedRisks,
+    focus,
+    focusEffectivenessMetrics
+  }, { summary, optimization });
+
   container.innerHTML = `
     <div class="final-results-panel">
       <!-- RISK ASSESSMENT SUMMARY -->
       <div id="finalRiskSummary" style="margin-bottom: 32px;"></div>
 
+      ${renderExecutiveNarrative(narrative, { costAnalysisEnabled, hasOptimization: Boolean(optimization) })}
+
       <!-- RISK TRANSFORMATION EXPLANATION -->
       <div id="strategyTransformationSection" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); margin-bottom: 24px;">
         <h3 style="font-size: 20px; font-weight: bold; margin-bottom: 20px; color: #1f2937;">How Your Use of HRDD Tools Reduces Risk</h3>
@@ -1432,6 +1605,8 @@ export function createFinalResultsPanel(containerId, { baselineRisk, managedRisk
         </div>
       </div>
 
+      ${renderTierRiskBreakdown(tierRiskBreakdown)}
+
       </div>
   `;
 
@@ -1443,7 +1618,59 @@ export function createFinalResultsPanel(containerId, { baselineRisk, managedRisk
   });
 }
 
-export function createCountrySelectionPanel(containerId, { countries, selectedCountries, countryVolumes, onCountrySelect, onVolumeChange }) {
+// Outcome of the last spreadsheet import: counts, volume basis and unmatched rows
+// Everything read from the file (name, cell text, parse errors) is escaped
+function renderPortfolioImportReport(report) {
+  if (!report) return '';
+
+  if (report.error) {
+    return `
+      <div style="margin-top: 12px; padding: 12px; background-color: #fef2f2; border: 1px solid #fecaca; border-radius: 6px; color: #991b1b; font-size: 13px;">
+        Could not import ${report.fileName ? escapeHtml(report.fileName) : 'the file'}: ${escapeHtml(report.error)}
+      </div>
+    `;
+  }
+
+  const maxListed = 20;
+  const unmatched = Array.isArray(report.unmatched) ? report.unmatched : [];
+  const unmatchedList = unmatched.length === 0 ? '' : `
+    <div style="margin-top: 8px; color: #92400e;">
+      <div style="font-weight: 600;">${unmatched.length} row${unmatched.length === 1 ? '' : 's'} could not be used:</div>
+      <ul style="margin: 4px 0 0; padding-left: 18px; line-height: 1.5;">
+        ${unmatched.slice(0, maxListed).map(({ line, value, reason }) => `
+          <li>Row ${line}${value ? ` (${escapeHtml(value)})` : ''}: ${escapeHtml(reason)}</li>
+        `).join('')}
+        ${unmatched.length > maxListed ? `<li>…and ${unmatched.length - maxListed} more</li>` : ''}
+      </ul>
+    </div>
+  `;
+
+  const approximate = Array.isArray(report.approximate) ? report.approximate : [];
+  const approximateList = approximate.length === 0 ? '' : `
+    <div style="margin-top: 8px; color: #1e40af;">
+      <div style="font-weight: 600;">${approximate.length} row${approximate.length === 1 ? '' : 's'} matched by close spelling. Please check:</div>
+      <ul style="margin: 4px 0 0; padding-left: 18px; line-height: 1.5;">
+        ${approximate.slice(0, maxListed).map(({ line, value, name, isoCode, confidence }) => `
+          <li>Row ${line}: "${escapeHtml(value)}" read as ${escapeHtml(name || isoCode)} (${Math.round(confidence * 100)}% confidence)</li>
+        `).join('')}
+        ${approximate.length > maxListed ? `<li>…and ${approximate.length - maxListed} more</li>` : ''}
+      </ul>
+    </div>
+  `;
+
+  return `
+    <div style="margin-top: 12px; padding: 12px; background-color: ${unmatched.length > 0 ? '#fffbeb' : '#f0fdf4'}; border: 1px solid ${unmatched.length > 0 ? '#fcd34d' : '#bbf7d0'}; border-radius: 6px; color: #1f2937; font-size: 13px;">
+      Imported ${report.matchedRows} of ${report.totalRows} rows from ${escapeHtml(report.fileName)} into
+      ${report.selectedCountries.length} ${report.selectedCountries.length === 1 ? 'country' : 'countries'},
+      weighted by ${VOLUME_BASIS_LABELS[report.volumeBasis] || report.volumeBasis}.
+      ${Array.isArray(report.suppliers) ? `Each row was read as a supplier; ${report.suppliers.length} are now in the supplier list below.` : ''}
+      ${unmatchedList}
+      ${approximateList}
+    </div>
+  `;
+}
+
+export function createCountrySelectionPanel(containerId, { countries, selectedCountries, countryVolumes, onCountrySelect, onVolumeChange, countrySectors = {}, onSectorChange, onPortfolioImport = null, portfolioImport = null, countrySupplierCounts = null }) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
@@ -1451,6 +1678,21 @@ export function createCountrySelectionPanel(containerId, { countries, selectedCo
     <div class="country-selection-panel" style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
       <h2 style="font-size: 20px; font-weight: bold; margin-bottom: 24px; color: #1f2937;">Country Selection</h2>
 
+      ${onPortfolioImport ? `
+        <div style="margin-bottom: 24px;">
+          <div id="portfolioDropZone" style="padding: 16px; border: 2px dashed #93c5fd; border-radius: 8px; background-color: #f8fafc; text-align: center; font-size: 14px; color: #374151; transition: background-color 0.2s;">
+            Drop a supplier list (CSV or XLSX) here, or
+            <label for="portfolioFileInput" style="color: #2563eb; text-decoration: underline; cursor: pointer;">choose a file</label>
+            <input type="file" id="portfolioFileInput" accept=".csv,.txt,.xlsx,.xls" style="display: none;">
+            <div style="font-size: 12px; color: #6b7280; margin-top: 6px;">
+              Needs a country name or ISO2/ISO3 column; spend or supplier count columns set the weighting.
+              Importing replaces the current selection. The file is read in your browser and not uploaded.
+            </div>
+          </div>
+          ${renderPortfolioImportReport(portfolioImport)}
+        </div>
+      ` : ''}
+
       <div style="margin-bottom: 24px;">
         <label style="display: block; font-size: 14px; font-weight: 500; color: #374151; margin-bottom: 8px;">
           Add Country to Portfolio:
@@ -1466,8 +1708,10 @@ export function createCountrySelectionPanel(containerId, { countries, selectedCo
         <h4 style="font-weight: 600; margin-bottom: 8px; color: #1e3a8a;">Quick Guide:</h4>
         <ul style="font-size: 14px; margin: 0; padding-left: 16px; line-height: 1.5;">
           <li>Click countries on the map above to select them</li>
+          <li>For China, India, Brazil and Mexico, clicking the map lets you pick individual provinces or states</li>
           <li>Or use the dropdown to add countries</li>
           <li>Set weighting for each country (higher = more influence on risk)</li>
+          <li>Choose the sector or commodity sourced from each country; its multiplier adjusts the country risk</li>
           <li>Click 'Remove' to deselect countries</li>
         </ul>
       </div>
@@ -1479,13 +1723,24 @@ export function createCountrySelectionPanel(containerId, { countries, selectedCo
     .filter(country => !selectedCountries.includes(country.isoCode))
     .sort((a, b) => a.name.localeCompare(b.name));
 
+  // Sub-national units are listed after the countries in their own group
+  const subnationalGroup = document.createElement('optgroup');
+  subnationalGroup.label = 'Provinces and states';
+
   sortedCountries.forEach(country => {
     const option = document.createElement('option');
     option.value = country.isoCode;
-    option.textContent = country.name;
-    countrySelect.appendChild(option);
+    option.textContent = riskEngine.getCountryDisplayName(country);
+    if (country.isImputed) {
+      option.title = riskEngine.describeDataCompleteness({ proxy: country.proxy });
+    }
+    (country.isSubnational ? subnationalGroup : countrySelect).appendChild(option);
   });
 
+  if (subnationalGroup.children.length > 0) {
+    countrySelect.appendChild(subnationalGroup);
+  }
+
   countrySelect.addEventListener('change', (e) => {
     if (e.target.value && onCountrySelect) {
       onCountrySelect(e.target.value);
@@ -1493,10 +1748,742 @@ export function createCountrySelectionPanel(containerId, { countries, selectedCo
     e.target.value = '';
   });
 
-  updateSelectedCountriesDisplay(selectedCountries, countries, countryVolumes, onCountrySelect, onVolumeChange);
+  const dropZone = document.getElementById('portfolioDropZone');
+  const fileInput = document.getElementById('portfolioFileInput');
+  if (dropZone && fileInput && onPortfolioImport) {
+    const setHighlight = active => {
+      dropZone.style.backgroundColor = active ? '#dbeafe' : '#f8fafc';
+    };
+    ['dragenter', 'dragover'].forEach(type => dropZone.addEventListener(type, (e) => {
+      e.preventDefault();
+      setHighlight(true);
+    }));
+    dropZone.addEventListener('dragleave', () => setHighlight(false));
+    dropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      setHighlight(false);
+      const file = e.dataTransfer?.files?.[0];
+      if (file) onPortfolioImport(file);
+    });
+    fileInput.addEventListener('change', (e) => {
+      const file = e.target.files?.[0];
+      if (file) onPortfolioImport(file);
+      e.target.value = '';
+    });
+  }
+
+  updateSelectedCountriesDisplay(selectedCountries, countries, countryVolumes, onCountrySelect, onVolumeChange, countrySectors, onSectorChange, countrySupplierCounts);
+}
+
+// Supplier list for Panel 2. Every edit passes the full updated list back; while the
+// list has entries, country weightings, sectors and supplier counts are derived from it.
+export function createSupplierListPanel(containerId, { countries, selectedCountries = [], countrySectors = {}, suppliers = [], volumeBasis = null, onSuppliersChange }) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const list = Array.isArray(suppliers) ? suppliers : [];
+  const sortedCountries = [...countries].sort((a, b) => a.name.localeCompare(b.name));
+  const inputStyle = 'width: 100%; box-sizing: border-box; padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px; background-color: white;';
+  const missingSpend = list.filter(supplier => !(supplier.spend > 0)).length;
+
+  const renderRow = supplier => `
+    <tr data-supplier-id="${escapeHtml(supplier.id)}" style="border-top: 1px solid #e5e7eb;">
+      <td style="padding: 6px 4px;"><input data-field="name" type="text" value="${escapeHtml(supplier.name)}" placeholder="Supplier name" style="${inputStyle}"></td>
+      <td style="padding: 6px 4px;">
+        <select data-field="isoCode" style="${inputStyle}">
+          ${sortedCountries.map(country => `
+            <option value="${country.isoCode}" ${country.isoCode === supplier.isoCode ? 'selected' : ''}>${riskEngine.getCountryDisplayName(country)}</option>
+          `).join('')}
+        </select>
+      </td>
+      <td style="padding: 6px 4px;">
+        <select data-field="sector" style="${inputStyle}">
+          ${SECTORS.map(sector => `
+            <option value="${sector.id}" ${sector.id === supplier.sector ? 'selected' : ''}>${sector.label}</option>
+          `).join('')}
+        </select>
+      </td>
+      <td style="padding: 6px 4px;"><input data-field="spend" type="number" min="0" value="${supplier.spend ?? ''}" placeholder="—" style="${inputStyle} text-align: right;"></td>
+      <td style="padding: 6px 4px;"><input data-field="workers" type="number" min="0" step="1" value="${supplier.workers ?? ''}" placeholder="—" style="${inputStyle} text-align: right;"></td>
+      <td style="padding: 6px 4px;"><input data-field="tier" type="number" min="1" step="1" title="1 = direct supplier, 2 = processing and components, 3 or more = raw materials" value="${supplier.tier}" style="${inputStyle} text-align: center;"></td>
+      <td style="padding: 6px 4px; text-align: right;">
+        <button type="button" data-remove-supplier style="padding: 6px 10px; background-color: #ef4444; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">Remove</button>
+      </td>
+    </tr>
+  `;
+
+  container.innerHTML = `
+    <div style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);">
+      <h2 style="font-size: 20px; font-weight: bold; margin-bottom: 8px; color: #1f2937;">Supplier List <span style="font-size: 13px; font-weight: 500; color: #6b7280;">(optional)</span></h2>
+      <p style="font-size: 14px; color: #4b5563; margin: 0 0 16px 0; line-height: 1.5;">
+        ${list.length === 0
+          ? 'Model your portfolio supplier by supplier. Country weightings, sectors and the Panel 6 supplier numbers are then derived from the list instead of being set per country.'
+          : `Country weightings use ${SUPPLIER_VOLUME_BASIS_LABELS[volumeBasis] || 'the number of suppliers'}${volumeBasis !== 'spend' && missingSpend < list.length ? ` (${missingSpend} supplier${missingSpend === 1 ? ' has' : 's have'} no spend)` : ''}. Where a country has suppliers in several sectors, the sector with the largest share is applied.`}
+      </p>
+      ${list.length > 0 ? `
+        <div style="overflow-x: auto;">
+          <table style="width: 100%; border-collapse: collapse; font-size: 13px; min-width: 760px;">
+            <thead>
+              <tr style="text-align: left; color: #6b7280;">
+                <th style="padding: 4px; font-weight: 600;">Supplier</th>
+                <th style="padding: 4px; font-weight: 600;">Country</th>
+                <th style="padding: 4px; font-weight: 600;">Sector</th>
+                <th style="padding: 4px; font-weight: 600; width: 110px;">Spend</th>
+                <th style="padding: 4px; font-weight: 600; width: 90px;">Workers</th>
+                <th style="padding: 4px; font-weight: 600; width: 60px;">Tier</th>
+                <th style="padding: 4px;"></th>
+              </tr>
+            </thead>
+            <tbody>${list.map(renderRow).join('')}</tbody>
+          </table>
+        </div>
+      ` : ''}
+      <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 16px;">
+        <button type="button" id="addSupplier" style="padding: 8px 14px; background-color: #2563eb; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 13px; font-weight: 500;">Add supplier</button>
+        ${list.length === 0 && selectedCountries.length > 0 ? `
+          <button type="button" id="seedSuppliers" style="padding: 8px 14px; background-color: white; color: #1d4ed8; border: 1px solid #93c5fd; border-radius: 6px; cursor: pointer; font-size: 13px; font-weight: 500;">Start from selected countries</button>
+        ` : ''}
+        ${list.length > 0 ? `
+          <button type="button" id="clearSuppliers" style="padding: 8px 14px; background-color: #f3f4f6; color: #374151; border: 1px solid #d1d5db; border-radius: 6px; cursor: pointer; font-size: 13px;">Clear list (keep country weightings)</button>
+        ` : ''}
+      </div>
+    </div>
+  `;
+
+  if (!onSuppliersChange) return;
+
+  container.querySelectorAll('tr[data-supplier-id]').forEach(row => {
+    const id = row.getAttribute('data-supplier-id');
+    row.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener('change', () => {
+        const field = input.getAttribute('data-field');
+        onSuppliersChange(list.map(supplier => (supplier.id === id ? { ...supplier, [field]: input.value } : supplier)));
+      });
+    });
+    row.querySelector('[data-remove-supplier]').addEventListener('click', () => {
+      onSuppliersChange(list.filter(supplier => supplier.id !== id));
+    });
+  });
+
+  document.getElementById('addSupplier').addEventListener('click', () => {
+    const isoCode = list[list.length - 1]?.isoCode || selectedCountries[0] || sortedCountries[0]?.isoCode;
+    const supplier = createSupplier(list, { isoCode, sector: countrySectors[isoCode] });
+    if (supplier) onSuppliersChange([...list, supplier]);
+  });
+
+  const seedButton = document.getElementById('seedSuppliers');
+  if (seedButton) {
+    seedButton.addEventListener('click', () => {
+      onSuppliersChange(selectedCountries.reduce((acc, isoCode) => {
+        const supplier = createSupplier(acc, { isoCode, sector: countrySectors[isoCode] });
+        return supplier ? [...acc, supplier] : acc;
+      }, []));
+    });
+  }
+
+  const clearButton = document.getElementById('clearSuppliers');
+  if (clearButton) {
+    clearButton.addEventListener('click', () => onSuppliersChange([]));
+  }
 }
 
-export function createResultsPanel(containerId, { selectedCountries, countries, countryRisks, baselineRisk }) {
+// Map drill-down for a country with sub-national units: toggle the whole country or
+// individual provinces/states, each of which is weighted and scored separately
+// Open, save, duplicate, rename and delete server-side assessments in a workspace.
+// Access needs a token naming the user and their workspaces; only the owner of an
+// assessment is offered Delete.
+export function createAssessmentPicker(containerId, {
+  identity = { token: '', workspace: '' },
+  account = null,
+  assessments = [],
+  currentAssessment = null,
+  loading = false,
+  error = null,
+  message = null,
+  onIdentityChange,
+  onRefresh,
+  onSave,
+  onOpen,
+  onDuplicate,
+  onRename,
+  onDelete,
+  onClose
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const inputStyle = 'padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px;';
+  const buttonStyle = (color, filled = false) => `padding: 6px 12px; border: 1px solid ${color}; background: ${filled ? color : 'white'}; color: ${filled ? 'white' : color}; border-radius: 6px; cursor: pointer; font-size: 12px; font-weight: 500;`;
+  const formatDate = value => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+  };
+
+  const status = loading
+    ? '<div style="font-size: 13px; color: #6b7280;">Working…</div>'
+    : (error
+      ? `<div style="font-size: 13px; color: #b91c1c;">${escapeHtml(error)}</div>`
+      : (message ? `<div style="font-size: 13px; color: #047857;">${escapeHtml(message)}</div>` : ''));
+
+  const rows = assessments.map(assessment => {
+    const isCurrent = currentAssessment?.id === assessment.id;
+    const isOwner = Boolean(account?.user) && assessment.owner === account.user;
+    const datasetVersion = assessment.dataset?.datasetVersion;
+    return `
+      <tr data-assessment-id="${escapeHtml(assessment.id)}" style="background-color: ${isCurrent ? '#eff6ff' : 'white'};">
+        <td data-role="name" style="padding: 8px; border-bottom: 1px solid #f3f4f6;">
+          <div style="font-weight: 600; color: #1f2937;">${escapeHtml(assessment.name)}${isCurrent ? ' <span style="font-size: 11px; color: #2563eb;">(open)</span>' : ''}</div>
+          ${Number.isInteger(datasetVersion) ? `<div style="font-size: 11px; color: #6b7280;">Dataset v${datasetVersion}</div>` : ''}
+        </td>
+        <td style="padding: 8px; border-bottom: 1px solid #f3f4f6; color: #4b5563;">${escapeHtml(assessment.owner)}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #f3f4f6; color: #4b5563; font-size: 12px;">
+          ${escapeHtml(formatDate(assessment.updatedAt))}
+          <div style="color: #9ca3af;">by ${escapeHtml(assessment.updatedBy || assessment.owner)}</div>
+        </td>
+        <td style="padding: 8px; border-bottom: 1px solid #f3f4f6; color: #4b5563; font-size: 12px; max-width: 280px; white-space: pre-wrap;">${escapeHtml(assessment.notes)}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #f3f4f6; white-space: nowrap;">
+          <button data-action="open" style="${buttonStyle('#2563eb', true)}">Open</button>
+          <button data-action="duplicate" style="${buttonStyle('#2563eb')}">Duplicate</button>
+          <button data-action="rename" style="${buttonStyle('#6b7280')}">Rename</button>
+          ${isOwner ? `<button data-action="delete" style="${buttonStyle('#dc2626')}">Delete</button>` : ''}
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  container.innerHTML = `
+    <div style="background: white; padding: 20px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); display: flex; flex-direction: column; gap: 16px;">
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px;">
+        <h2 style="font-size: 18px; font-weight: bold; color: #1f2937; margin: 0;">Saved assessments</h2>
+        <button id="assessmentPickerClose" style="${buttonStyle('#6b7280')}">Close</button>
+      </div>
+
+      <div style="display: flex; flex-wrap: wrap; gap: 12px; align-items: flex-end;">
+        <label style="display: flex; flex-direction: column; gap: 4px; font-size: 12px; color: #374151;">
+          Access token
+          <input id="assessmentToken" type="password" autocomplete="off" value="${escapeHtml(identity.token)}" placeholder="Issued by your administrator" style="${inputStyle}">
+        </label>
+        ${account ? `
+          <label style="display: flex; flex-direction: column; gap: 4px; font-size: 12px; color: #374151;">
+            Workspace
+            <select id="assessmentWorkspace" style="${inputStyle}">
+              ${account.workspaces.map(name => `<option value="${escapeHtml(name)}"${name === identity.workspace ? ' selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+            </select>
+          </label>
+        ` : ''}
+        <button id="assessmentIdentityApply" style="${buttonStyle('#2563eb')}">Apply</button>
+        <button id="assessmentRefresh" style="${buttonStyle('#6b7280')}">Refresh</button>
+        ${account ? `<div style="font-size: 12px; color: #4b5563;">Signed in as <strong>${escapeHtml(account.user)}</strong></div>` : ''}
+      </div>
+
+      <div style="display: flex; flex-direction: column; gap: 8px; padding: 12px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #f9fafb;">
+        <div style="font-size: 13px; color: #374151;">
+          ${currentAssessment
+            ? `Editing <strong>${escapeHtml(currentAssessment.name)}</strong> (owner ${escapeHtml(currentAssessment.owner)})`
+            : 'The current configuration is not saved as an assessment yet.'}
+        </div>
+        <textarea id="assessmentNotes" rows="2" placeholder="Notes" style="${inputStyle} resize: vertical;">${escapeHtml(currentAssessment?.notes || '')}</textarea>
+        <div style="display: flex; flex-wrap: wrap; gap: 8px; align-items: center;">
+          ${currentAssessment ? `<button id="assessmentSave" style="${buttonStyle('#059669', true)}">Save changes</button>` : ''}
+          <input id="assessmentName" type="text" placeholder="Name for a new assessment" style="${inputStyle} flex: 1; min-width: 200px;">
+          <button id="assessmentSaveAs" style="${buttonStyle('#059669')}">Save as new</button>
+        </div>
+      </div>
+
+      ${status}
+
+      ${assessments.length > 0 ? `
+        <div style="overflow-x: auto;">
+          <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+            <thead>
+              <tr style="text-align: left; color: #374151;">
+                <th style="padding: 8px; border-bottom: 1px solid #e5e7eb;">Name</th>
+                <th style="padding: 8px; border-bottom: 1px solid #e5e7eb;">Owner</th>
+                <th style="padding: 8px; border-bottom: 1px solid #e5e7eb;">Updated</th>
+                <th style="padding: 8px; border-bottom: 1px solid #e5e7eb;">Notes</th>
+                <th style="padding: 8px; border-bottom: 1px solid #e5e7eb;"></th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      ` : `<div style="font-size: 13px; color: #6b7280;">${loading || !account ? '' : `No saved assessments in the ${escapeHtml(identity.workspace)} workspace.`}</div>`}
+    </div>
+  `;
+
+  const byId = id => container.querySelector(`#${id}`);
+  const notesValue = () => byId('assessmentNotes')?.value || '';
+
+  byId('assessmentPickerClose')?.addEventListener('click', () => onClose?.());
+  byId('assessmentRefresh')?.addEventListener('click', () => onRefresh?.());
+  const applyIdentity = () => {
+    onIdentityChange?.({ token: byId('assessmentToken')?.value || '', workspace: byId('assessmentWorkspace')?.value || identity.workspace });
+  };
+  byId('assessmentIdentityApply')?.addEventListener('click', applyIdentity);
+  byId('assessmentWorkspace')?.addEventListener('change', applyIdentity);
+  byId('assessmentSave')?.addEventListener('click', () => onSave?.({ notes: notesValue() }));
+  byId('assessmentSaveAs')?.addEventListener('click', () => {
+    const name = (byId('assessmentName')?.value || '').trim();
+    if (!name) {
+      byId('assessmentName')?.focus();
+      return;
+    }
+    onSave?.({ name, notes: notesValue(), asNew: true });
+  });
+
+  container.querySelectorAll('tr[data-assessment-id]').forEach(row => {
+    const id = row.dataset.assessmentId;
+    const assessment = assessments.find(item => item.id === id);
+    row.querySelector('[data-action="open"]')?.addEventListener('click', () => onOpen?.(id));
+    row.querySelector('[data-action="duplicate"]')?.addEventListener('click', () => onDuplicate?.(id));
+    row.querySelector('[data-action="delete"]')?.addEventListener('click', () => onDelete?.(id));
+
+    // Rename edits the name cell in place
+    row.querySelector('[data-action="rename"]')?.addEventListener('click', () => {
+      const cell = row.querySelector('[data-role="name"]');
+      cell.innerHTML = `
+        <div style="display: flex; gap: 6px;">
+          <input type="text" value="${escapeHtml(assessment?.name)}" style="${inputStyle} flex: 1;">
+          <button data-action="rename-save" style="${buttonStyle('#059669', true)}">Save</button>
+        </div>
+      `;
+      const input = cell.querySelector('input');
+      const submit = () => {
+        const name = input.value.trim();
+        if (name && name !== assessment?.name) onRename?.(id, name);
+      };
+      input.focus();
+      input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') submit();
+      });
+      cell.querySelector('[data-action="rename-save"]').addEventListener('click', submit);
+    });
+  });
+}
+
+// Named what-if scenarios (Panel 5): save the current configuration, apply a saved one,
+// and compare 2-4 of them side by side with a map of per-country managed risk changes
+export function createScenarioComparisonPanel(containerId, {
+  scenarios = [],
+  comparedScenarioIds = [],
+  countries = [],
+  onSave,
+  onApply,
+  onDelete,
+  onToggleCompare
+}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const inputStyle = 'padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px;';
+  const buttonStyle = (color, filled = false) => `padding: 6px 12px; border: 1px solid ${color}; background: ${filled ? color : 'white'}; color: ${filled ? 'white' : color}; border-radius: 6px; cursor: pointer; font-size: 12px; font-weight: 500;`;
+  const cell = 'padding: 8px 10px; border-bottom: 1px solid #f3f4f6;';
+  const formatRisk = value => (Number.isFinite(value) ? value.toFixed(1) : 'N/A');
+  const formatCost = value => (Number.isFinite(value) ? `$${Math.round(value).toLocaleString()}` : 'N/A');
+  const formatChange = (value, formatter) => {
+    if (!Number.isFinite(value) || value === 0) return '';
+    const color = value < 0 ? '#059669' : '#dc2626';
+    return `<div style="font-size: 11px; color: ${color};">${value > 0 ? '+' : '−'}${formatter(Math.abs(value))}</div>`;
+  };
+
+  const comparedSet = new Set(comparedScenarioIds);
+  const compared = comparedScenarioIds
+    .map(id => scenarios.find(scenario => scenario.id === id))
+    .filter(Boolean);
+  const comparison = compareScenarios(compared);
+  const countryNames = new Map(countries.map(country => [country.isoCode, riskEngine.getCountryDisplayName(country)]));
+
+  const scenarioRows = scenarios.map(scenario => {
+    const { results } = scenario;
+    const isCompared = comparedSet.has(scenario.id);
+    const canCompare = isCompared || comparedSet.size < MAX_COMPARED_SCENARIOS;
+    return `
+      <tr data-scenario-id="${escapeHtml(scenario.id)}">
+        <td style="${cell} text-align: center;">
+          <input type="checkbox" data-action="compare" ${isCompared ? 'checked' : ''} ${canCompare ? '' : 'disabled'}
+                 title="${canCompare ? 'Include in the comparison' : `Compare at most ${MAX_COMPARED_SCENARIOS} scenarios`}">
+        </td>
+        <td style="${cell} color: #1f2937; font-weight: 600;">${escapeHtml(scenario.name)}</td>
+        <td style="${cell} text-align: center;">${formatRisk(results.baselineRisk)}</td>
+        <td style="${cell} text-align: center;">${formatRisk(results.managedRisk)}</td>
+        <td style="${cell} text-align: center;">${formatCost(results.budget?.totalBudget)}</td>
+        <td style="${cell} white-space: nowrap; text-align: right;">
+          <button data-action="apply" style="${buttonStyle('#2563eb')}">Apply</button>
+          <button data-action="delete" style="${buttonStyle('#dc2626')}">Delete</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  let comparisonHtml = '';
+  if (comparison) {
+    const header = comparison.scenarios.map((scenario, index) => `
+      <th style="${cell} text-align: center; color: #374151;">
+        ${escapeHtml(scenario.name)}${index === 0 ? '<div style="font-size: 11px; font-weight: normal; color: #6b7280;">reference</div>' : ''}
+      </th>
+    `).join('');
+    const metricRow = (label, render) => `
+      <tr>
+        <td style="${cell} color: #374151; font-weight: 500;">${label}</td>
+        ${comparison.scenarios.map(scenario => `<td style="${cell} text-align: center;">${render(scenario)}</td>`).join('')}
+      </tr>
+    `;
+    const riskValue = value => (Number.isFinite(value)
+      ? `<span style="font-weight: 600; color: ${riskEngine.getRiskColor(value)};">${value.toFixed(1)}</span>`
+      : 'N/A');
+
+    const countryRows = comparison.countries.map(({ isoCode, values }) => `
+      <tr>
+        <td style="${cell} color: #1f2937;">${escapeHtml(countryNames.get(isoCode) || isoCode)}</td>
+        ${values.map(value => `
+          <td style="${cell} text-align: center;">
+            ${value
+              ? `${riskValue(value.managedRisk)}<div style="font-size: 11px; color: #6b7280;">${value.volumeShare.toFixed(0)}% of volume</div>`
+              : '<span style="color: #9ca3af;">—</span>'}
+          </td>
+        `).join('')}
+      </tr>
+    `).join('');
+
+    const options = comparison.scenarios
+      .map((scenario, index) => `<option value="${index}">${escapeHtml(scenario.name)}</option>`)
+      .join('');
+
+    comparisonHtml = `
+      ${comparison.mixedDataYears ? `
+        <div style="padding: 10px 12px; border-radius: 6px; background-color: #fffbeb; border: 1px solid #fcd34d; color: #92400e; font-size: 13px;">
+          These scenarios were saved against different data editions, so part of the difference comes from the data rather than the strategy.
+        </div>
+      ` : ''}
+      <div style="overflow-x: auto;">
+        <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+          <thead><tr style="background-color: #f9fafb;"><th style="${cell} text-align: left; color: #374151;"></th>${header}</tr></thead>
+          <tbody>
+            ${metricRow('Baseline risk', scenario => riskValue(scenario.baselineRisk))}
+            ${metricRow('Managed risk', scenario => `${riskValue(scenario.managedRisk)}${formatChange(scenario.managedRiskChange, value => value.toFixed(1))}`)}
+            ${metricRow('Risk reduction', scenario => (Number.isFinite(scenario.riskReduction) ? `${scenario.riskReduction.toFixed(1)}%` : 'N/A'))}
+            ${metricRow('Countries', scenario => scenario.countryCount)}
+            ${metricRow('Annual cost', scenario => `${formatCost(scenario.totalBudget)}${formatChange(scenario.totalBudgetChange, formatCost)}`)}
+          </tbody>
+        </table>
+      </div>
+      <div style="overflow-x: auto; max-height: 360px;">
+        <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+          <thead><tr style="background-color: #f9fafb;"><th style="${cell} text-align: left; color: #374151;">Managed risk by country</th>${header}</tr></thead>
+          <tbody>${countryRows}</tbody>
+        </table>
+      </div>
+      <div style="display: flex; flex-wrap: wrap; gap: 8px; align-items: center; font-size: 13px; color: #374151;">
+        Map the change from
+        <select id="scenarioDifferenceReference" style="${inputStyle}">${options}</select>
+        to
+        <select id="scenarioDifferenceTarget" style="${inputStyle}">${options}</select>
+      </div>
+      <div id="scenarioDifferenceMap"></div>
+    `;
+  } else if (scenarios.length > 0) {
+    comparisonHtml = `<div style="font-size: 13px; color: #6b7280;">Tick two to ${MAX_COMPARED_SCENARIOS} scenarios to compare them side by side.</div>`;
+  }
+
+  container.innerHTML = `
+    <div style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); display: flex; flex-direction: column; gap: 16px;">
+      <div>
+        <h3 style="font-size: 18px; font-weight: 600; margin-bottom: 4px; color: #374151;">Scenario comparison</h3>
+        <p style="font-size: 13px; color: #4b5563; line-height: 1.6; margin: 0;">
+          Save the current portfolio and strategy as a named scenario, change the settings in earlier panels and save again,
+          then compare the results. Apply a scenario to load its settings back into the app.
+        </p>
+      </div>
+      <div style="display: flex; flex-wrap: wrap; gap: 8px; align-items: center;">
+        <input id="scenarioName" type="text" placeholder="Scenario name, e.g. 20% of volume moved to Vietnam" style="${inputStyle} flex: 1; min-width: 240px;">
+        <button id="scenarioSave" style="${buttonStyle('#059669', true)}">Save current as scenario</button>
+      </div>
+      ${scenarios.length > 0 ? `
+        <div style="overflow-x: auto;">
+          <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+            <thead>
+              <tr style="text-align: left; color: #374151;">
+                <th style="${cell} text-align: center;">Compare</th>
+                <th style="${cell}">Scenario</th>
+                <th style="${cell} text-align: center;">Baseline</th>
+                <th style="${cell} text-align: center;">Managed</th>
+                <th style="${cell} text-align: center;">Annual cost</th>
+                <th style="${cell}"></th>
+              </tr>
+            </thead>
+            <tbody>${scenarioRows}</tbody>
+          </table>
+        </div>
+      ` : '<div style="font-size: 13px; color: #6b7280;">No scenarios saved yet.</div>'}
+      ${comparisonHtml}
+    </div>
+  `;
+
+  const nameInput = container.querySelector('#scenarioName');
+  const save = () => onSave?.(nameInput?.value || '');
+  container.querySelector('#scenarioSave')?.addEventListener('click', save);
+  nameInput?.addEventListener('keydown', event => {
+    if (event.key === 'Enter') save();
+  });
+
+  container.querySelectorAll('tr[data-scenario-id]').forEach(row => {
+    const id = row.dataset.scenarioId;
+    row.querySelector('[data-action="compare"]')?.addEventListener('change', () => onToggleCompare?.(id));
+    row.querySelector('[data-action="apply"]')?.addEventListener('click', () => onApply?.(id));
+    row.querySelector('[data-action="delete"]')?.addEventListener('click', () => onDelete?.(id));
+  });
+
+  if (!comparison) return;
+
+  const referenceSelect = container.querySelector('#scenarioDifferenceReference');
+  const targetSelect = container.querySelector('#scenarioDifferenceTarget');
+  const renderDifferenceMap = () => {
+    const reference = compared[Number(referenceSelect.value)];
+    const target = compared[Number(targetSelect.value)];
+    createScenarioDifferenceMap('scenarioDifferenceMap', {
+      countries,
+      ...getScenarioDifferences(reference, target),
+      referenceName: escapeHtml(reference.name),
+      scenarioName: escapeHtml(target.name),
+      height: 400,
+      width: 1200
+    });
+  };
+  if (referenceSelect && targetSelect) {
+    referenceSelect.value = '0';
+    targetSelect.value = String(compared.length - 1);
+    referenceSelect.addEventListener('change', renderDifferenceMap);
+    targetSelect.addEventListener('change', renderDifferenceMap);
+    renderDifferenceMap();
+  }
+}
+
+// Report template (Panel 5): which sections the report includes, a narrative for each
+// and the branding on the cover. Changes are sent to `onChange` as they are made.
+export function createReportTemplatePanel(containerId, {
+  template,
+  costAnalysisEnabled = true,
+  comparedScenarioCount = 0,
+  onChange,
+  onPresetSelect,
+  onReset
+}) {
+  const container = document.getElementById(containerId);
+  if (!container || !template) return;
+
+  const inputStyle = 'padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px;';
+  const buttonStyle = (color, filled = false) => `padding: 6px 12px; border: 1px solid ${color}; background: ${filled ? color : 'white'}; color: ${filled ? 'white' : color}; border-radius: 6px; cursor: pointer; font-size: 12px; font-weight: 500;`;
+  const labelStyle = 'display: flex; flex-direction: column; gap: 4px; font-size: 12px; color: #4b5563;';
+  const { branding } = template;
+
+  const isAvailable = id => {
+    if (id === 'cost-analysis' || id === 'optimization') return costAnalysisEnabled;
+    if (id === 'scenario-comparison') return comparedScenarioCount >= 2;
+    return true;
+  };
+
+  const presetOptions = Object.entries(REPORT_TEMPLATE_PRESETS)
+    .map(([id, preset]) => `<option value="${id}" ${template.preset === id ? 'selected' : ''}>${escapeHtml(preset.label)}</option>`)
+    .join('');
+
+  const colorInputs = [
+    { key: 'primary', label: 'Cover background' },
+    { key: 'accent', label: 'Accent' },
+    { key: 'highlight', label: 'Headline figures' }
+  ].map(({ key, label }) => `
+    <label style="${labelStyle}">
+      ${label}
+      <input type="color" data-color="${key}" value="${escapeHtml(branding.colors[key])}" style="width: 64px; height: 30px; padding: 0; border: 1px solid #d1d5db; border-radius: 4px;">
+    </label>
+  `).join('');
+
+  const sectionRows = REPORT_SECTIONS.map(({ id, label, requires }) => {
+    const section = template.sections[id];
+    return `
+      <div data-section-id="${id}" style="padding: 8px 0; border-bottom: 1px solid #f3f4f6;">
+        <label style="display: flex; align-items: center; gap: 8px; font-size: 13px; color: #1f2937; font-weight: 500;">
+          <input type="checkbox" data-action="include" ${section.include ? 'checked' : ''}>
+          ${escapeHtml(label)}
+          ${requires && !isAvailable(id) ? `<span style="font-size: 12px; font-weight: normal; color: #b45309;">Left out until there are ${escapeHtml(requires)}</span>` : ''}
+        </label>
+        <details ${section.narrative ? 'open' : ''} style="margin: 6px 0 0 24px;">
+          <summary style="font-size: 12px; color: #4b5563; cursor: pointer;">Narrative</summary>
+          <textarea data-action="narrative" rows="3" maxlength="${REPORT_NARRATIVE_MAX_LENGTH}"
+                    placeholder="Text shown at the start of this section. Leave a blank line between paragraphs."
+                    style="${inputStyle} width: 100%; margin-top: 6px; resize: vertical; font-family: inherit;">${escapeHtml(section.narrative)}</textarea>
+        </details>
+      </div>
+    `;
+  }).join('');
+
+  container.innerHTML = `
+    <div style="background: white; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); display: flex; flex-direction: column; gap: 16px;">
+      <div>
+        <h3 style="font-size: 18px; font-weight: 600; margin-bottom: 4px; color: #374151;">Report contents and branding</h3>
+        <p style="font-size: 13px; color: #4b5563; line-height: 1.6; margin: 0;">
+          Choose the sections of the PDF report, add your own text to any section and brand the cover with your company name, logo and colours.
+          The template is kept in this browser.
+        </p>
+      </div>
+      <div style="display: flex; flex-wrap: wrap; gap: 8px; align-items: center; font-size: 13px; color: #374151;">
+        Template
+        <select id="reportTemplatePreset" style="${inputStyle}">
+          ${template.preset ? '' : '<option value="" selected>Custom selection</option>'}
+          ${presetOptions}
+        </select>
+        <button id="reportTemplateReset" style="${buttonStyle('#6b7280')}">Reset to standard</button>
+      </div>
+      <div style="display: flex; flex-wrap: wrap; gap: 16px; align-items: flex-end;">
+        <label style="${labelStyle} flex: 1; min-width: 220px;">
+          Company name
+          <input id="reportCompanyName" type="text" maxlength="${REPORT_COMPANY_NAME_MAX_LENGTH}" value="${escapeHtml(branding.companyName)}" style="${inputStyle}">
+        </label>
+        ${colorInputs}
+      </div>
+      <div style="display: flex; flex-wrap: wrap; gap: 12px; align-items: center; font-size: 12px; color: #4b5563;">
+        Logo (PNG or JPEG)
+        <img id="reportLogoPreview" alt="Report logo" src="${branding.logo ? branding.logo.dataUrl : ''}"
+             style="max-height: 40px; max-width: 160px; ${branding.logo ? '' : 'display: none;'}">
+        <input id="reportLogoFile" type="file" accept="image/png,image/jpeg" style="font-size: 12px;">
+        <button id="reportLogoRemove" style="${buttonStyle('#dc2626')} ${branding.logo ? '' : 'display: none;'}">Remove logo</button>
+        <span id="reportLogoError" style="color: #dc2626;"></span>
+      </div>
+      <div>${sectionRows}</div>
+    </div>
+  `;
+
+  container.querySelector('#reportTemplatePreset')?.addEventListener('change', event => {
+    if (event.target.value) onPresetSelect?.(event.target.value);
+  });
+  container.querySelector('#reportTemplateReset')?.addEventListener('click', () => onReset?.());
+  container.querySelector('#reportCompanyName')?.addEventListener('change', event => {
+    onChange?.({ branding: { companyName: event.target.value } });
+  });
+  container.querySelectorAll('input[data-color]').forEach(input => {
+    input.addEventListener('change', () => onChange?.({ branding: { colors: { [input.dataset.color]: input.value } } }));
+  });
+
+  // Ticking a section by hand moves the template off its preset
+  const presetSelect = container.querySelector('#reportTemplatePreset');
+  container.querySelectorAll('[data-section-id]').forEach(row => {
+    const id = row.dataset.sectionId;
+    row.querySelector('[data-action="include"]')?.addEventListener('change', event => {
+      onChange?.({ sections: { [id]: { include: event.target.checked } } });
+      if (presetSelect && presetSelect.value) {
+        presetSelect.insertAdjacentHTML('afterbegin', '<option value="" selected>Custom selection</option>');
+      }
+    });
+    row.querySelector('[data-action="narrative"]')?.addEventListener('change', event => {
+      onChange?.({ sections: { [id]: { narrative: event.target.value } } });
+    });
+  });
+
+  const logoPreview = container.querySelector('#reportLogoPreview');
+  const logoRemove = container.querySelector('#reportLogoRemove');
+  const logoError = container.querySelector('#reportLogoError');
+  const showLogo = logo => {
+    logoPreview.src = logo ? logo.dataUrl : '';
+    logoPreview.style.display = logo ? '' : 'none';
+    logoRemove.style.display = logo ? '' : 'none';
+  };
+
+  container.querySelector('#reportLogoFile')?.addEventListener('change', event => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    logoError.textContent = '';
+    if (!file) return;
+    if (!['image/png', 'image/jpeg'].includes(file.type)) {
+      logoError.textContent = 'Choose a PNG or JPEG image.';
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const dataUrl = String(reader.result || '');
+      if (dataUrl.length > REPORT_LOGO_MAX_LENGTH) {
+        logoError.textContent = `The image is too large; use one under ${Math.round(REPORT_LOGO_MAX_LENGTH * 0.75 / 1000)} KB.`;
+        return;
+      }
+      // The renderers need the proportions to scale the logo
+      const image = new Image();
+      image.onload = () => {
+        const logo = { dataUrl, width: image.naturalWidth, height: image.naturalHeight };
+        const warnings = onChange?.({ branding: { logo } }) || [];
+        if (warnings.length > 0) {
+          logoError.textContent = warnings.join('; ');
+          return;
+        }
+        showLogo(logo);
+      };
+      image.onerror = () => {
+        logoError.textContent = 'The image could not be read.';
+      };
+      image.src = dataUrl;
+    };
+    reader.onerror = () => {
+      logoError.textContent = 'The file could not be read.';
+    };
+    reader.readAsDataURL(file);
+  });
+  logoRemove?.addEventListener('click', () => {
+    onChange?.({ branding: { logo: null } });
+    showLogo(null);
+  });
+}
+
+export function createSubnationalDrillPanel(containerId, { country, units, selectedCountries, countryRisks, onCountrySelect, onClose }) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  if (!country || !Array.isArray(units) || units.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const selectedSet = new Set(selectedCountries);
+  const renderOption = (record, label) => {
+    const risk = countryRisks?.[record.isoCode];
+    const riskColor = Number.isFinite(risk) ? riskEngine.getRiskColor(risk) : '#9ca3af';
+    const isSelected = selectedSet.has(record.isoCode);
+    return `
+      <button type="button" data-drill-code="${record.isoCode}"
+        style="display: flex; justify-content: space-between; align-items: center; gap: 8px; padding: 10px 12px; border-radius: 6px; cursor: pointer; font-size: 13px; text-align: left;
+               border: 2px solid ${isSelected ? '#1d4ed8' : '#e5e7eb'}; background-color: ${isSelected ? '#eff6ff' : '#ffffff'}; color: #1f2937;">
+        <span style="font-weight: ${isSelected ? 600 : 500};">${isSelected ? '✓ ' : ''}${label}</span>
+        <span style="font-weight: 600; color: ${riskColor};">${Number.isFinite(risk) ? risk.toFixed(1) : '—'}</span>
+      </button>
+    `;
+  };
+
+  container.innerHTML = `
+    <div style="background: white; padding: 20px 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); border-left: 4px solid #1d4ed8;">
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+        <h3 style="font-size: 16px; font-weight: 600; color: #1f2937; margin: 0;">${country.name}: provinces and states</h3>
+        <button type="button" id="closeSubnationalDrill" style="padding: 6px 12px; background-color: #f3f4f6; color: #374151; border: 1px solid #d1d5db; border-radius: 4px; cursor: pointer; font-size: 13px;">Close</button>
+      </div>
+      <p style="font-size: 13px; color: #6b7280; margin: 0 0 12px 0;">
+        Select the whole country, or only the provinces/states you source from, here or from the markers on the map. Each selection gets its own weighting in the list below.
+      </p>
+      <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 8px;">
+        ${renderOption(country, 'Whole country')}
+        ${units.map(unit => renderOption(unit, unit.subdivisionName || unit.name)).join('')}
+      </div>
+    </div>
+  `;
+
+  container.querySelectorAll('[data-drill-code]').forEach(button => {
+    button.addEventListener('click', () => {
+      if (onCountrySelect) onCountrySelect(button.getAttribute('data-drill-code'));
+    });
+  });
+
+  const closeButton = document.getElementById('closeSubnationalDrill');
+  if (closeButton && onClose) {
+    closeButton.addEventListener('click', onClose);
+  }
+}
+
+export function createResultsPanel(containerId, { selectedCountries, countries, countryRisks, baselineRisk, previousCountryRisks = {}, previousDataYear = null, countrySectors = {} }) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
@@ -1542,84 +2529,34 @@ export function createResultsPanel(containerId, { selectedCountries, countries,
     </div>
   `;
 
-  updateRiskBreakdown(selectedCountries, countries, countryRisks);
+  updateRiskBreakdown(selectedCountries, countries, countryRisks, previousCountryRisks, previousDataYear, countrySectors);
 }
 
-export function createWeightingsPanel(containerId, { weights, onWeightsChange }) {
+export function createWeightingsPanel(containerId, {
+  weights,
+  onWeightsChange,
+  imputationStrategy,
+  onImputationStrategyChange,
+  dataYear = null,
+  availableDataYears = [],
+  onDataYearChange
+}) {
   const container = document.getElementById(containerId);
   if (!container) return;
 
-  const weightFactors = [
-    {
-      label: 'International Trade Union Confederation - Global Rights Index',
-      description: 'Measures the overall protection of internationally recognised core labour rights.',
-      sourceLabel: 'ITUC Global Rights Index',
-      url: 'https://www.ituc-csi.org/global-rights-index'
-    },
-    {
-      label: 'Transparency International - Corruption Perceptions Index',
-      description: 'Uses Transparency International data to capture perceived corruption in public institutions.',
-      sourceLabel: 'Transparency International – Corruption Perceptions Index',
-      url: 'https://www.transparency.org/en/cpi'
-    },
-     {
-      label: 'Freedom House - Global Freedom Scores',
-      description: 'Captures democratic freedoms and labour rights performance using Freedom House data.',
-      sourceLabel: 'Freedom House Global Freedom Scores',
-      url: 'https://freedomhouse.org/reports/freedom-world'
-    },
-    {
-      label: 'World Justic Project - Rule of Law Index (using 4.8: Fundamental Labour Rights)',
-      description: 'Reflects fundamental labour rights performance from the World Justice Project Rule of Law Index.',
-      sourceLabel: 'WJP Rule of Law Index – Fundamental Rights',
-      url: 'https://worldjusticeproject.org/rule-of-law-index/global/2024/Fundamental%20Rights/'
-    },
-    {
-      label: 'Walk Free - Global Slavery Index',
-      description: 'Captures vulnerability to modern slavery using Walk Free’s Global Slavery Index.',
-      sourceLabel: 'Walk Free Global Slavery Index',
-      url: 'https://www.walkfree.org/global-slavery-index/'
-    }
-  ];
+  let localWeights = normalizeIndicatorWeights(weights, riskEngine.defaultWeights);
 
-  const indexSources = [
-    {
-      name: 'International Trade Union Confederation - Global Rights Index',
-      url: 'https://www.ituc-csi.org/global-rights-index'
-    },
-    {
-      name: 'Transparency International - Corruption Perceptions Index',
-      url: 'https://www.transparency.org/en/cpi/2024'
-    },
-    {
-      name: 'Freedom House - Global Freedom Scores',
-      url: 'https://freedomhouse.org/report/freedom-world'
-    },
-    {
-      name: 'World Justice Project - Rule of Law Index – Fundamental Rights',
-      url: 'https://worldjusticeproject.org/rule-of-law-index/global/2024/Fundamental%20Rights/'
-    },
-    {
-      name: 'Walk Free Global Slavery Index – Country Profiles',
-      url: 'https://www.walkfree.org/global-slavery-index/'
-    }
-  ];
-
-  let localWeights = Array.isArray(weights) ? [...weights] : new Array(weightFactors.length).fill(0);
-  if (localWeights.length < weightFactors.length) {
-    localWeights = [...localWeights, ...new Array(weightFactors.length - localWeights.length).fill(0)];
-  }
-
-  const defaultWeights = Array.isArray(riskEngine.defaultWeights) ? riskEngine.defaultWeights : null;
+  const defaultWeights = riskEngine.defaultWeights || null;
+  const sumWeights = () => Object.values(localWeights).reduce((sum, w) => sum + w, 0);
 
   const updateWeights = () => {
-    const total = localWeights.reduce((sum, w) => sum + w, 0);
+    const total = sumWeights();
     const totalElement = document.getElementById('totalWeights');
     if (totalElement) {
       totalElement.textContent = total;
       totalElement.style.color = total > 100 ? '#dc2626' : '#374151';
     }
-    if (onWeightsChange) onWeightsChange([...localWeights]);
+    if (onWeightsChange) onWeightsChange({ ...localWeights });
   };
 
   container.innerHTML = `
@@ -1634,62 +2571,85 @@ export function createWeightingsPanel(containerId, { weights, onWeightsChange })
       <div style="margin-bottom: 20px; padding: 16px; border-radius: 10px; border: 1px solid #bfdbfe; background: linear-gradient(135deg, #eff6ff 0%, #e0f2fe 100%);">
         <h3 style="font-size: 15px; font-weight: 600; color: #1d4ed8; margin: 0 0 12px 0;">Click below to visit the sources of the index data</h3>
         <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 12px;">
-          ${indexSources.map(source => `
-            <a href="${source.url}" target="_blank" rel="noopener noreferrer"
+          ${INDICATORS.map(indicator => `
+            <a href="${indicator.sourceUrl}" target="_blank" rel="noopener noreferrer"
                style="display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 12px 14px; border-radius: 8px; background-color: rgba(255, 255, 255, 0.92); text-decoration: none; border: 1px solid rgba(59, 130, 246, 0.25); box-shadow: 0 4px 8px rgba(15, 23, 42, 0.08);">
-              <span style="font-size: 13px; font-weight: 600; color: #1d4ed8;">${source.name}</span>
+              <span style="font-size: 13px; font-weight: 600; color: #1d4ed8;">${indicator.label}${indicator.year ? ` (${indicator.year})` : ''}</span>
               <span aria-hidden="true" style="font-size: 14px; color: #1d4ed8;">↗</span>
             </a>
           `).join('')}
         </div>
       </div>
 
+      ${availableDataYears.length > 0 ? `
+        <div style="margin-bottom: 20px; padding: 16px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #f9fafb;">
+          <label for="dataYearSelect" style="display: block; font-size: 14px; font-weight: 600; color: #1f2937; margin-bottom: 6px;">Data edition</label>
+          <div style="font-size: 12px; color: #6b7280; margin-bottom: 8px;">Score countries with an earlier edition of the indices. Panel 2 shows how each country has changed since the edition before the one selected.</div>
+          <select id="dataYearSelect" style="padding: 8px 12px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 14px; background-color: white;" ${availableDataYears.length < 2 ? 'disabled' : ''}>
+            ${availableDataYears.map(year => `
+              <option value="${year}" ${year === dataYear ? 'selected' : ''}>${year}${year === availableDataYears[0] ? ' (latest)' : ''}</option>
+            `).join('')}
+          </select>
+        </div>
+      ` : ''}
+
       <div id="weightsContainer" style="margin-bottom: 20px;"></div>
 
+      <div style="margin-bottom: 20px; padding: 16px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #f9fafb;">
+        <label for="imputationStrategySelect" style="display: block; font-size: 14px; font-weight: 600; color: #1f2937; margin-bottom: 6px;">Missing index data</label>
+        <div style="font-size: 12px; color: #6b7280; margin-bottom: 8px;">Not every index covers every country. Choose how gaps are handled when scoring a country; hover over the map to see each country's data completeness.</div>
+        <select id="imputationStrategySelect" style="padding: 8px 12px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 14px; background-color: white;">
+          ${Object.entries(riskEngine.imputationStrategies).map(([value, label]) => `
+            <option value="${value}" ${value === riskEngine.normalizeImputationStrategy(imputationStrategy) ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+      </div>
+
       <div style="background-color: #f9fafb; border: 1px solid #e5e7eb; color: #374151; padding: 16px; border-radius: 8px;">
-        <div style="font-size: 14px; font-weight: 500;">Total Weighting: <span id="totalWeights">${localWeights.reduce((sum, w) => sum + w, 0)}</span>%</div>
+        <div style="font-size: 14px; font-weight: 500;">Total Weighting: <span id="totalWeights">${sumWeights()}</span>%</div>
         <div style="font-size: 12px; color: #6b7280; margin-top: 4px;">Suggested range: 100% (but can exceed to reflect emphasis)</div>
       </div>
     </div>
   `;
 
   const weightsContainer = document.getElementById('weightsContainer');
-  weightFactors.forEach((factor, index) => {
-    const weightValue = Number.isFinite(Number(localWeights[index])) ? Number(localWeights[index]) : 0;
+  INDICATORS.forEach(indicator => {
+    const { id } = indicator;
+    const weightValue = localWeights[id];
     const weightControl = document.createElement('div');
     weightControl.style.cssText = 'margin-bottom: 16px; padding: 16px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #f9fafb;';
     weightControl.innerHTML = `
       <div style="display: flex; align-items: center; justify-content: space-between; gap: 12px; margin-bottom: 6px;">
         <label style="display: block; font-size: 14px; font-weight: 600; color: #1f2937; margin: 0;">
-          ${factor.label}
+          ${indicator.label}
         </label>
-        <a href="${factor.url}" target="_blank" rel="noopener noreferrer"
+        <a href="${indicator.sourceUrl}" target="_blank" rel="noopener noreferrer"
            style="font-size: 12px; color: #2563eb; font-weight: 600; text-decoration: none; display: inline-flex; align-items: center; gap: 4px;">
-          <span>${factor.sourceLabel}</span>
+          <span>${indicator.sourceName}</span>
           <span aria-hidden="true" style="font-size: 14px;">↗</span>
         </a>
       </div>
-      <div style="font-size: 12px; color: #6b7280; margin-bottom: 8px;">${factor.description}</div>
+      <div style="font-size: 12px; color: #6b7280; margin-bottom: 8px;">${indicator.description}</div>
       <div style="display: flex; align-items: center; gap: 12px;">
         <div style="flex: 1; position: relative; display: flex; align-items: center;">
-          <input type="range" min="0" max="100" value="${weightValue}" id="weight_${index}" style="width: 100%; height: 8px; border-radius: 4px; background-color: #d1d5db;">
+          <input type="range" min="0" max="100" value="${weightValue}" id="weight_${id}" style="width: 100%; height: 8px; border-radius: 4px; background-color: #d1d5db;">
         </div>
-        <input type="number" min="0" max="100" value="${weightValue}" id="weightNum_${index}" style="width: 80px; padding: 8px 12px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 14px; text-align: center;">
+        <input type="number" min="0" max="100" value="${weightValue}" id="weightNum_${id}" style="width: 80px; padding: 8px 12px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 14px; text-align: center;">
       </div>
     `;
     weightsContainer.appendChild(weightControl);
 
-    const rangeInput = document.getElementById(`weight_${index}`);
-    const numberInput = document.getElementById(`weightNum_${index}`);
+    const rangeInput = document.getElementById(`weight_${id}`);
+    const numberInput = document.getElementById(`weightNum_${id}`);
 
-    const defaultWeightValue = defaultWeights && Number.isFinite(defaultWeights[index])
-      ? defaultWeights[index]
+    const defaultWeightValue = defaultWeights && Number.isFinite(defaultWeights[id])
+      ? defaultWeights[id]
       : weightValue;
     attachDefaultSliderMarker(rangeInput, defaultWeightValue);
 
     const updateWeightValue = (value) => {
       const newValue = Math.max(0, Math.min(100, parseFloat(value) || 0));
-      localWeights[index] = newValue;
+      localWeights[id] = newValue;
       rangeInput.value = newValue;
       numberInput.value = newValue;
       updateWeights();
@@ -1699,18 +2659,29 @@ export function createWeightingsPanel(containerId, { weights, onWeightsChange })
     numberInput.addEventListener('input', (e) => updateWeightValue(e.target.value));
   });
 
+  const dataYearSelect = document.getElementById('dataYearSelect');
+  if (dataYearSelect && onDataYearChange) {
+    dataYearSelect.addEventListener('change', (e) => onDataYearChange(Number(e.target.value)));
+  }
+
+  const imputationSelect = document.getElementById('imputationStrategySelect');
+  if (imputationSelect && onImputationStrategyChange) {
+    imputationSelect.addEventListener('change', (e) => onImputationStrategyChange(e.target.value));
+  }
+
   const resetButton = document.getElementById('resetWeights');
   resetButton.addEventListener('click', () => {
-    localWeights = [...riskEngine.defaultWeights];
-    localWeights.forEach((weight, index) => {
-      document.getElementById(`weight_${index}`).value = weight;
-      document.getElementById(`weightNum_${index}`).value = weight;
+    localWeights = normalizeIndicatorWeights(riskEngine.defaultWeights);
+    Object.entries(localWeights).forEach(([id, weight]) => {
+      document.getElementById(`weight_${id}`).value = weight;
+      document.getElementById(`weightNum_${id}`).value = weight;
     });
     updateWeights();
   });
 }
 
-export function updateSelectedCountriesDisplay(selectedCountries, countries, countryVolumes, onCountrySelect, onVolumeChange) {
+// With a supplier list (countrySupplierCounts set) weightings are derived from it and read-only
+export function updateSelectedCountriesDisplay(selectedCountries, countries, countryVolumes, onCountrySelect, onVolumeChange, countrySectors = {}, onSectorChange = null, countrySupplierCounts = null) {
   const container = document.getElementById('selectedCountries');
   if (!container) return;
 
@@ -1733,6 +2704,7 @@ export function updateSelectedCountriesDisplay(selectedCountries, countries, cou
   selectedCountries.forEach((countryCode, index) => {
     const country = countries.find(c => c.isoCode === countryCode);
     const volume = countryVolumes[countryCode] ?? 10;
+    const sectorId = countrySectors?.[countryCode] || DEFAULT_SECTOR_ID;
 
     const countryItem = document.createElement('div');
     countryItem.style.cssText = `
@@ -1744,14 +2716,26 @@ export function updateSelectedCountriesDisplay(selectedCountries, countries, cou
     countryItem.innerHTML = `
       <div style="flex: 1; display: flex; align-items: center; gap: 12px;">
         <div style="width: 8px; height: 8px; border-radius: 50%; background-color: #22c55e;"></div>
-        <span style="font-weight: 500; color: #1f2937;">${country?.name || countryCode}</span>
+        <span style="font-weight: 500; color: #1f2937;">${country ? riskEngine.getCountryDisplayName(country) : countryCode}</span>
         <span style="font-size: 12px; color: #6b7280; background-color: #f3f4f6; padding: 2px 6px; border-radius: 3px;">${countryCode}</span>
+        ${country?.isImputed ? `<span style="font-size: 11px; color: #92400e; background-color: #fef3c7; padding: 2px 6px; border-radius: 3px;" title="${riskEngine.describeDataCompleteness({ proxy: country.proxy })}">Imputed</span>` : ''}
+        ${country?.isSubnational ? '<span style="font-size: 11px; color: #1e40af; background-color: #dbeafe; padding: 2px 6px; border-radius: 3px;">Province/state</span>' : ''}
+        ${countrySupplierCounts ? `<span style="font-size: 11px; color: #166534; background-color: #dcfce7; padding: 2px 6px; border-radius: 3px;">${countrySupplierCounts[countryCode] || 0} supplier${countrySupplierCounts[countryCode] === 1 ? '' : 's'}</span>` : ''}
       </div>
       <div style="display: flex; align-items: center; gap: 12px;">
+        <div style="display: flex; align-items: center; gap: 6px;">
+          <label for="sector_${countryCode}" style="font-size: 14px; color: #6b7280; font-weight: 500;">Sector:</label>
+          <select id="sector_${countryCode}" title="${getSector(sectorId).examples}"
+                  style="max-width: 220px; padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px; background-color: white;">
+            ${SECTORS.map(sector => `
+              <option value="${sector.id}" ${sector.id === sectorId ? 'selected' : ''} title="${sector.examples}">${sector.label} (×${sector.multiplier})</option>
+            `).join('')}
+          </select>
+        </div>
         <div style="display: flex; align-items: center; gap: 6px;">
           <label style="font-size: 14px; color: #6b7280; font-weight: 500;">Weighting:</label>
-          <input type="number" min="0" value="${volume}" id="volume_${countryCode}"
-                 style="width: 80px; padding: 6px 10px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 14px; text-align: center;">
+          <input type="number" min="0" value="${volume}" id="volume_${countryCode}" ${countrySupplierCounts ? 'readonly title="Derived from the supplier list"' : ''}
+                 style="width: 80px; padding: 6px 10px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 14px; text-align: center; background-color: ${countrySupplierCounts ? '#f3f4f6' : 'white'};">
         </div>
         <button id="remove_${countryCode}"
                 style="padding: 6px 12px; background-color: #ef4444; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 500;">
@@ -1763,9 +2747,15 @@ export function updateSelectedCountriesDisplay(selectedCountries, countries, cou
     countryList.appendChild(countryItem);
 
     const volumeInput = document.getElementById(`volume_${countryCode}`);
+    const sectorSelect = document.getElementById(`sector_${countryCode}`);
     const removeButton = document.getElementById(`remove_${countryCode}`);
 
+    sectorSelect.addEventListener('change', (e) => {
+      if (onSectorChange) onSectorChange(countryCode, e.target.value);
+    });
+
     volumeInput.addEventListener('input', (e) => {
+      if (countrySupplierCounts) return;
       const value = Math.max(0, parseFloat(e.target.value) || 0);
       e.target.value = value;
       if (onVolumeChange) onVolumeChange(countryCode, value);
@@ -1777,7 +2767,21 @@ export function updateSelectedCountriesDisplay(selectedCountries, countries, cou
   });
 }
 
-export function updateRiskBreakdown(selectedCountries, countries, countryRisks) {
+function formatRiskChange(change) {
+  if (!Number.isFinite(change)) {
+    return { text: 'New', color: '#6b7280' };
+  }
+  if (Math.abs(change) < 0.05) {
+    return { text: '0.0', color: '#6b7280' };
+  }
+  // Higher scores mean higher risk, so an increase is a deterioration
+  return change > 0
+    ? { text: `▲ +${change.toFixed(1)}`, color: '#dc2626' }
+    : { text: `▼ ${change.toFixed(1)}`, color: '#16a34a' };
+}
+
+// countryRisks are the portfolio (country x sector) risks; countrySectors labels each line's sector
+export function updateRiskBreakdown(selectedCountries, countries, countryRisks, previousCountryRisks = {}, previousDataYear = null, countrySectors = {}) {
   const container = document.getElementById('riskBreakdownList');
   if (!container) return;
 
@@ -1791,21 +2795,37 @@ export function updateRiskBreakdown(selectedCountries, countries, countryRisks)
     const risk = countryRisks[countryCode] || 0;
     const riskBand = riskEngine.getRiskBand(risk);
     const riskColor = riskEngine.getRiskColor(risk);
+    const previousRisk = previousCountryRisks?.[countryCode];
+    const change = Number.isFinite(previousRisk) ? risk - previousRisk : null;
 
-    return { country, risk, riskBand, riskColor, countryCode };
+    const sector = getSector(countrySectors?.[countryCode]);
+
+    return { country, risk, riskBand, riskColor, countryCode, sector, change: formatRiskChange(change) };
   }).sort((a, b) => b.risk - a.risk);
 
-  container.innerHTML = breakdown.map(({ country, risk, riskBand, riskColor, countryCode }) => `
+  const showChange = previousDataYear !== null;
+  const changeHeader = showChange ? `
+    <div style="display: flex; justify-content: flex-end; padding: 0 12px 8px; font-size: 12px; font-weight: 600; color: #6b7280;">
+      Change since ${previousDataYear} edition
+    </div>
+  ` : '';
+
+  container.innerHTML = changeHeader + breakdown.map(({ country, risk, riskBand, riskColor, countryCode, sector, change }) => `
     <div style="display: flex; justify-content: space-between; align-items: center; padding: 12px; border-bottom: 1px solid #e5e7eb;">
       <div style="flex: 1;">
-        <span style="font-weight: 500;">${country?.name || countryCode}</span>
+        <span style="font-weight: 500;">${country ? riskEngine.getCountryDisplayName(country) : countryCode}</span>
         <span style="font-size: 12px; color: #6b7280; margin-left: 8px;">(${countryCode})</span>
+        ${country?.isImputed ? `<div style="font-size: 11px; color: #92400e; margin-top: 2px;">${riskEngine.describeDataCompleteness({ proxy: country.proxy })}</div>` : ''}
+        ${sector.id !== DEFAULT_SECTOR_ID ? `<div style="font-size: 11px; color: #6b7280; margin-top: 2px;">${sector.label} ×${sector.multiplier}</div>` : ''}
       </div>
       <div style="display: flex; align-items: center; gap: 8px;">
         <span style="font-weight: 600; color: ${riskColor};">${risk.toFixed(1)}</span>
         <span style="font-size: 12px; padding: 2px 8px; border-radius: 12px; background-color: ${riskColor}20; color: ${riskColor};">
           ${riskBand}
         </span>
+        ${showChange ? `
+          <span style="min-width: 64px; text-align: right; font-size: 13px; font-weight: 600; color: ${change.color};" title="Change in risk score since the ${previousDataYear} edition">${change.text}</span>
+        ` : ''}
       </div>
     </div>
   `).join('');
@@ -1848,7 +2868,8 @@ export function createCostAnalysisPanel(containerId, options) {
     onResponseInternalHoursChange,
     optimizeBudgetAllocation,
     saqConstraintEnabled = false,
-    onSAQConstraintChange
+    onSAQConstraintChange,
+    countrySupplierCounts = null
   } = options;
 
   const mobile = isMobileView();
@@ -1871,7 +2892,8 @@ export function createCostAnalysisPanel(containerId, options) {
     selectedCountries,
     countryVolumes,
     countryRisks,
-    focus
+    focus,
+    countrySupplierCounts
   );
 
   const safeBudgetData = budgetData || {
@@ -1906,6 +2928,15 @@ export function createCostAnalysisPanel(containerId, options) {
   };
 
   const sanitizedSupplierCount = Math.max(1, Math.floor(safeBudgetData.supplierCount || supplierCount || 1));
+  // With a supplier list the count is derived per country and the input is read-only
+  const hasSupplierList = Boolean(safeBudgetData.countrySupplierCounts);
+  const supplierContext = {
+    countrySupplierCounts: safeBudgetData.countrySupplierCounts || null,
+    selectedCountries,
+    countryVolumes,
+    countryRisks,
+    focus
+  };
   const sanitizedHourlyRate = Math.max(0, parseFloat(safeBudgetData.hourlyRate || hourlyRate || 0));
   const sanitizedToolAnnualProgrammeCosts = sanitizeArray(
     toolAnnualProgrammeCosts,
@@ -2084,7 +3115,13 @@ export function createCostAnalysisPanel(containerId, options) {
                    value="${sanitizedSupplierCount}"
                    min="1"
                    step="1"
-                   style="width: 100%; padding: 10px 12px; border: 1px solid #86efac; border-radius: 8px; font-size: 14px; text-align: right; background: white; color: #064e3b;">
+                   ${hasSupplierList ? 'readonly' : ''}
+                   style="width: 100%; padding: 10px 12px; border: 1px solid #86efac; border-radius: 8px; font-size: 14px; text-align: right; background: ${hasSupplierList ? '#f0fdf4' : 'white'}; color: #064e3b;">
+            ${hasSupplierList ? `
+              <div style="font-size: 11px; color: #166534;">
+                From your supplier list (Panel 2). Tools are costed against the suppliers in each country.
+              </div>
+            ` : ''}
           </div>
           <div style="display: flex; flex-direction: column; gap: 6px;">
             <label style="font-size: 12px; font-weight: 600; color: #166534;">Internal cost per work hour (USD)</label>
@@ -2209,7 +3246,8 @@ export function createCostAnalysisPanel(containerId, options) {
           sanitizedToolAnnualProgrammeCosts,
           sanitizedToolPerSupplierCosts,
           sanitizedToolInternalHours,
-          sanitizedResponseInternalHours
+          sanitizedResponseInternalHours,
+          supplierContext
         )}
       </div>
 
@@ -2363,6 +3401,7 @@ export function createCostAnalysisPanel(containerId, options) {
     baselineRisk,
     managedRisk,
     budgetData: normalizedBudgetData,
+    supplierContext,
     mapController,
     getOptimizedRiskMap
   });
@@ -2568,11 +3607,13 @@ function setupCostAnalysisEventListeners(handlers) {
     responsivenessStrategy,
     responsivenessEffectiveness,
     selectedCountries,
-     countryRisks,
+    countryVolumes,
+    countryRisks,
     focus,
     baselineRisk,
     managedRisk,
     budgetData,
+    supplierContext = {},
     mapController,
     getOptimizedRiskMap
   } = handlers;
@@ -2600,7 +3641,7 @@ function setupCostAnalysisEventListeners(handlers) {
   };
 
   const supplierInput = document.getElementById('supplierCountInput');
-  if (supplierInput) {
+  if (supplierInput && !supplierInput.readOnly) {
     supplierInput.addEventListener('input', event => {
       onSupplierCountChange(event.target.value);
     });
@@ -2807,7 +3848,8 @@ function setupCostAnalysisEventListeners(handlers) {
           selectedCountries,
           countryVolumes,
           countryRisks,
-          focus
+          focus,
+          supplierContext.countrySupplierCounts
         ) || budgetData;
 
         const optimizationContainer = document.getElementById('optimizationResults');
@@ -2830,7 +3872,8 @@ function setupCostAnalysisEventListeners(handlers) {
             latestAnnualProgrammeCosts,
             latestPerSupplierCosts,
             latestToolInternalHours,
-            latestResponseInternalHours
+            latestResponseInternalHours,
+            supplierContext
           );
         }
 
@@ -2869,7 +3912,8 @@ function renderDetailedBudgetBreakdown(
   toolAnnualProgrammeCosts,
   toolPerSupplierCosts,
   toolInternalHours,
-  responseInternalHours
+  responseInternalHours,
+  supplierContext = {}
 ) {
   if (!optimization) return '';
 
@@ -2931,11 +3975,19 @@ function renderDetailedBudgetBreakdown(
       : currentResponseAllocation
   );
 
+  const countrySupplierCounts = supplierContext.countrySupplierCounts || null;
+  const suppliersReachedByTools = allocation => riskEngine.calculateSuppliersReached(
+    allocation,
+    safeSupplierCount,
+    countrySupplierCounts,
+    supplierContext
+  );
+
   const calculateResponseTotals = allocation => {
+    const suppliersPerMethod = riskEngine.calculateSuppliersReached(allocation, safeSupplierCount, countrySupplierCounts);
     return allocation.reduce(
       (acc, coverage, index) => {
-        const coverageRatio = Math.max(0, Math.min(1, coverage / 100));
-        const suppliersUsingMethod = Math.ceil(safeSupplierCount * coverageRatio);
+        const suppliersUsingMethod = suppliersPerMethod[index];
         const hoursPerSupplier = safeResponseHours[index] || 0;
         const totalHours = suppliersUsingMethod * hoursPerSupplier;
         const totalCost = totalHours * safeHourlyRate;
@@ -2955,10 +4007,13 @@ function renderDetailedBudgetBreakdown(
   const mobile = isMobileView();
   const responsive = (mobileValue, desktopValue) => (mobile ? mobileValue : desktopValue);
 
+  const currentSuppliersPerTool = suppliersReachedByTools(
+    riskEngine.hrddStrategyLabels.map((_, index) => currentAllocation[index] || 0)
+  );
   const currentBreakdown = riskEngine.hrddStrategyLabels.map((label, index) => {
     const coverage = currentAllocation[index] || 0;
     const coverageRatio = Math.max(0, Math.min(1, coverage / 100));
-    const suppliersUsingTool = Math.ceil(safeSupplierCount * coverageRatio);
+    const suppliersUsingTool = currentSuppliersPerTool[index];
     const annualProgrammeBase = safeAnnualCosts[index] || 0;
     const annualProgrammeCost = annualProgrammeBase * coverageRatio;
     const perSupplierCost = safePerSupplierCosts[index] || 0;
@@ -2976,10 +4031,13 @@ function renderDetailedBudgetBreakdown(
     };
   });
 
+  const optimizedSuppliersPerTool = suppliersReachedByTools(
+    riskEngine.hrddStrategyLabels.map((_, index) => optimizedToolAllocation[index] || 0)
+  );
   const optimizedBreakdown = riskEngine.hrddStrategyLabels.map((label, index) => {
     const coverage = optimizedToolAllocation[index] || 0;
     const coverageRatio = Math.max(0, Math.min(1, coverage / 100));
-    const suppliersUsingTool = Math.ceil(safeSupplierCount * coverageRatio);
+    const suppliersUsingTool = optimizedSuppliersPerTool[index];
     const annualProgrammeBase = safeAnnualCosts[index] || 0;
     const annualProgrammeCost = annualProgrammeBase * coverageRatio;
     const perSupplierCost = safePerSupplierCosts[index] || 0;
@@ -2,20 +2,7 @@ const mongoose = require('mongoose');
 require('dotenv').config();
 
 const { loadCountriesFromFile } = require('../utils/countryDataLoader');
-
-// Country schema
-const countrySchema = new mongoose.Schema({
-  name: { type: String, required: true, unique: true },
-  isoCode: { type: String, required: true, unique: true },
-  itucRightsRating: { type: Number, required: true },
-  corruptionIndex: { type: Number, required: true },
-  migrantWorkerPrevalence: { type: Number, required: true },
-  wjpIndex: { type: Number, required: true },
-  walkfreeSlaveryIndex: { type: Number, required: true },
-  baseRiskScore: { type: Number, required: true }
-});
-
-const Country = mongoose.model('Country', countrySchema);
+const { createDatasetVersion } = require('../utils/datasetVersions');
 
 async function importData() {
   const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/hrdd-risk';
@@ -25,19 +12,40 @@ async function importData() {
     await mongoose.connect(mongoUri);
     console.log('Connected to MongoDB');
 
-    // Clear existing data
-    await Country.deleteMany({});
-    console.log('Cleared existing data');
+    const {
+      countries,
+      years,
+      duplicates,
+      sourceFile,
+      sourceHash,
+      schemaVersion,
+      missingIndicators,
+      unmappedColumns
+    } = await loadCountriesFromFile();
+
+    if (missingIndicators.length > 0) {
+      console.warn('Country data file is missing indicator columns; values will be stored as null:', missingIndicators);
+    }
 
-    const { countries, duplicates } = loadCountriesFromFile();
+    if (unmappedColumns.length > 0) {
+      console.warn('Ignoring columns not in the indicator schema:', unmappedColumns);
+    }
 
     if (duplicates.length > 0) {
-      console.warn('Duplicate ISO codes found in country data. Keeping last occurrence for each:', duplicates);
+      console.warn('Duplicate ISO code and year pairs found in country data. Keeping last occurrence for each:', duplicates);
     }
 
-    // Insert data
-    await Country.insertMany(countries);
-    console.log(`Imported ${countries.length} countries`);
+    // Store the import as an immutable dataset version (so it can be diffed and rolled back),
+    // then swap it into the Country collection in one step. The new collection carries only
+    // the current indexes, dropping older ones (e.g. unique ISO code) that would reject yearly editions.
+    const datasetVersion = await createDatasetVersion(countries, {
+      source: 'file',
+      sourceFile,
+      sourceHash,
+      uploadedBy: process.env.IMPORT_UPLOADED_BY || process.env.USER || 'import-script'
+    });
+    console.log(`Imported ${countries.length} country records for ${years.join(', ')} (indicator schema v${schemaVersion})`);
+    console.log(`Stored as dataset version ${datasetVersion.version} (source hash ${sourceHash.slice(0, 12)})`);
 
     if (duplicates.length > 0) {
       console.log(`Skipped ${duplicates.length} duplicate entr${duplicates.length === 1 ? 'y' : 'ies'} based on ISO codes.`);
@@ -5,19 +5,66 @@ const path = require('path');
 require('dotenv').config();
 
 const { loadCountriesFromFile } = require('./utils/countryDataLoader');
+const { getCountryModel } = require('./utils/countryModel');
+const { getSubnationalAdjustmentModel } = require('./utils/subnationalAdjustmentModel');
+const { buildNormalisationPipeline } = require('./utils/indicatorNormalisation');
+const {
+  loadCountryResolver,
+  loadIndicatorSchema,
+  loadReportModel,
+  loadReportTemplates,
+  loadRiskEngine,
+  loadScenarioComparison,
+  loadSectorRisk,
+  loadSubnationalUnits,
+  loadSupplierPortfolio
+} = require('./utils/sharedModules');
+const { requireAdminToken } = require('./utils/adminAuth');
+const {
+  diffSubnationalAdjustmentSets,
+  getSubnationalAdjustment,
+  getSubnationalAdjustments,
+  indexSubnationalAdjustments,
+  validateSubnationalAdjustment
+} = require('./utils/subnationalAdjustments');
+const { issueAssessmentToken, requireAssessmentIdentity, validateTokenClaims } = require('./utils/assessmentAuth');
+const { REPORT_FORMATS, renderReport } = require('./utils/reportRenderers');
+const {
+  createAssessment,
+  deleteAssessment,
+  duplicateAssessment,
+  getAssessment,
+  listAssessments,
+  updateAssessment,
+  validateAssessmentInput
+} = require('./utils/assessments');
+const {
+  diffCountryRecords,
+  diffCountryRecordSets,
+  summarizeDiff,
+  validateCountryRecord
+} = require('./utils/countryAdmin');
+const {
+  activateDatasetVersion,
+  applyCountryChanges,
+  applySubnationalAdjustmentChanges,
+  createDatasetVersion,
+  getActiveDatasetVersion,
+  getDatasetVersion,
+  hashRecords,
+  listDatasetVersions
+} = require('./utils/datasetVersions');
 
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Risk calculation defaults (kept in sync with frontend RiskEngine)
-const DEFAULT_WEIGHTS = [20, 20, 5, 10, 10];
-
-let cachedFallbackData = null;
+let fallbackDataPromise = null;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Saved assessments with supplier lists exceed the 100kb default
+app.use(express.json({ limit: '2mb' }));
 
 function sanitizeIsoCode(value) {
   if (!value || typeof value !== 'string') {
@@ -26,12 +73,17 @@ function sanitizeIsoCode(value) {
   return value.trim().toUpperCase();
 }
 
-function toNumber(value) {
+// Missing indicator values are kept as null; RiskEngine decides how to impute them
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
   const parsed = Number(value);
-  return Number.isFinite(parsed) ? parsed : 0;
+  return Number.isFinite(parsed) ? parsed : null;
 }
 
-function formatCountryRecord(record) {
+// Records are returned with exactly the indicator fields RiskEngine consumes
+function formatCountryRecord(record, indicatorFields) {
   if (!record) {
     return null;
   }
@@ -41,93 +93,276 @@ function formatCountryRecord(record) {
     return null;
   }
 
-  return {
+  const formatted = {
     name: record.name || '',
     isoCode,
-    itucRightsRating: toNumber(record.itucRightsRating),
-    corruptionIndex: toNumber(record.corruptionIndex),
-    migrantWorkerPrevalence: toNumber(record.migrantWorkerPrevalence),
-    wjpIndex: toNumber(record.wjpIndex),
-    walkfreeSlaveryIndex: toNumber(record.walkfreeSlaveryIndex),
-    baseRiskScore: toNumber(record.baseRiskScore)
+    year: toNumberOrNull(record.year)
   };
+
+  indicatorFields.forEach(field => {
+    formatted[field] = toNumberOrNull(record[field]);
+  });
+
+  return formatted;
 }
 
 function getFallbackData() {
-  if (!cachedFallbackData) {
-    cachedFallbackData = loadCountriesFromFile();
+  if (!fallbackDataPromise) {
+    fallbackDataPromise = loadCountriesFromFile().catch(error => {
+      fallbackDataPromise = null;
+      throw error;
+    });
   }
-  return cachedFallbackData;
+  return fallbackDataPromise;
 }
 
-function getFallbackCountries() {
-  const { countries } = getFallbackData();
-  return countries.map(formatCountryRecord).filter(Boolean);
+// Requested edition year, or the latest available when none was asked for
+function resolveEditionYear(year, availableYears) {
+  return year === null || year === undefined ? (availableYears[0] ?? null) : year;
 }
 
-function getFallbackCountryByIso(isoCode) {
-  const normalizedIso = sanitizeIsoCode(isoCode);
-  if (!normalizedIso) {
-    return null;
+// File data has no dataset version or sub-national adjustments; its hashes still
+// identify the numbers served
+async function getFallbackEdition(year = null) {
+  const [{ countries, years, sourceHash }, { INDICATOR_IDS }] = await Promise.all([getFallbackData(), loadIndicatorSchema()]);
+  const editionYear = resolveEditionYear(year, years);
+  return {
+    year: editionYear,
+    availableYears: years,
+    datasetVersion: null,
+    sourceHash,
+    contentHash: hashRecords(countries),
+    countries: countries
+      .filter(country => country.year === editionYear)
+      .map(country => formatCountryRecord(country, INDICATOR_IDS))
+      .filter(Boolean),
+    subnationalAdjustments: {}
+  };
+}
+
+// Registry details plus the normalisation applied to each indicator. /api/admin/import
+// loads through the same loader and admin record writes replay these parameters
+// (utils/countryAdmin.js), so they describe database data written since then too.
+async function getIndicatorMetadata() {
+  const { INDICATOR_SCHEMA_VERSION, INDICATORS, INDICATOR_DIRECTIONS } = await loadIndicatorSchema();
+
+  let resolved = {};
+  try {
+    ({ normalisation: resolved } = await getFallbackData());
+  } catch (error) {
+    console.error('Failed to resolve normalisation parameters from file data:', error);
   }
 
-  const { countries } = getFallbackData();
-  const match = countries.find(country => sanitizeIsoCode(country.isoCode) === normalizedIso);
-  return formatCountryRecord(match);
+  return {
+    schemaVersion: INDICATOR_SCHEMA_VERSION,
+    indicators: INDICATORS.map(indicator => ({
+      id: indicator.id,
+      label: indicator.label,
+      shortLabel: indicator.shortLabel,
+      sourceName: indicator.sourceName,
+      sourceUrl: indicator.sourceUrl,
+      direction: indicator.direction,
+      year: indicator.year,
+      defaultWeight: indicator.defaultWeight,
+      normalisation: resolved[indicator.id] || {
+        steps: buildNormalisationPipeline(indicator, INDICATOR_DIRECTIONS),
+        observed: null
+      }
+    }))
+  };
 }
 
 function isDatabaseConnected() {
   return mongoose.connection?.readyState === 1;
 }
 
-async function getAllCountries() {
+// One yearly edition of a stored dataset version, or null if the version does not exist
+async function getDatasetVersionEdition(year, datasetVersion) {
+  if (!isDatabaseConnected()) {
+    return null;
+  }
+
+  const { INDICATOR_IDS } = await loadIndicatorSchema();
+  const snapshot = await getDatasetVersion(datasetVersion);
+  if (!snapshot) {
+    return null;
+  }
+
+  const years = [...snapshot.years].sort((a, b) => b - a);
+  const editionYear = resolveEditionYear(year, years);
+  return {
+    year: editionYear,
+    availableYears: years,
+    datasetVersion: snapshot.version,
+    sourceHash: snapshot.sourceHash,
+    contentHash: snapshot.contentHash,
+    countries: snapshot.countries
+      .filter(country => country.year === editionYear)
+      .map(country => formatCountryRecord(country, INDICATOR_IDS))
+      .filter(Boolean),
+    subnationalAdjustments: indexSubnationalAdjustments(snapshot.subnationalAdjustments, editionYear)
+  };
+}
+
+// One yearly edition of the country data:
+//   { year, availableYears, datasetVersion, sourceHash, contentHash, countries,
+//     subnationalAdjustments }
+// with the edition year's sub-national adjustments keyed by ISO 3166-2 code. Without
+// `datasetVersion` this is the active data. Database records imported under an older
+// indicator schema are ignored in favour of the file data until they are re-imported.
+// Returns null only when a requested dataset version does not exist.
+async function getCountryEdition(year = null, datasetVersion = null) {
+  if (datasetVersion !== null) {
+    return getDatasetVersionEdition(year, datasetVersion);
+  }
+
   if (isDatabaseConnected()) {
     try {
-      const docs = await Country.find({}).lean();
-      const formatted = Array.isArray(docs) ? docs.map(formatCountryRecord).filter(Boolean) : [];
-      if (formatted.length > 0) {
-        return formatted;
+      const { INDICATOR_SCHEMA_VERSION, INDICATOR_IDS } = await loadIndicatorSchema();
+      const Country = await getCountryModel();
+      const years = (await Country.distinct('year', { schemaVersion: INDICATOR_SCHEMA_VERSION }))
+        .filter(Number.isInteger)
+        .sort((a, b) => b - a);
+
+      if (years.length > 0) {
+        const editionYear = resolveEditionYear(year, years);
+        const docs = years.includes(editionYear)
+          ? await Country.find({ schemaVersion: INDICATOR_SCHEMA_VERSION, year: editionYear }).lean()
+          : [];
+        const active = await getActiveDatasetVersion();
+        return {
+          year: editionYear,
+          availableYears: years,
+          datasetVersion: active?.version ?? null,
+          sourceHash: active?.sourceHash ?? null,
+          contentHash: active?.contentHash ?? null,
+          countries: docs.map(doc => formatCountryRecord(doc, INDICATOR_IDS)).filter(Boolean),
+          subnationalAdjustments: await getSubnationalAdjustments(editionYear)
+        };
       }
     } catch (error) {
       console.error('Failed to fetch countries from MongoDB, falling back to file data:', error);
     }
   }
 
-  return getFallbackCountries();
+  return getFallbackEdition(year);
+}
+
+async function getAllCountries(year = null, datasetVersion = null) {
+  const edition = await getCountryEdition(year, datasetVersion);
+  return edition ? edition.countries : [];
 }
 
-async function getCountryByIso(isoCode) {
+async function getCountryByIso(isoCode, year = null, datasetVersion = null) {
   const normalizedIso = sanitizeIsoCode(isoCode);
   if (!normalizedIso) {
     return null;
   }
 
-  if (isDatabaseConnected()) {
-    try {
-      const doc = await Country.findOne({ isoCode: normalizedIso }).lean();
-      const formatted = formatCountryRecord(doc);
-      if (formatted) {
-        return formatted;
-      }
-    } catch (error) {
-      console.error(`Failed to fetch country ${normalizedIso} from MongoDB, attempting file fallback:`, error);
-    }
+  const edition = await getCountryEdition(year, datasetVersion);
+  return edition?.countries.find(country => country.isoCode === normalizedIso) || null;
+}
+
+// Risk scoring, defaults and bands come from the shared RiskEngine module so the
+// API and the browser produce identical numbers for identical inputs. Weights are
+// keyed by indicator id; legacy positional arrays are still accepted.
+async function sanitizeWeights(weights, riskEngine) {
+  const { normalizeIndicatorWeights } = await loadIndicatorSchema();
+  return normalizeIndicatorWeights(weights, riskEngine.defaultWeights);
+}
+
+// Edition year from a query or body value: null when absent, NaN when not a whole year
+function sanitizeYear(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isInteger(parsed) ? parsed : NaN;
+}
+
+// Dataset versions are numbered from 1; returns null when absent and NaN when invalid
+function sanitizeDatasetVersion(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
   }
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : NaN;
+}
+
+function sanitizeIsoCodeList(values) {
+  if (!Array.isArray(values)) {
+    return [];
+  }
+  return Array.from(new Set(values.map(sanitizeIsoCode).filter(Boolean)));
+}
+
+function sanitizePercentageArray(values, defaults) {
+  return defaults.map((fallback, index) => {
+    const parsed = Array.isArray(values) ? Number(values[index]) : NaN;
+    const value = Number.isFinite(parsed) ? parsed : fallback;
+    return Math.max(0, Math.min(100, value));
+  });
+}
+
+// Regional means are only needed (and only worth computing) for regional-mean imputation
+async function getImputationOptions(imputationStrategy, riskEngine, allCountries = null) {
+  const strategy = riskEngine.normalizeImputationStrategy(imputationStrategy);
+  if (strategy !== 'regional-mean') {
+    return { imputationStrategy: strategy, regionalMeans: null };
+  }
+
+  const referenceCountries = allCountries || await getAllCountries();
+  return {
+    imputationStrategy: strategy,
+    regionalMeans: riskEngine.calculateRegionalIndicatorMeans(referenceCountries)
+  };
+}
+
+// The edition's countries by ISO code, plus any requested codes it lacks: countries
+// absent from the dataset are scored from a peer-group proxy (same World Bank region and
+// income group) and flagged as imputed in the response. ISO 3166-2 codes resolve to
+// sub-national units, which inherit their parent country's indicators and apply the
+// edition's adjustment.
+function withDerivedCountries(requestedCodes, edition, riskEngine) {
+  const countriesByIso = new Map(edition.countries.map(country => [country.isoCode, country]));
+  const missingCodes = requestedCodes.filter(isoCode => !countriesByIso.has(isoCode));
+  if (missingCodes.length === 0) {
+    return countriesByIso;
+  }
+
+  missingCodes.forEach(isoCode => {
+    const proxy = riskEngine.estimateProxyCountry(isoCode, edition.countries);
+    if (proxy) countriesByIso.set(isoCode, proxy);
+  });
+
+  riskEngine.buildSubnationalRecords(Array.from(countriesByIso.values()), edition.subnationalAdjustments).forEach(unit => {
+    if (missingCodes.includes(unit.isoCode)) countriesByIso.set(unit.isoCode, unit);
+  });
 
-  return getFallbackCountryByIso(normalizedIso);
+  return countriesByIso;
 }
 
-function sanitizeWeights(weights) {
-  if (!Array.isArray(weights) || weights.length !== 5) {
-    return [...DEFAULT_WEIGHTS];
+function sanitizeFocus(value, fallback) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return fallback;
   }
+  return Math.max(0, Math.min(1, parsed));
+}
+
+function sanitizeCountryVolumes(volumes, isoCodes) {
+  const safeVolumes = volumes && typeof volumes === 'object' ? volumes : {};
+  const normalizedVolumes = {};
 
-  const sanitized = weights.map(weight => {
-    const parsed = Number(weight);
-    return Number.isFinite(parsed) && parsed >= 0 ? parsed : 0;
+  Object.entries(safeVolumes).forEach(([key, value]) => {
+    normalizedVolumes[sanitizeIsoCode(key)] = value;
   });
 
-  return sanitized;
+  return isoCodes.reduce((acc, isoCode) => {
+    const parsed = Number(normalizedVolumes[isoCode]);
+    acc[isoCode] = Number.isFinite(parsed) && parsed >= 0 ? parsed : 10;
+    return acc;
+  }, {});
 }
 
 // Serve static assets for embedding
@@ -150,35 +385,61 @@ app.get(['/wix-embed', '/wix-embed.html'], (req, res, next) => {
   });
 });
 
-// Country schema
-const countrySchema = new mongoose.Schema({
-  name: { type: String, required: true, unique: true },
-  isoCode: { type: String, required: true, unique: true },
-  itucRightsRating: { type: Number, required: true },
-  corruptionIndex: { type: Number, required: true },
-  migrantWorkerPrevalence: { type: Number, required: true },
-  wjpIndex: { type: Number, required: true },
-  walkfreeSlaveryIndex: { type: Number, required: true },
-  baseRiskScore: { type: Number, required: true }
-});
-
-const Country = mongoose.model('Country', countrySchema);
-
 // Connect to MongoDB - check multiple possible variable names
 const mongoUri = process.env.MONGODB_URI || process.env.MongoDB_URI || process.env.Monogdb_URI || process.env.MONGO_URL || process.env.Mongo_URL || process.env.MongoURL || 'mongodb://localhost:27017/hrdd-risk';
 
-console.log('Attempting to connect to MongoDB with URI:', mongoUri.replace(/\/\/.*@/, '//***:***@')); // Hide credentials in logs
+// Only when run directly; tests require the app and serve it from the file data
+if (require.main === module) {
+  console.log('Attempting to connect to MongoDB with URI:', mongoUri.replace(/\/\/.*@/, '//***:***@')); // Hide credentials in logs
 
-mongoose.connect(mongoUri)
-  .then(() => console.log('Connected to MongoDB'))
-  .catch(err => console.error('MongoDB connection error:', err));
+  mongoose.connect(mongoUri)
+    .then(() => console.log('Connected to MongoDB'))
+    .catch(err => console.error('MongoDB connection error:', err));
+}
 
 // Routes
 
-// Get all countries
+// Get all countries for one edition (?year=, latest by default) of the active data or of
+// a stored ?datasetVersion=. ?include=metadata wraps them with the edition years, dataset
+// version and hashes, the edition's sub-national adjustments, and indicator and
+// normalisation details.
 app.get('/api/countries', async (req, res) => {
   try {
-    const countries = await getAllCountries();
+    const year = sanitizeYear(req.query.year);
+    if (Number.isNaN(year)) {
+      return res.status(400).json({ error: 'year must be a whole number, e.g. 2024' });
+    }
+
+    const datasetVersion = sanitizeDatasetVersion(req.query.datasetVersion);
+    if (Number.isNaN(datasetVersion)) {
+      return res.status(400).json({ error: 'datasetVersion must be a positive whole number' });
+    }
+
+    const edition = await getCountryEdition(year, datasetVersion);
+    if (!edition) {
+      return res.status(404).json({ error: `Dataset version ${datasetVersion} not found` });
+    }
+    if (year !== null && edition.countries.length === 0) {
+      return res.status(404).json({ error: `No country data for ${year}`, availableYears: edition.availableYears });
+    }
+
+    const { countries } = edition;
+    const include = String(req.query.include || '').split(',').map(value => value.trim().toLowerCase());
+
+    if (include.includes('metadata')) {
+      const metadata = await getIndicatorMetadata();
+      return res.json({
+        ...metadata,
+        year: edition.year,
+        availableYears: edition.availableYears,
+        datasetVersion: edition.datasetVersion,
+        sourceHash: edition.sourceHash,
+        contentHash: edition.contentHash,
+        subnationalAdjustments: edition.subnationalAdjustments,
+        countries
+      });
+    }
+
     res.json(countries);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -188,7 +449,17 @@ app.get('/api/countries', async (req, res) => {
 // Get country by ISO code
 app.get('/api/countries/:isoCode', async (req, res) => {
   try {
-    const country = await getCountryByIso(req.params.isoCode);
+    const year = sanitizeYear(req.query.year);
+    if (Number.isNaN(year)) {
+      return res.status(400).json({ error: 'year must be a whole number, e.g. 2024' });
+    }
+
+    const datasetVersion = sanitizeDatasetVersion(req.query.datasetVersion);
+    if (Number.isNaN(datasetVersion)) {
+      return res.status(400).json({ error: 'datasetVersion must be a positive whole number' });
+    }
+
+    const country = await getCountryByIso(req.params.isoCode, year, datasetVersion);
     if (!country) {
       return res.status(404).json({ error: 'Country not found' });
     }
@@ -198,68 +469,249 @@ app.get('/api/countries/:isoCode', async (req, res) => {
   }
 });
 
+// Sub-national units with the adjustments of one edition (?year=, latest by default) of
+// the active data or of a stored ?datasetVersion=, keyed by ISO 3166-2 code. Units
+// without an adjustment score like their country.
+app.get('/api/subnational-units', async (req, res) => {
+  try {
+    const year = sanitizeYear(req.query.year);
+    if (Number.isNaN(year)) {
+      return res.status(400).json({ error: 'year must be a whole number, e.g. 2024' });
+    }
+
+    const datasetVersion = sanitizeDatasetVersion(req.query.datasetVersion);
+    if (Number.isNaN(datasetVersion)) {
+      return res.status(400).json({ error: 'datasetVersion must be a positive whole number' });
+    }
+
+    const edition = await getCountryEdition(year, datasetVersion);
+    if (!edition) {
+      return res.status(404).json({ error: `Dataset version ${datasetVersion} not found` });
+    }
+
+    const { SUBNATIONAL_UNITS } = await loadSubnationalUnits();
+    res.json({
+      year: edition.year,
+      datasetVersion: edition.datasetVersion,
+      units: SUBNATIONAL_UNITS,
+      adjustments: edition.subnationalAdjustments
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resolve a free-text country reference (ISO2/ISO3/M49 code, name, alias or a small
+// typo) to its ISO3 code, with a 0-1 confidence and whether the current data covers it
+app.get('/api/resolve-country', async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.status(400).json({ error: 'q is required, e.g. ?q=Ivory Coast' });
+    }
+
+    const { createCountryResolver } = await loadCountryResolver();
+    const countries = await getAllCountries();
+    const match = createCountryResolver(countries).resolve(query);
+    if (!match) {
+      return res.status(404).json({ error: 'Country not recognised', query });
+    }
+
+    res.json({
+      ...match,
+      inDataset: countries.some(country => country.isoCode === match.isoCode)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Calculate weighted risk score
 app.post('/api/calculate-risk', async (req, res) => {
   try {
-    const { countryIsoCode, weights } = req.body;
+    const { countryIsoCode, weights, imputationStrategy } = req.body;
 
     const isoCode = sanitizeIsoCode(countryIsoCode);
     if (!isoCode) {
       return res.status(400).json({ error: 'countryIsoCode is required' });
     }
 
-    const country = await getCountryByIso(isoCode);
-    if (!country) {
-      return res.status(404).json({ error: 'Country not found' });
+    const year = sanitizeYear(req.body.year);
+    if (Number.isNaN(year)) {
+      return res.status(400).json({ error: 'year must be a whole number, e.g. 2024' });
     }
 
-    const sanitizedWeights = sanitizeWeights(weights);
-
-    // Calculate weighted risk score
-    // Weights order: ITUC_Rights_Rating, Corruption_Index_TI, ILO_Migrant_Worker_Prevalence, WJP_index, Walkfree_Slavery_Index
-    const values = [
-      country.itucRightsRating,
-      country.corruptionIndex,
-      country.migrantWorkerPrevalence,
-      country.wjpIndex,
-      country.walkfreeSlaveryIndex
-    ];
-
-    let weightedSum = 0;
-    let totalWeight = 0;
+    const datasetVersion = sanitizeDatasetVersion(req.body.datasetVersion ?? req.query.datasetVersion);
+    if (Number.isNaN(datasetVersion)) {
+      return res.status(400).json({ error: 'datasetVersion must be a positive whole number' });
+    }
 
-    for (let i = 0; i < values.length; i++) {
-      const value = values[i];
-      const weight = sanitizedWeights[i] || 0;
-      if (value > 0 && weight > 0) { // Ignore zero values as specified
-        weightedSum += value * weight;
-        totalWeight += weight;
-      }
+    const riskEngine = await loadRiskEngine();
+    const edition = await getCountryEdition(year, datasetVersion);
+    if (!edition) {
+      return res.status(404).json({ error: `Dataset version ${datasetVersion} not found` });
+    }
+    const country = withDerivedCountries([isoCode], edition, riskEngine).get(isoCode);
+    if (!country) {
+      return res.status(404).json({ error: 'Country not found' });
     }
 
-    const weightedRiskScore = totalWeight > 0 ? weightedSum / totalWeight : 0;
+    const sanitizedWeights = await sanitizeWeights(weights, riskEngine);
+    const imputationOptions = await getImputationOptions(imputationStrategy, riskEngine, edition.countries);
+    const { score: weightedRiskScore, completeness } = riskEngine.calculateWeightedRiskDetails(
+      country,
+      sanitizedWeights,
+      imputationOptions
+    );
 
     res.json({
       country: country.name,
       isoCode: country.isoCode,
-      originalRiskScore: country.baseRiskScore,
+      year: edition.year,
+      datasetVersion: edition.datasetVersion,
       weightedRiskScore: Math.round(weightedRiskScore * 100) / 100,
-      riskBand: getRiskBand(weightedRiskScore)
+      riskBand: riskEngine.getRiskBand(weightedRiskScore),
+      imputed: Boolean(country.isImputed),
+      imputationStrategy: imputationOptions.imputationStrategy,
+      dataCompleteness: completeness
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Helper function to determine risk band
-function getRiskBand(score) {
-  if (score >= 0 && score < 20) return 'Low';
-  if (score >= 20 && score < 40) return 'Medium';
-  if (score >= 40 && score < 60) return 'Medium High';
-  if (score >= 60 && score < 80) return 'High';
-  if (score >= 80) return 'Very High';
-  return 'Unknown';
-}
+// Calculate baseline and managed portfolio risk with HRDD strategy
+app.post('/api/calculate-coverage-risk', async (req, res) => {
+  try {
+    const {
+      countryCodes,
+      countryVolumes,
+      countrySectors,
+      weights,
+      hrddStrategy,
+      transparencyEffectiveness,
+      responsivenessStrategy,
+      responsivenessEffectiveness,
+      focus,
+      imputationStrategy
+    } = req.body;
+
+    const requestedCodes = sanitizeIsoCodeList(countryCodes);
+    if (requestedCodes.length === 0) {
+      return res.status(400).json({ error: 'countryCodes must be a non-empty array of ISO codes' });
+    }
+
+    const year = sanitizeYear(req.body.year);
+    if (Number.isNaN(year)) {
+      return res.status(400).json({ error: 'year must be a whole number, e.g. 2024' });
+    }
+
+    const datasetVersion = sanitizeDatasetVersion(req.body.datasetVersion ?? req.query.datasetVersion);
+    if (Number.isNaN(datasetVersion)) {
+      return res.status(400).json({ error: 'datasetVersion must be a positive whole number' });
+    }
+
+    const riskEngine = await loadRiskEngine();
+    const edition = await getCountryEdition(year, datasetVersion);
+    if (!edition) {
+      return res.status(404).json({ error: `Dataset version ${datasetVersion} not found` });
+    }
+    const { year: editionYear, countries: allCountries } = edition;
+    const countriesByIso = withDerivedCountries(requestedCodes, edition, riskEngine);
+    const selectedCountries = requestedCodes.filter(isoCode => countriesByIso.has(isoCode));
+    const unknownCountries = requestedCodes.filter(isoCode => !countriesByIso.has(isoCode));
+
+    if (selectedCountries.length === 0) {
+      return res.status(404).json({ error: 'None of the requested countries were found', unknownCountries });
+    }
+
+    const sanitizedWeights = await sanitizeWeights(weights, riskEngine);
+    const sanitizedVolumes = sanitizeCountryVolumes(countryVolumes, selectedCountries);
+    const sanitizedStrategy = sanitizePercentageArray(hrddStrategy, riskEngine.defaultHRDDStrategy);
+    const sanitizedTransparency = sanitizePercentageArray(transparencyEffectiveness, riskEngine.defaultTransparencyEffectiveness);
+    const sanitizedResponsiveness = sanitizePercentageArray(responsivenessStrategy, riskEngine.defaultResponsivenessStrategy);
+    const sanitizedResponsivenessEffectiveness = sanitizePercentageArray(
+      responsivenessEffectiveness,
+      riskEngine.defaultResponsivenessEffectiveness
+    );
+    const sanitizedFocus = sanitizeFocus(focus, riskEngine.defaultFocus);
+    const { getSector, normalizeCountrySectors } = await loadSectorRisk();
+    const normalizedSectors = normalizeCountrySectors(countrySectors);
+    const sanitizedSectors = selectedCountries.reduce((acc, isoCode) => {
+      acc[isoCode] = getSector(normalizedSectors[isoCode]).id;
+      return acc;
+    }, {});
+
+    const imputationOptions = await getImputationOptions(imputationStrategy, riskEngine, allCountries);
+
+    const baseCountryRisks = {};
+    const countryDataCompleteness = {};
+    selectedCountries.forEach(isoCode => {
+      const { score, completeness } = riskEngine.calculateWeightedRiskDetails(
+        countriesByIso.get(isoCode),
+        sanitizedWeights,
+        imputationOptions
+      );
+      baseCountryRisks[isoCode] = score;
+      countryDataCompleteness[isoCode] = completeness;
+    });
+    // Each line is scored as country risk x sector multiplier
+    const countryRisks = riskEngine.applySectorMultipliers(baseCountryRisks, selectedCountries, sanitizedSectors);
+
+    const details = riskEngine.calculateManagedRiskDetails(
+      selectedCountries,
+      sanitizedVolumes,
+      countryRisks,
+      sanitizedStrategy,
+      sanitizedTransparency,
+      sanitizedResponsiveness,
+      sanitizedResponsivenessEffectiveness,
+      sanitizedFocus
+    );
+
+    res.json({
+      baselineRisk: details.baselineRisk,
+      baselineRiskBand: riskEngine.getRiskBand(details.baselineRisk),
+      managedRisk: details.managedRisk,
+      managedRiskBand: riskEngine.getRiskBand(details.managedRisk),
+      riskReduction: riskEngine.calculateRiskReduction(details.baselineRisk, details.managedRisk),
+      riskConcentration: details.riskConcentration,
+      portfolioFocusMultiplier: details.portfolioFocusMultiplier,
+      combinedEffectiveness: details.combinedEffectiveness,
+      countries: selectedCountries.map(isoCode => ({
+        isoCode,
+        name: countriesByIso.get(isoCode).name,
+        imputed: Boolean(countriesByIso.get(isoCode).isImputed),
+        volume: sanitizedVolumes[isoCode],
+        sector: sanitizedSectors[isoCode],
+        countryRisk: baseCountryRisks[isoCode],
+        baselineRisk: countryRisks[isoCode],
+        managedRisk: details.countryManagedRisks[isoCode],
+        dataCompleteness: countryDataCompleteness[isoCode]
+      })),
+      countryRisks,
+      countryManagedRisks: details.countryManagedRisks,
+      countrySpecificCoverage: details.countrySpecificCoverage,
+      focusEffectivenessMetrics: details.focusEffectivenessMetrics,
+      inputs: {
+        countryVolumes: sanitizedVolumes,
+        countrySectors: sanitizedSectors,
+        weights: sanitizedWeights,
+        hrddStrategy: sanitizedStrategy,
+        transparencyEffectiveness: sanitizedTransparency,
+        responsivenessStrategy: sanitizedResponsiveness,
+        responsivenessEffectiveness: sanitizedResponsivenessEffectiveness,
+        focus: sanitizedFocus,
+        imputationStrategy: imputationOptions.imputationStrategy,
+        year: editionYear,
+        datasetVersion: edition.datasetVersion
+      },
+      unknownCountries
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
 // Health check
 app.get('/health', (req, res) => {
@@ -277,29 +729,776 @@ app.get('/', (req, res) => {
   });
 });
 
-// Temporary data import route (remove after use)
-app.get('/import-data', async (req, res) => {
+/* ---------------------------- Assessments API ---------------------------- */
+// Named assessments shared within a workspace. Callers send a signed access token
+// (utils/assessmentAuth.js) naming their user and workspaces, and pick one of those
+// workspaces with ?workspace=, otherwise the token's first. Members of a workspace can
+// open, save over, rename and duplicate its assessments; only the owner can delete one.
+
+app.use('/api/assessments', requireAssessmentIdentity);
+
+// The caller's user and workspaces, as the token names them
+app.get('/api/assessments/identity', (req, res) => {
+  const { user, workspace, workspaces } = req.assessmentIdentity;
+  res.json({ user, workspace, workspaces });
+});
+
+app.use('/api/assessments', (req, res, next) => {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Database is not connected; assessments cannot be saved or opened' });
+  }
+  return next();
+});
+
+// Assessments in the caller's workspace, most recently updated first (without state)
+app.get('/api/assessments', async (req, res) => {
+  try {
+    const { workspace } = req.assessmentIdentity;
+    res.json({ workspace, assessments: await listAssessments(workspace) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/assessments', async (req, res) => {
+  try {
+    const { fields, errors } = validateAssessmentInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid assessment', errors });
+    }
+
+    const { workspace, user } = req.assessmentIdentity;
+    const assessment = await createAssessment(fields, { workspace, user });
+    res.status(201).json({ assessment });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/assessments/:id', async (req, res) => {
+  try {
+    const assessment = await getAssessment(req.params.id, req.assessmentIdentity.workspace);
+    if (!assessment) {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+    res.json({ assessment });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Partial update: send any of name, notes and state
+app.put('/api/assessments/:id', async (req, res) => {
+  try {
+    const { fields, errors } = validateAssessmentInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid assessment', errors });
+    }
+
+    const { workspace, user } = req.assessmentIdentity;
+    const assessment = await updateAssessment(req.params.id, fields, { workspace, user });
+    if (!assessment) {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+    res.json({ assessment });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Copy into the same workspace, owned by the caller. Body may give the new name.
+app.post('/api/assessments/:id/duplicate', async (req, res) => {
+  try {
+    const name = req.body?.name;
+    if (name !== undefined) {
+      const { errors } = validateAssessmentInput({ name }, { partial: true });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid assessment', errors });
+      }
+    }
+
+    const { workspace, user } = req.assessmentIdentity;
+    const assessment = await duplicateAssessment(req.params.id, {
+      workspace,
+      user,
+      name: typeof name === 'string' ? name.trim() : null
+    });
+    if (!assessment) {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+    res.status(201).json({ assessment });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/assessments/:id', async (req, res) => {
+  try {
+    const { workspace, user } = req.assessmentIdentity;
+    const existing = await getAssessment(req.params.id, workspace);
+    if (!existing) {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+    if (existing.owner !== user) {
+      return res.status(403).json({ error: `Only ${existing.owner} can delete this assessment` });
+    }
+
+    await deleteAssessment(req.params.id, workspace);
+    res.json({ deleted: { id: existing.id, name: existing.name } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* ------------------------------ Reports API ------------------------------ */
+// Headless report generation for scheduled jobs and other systems. The assessment
+// state is scored on the server with the shared RiskEngine, turned into the same report
+// model the browser draws, and returned as a PDF or DOCX file.
+
+function sanitizeCostArray(values, defaults) {
+  return defaults.map((fallback, index) => {
+    const parsed = Array.isArray(values) ? Number(values[index]) : NaN;
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  });
+}
+
+function toPositiveOrDefault(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Score a saved assessment state (countries or a supplier list, weights, strategies,
+// focus and, when present, the Panel 6 cost inputs) against one data edition the way
+// the app does. Returns the getState() fields ReportModel reads, the Panel 6 budget
+// (null without cost inputs), the optimizer result when `optimize` is set and there is
+// a budget, the scenarios picked for comparison and the countries that are not in the data.
+async function buildReportState(config, edition, riskEngine, { optimize = false } = {}) {
+  const [
+    { deriveCountryPortfolio, deriveTierPortfolios, normalizeSuppliers },
+    { getSector, normalizeCountrySectors },
+    { normalizeComparedScenarioIds, normalizeScenarios }
+  ] = await Promise.all([loadSupplierPortfolio(), loadSectorRisk(), loadScenarioComparison()]);
+
+  const allSuppliers = normalizeSuppliers(config.suppliers);
+  const requestedCodes = allSuppliers.length > 0
+    ? deriveCountryPortfolio(allSuppliers).selectedCountries
+    : sanitizeIsoCodeList(config.selectedCountries);
+  const countriesByIso = withDerivedCountries(requestedCodes, edition, riskEngine);
+  const unknownCountries = requestedCodes.filter(isoCode => !countriesByIso.has(isoCode));
+
+  // A supplier list is the source of truth for the country lines, as in the app
+  const suppliers = allSuppliers.filter(supplier => countriesByIso.has(supplier.isoCode));
+  const derived = suppliers.length > 0 ? deriveCountryPortfolio(suppliers) : null;
+  const selectedCountries = derived
+    ? derived.selectedCountries
+    : requestedCodes.filter(isoCode => countriesByIso.has(isoCode));
+  const countryVolumes = sanitizeCountryVolumes(derived ? derived.countryVolumes : config.countryVolumes, selectedCountries);
+  const normalizedSectors = normalizeCountrySectors(derived ? derived.countrySectors : config.countrySectors);
+  const countrySectors = selectedCountries.reduce((acc, isoCode) => {
+    acc[isoCode] = getSector(normalizedSectors[isoCode]).id;
+    return acc;
+  }, {});
+
+  const weights = await sanitizeWeights(config.weights, riskEngine);
+  const imputationOptions = await getImputationOptions(config.imputationStrategy, riskEngine, edition.countries);
+  const countryRisks = {};
+  const countryDataCompleteness = {};
+  selectedCountries.forEach(isoCode => {
+    const { score, completeness } = riskEngine.calculateWeightedRiskDetails(countriesByIso.get(isoCode), weights, imputationOptions);
+    countryRisks[isoCode] = score;
+    countryDataCompleteness[isoCode] = completeness;
+  });
+  const portfolioRisks = riskEngine.applySectorMultipliers(countryRisks, selectedCountries, countrySectors);
+  const countries = selectedCountries.map(isoCode => countriesByIso.get(isoCode));
+  const baselineSummary = riskEngine.generateBaselineSummary(selectedCountries, countries, countryRisks, countryVolumes, countrySectors);
+
+  const hrddStrategy = sanitizePercentageArray(config.hrddStrategy, riskEngine.defaultHRDDStrategy);
+  const transparencyEffectiveness = sanitizePercentageArray(config.transparencyEffectiveness, riskEngine.defaultTransparencyEffectiveness);
+  const responsivenessStrategy = sanitizePercentageArray(config.responsivenessStrategy, riskEngine.defaultResponsivenessStrategy);
+  const responsivenessEffectiveness = sanitizePercentageArray(
+    config.responsivenessEffectiveness,
+    riskEngine.defaultResponsivenessEffectiveness
+  );
+  const focus = sanitizeFocus(config.focus, riskEngine.defaultFocus);
+  const details = riskEngine.calculateManagedRiskDetails(
+    selectedCountries,
+    countryVolumes,
+    portfolioRisks,
+    hrddStrategy,
+    transparencyEffectiveness,
+    responsivenessStrategy,
+    responsivenessEffectiveness,
+    focus
+  );
+
+  // A supplier list is scored per tier, and its combined figures are the managed risk
+  const tierScoring = suppliers.length > 0
+    ? {
+      tierPortfolios: deriveTierPortfolios(suppliers),
+      tierHRDDStrategies: riskEngine.sanitizeTierHRDDStrategies(config.tierHrddStrategies)
+    }
+    : null;
+  const tierRiskBreakdown = tierScoring
+    ? riskEngine.calculateTierRiskBreakdown(
+      tierScoring.tierPortfolios,
+      portfolioRisks,
+      hrddStrategy,
+      tierScoring.tierHRDDStrategies,
+      transparencyEffectiveness,
+      responsivenessStrategy,
+      responsivenessEffectiveness,
+      focus
+    )
+    : null;
+  const managed = tierRiskBreakdown ? tierRiskBreakdown.combined : details;
+
+  // Panel 6 is only reported for states saved with its cost inputs
+  let budget = null;
+  let optimization = null;
+  if (config.supplierCount !== undefined || suppliers.length > 0) {
+    const defaults = riskEngine.getDefaultCostAssumptions();
+    const costInputs = [
+      suppliers.length > 0 ? suppliers.length : Math.round(toPositiveOrDefault(config.supplierCount, defaults.defaultSupplierCount)),
+      toPositiveOrDefault(config.hourlyRate, defaults.defaultHourlyRate),
+      sanitizeCostArray(config.toolAnnualProgrammeCosts, defaults.toolAnnualProgrammeCosts),
+      sanitizeCostArray(config.toolPerSupplierCosts, defaults.toolPerSupplierCosts),
+      sanitizeCostArray(config.toolInternalHours, defaults.toolInternalHours),
+      sanitizeCostArray(config.responseInternalHours, defaults.responseInternalHours),
+      hrddStrategy,
+      transparencyEffectiveness,
+      responsivenessStrategy,
+      responsivenessEffectiveness,
+      selectedCountries,
+      countryVolumes,
+      portfolioRisks,
+      focus
+    ];
+    const countrySupplierCounts = derived ? derived.countrySupplierCounts : null;
+    budget = riskEngine.calculateBudgetAnalysis(...costInputs, countrySupplierCounts);
+    // The optimizer searches for up to a few seconds, so it only runs when reported
+    if (optimize) {
+      optimization = riskEngine.optimizeBudgetAllocation(...costInputs, config.saqConstraintEnabled === true, countrySupplierCounts, tierScoring);
+    }
+  }
+
+  const scenarios = normalizeScenarios(config.scenarios);
+  const comparedIds = normalizeComparedScenarioIds(config.comparedScenarioIds, scenarios);
+
+  return {
+    state: {
+      countries,
+      selectedCountries,
+      countryVolumes,
+      countrySectors,
+      suppliers,
+      supplierVolumeBasis: derived ? derived.volumeBasis : null,
+      weights,
+      imputationStrategy: imputationOptions.imputationStrategy,
+      hrddStrategy,
+      transparencyEffectiveness,
+      responsivenessStrategy,
+      responsivenessEffectiveness,
+      focus,
+      riskConcentration: details.riskConcentration,
+      baselineRisk: Number.isFinite(baselineSummary?.baselineRisk) ? baselineSummary.baselineRisk : 0,
+      managedRisk: managed.managedRisk,
+      countryRisks,
+      portfolioRisks,
+      countryManagedRisks: managed.countryManagedRisks,
+      countryDataCompleteness,
+      tierRiskBreakdown,
+      dataYear: edition.year,
+      dataset: riskEngine.buildDatasetStamp(edition, edition.year)
+    },
+    budget,
+    optimization,
+    scenarios: comparedIds.map(id => scenarios.find(scenario => scenario.id === id)),
+    unknownCountries
+  };
+}
+
+// Body: { state } with a saved assessment state (as stored by /api/assessments), or
+// { assessmentId } to report on a stored assessment in the caller's workspace, which
+// needs the same access token and ?workspace= as /api/assessments.
+// Optional: format ("pdf" or "docx", default pdf), year and datasetVersion (default:
+// the state's edition on the active data), and template with the report sections,
+// narratives and branding (see public/components/ReportTemplates.js; default: the
+// standard report).
+function requireIdentityForStoredAssessment(req, res, next) {
+  return req.body?.assessmentId === undefined ? next() : requireAssessmentIdentity(req, res, next);
+}
+
+app.post('/api/reports', requireIdentityForStoredAssessment, async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const format = String(body.format || 'pdf').toLowerCase();
+    if (!REPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}` });
+    }
+    if ((body.state === undefined) === (body.assessmentId === undefined)) {
+      return res.status(400).json({ error: 'Send either state or assessmentId' });
+    }
+
+    let config = body.state;
+    let title = null;
+    if (body.assessmentId !== undefined) {
+      if (!isDatabaseConnected()) {
+        return res.status(503).json({ error: 'Database is not connected; stored assessments cannot be opened' });
+      }
+      const assessment = await getAssessment(String(body.assessmentId), req.assessmentIdentity.workspace);
+      if (!assessment) {
+        return res.status(404).json({ error: 'Assessment not found' });
+      }
+      config = assessment.state;
+      title = assessment.name;
+    } else {
+      const { errors } = validateAssessmentInput({ state: config }, { partial: true });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid assessment', errors });
+      }
+    }
+
+    const year = sanitizeYear(body.year ?? config.dataYear);
+    if (Number.isNaN(year)) {
+      return res.status(400).json({ error: 'year must be a whole number, e.g. 2024' });
+    }
+    const datasetVersion = sanitizeDatasetVersion(body.datasetVersion);
+    if (Number.isNaN(datasetVersion)) {
+      return res.status(400).json({ error: 'datasetVersion must be a positive whole number' });
+    }
+    const { normalizeReportTemplate, reportUsesOptimizer } = await loadReportTemplates();
+    const { template, warnings: templateErrors } = normalizeReportTemplate(body.template);
+    if (templateErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid template', errors: templateErrors });
+    }
+
+    const riskEngine = await loadRiskEngine();
+    const edition = await getCountryEdition(year, datasetVersion);
+    if (!edition) {
+      return res.status(404).json({ error: `Dataset version ${datasetVersion} not found` });
+    }
+
+    const { state, budget, optimization, scenarios, unknownCountries } = await buildReportState(config, edition, riskEngine, {
+      optimize: reportUsesOptimizer(template)
+    });
+    if (state.selectedCountries.length === 0) {
+      return res.status(400).json({ error: 'The assessment has no countries in the dataset to report on', unknownCountries });
+    }
+
+    const { buildReportModel } = await loadReportModel();
+    const generatedAt = new Date();
+    const report = buildReportModel(state, { generatedAt, budget, scenarios, optimization, template });
+    if (title) {
+      report.subtitle = `${report.subtitle}: ${title}`;
+    }
+    const file = await renderReport(report, format);
+
+    const { contentType, extension } = REPORT_FORMATS[format];
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="HRDD_Risk_Assessment_Report_${generatedAt.toISOString().slice(0, 10)}.${extension}"`
+    });
+    if (unknownCountries.length > 0) {
+      res.set('X-Unknown-Countries', unknownCountries.join(','));
+    }
+    res.send(file);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* ------------------------------ Admin API ------------------------------ */
+// Authenticated writes to the country data and sub-national adjustments. Indicator
+// values are sent in source units and normalised like the bundled file. Every write is
+// stored as a new immutable dataset version, then swapped into the live collections in
+// one step and made active; send `X-Uploaded-By` to record who made it. Every write
+// route accepts ?dryRun=true, which validates the request and returns the diff it would
+// apply without writing.
+
+function isDryRun(req) {
+  return ['true', '1'].includes(String(req.query.dryRun || '').toLowerCase());
+}
+
+function requireDatabase(req, res, next) {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Database is not connected; country data cannot be changed' });
+  }
+  return next();
+}
+
+function getUploader(req) {
+  const uploader = String(req.get('x-uploaded-by') || '').trim();
+  return uploader ? uploader.slice(0, 200) : 'admin-api';
+}
+
+// Admin writes are normalised with the parameters resolved for the bundled file
+async function getAdminNormalisation() {
+  const { normalisationSteps } = await getFallbackData();
+  return normalisationSteps;
+}
+
+// Edition year an admin write targets: ?year=, or the current edition
+async function resolveAdminYear(req) {
+  const { CURRENT_DATA_EDITION } = await loadIndicatorSchema();
+  const year = sanitizeYear(req.query.year);
+  return year === null ? CURRENT_DATA_EDITION : year;
+}
+
+async function resolveAdminTarget(req) {
+  return { isoCode: sanitizeIsoCode(req.params.isoCode), year: await resolveAdminYear(req) };
+}
+
+// Issue an assessment access token for a user and their workspaces. Body:
+// { user, workspaces: [...], expiresInDays } (30 days by default). Needs no database.
+app.post('/api/admin/assessment-tokens', requireAdminToken, (req, res) => {
+  try {
+    const { claims, errors } = validateTokenClaims(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid token request', errors });
+    }
+    const { token, expiresAt } = issueAssessmentToken(claims);
+    res.status(201).json({ token, user: claims.user, workspaces: claims.workspaces, expiresAt });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.use('/api/admin', requireAdminToken, requireDatabase);
+
+app.post('/api/admin/countries', async (req, res) => {
+  try {
+    const { record, errors } = await validateCountryRecord(req.body, await getAdminNormalisation());
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid country record', errors });
+    }
+
+    const Country = await getCountryModel();
+    const existing = await Country.findOne({ isoCode: record.isoCode, year: record.year }).lean();
+    if (existing) {
+      return res.status(409).json({ error: `${record.isoCode} already has a ${record.year} record; use PUT to update it` });
+    }
+
+    const diff = await diffCountryRecords(null, record);
+    if (isDryRun(req)) {
+      return res.json({ dryRun: true, diff });
+    }
+
+    const { INDICATOR_IDS } = await loadIndicatorSchema();
+    const datasetVersion = await applyCountryChanges({ upserts: [record] }, { uploadedBy: getUploader(req) });
+    res.status(201).json({ country: formatCountryRecord(record, INDICATOR_IDS), diff, datasetVersion });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Partial update: fields left out of the body keep their stored values
+app.put('/api/admin/countries/:isoCode', async (req, res) => {
+  try {
+    const { isoCode, year } = await resolveAdminTarget(req);
+    if (Number.isNaN(year)) {
+      return res.status(400).json({ error: 'year must be a whole number, e.g. 2024' });
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    if ((body.isoCode && sanitizeIsoCode(body.isoCode) !== isoCode) || (body.year !== undefined && Number(body.year) !== year)) {
+      return res.status(400).json({ error: 'isoCode and year are taken from the URL and cannot be changed' });
+    }
+
+    const Country = await getCountryModel();
+    const existing = await Country.findOne({ isoCode, year }).lean();
+    if (!existing) {
+      return res.status(404).json({ error: `No ${year} record found for ${isoCode}` });
+    }
+
+    const { record, errors } = await validateCountryRecord({ ...body, isoCode, year }, await getAdminNormalisation(), existing);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid country record', errors });
+    }
+
+    const diff = await diffCountryRecords(existing, record);
+    if (isDryRun(req)) {
+      return res.json({ dryRun: true, diff });
+    }
+
+    const { INDICATOR_IDS } = await loadIndicatorSchema();
+    const datasetVersion = diff.action === 'unchanged'
+      ? await getActiveDatasetVersion()
+      : await applyCountryChanges({ upserts: [record] }, { uploadedBy: getUploader(req) });
+    res.json({ country: formatCountryRecord(record, INDICATOR_IDS), diff, datasetVersion });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/countries/:isoCode', async (req, res) => {
+  try {
+    const { isoCode, year } = await resolveAdminTarget(req);
+    if (Number.isNaN(year)) {
+      return res.status(400).json({ error: 'year must be a whole number, e.g. 2024' });
+    }
+
+    const Country = await getCountryModel();
+    const existing = await Country.findOne({ isoCode, year }).lean();
+    if (!existing) {
+      return res.status(404).json({ error: `No ${year} record found for ${isoCode}` });
+    }
+
+    const diff = await diffCountryRecords(existing, null);
+    if (isDryRun(req)) {
+      return res.json({ dryRun: true, diff });
+    }
+
+    const datasetVersion = await applyCountryChanges({ deletes: [{ isoCode, year }] }, { uploadedBy: getUploader(req) });
+    res.json({ deleted: { isoCode, year }, diff, datasetVersion });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bulk upsert keyed by ISO code and year; each row replaces the stored record in full.
+// Every row is validated first; if any row fails, nothing is written and the
+// per-row errors are returned.
+app.post('/api/admin/countries/bulk', async (req, res) => {
+  try {
+    const rows = req.body?.countries;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'countries must be a non-empty array of country records' });
+    }
+
+    const normalisation = await getAdminNormalisation();
+    const records = [];
+    const rowErrors = [];
+    const seenKeys = new Map();
+    for (let index = 0; index < rows.length; index += 1) {
+      const { record, errors } = await validateCountryRecord(rows[index], normalisation);
+      if (record) {
+        const key = `${record.isoCode}:${record.year}`;
+        if (seenKeys.has(key)) {
+          errors.push(`Duplicate of row ${seenKeys.get(key)} (${record.isoCode}, ${record.year})`);
+        } else {
+          seenKeys.set(key, index);
+        }
+      }
+      if (errors.length > 0) {
+        rowErrors.push({ row: index, isoCode: rows[index]?.isoCode ?? null, year: rows[index]?.year ?? null, errors });
+      } else {
+        records.push(record);
+      }
+    }
+
+    const Country = await getCountryModel();
+    const existingDocs = records.length > 0
+      ? await Country.find({ $or: records.map(({ isoCode, year }) => ({ isoCode, year })) }).lean()
+      : [];
+    const existingByKey = new Map(existingDocs.map(doc => [`${doc.isoCode}:${doc.year}`, doc]));
+    const diff = await Promise.all(
+      records.map(record => diffCountryRecords(existingByKey.get(`${record.isoCode}:${record.year}`) || null, record))
+    );
+    const summary = summarizeDiff(diff);
+
+    if (isDryRun(req)) {
+      return res.json({ dryRun: true, valid: rowErrors.length === 0, summary, diff, errors: rowErrors });
+    }
+
+    if (rowErrors.length > 0) {
+      return res.status(422).json({ error: 'Some rows failed validation; nothing was written', errors: rowErrors });
+    }
+
+    const upserts = records.filter((record, index) => diff[index].action !== 'unchanged');
+    const datasetVersion = upserts.length > 0
+      ? await applyCountryChanges({ upserts }, { uploadedBy: getUploader(req) })
+      : await getActiveDatasetVersion();
+
+    res.json({ summary, diff: diff.filter(({ action }) => action !== 'unchanged'), datasetVersion });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set a sub-national unit's adjustment for one edition (?year=, the current edition by
+// default). Body: any of riskMultiplier (0.5-2), overrides ({ indicatorId: value in
+// source units, or null to remove it }) and source (where the figures come from).
+// Fields left out keep their stored values. Like country writes, a change is stored as
+// a new dataset version.
+app.put('/api/admin/subnational-units/:code', async (req, res) => {
+  try {
+    const code = sanitizeIsoCode(req.params.code);
+    const year = await resolveAdminYear(req);
+    if (Number.isNaN(year)) {
+      return res.status(400).json({ error: 'year must be a whole number, e.g. 2024' });
+    }
+
+    const existing = await getSubnationalAdjustment(code, year);
+    const { adjustment, errors } = await validateSubnationalAdjustment(code, year, req.body, await getAdminNormalisation(), existing);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid sub-national adjustment', errors });
+    }
+
+    const [diff] = diffSubnationalAdjustmentSets(existing ? [existing] : [], [adjustment]);
+    if (isDryRun(req)) {
+      return res.json({ dryRun: true, before: existing, after: adjustment, diff });
+    }
+
+    const datasetVersion = diff.action === 'unchanged'
+      ? await getActiveDatasetVersion()
+      : await applySubnationalAdjustmentChanges({ upserts: [adjustment] }, { uploadedBy: getUploader(req) });
+    res.json({ adjustment, diff, datasetVersion });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a unit's adjustment for one edition so it scores like its country again
+app.delete('/api/admin/subnational-units/:code', async (req, res) => {
+  try {
+    const code = sanitizeIsoCode(req.params.code);
+    const year = await resolveAdminYear(req);
+    if (Number.isNaN(year)) {
+      return res.status(400).json({ error: 'year must be a whole number, e.g. 2024' });
+    }
+
+    const existing = await getSubnationalAdjustment(code, year);
+    if (!existing) {
+      return res.status(404).json({ error: `No ${year} adjustment stored for ${code}` });
+    }
+    const [diff] = diffSubnationalAdjustmentSets([existing], []);
+    if (isDryRun(req)) {
+      return res.json({ dryRun: true, before: existing, after: null, diff });
+    }
+
+    const datasetVersion = await applySubnationalAdjustmentChanges({ deletes: [{ code, year }] }, { uploadedBy: getUploader(req) });
+    res.json({ deleted: existing, diff, datasetVersion });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace the collection with the bundled countries.txt (all editions)
+app.post('/api/admin/import', async (req, res) => {
   try {
-    // Clear existing data
-    await Country.deleteMany({});
+    const Country = await getCountryModel();
+    const {
+      countries,
+      years,
+      duplicates,
+      sourceFile,
+      sourceHash,
+      schemaVersion,
+      missingIndicators,
+      unmappedColumns
+    } = await loadCountriesFromFile();
+
+    const existingDocs = await Country.find({}).lean();
+    const diff = await diffCountryRecordSets(existingDocs, countries);
+
+    const result = {
+      count: countries.length,
+      years,
+      schemaVersion,
+      missingIndicators,
+      unmappedColumns,
+      duplicatesSkipped: duplicates,
+      summary: summarizeDiff(diff),
+      diff: diff.filter(({ action }) => action !== 'unchanged')
+    };
 
-    const { countries, duplicates } = loadCountriesFromFile();
+    if (isDryRun(req)) {
+      return res.json({ dryRun: true, ...result });
+    }
 
     if (duplicates.length > 0) {
-      console.warn('Duplicate ISO codes found in country data. Keeping last occurrence for each:', duplicates);
+      console.warn('Duplicate ISO code and year pairs found in country data. Keeping last occurrence for each:', duplicates);
     }
 
-    await Country.insertMany(countries);
+    const datasetVersion = await createDatasetVersion(countries, {
+      source: 'file',
+      sourceFile,
+      sourceHash,
+      uploadedBy: getUploader(req)
+    });
+
+    res.json({ message: 'Data imported successfully!', ...result, datasetVersion });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Changes to the sub-national adjustments between two dataset versions (or the live
+// collection), as { summary, diff } like the country record diffs
+function summarizeAdjustmentDiff(beforeAdjustments, afterAdjustments) {
+  const diff = diffSubnationalAdjustmentSets(beforeAdjustments || [], afterAdjustments || []);
+  return { summary: summarizeDiff(diff), diff: diff.filter(({ action }) => action !== 'unchanged') };
+}
+
+// Stored dataset versions, newest first (without their records or adjustments)
+app.get('/api/admin/datasets', async (req, res) => {
+  try {
+    res.json({ versions: await listDatasetVersions() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record-level diff between two versions (?from=&to=, `to` defaults to the active version)
+app.get('/api/admin/datasets/diff', async (req, res) => {
+  try {
+    const from = sanitizeDatasetVersion(req.query.from);
+    const requestedTo = sanitizeDatasetVersion(req.query.to);
+    if (from === null || Number.isNaN(from) || Number.isNaN(requestedTo)) {
+      return res.status(400).json({ error: 'from (and optionally to) must be dataset version numbers' });
+    }
+
+    const to = requestedTo ?? (await getActiveDatasetVersion())?.version ?? null;
+    const [fromSnapshot, toSnapshot] = await Promise.all([getDatasetVersion(from), to === null ? null : getDatasetVersion(to)]);
+    if (!fromSnapshot || !toSnapshot) {
+      return res.status(404).json({ error: `Dataset version ${!fromSnapshot ? from : to} not found` });
+    }
+
+    const diff = await diffCountryRecordSets(fromSnapshot.countries, toSnapshot.countries);
     res.json({
-      message: 'Data imported successfully!',
-      count: countries.length,
-      duplicatesSkipped: duplicates
+      from,
+      to,
+      summary: summarizeDiff(diff),
+      diff: diff.filter(({ action }) => action !== 'unchanged'),
+      subnationalAdjustments: summarizeAdjustmentDiff(fromSnapshot.subnationalAdjustments, toSnapshot.subnationalAdjustments)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
+
+// Roll back to (or re-activate) a stored version. No new version is created.
+app.post('/api/admin/datasets/:version/activate', async (req, res) => {
+  try {
+    const version = sanitizeDatasetVersion(req.params.version);
+    if (version === null || Number.isNaN(version)) {
+      return res.status(400).json({ error: 'version must be a positive whole number' });
+    }
+
+    const snapshot = await getDatasetVersion(version);
+    if (!snapshot) {
+      return res.status(404).json({ error: `Dataset version ${version} not found` });
+    }
+
+    const [Country, SubnationalAdjustment] = await Promise.all([getCountryModel(), getSubnationalAdjustmentModel()]);
+    const diff = await diffCountryRecordSets(await Country.find({}).lean(), snapshot.countries);
+    const changes = {
+      summary: summarizeDiff(diff),
+      diff: diff.filter(({ action }) => action !== 'unchanged'),
+      subnationalAdjustments: summarizeAdjustmentDiff(await SubnationalAdjustment.find({}).lean(), snapshot.subnationalAdjustments)
+    };
+
+    if (isDryRun(req)) {
+      return res.json({ dryRun: true, version, ...changes });
+    }
+
+    const datasetVersion = await activateDatasetVersion(version);
+    res.json({ message: `Dataset version ${version} is now active`, datasetVersion, ...changes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/debug-env', (req, res) => {
   res.json({
     hasMongoURL: !!process.env.MongoURL,
@@ -315,6 +1514,10 @@ app.get('/debug-env', (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,186 @@
+const { after, before, beforeEach, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const mongoose = require('mongoose');
+
+// Admin API routes against in-memory models: authentication, ?dryRun and versioned writes
+
+const ADMIN_TOKEN = 'test-admin-token';
+process.env.ADMIN_API_TOKEN = ADMIN_TOKEN;
+
+let connected = true;
+Object.defineProperty(mongoose.connection, 'readyState', { configurable: true, get: () => (connected ? 1 : 0) });
+
+// Collections by name, shared by the models and the raw driver the version swap uses
+let collections;
+let versions;
+
+const copy = value => JSON.parse(JSON.stringify(value));
+const matches = (doc, query = {}) => Object.entries(query).every(([key, value]) => (
+  key === '$or' ? value.some(clause => matches(doc, clause)) : doc[key] === value
+));
+
+const db = {
+  collection: name => {
+    collections[name] = collections[name] || [];
+    return {
+      createIndex: async () => {},
+      insertMany: async docs => { collections[name] = collections[name].concat(copy(docs)); },
+      rename: async to => { collections[to] = collections[name]; delete collections[name]; },
+      drop: async () => { delete collections[name]; }
+    };
+  }
+};
+
+// Documents are only built to be cast, so toObject returns the input as given
+function mockModel(name) {
+  function Model(doc) {
+    this.toObject = () => ({ ...doc });
+  }
+  return Object.assign(Model, {
+    find: query => ({ lean: async () => copy((collections[name] || []).filter(doc => matches(doc, query))) }),
+    findOne: query => ({ lean: async () => copy((collections[name] || []).find(doc => matches(doc, query)) || null) }),
+    distinct: async (field, query) => [...new Set((collections[name] || []).filter(doc => matches(doc, query)).map(doc => doc[field]))],
+    schema: { indexes: () => [] },
+    collection: { collectionName: name },
+    db: { db }
+  });
+}
+
+// select/sort/lean chain; sort is always newest version first
+const versionQuery = (query, one) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: async () => {
+      const found = copy(versions.filter(doc => matches(doc, query)).sort((a, b) => b.version - a.version));
+      return one ? found[0] || null : found;
+    }
+  };
+  return chain;
+};
+
+const DatasetVersion = {
+  find: query => versionQuery(query, false),
+  findOne: query => versionQuery(query, true),
+  create: async doc => {
+    versions.push(copy(doc));
+    return { ...doc, toObject: () => ({ ...doc }) };
+  },
+  updateMany: async ({ version }) => {
+    versions.forEach(doc => { if (doc.version !== version.$ne) doc.isActive = false; });
+  },
+  updateOne: async ({ version }) => {
+    versions.find(doc => doc.version === version).isActive = true;
+  }
+};
+
+const mockModule = (file, exports) => {
+  require.cache[require.resolve(`../utils/${file}`)] = { id: file, loaded: true, exports };
+};
+mockModule('countryModel', { getCountryModel: async () => mockModel('countries') });
+mockModule('subnationalAdjustmentModel', { getSubnationalAdjustmentModel: async () => mockModel('subnationaladjustments') });
+mockModule('datasetVersionModel', { getDatasetVersionModel: async () => DatasetVersion });
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+async function call(method, url, body, token = ADMIN_TOKEN) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const response = await fetch(baseUrl + url, { method, headers, body: body && JSON.stringify(body) });
+  return { status: response.status, body: await response.json() };
+}
+
+const bangladesh = { name: 'Bangladesh', isoCode: 'BGD', year: 2024, itucRightsRating: 5 };
+
+before(async () => {
+  server = app.listen(0);
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  connected = true;
+  collections = { countries: [], subnationaladjustments: [] };
+  versions = [];
+});
+
+describe('admin authentication', () => {
+  test('rejects a missing or wrong token', async () => {
+    for (const token of [null, 'wrong-token']) {
+      const { status } = await call('POST', '/api/admin/countries', bangladesh, token);
+      assert.equal(status, 401);
+    }
+    assert.deepEqual(collections.countries, []);
+  });
+
+  test('refuses writes while the database is not connected', async () => {
+    connected = false;
+    const { status } = await call('POST', '/api/admin/countries', bangladesh);
+    assert.equal(status, 503);
+  });
+});
+
+describe('?dryRun', () => {
+  test('create, update, delete and bulk writes return the diff and write nothing', async () => {
+    const created = await call('POST', '/api/admin/countries?dryRun=true', bangladesh);
+    assert.equal(created.status, 200);
+    assert.equal(created.body.dryRun, true);
+    assert.equal(created.body.diff.action, 'create');
+    assert.deepEqual(versions, []);
+
+    await call('POST', '/api/admin/countries', bangladesh);
+    const stored = copy(collections.countries);
+    const versionCount = versions.length;
+
+    const updated = await call('PUT', '/api/admin/countries/BGD?dryRun=1', { itucRightsRating: 2 });
+    assert.equal(updated.body.diff.action, 'update');
+    assert.deepEqual(Object.keys(updated.body.diff.changes), ['itucRightsRating']);
+
+    const deleted = await call('DELETE', '/api/admin/countries/BGD?year=2024&dryRun=true');
+    assert.equal(deleted.body.diff.action, 'delete');
+
+    const bulk = await call('POST', '/api/admin/countries/bulk?dryRun=true', {
+      countries: [{ ...bangladesh, itucRightsRating: 2 }, { name: 'India', isoCode: 'IND' }, { isoCode: 'CHN' }]
+    });
+    assert.equal(bulk.body.valid, false);
+    assert.deepEqual(bulk.body.summary, { create: 1, update: 1, unchanged: 0, delete: 0 });
+    assert.deepEqual(bulk.body.errors.map(({ row }) => row), [2]);
+
+    assert.deepEqual(collections.countries, stored);
+    assert.equal(versions.length, versionCount);
+  });
+
+  test('validation errors are reported the same way as a real write', async () => {
+    const { status, body } = await call('POST', '/api/admin/countries?dryRun=true', { isoCode: 'BD' });
+    assert.equal(status, 400);
+    assert.ok(body.errors.includes('isoCode must be an ISO 3166-1 alpha-3 code, e.g. BGD'));
+  });
+});
+
+describe('admin writes', () => {
+  test('each change is stored as a new active dataset version', async () => {
+    const created = await call('POST', '/api/admin/countries', bangladesh);
+    assert.equal(created.status, 201);
+    assert.equal(created.body.datasetVersion.version, 1);
+    assert.equal(created.body.datasetVersion.isActive, true);
+    assert.deepEqual(collections.countries.map(({ isoCode }) => isoCode), ['BGD']);
+
+    const updated = await call('PUT', '/api/admin/countries/BGD', { itucRightsRating: 2 });
+    assert.equal(updated.body.datasetVersion.version, 2);
+    assert.notEqual(updated.body.datasetVersion.contentHash, created.body.datasetVersion.contentHash);
+    assert.deepEqual(versions.map(({ version, isActive }) => [version, isActive]), [[1, false], [2, true]]);
+
+    const unchanged = await call('PUT', '/api/admin/countries/BGD', { itucRightsRating: 2 });
+    assert.equal(unchanged.body.diff.action, 'unchanged');
+    assert.equal(unchanged.body.datasetVersion.version, 2);
+    assert.equal(versions.length, 2);
+
+    assert.equal((await call('POST', '/api/admin/countries', bangladesh)).status, 409);
+  });
+});
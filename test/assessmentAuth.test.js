@@ -0,0 +1,128 @@
+const { beforeEach, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  issueAssessmentToken,
+  requireAssessmentIdentity,
+  validateTokenClaims,
+  verifyAssessmentToken
+} = require('../utils/assessmentAuth');
+
+// Signed assessment access tokens and the workspace check on assessment routes
+
+const SECRET = 'test-assessment-secret';
+const DAY = 24 * 60 * 60 * 1000;
+
+const claims = (fields = {}) => validateTokenClaims({ user: 'ana', workspaces: ['Apparel', 'Footwear'], ...fields }).claims;
+
+// Minimal Express request and response for calling the middleware directly
+function callMiddleware({ token, workspace } = {}) {
+  const req = {
+    query: workspace === undefined ? {} : { workspace },
+    get: name => (name === 'authorization' && token ? `Bearer ${token}` : undefined)
+  };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  requireAssessmentIdentity(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+}
+
+beforeEach(() => {
+  process.env.ASSESSMENT_TOKEN_SECRET = SECRET;
+});
+
+describe('validateTokenClaims', () => {
+  test('cleans names, drops duplicate workspaces and defaults to 30 days', () => {
+    const { claims: result, errors } = validateTokenClaims({ user: ' ana ', workspaces: ['Apparel', ' Apparel '] });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(result, { user: 'ana', workspaces: ['Apparel'], days: 30 });
+  });
+
+  test('rejects a missing user, an empty workspace list and out-of-range expiry', () => {
+    const { claims: result, errors } = validateTokenClaims({ workspaces: [], expiresInDays: 400 });
+    assert.equal(result, null);
+    assert.equal(errors.length, 3);
+  });
+});
+
+describe('verifyAssessmentToken', () => {
+  test('returns the user and workspaces of a valid token', () => {
+    const { token } = issueAssessmentToken(claims());
+    assert.deepEqual(verifyAssessmentToken(token), { user: 'ana', workspaces: ['Apparel', 'Footwear'] });
+  });
+
+  test('rejects a token whose claims were changed', () => {
+    const { token } = issueAssessmentToken(claims());
+    const [payload, signature] = token.split('.');
+    const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const widened = Buffer.from(JSON.stringify({ ...decoded, workspaces: [...decoded.workspaces, 'Home'] })).toString('base64url');
+
+    assert.equal(verifyAssessmentToken(`${widened}.${signature}`), null);
+    assert.equal(verifyAssessmentToken(`${payload}.${signature.slice(1)}x`), null);
+    assert.equal(verifyAssessmentToken(`${token}.extra`), null);
+    assert.equal(verifyAssessmentToken('not-a-token'), null);
+  });
+
+  test('rejects a token signed with another secret', () => {
+    const { token } = issueAssessmentToken(claims());
+    process.env.ASSESSMENT_TOKEN_SECRET = 'rotated-secret';
+    assert.equal(verifyAssessmentToken(token), null);
+  });
+
+  test('rejects an expired token', () => {
+    const issuedAt = Date.now() - 10 * DAY;
+    const { token, expiresAt } = issueAssessmentToken(claims({ expiresInDays: 5 }), issuedAt);
+
+    assert.equal(verifyAssessmentToken(token), null);
+    assert.notEqual(verifyAssessmentToken(token, Date.parse(expiresAt) - 1000), null);
+    assert.equal(verifyAssessmentToken(token, Date.parse(expiresAt)), null);
+  });
+
+  test('rejects every token while no secret is configured', () => {
+    const { token } = issueAssessmentToken(claims());
+    delete process.env.ASSESSMENT_TOKEN_SECRET;
+    assert.equal(verifyAssessmentToken(token), null);
+    assert.throws(() => issueAssessmentToken(claims()), /ASSESSMENT_TOKEN_SECRET/);
+  });
+});
+
+describe('requireAssessmentIdentity', () => {
+  test('uses the requested workspace, or the token\'s first', () => {
+    const { token } = issueAssessmentToken(claims());
+
+    const requested = callMiddleware({ token, workspace: 'Footwear' });
+    assert.equal(requested.nextCalled, true);
+    assert.deepEqual(requested.req.assessmentIdentity, { user: 'ana', workspaces: ['Apparel', 'Footwear'], workspace: 'Footwear' });
+
+    assert.equal(callMiddleware({ token }).req.assessmentIdentity.workspace, 'Apparel');
+  });
+
+  test('returns 403 for a workspace the token does not name', () => {
+    const { token } = issueAssessmentToken(claims());
+    const { res, nextCalled } = callMiddleware({ token, workspace: 'Home' });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, 'You are not a member of the Home workspace');
+  });
+
+  test('returns 401 without a valid token and 503 without a secret', () => {
+    const expired = issueAssessmentToken(claims({ expiresInDays: 1 }), Date.now() - 2 * DAY).token;
+    for (const token of [undefined, 'not-a-token', expired]) {
+      const { res, nextCalled } = callMiddleware({ token });
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.headers['WWW-Authenticate'], 'Bearer');
+    }
+
+    delete process.env.ASSESSMENT_TOKEN_SECRET;
+    assert.equal(callMiddleware({ token: expired }).res.statusCode, 503);
+  });
+});
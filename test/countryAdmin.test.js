@@ -0,0 +1,133 @@
+const { before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  diffCountryRecords,
+  diffCountryRecordSets,
+  summarizeDiff,
+  validateCountryRecord
+} = require('../utils/countryAdmin');
+const { loadIndicatorSchema } = require('../utils/sharedModules');
+
+// Validation and diffing of country records written through the admin API
+
+let INDICATOR_IDS;
+let INDICATOR_SCHEMA_VERSION;
+let CURRENT_DATA_EDITION;
+
+// Resolved steps per indicator: source values are halved, then clamped to 0-100
+const normalisationSteps = () => Object.fromEntries(INDICATOR_IDS.map(id => [
+  id,
+  [{ type: 'minmax', min: 0, max: 200 }, { type: 'clamp', min: 0, max: 100 }]
+]));
+
+// A stored (already normalised) record with every indicator set to `value`
+const storedRecord = (isoCode, year, value, extra = {}) => ({
+  name: isoCode,
+  isoCode,
+  year,
+  schemaVersion: INDICATOR_SCHEMA_VERSION,
+  ...Object.fromEntries(INDICATOR_IDS.map(id => [id, value])),
+  ...extra
+});
+
+before(async () => {
+  ({ INDICATOR_IDS, INDICATOR_SCHEMA_VERSION, CURRENT_DATA_EDITION } = await loadIndicatorSchema());
+});
+
+describe('validateCountryRecord', () => {
+  test('normalises source values and fills in the schema version', async () => {
+    const [first, second] = INDICATOR_IDS;
+    const { record, errors } = await validateCountryRecord(
+      { name: ' Bangladesh ', isoCode: 'bgd', year: '2023', [first]: 120, [second]: '' },
+      normalisationSteps()
+    );
+
+    assert.deepEqual(errors, []);
+    assert.equal(record.name, 'Bangladesh');
+    assert.equal(record.isoCode, 'BGD');
+    assert.equal(record.year, 2023);
+    assert.equal(record.schemaVersion, INDICATOR_SCHEMA_VERSION);
+    assert.equal(record[first], 60);
+    assert.equal(record[second], null);
+  });
+
+  test('defaults the year to the current edition', async () => {
+    const { record } = await validateCountryRecord({ name: 'Bangladesh', isoCode: 'BGD' }, normalisationSteps());
+    assert.equal(record.year, CURRENT_DATA_EDITION);
+  });
+
+  test('keeps the stored values of fields left out of an update', async () => {
+    const [first, second] = INDICATOR_IDS;
+    const existing = storedRecord('BGD', 2024, 40);
+    const { record, errors } = await validateCountryRecord({ [first]: 300 }, normalisationSteps(), existing);
+
+    assert.deepEqual(errors, []);
+    assert.equal(record.name, 'BGD');
+    assert.equal(record[first], 100);
+    assert.equal(record[second], 40);
+  });
+
+  test('reports every problem and returns no record', async () => {
+    const [first, second] = INDICATOR_IDS;
+    const { record, errors } = await validateCountryRecord(
+      { isoCode: 'BD', year: 2024.5, colour: 'red', [first]: 'high', [second]: 5 },
+      { [first]: normalisationSteps()[first] }
+    );
+
+    assert.equal(record, null);
+    assert.deepEqual(errors, [
+      'Unknown field "colour"',
+      'name is required',
+      'isoCode must be an ISO 3166-1 alpha-3 code, e.g. BGD',
+      'year must be a whole number, e.g. 2024',
+      `${first} must be a number in the source's units, or null when missing`,
+      `${second} has no resolved normalisation; check that the bundled country file loads`
+    ]);
+  });
+
+  test('rejects anything but an object', async () => {
+    for (const input of [null, [], 'BGD']) {
+      assert.deepEqual(await validateCountryRecord(input, normalisationSteps()), { record: null, errors: ['Record must be an object'] });
+    }
+  });
+});
+
+describe('diffing records', () => {
+  test('diffCountryRecords lists changed fields and the action', async () => {
+    const [first] = INDICATOR_IDS;
+    const before = storedRecord('BGD', 2024, 40);
+
+    assert.deepEqual(await diffCountryRecords(before, { ...before, [first]: 55 }), {
+      isoCode: 'BGD',
+      year: 2024,
+      action: 'update',
+      changes: { [first]: { from: 40, to: 55 } }
+    });
+    assert.equal((await diffCountryRecords(before, { ...before })).action, 'unchanged');
+    assert.equal((await diffCountryRecords(null, before)).action, 'create');
+    assert.equal((await diffCountryRecords(before, null)).action, 'delete');
+  });
+
+  test('a schema version change alone is an update', async () => {
+    const before = storedRecord('BGD', 2024, 40, { schemaVersion: INDICATOR_SCHEMA_VERSION - 1 });
+    const diff = await diffCountryRecords(before, storedRecord('BGD', 2024, 40));
+    assert.equal(diff.action, 'update');
+    assert.deepEqual(diff.changes, {});
+  });
+
+  test('diffCountryRecordSets matches records by ISO code and year', async () => {
+    const diff = await diffCountryRecordSets(
+      [storedRecord('BGD', 2024, 40), storedRecord('BGD', 2023, 40), storedRecord('IND', 2024, 30)],
+      [storedRecord('BGD', 2024, 45), storedRecord('IND', 2024, 30), storedRecord('CHN', 2024, 50)]
+    );
+
+    assert.deepEqual(diff.map(({ isoCode, year, action }) => [isoCode, year, action]), [
+      ['BGD', 2024, 'update'],
+      ['IND', 2024, 'unchanged'],
+      ['CHN', 2024, 'create'],
+      ['BGD', 2023, 'delete']
+    ]);
+    assert.deepEqual(summarizeDiff(diff), { create: 1, update: 1, unchanged: 1, delete: 1 });
+  });
+});
@@ -0,0 +1,73 @@
+const { before, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const componentsDir = path.join(__dirname, '..', 'public', 'components');
+
+let createCountryResolver;
+let normalizeCountryName;
+
+before(async () => {
+  ({ createCountryResolver, normalizeCountryName } = await import(pathToFileURL(path.join(componentsDir, 'CountryResolver.js')).href));
+});
+
+const resolveMatch = (resolver, query) => {
+  const result = resolver.resolve(query);
+  return result && { isoCode: result.isoCode, matchType: result.matchType, confidence: result.confidence };
+};
+
+test('normalises names without case, accents or punctuation', () => {
+  assert.equal(normalizeCountryName("Côte d'Ivoire"), 'cotedivoire');
+  assert.equal(normalizeCountryName('  Bosnia-Herzegovina '), 'bosniaherzegovina');
+  assert.equal(normalizeCountryName(null), '');
+});
+
+test('resolves numeric, ISO2 and ISO3 codes exactly', () => {
+  const resolver = createCountryResolver();
+  assert.deepEqual(resolveMatch(resolver, '156'), { isoCode: 'CHN', matchType: 'numeric', confidence: 1 });
+  assert.deepEqual(resolveMatch(resolver, 'de'), { isoCode: 'DEU', matchType: 'iso2', confidence: 1 });
+  assert.deepEqual(resolveMatch(resolver, 'deu'), { isoCode: 'DEU', matchType: 'iso3', confidence: 1 });
+  assert.deepEqual(resolveMatch(resolver, 'XKX'), { isoCode: 'XKX', matchType: 'iso3', confidence: 1 });
+});
+
+test('resolves names and aliases', () => {
+  const resolver = createCountryResolver();
+  assert.deepEqual(resolveMatch(resolver, ' germany '), { isoCode: 'DEU', matchType: 'name', confidence: 1 });
+  assert.deepEqual(resolveMatch(resolver, 'UK'), { isoCode: 'GBR', matchType: 'alias', confidence: 0.95 });
+  assert.deepEqual(resolveMatch(resolver, 'Ivory Coast'), { isoCode: 'CIV', matchType: 'alias', confidence: 0.95 });
+});
+
+test('matches small typos with reduced confidence', () => {
+  const resolver = createCountryResolver();
+  assert.deepEqual(resolveMatch(resolver, 'Kenia'), { isoCode: 'KEN', matchType: 'fuzzy', confidence: 0.72 });
+  assert.deepEqual(resolveMatch(resolver, 'Frnce'), { isoCode: 'FRA', matchType: 'fuzzy', confidence: 0.75 });
+});
+
+test('returns null rather than guessing', () => {
+  const resolver = createCountryResolver();
+  ['', '   ', 'Xy', 'zzz', '999', 'Germnay', 'Atlantis'].forEach(query => {
+    assert.equal(resolver.resolve(query), null, JSON.stringify(query));
+  });
+});
+
+test('uses the dataset names and ignores sub-national units', () => {
+  const resolver = createCountryResolver([
+    { isoCode: 'civ', name: "Côte d'Ivoire" },
+    { isoCode: 'CN-GD', name: 'China - Guangdong', isSubnational: true }
+  ]);
+  assert.equal(resolver.resolve('CIV').name, "Côte d'Ivoire");
+  assert.deepEqual(resolveMatch(resolver, 'cote divoire'), { isoCode: 'CIV', matchType: 'name', confidence: 1 });
+  assert.equal(resolver.resolve('China - Guangdong'), null);
+});
+
+test('reports the query as given, trimmed', () => {
+  const resolver = createCountryResolver();
+  assert.deepEqual(resolver.resolve('  Germany '), {
+    query: 'Germany',
+    isoCode: 'DEU',
+    name: 'Germany',
+    confidence: 1,
+    matchType: 'name'
+  });
+});
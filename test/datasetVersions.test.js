@@ -0,0 +1,218 @@
+const { beforeEach, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Dataset versions against in-memory models: publishing, write ordering, version
+// number collisions, failed swaps and rollback
+
+// Collections by name, shared by the models and the raw driver the version swap uses
+let collections;
+let versions;
+// Set by a test to simulate driver failures and concurrent writers
+let failRename;
+let beforeCreate;
+
+const copy = value => JSON.parse(JSON.stringify(value));
+const matches = (doc, query = {}) => Object.entries(query).every(([key, value]) => doc[key] === value);
+
+const db = {
+  collection: name => {
+    collections[name] = collections[name] || [];
+    return {
+      createIndex: async () => {},
+      insertMany: async docs => { collections[name] = collections[name].concat(copy(docs)); },
+      rename: async to => {
+        if (failRename) throw new Error('rename failed');
+        collections[to] = collections[name];
+        delete collections[name];
+      },
+      drop: async () => { delete collections[name]; }
+    };
+  }
+};
+
+// Documents are only built to be cast, so toObject returns the input as given
+function mockModel(name) {
+  function Model(doc) {
+    this.toObject = () => ({ ...doc });
+  }
+  return Object.assign(Model, {
+    find: query => ({ lean: async () => copy((collections[name] || []).filter(doc => matches(doc, query))) }),
+    schema: { indexes: () => [] },
+    collection: { collectionName: name },
+    db: { db }
+  });
+}
+
+// select/sort/lean chain; sort is always newest version first
+const versionQuery = (query, one) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: async () => {
+      const found = copy(versions.filter(doc => matches(doc, query)).sort((a, b) => b.version - a.version));
+      return one ? found[0] || null : found;
+    }
+  };
+  return chain;
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+const DatasetVersion = {
+  find: query => versionQuery(query, false),
+  findOne: query => versionQuery(query, true),
+  create: async doc => {
+    if (beforeCreate) {
+      const hook = beforeCreate;
+      beforeCreate = null;
+      hook();
+    }
+    // The unique index on version
+    if (versions.some(({ version }) => version === doc.version)) throw duplicateKeyError();
+    versions.push(copy(doc));
+    return { ...doc, toObject: () => ({ ...doc }) };
+  },
+  updateMany: async ({ version }) => {
+    versions.forEach(doc => { if (doc.version !== version.$ne) doc.isActive = false; });
+  },
+  updateOne: async ({ version }) => {
+    versions.find(doc => doc.version === version).isActive = true;
+  }
+};
+
+const mockModule = (file, exports) => {
+  require.cache[require.resolve(`../utils/${file}`)] = { id: file, loaded: true, exports };
+};
+mockModule('countryModel', { getCountryModel: async () => mockModel('countries') });
+mockModule('subnationalAdjustmentModel', { getSubnationalAdjustmentModel: async () => mockModel('subnationaladjustments') });
+mockModule('datasetVersionModel', { getDatasetVersionModel: async () => DatasetVersion });
+
+const {
+  activateDatasetVersion,
+  applyCountryChanges,
+  applySubnationalAdjustmentChanges,
+  createDatasetVersion,
+  getActiveDatasetVersion,
+  hashRecords
+} = require('../utils/datasetVersions');
+
+const country = (isoCode, year, itucRightsRating = 50) => ({ name: isoCode, isoCode, year, schemaVersion: 4, itucRightsRating });
+const adjustment = (code, year, riskMultiplier) => ({ code, year, riskMultiplier, overrides: {}, source: 'audit' });
+const liveCodes = () => collections.countries.map(({ isoCode, year }) => `${isoCode}:${year}`).sort();
+const activeVersions = () => versions.filter(({ isActive }) => isActive).map(({ version }) => version);
+
+beforeEach(() => {
+  collections = { countries: [], subnationaladjustments: [] };
+  versions = [];
+  failRename = false;
+  beforeCreate = null;
+});
+
+describe('publishing versions', () => {
+  test('an import is stored as version 1, published and made active', async () => {
+    const created = await createDatasetVersion([country('BGD', 2024), country('IND', 2024)], { source: 'file', uploadedBy: 'tester' });
+
+    assert.equal(created.version, 1);
+    assert.equal(created.isActive, true);
+    assert.equal(created.count, 2);
+    assert.equal(created.adjustmentCount, 0);
+    assert.deepEqual(created.years, [2024]);
+    assert.deepEqual(liveCodes(), ['BGD:2024', 'IND:2024']);
+    assert.deepEqual(await getActiveDatasetVersion(), created);
+    // No staging collection is left behind
+    assert.deepEqual(Object.keys(collections).sort(), ['countries', 'subnationaladjustments']);
+  });
+
+  test('without adjustments the content hash is the records hash', async () => {
+    const created = await createDatasetVersion([country('BGD', 2024)], { source: 'file', uploadedBy: 'tester' });
+    assert.equal(created.contentHash, hashRecords(versions[0].countries));
+
+    const adjusted = await applySubnationalAdjustmentChanges({ upserts: [adjustment('IN-MH', 2024, 1.5)] }, { uploadedBy: 'tester' });
+    assert.notEqual(adjusted.contentHash, created.contentHash);
+    const removed = await applySubnationalAdjustmentChanges({ deletes: [{ code: 'IN-MH', year: 2024 }] }, { uploadedBy: 'tester' });
+    assert.equal(removed.contentHash, created.contentHash);
+  });
+
+  test('country changes and imports carry the active adjustments forward', async () => {
+    await createDatasetVersion([country('IND', 2024)], { source: 'file', uploadedBy: 'tester' });
+    await applySubnationalAdjustmentChanges({ upserts: [adjustment('IN-MH', 2024, 1.5)] }, { uploadedBy: 'tester' });
+    const changed = await applyCountryChanges({ upserts: [country('IND', 2023)] }, { uploadedBy: 'tester' });
+    const imported = await createDatasetVersion([country('IND', 2024, 60)], { source: 'file', uploadedBy: 'tester' });
+
+    assert.equal(changed.adjustmentCount, 1);
+    assert.equal(imported.adjustmentCount, 1);
+    assert.deepEqual(versions[3].subnationalAdjustments, [adjustment('IN-MH', 2024, 1.5)]);
+    assert.deepEqual(collections.subnationaladjustments, [adjustment('IN-MH', 2024, 1.5)]);
+  });
+});
+
+describe('concurrent writes', () => {
+  test('changes made at the same time are applied one after another', async () => {
+    await createDatasetVersion([country('BGD', 2024)], { source: 'file', uploadedBy: 'tester' });
+
+    const results = await Promise.all([
+      applyCountryChanges({ upserts: [country('IND', 2024)] }, { uploadedBy: 'first' }),
+      applyCountryChanges({ upserts: [country('CHN', 2024)] }, { uploadedBy: 'second' }),
+      applyCountryChanges({ deletes: [{ isoCode: 'BGD', year: 2024 }] }, { uploadedBy: 'third' })
+    ]);
+
+    assert.deepEqual(results.map(({ version }) => version), [2, 3, 4]);
+    assert.deepEqual(liveCodes(), ['CHN:2024', 'IND:2024']);
+    assert.deepEqual(activeVersions(), [4]);
+  });
+
+  test('a version number claimed by another writer is retried with the next number', async () => {
+    await createDatasetVersion([country('BGD', 2024)], { source: 'file', uploadedBy: 'tester' });
+    beforeCreate = () => versions.push({ version: 2, isActive: false, countries: [] });
+
+    const applied = await applyCountryChanges({ upserts: [country('IND', 2024)] }, { uploadedBy: 'tester' });
+    assert.equal(applied.version, 3);
+    assert.deepEqual(activeVersions(), [3]);
+  });
+
+  test('a failed write does not block the next one', async () => {
+    await createDatasetVersion([country('BGD', 2024)], { source: 'file', uploadedBy: 'tester' });
+    beforeCreate = () => { throw new Error('insert failed'); };
+
+    const [failed, applied] = await Promise.allSettled([
+      applyCountryChanges({ upserts: [country('IND', 2024)] }, { uploadedBy: 'first' }),
+      applyCountryChanges({ upserts: [country('CHN', 2024)] }, { uploadedBy: 'second' })
+    ]);
+    assert.equal(failed.reason.message, 'insert failed');
+    assert.equal(applied.value.version, 2);
+    assert.deepEqual(liveCodes(), ['BGD:2024', 'CHN:2024']);
+  });
+});
+
+describe('failed swaps and rollback', () => {
+  test('a failed swap leaves the live data and the active version as they were', async () => {
+    await createDatasetVersion([country('BGD', 2024)], { source: 'file', uploadedBy: 'tester' });
+    failRename = true;
+
+    await assert.rejects(applyCountryChanges({ upserts: [country('IND', 2024)] }, { uploadedBy: 'tester' }), /rename failed/);
+    assert.deepEqual(liveCodes(), ['BGD:2024']);
+    assert.deepEqual(versions.map(({ version, isActive }) => [version, isActive]), [[1, true], [2, false]]);
+    assert.deepEqual(Object.keys(collections).sort(), ['countries', 'subnationaladjustments']);
+
+    // The stored version can be published once the swap works again
+    failRename = false;
+    assert.equal((await activateDatasetVersion(2)).version, 2);
+    assert.deepEqual(liveCodes(), ['BGD:2024', 'IND:2024']);
+  });
+
+  test('activating an earlier version republishes its records and adjustments', async () => {
+    await createDatasetVersion([country('BGD', 2024)], { source: 'file', uploadedBy: 'tester' });
+    await applySubnationalAdjustmentChanges({ upserts: [adjustment('IN-MH', 2024, 1.5)] }, { uploadedBy: 'tester' });
+    await applyCountryChanges({ upserts: [country('IND', 2024)] }, { uploadedBy: 'tester' });
+
+    const activated = await activateDatasetVersion(1);
+    assert.equal(activated.version, 1);
+    assert.equal(activated.isActive, true);
+    assert.deepEqual(liveCodes(), ['BGD:2024']);
+    assert.deepEqual(collections.subnationaladjustments, []);
+    assert.deepEqual(activeVersions(), [1]);
+    assert.equal(versions.length, 3);
+
+    assert.equal(await activateDatasetVersion(9), null);
+  });
+});
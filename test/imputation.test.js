@@ -0,0 +1,97 @@
+const { before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Missing-indicator handling in RiskEngine: skip, regional-mean and worst-case
+
+const componentsDir = path.join(__dirname, '..', 'public', 'components');
+const importComponent = file => import(pathToFileURL(path.join(componentsDir, file)).href);
+
+let riskEngine;
+let INDICATOR_IDS;
+
+// One value per indicator, in registry order; null marks a gap
+const record = (isoCode, values, extra = {}) => ({
+  isoCode,
+  name: isoCode,
+  ...Object.fromEntries(INDICATOR_IDS.map((id, index) => [id, values[index]])),
+  ...extra
+});
+
+before(async () => {
+  [{ riskEngine }, { INDICATOR_IDS }] = await Promise.all([importComponent('RiskEngine.js'), importComponent('IndicatorSchema.js')]);
+});
+
+describe('imputation strategies', () => {
+  // DEU, FRA and AUT are Europe & Central Asia; KEN is Sub-Saharan Africa
+  const countries = () => [
+    record('DEU', [20, 30, 40, 50, 60]),
+    record('FRA', [40, 50, 60, 70, 80]),
+    record('KEN', [90, 90, 90, 90, 90]),
+    record('AUT', [null, 10, 10, 10, 10])
+  ];
+
+  test('falls back to skip for unknown strategies', () => {
+    assert.equal(riskEngine.normalizeImputationStrategy('median'), 'skip');
+    assert.equal(riskEngine.normalizeImputationStrategy(undefined), riskEngine.defaultImputationStrategy);
+  });
+
+  test('skip drops the gap and renormalises the remaining weights', () => {
+    const { score, completeness } = riskEngine.calculateWeightedRiskDetails(countries()[3], undefined, { imputationStrategy: 'skip' });
+    assert.equal(score, 10);
+    assert.deepEqual(completeness.missing, [INDICATOR_IDS[0]]);
+    assert.deepEqual(completeness.imputed, []);
+    assert.equal(completeness.available, INDICATOR_IDS.length - 1);
+    assert.equal(completeness.strategy, 'skip');
+  });
+
+  test('regional-mean fills the gap from countries in the same region', () => {
+    const regionalMeans = riskEngine.calculateRegionalIndicatorMeans(countries());
+    assert.equal(regionalMeans.ECS[INDICATOR_IDS[0]], 30);
+    assert.equal(regionalMeans.SSF[INDICATOR_IDS[0]], 90);
+
+    const { score, values, completeness } = riskEngine.calculateWeightedRiskDetails(countries()[3], undefined, {
+      imputationStrategy: 'regional-mean',
+      regionalMeans
+    });
+    assert.equal(values[INDICATOR_IDS[0]], 30);
+    assert.equal(score, (30 + 10 * 4) / 5);
+    assert.deepEqual(completeness.imputed, [INDICATOR_IDS[0]]);
+    assert.equal(completeness.region, 'ECS');
+  });
+
+  test('regional-mean ignores proxy records and skips gaps without a regional value', () => {
+    const proxy = record('ITA', [100, 100, 100, 100, 100], { isImputed: true });
+    const regionalMeans = riskEngine.calculateRegionalIndicatorMeans([...countries(), proxy]);
+    assert.equal(regionalMeans.ECS[INDICATOR_IDS[0]], 30);
+
+    const { score, completeness } = riskEngine.calculateWeightedRiskDetails(countries()[3], undefined, {
+      imputationStrategy: 'regional-mean',
+      regionalMeans: {}
+    });
+    assert.equal(score, 10);
+    assert.deepEqual(completeness.imputed, []);
+  });
+
+  test('worst-case scores the gap at 100', () => {
+    const { score, values, completeness } = riskEngine.calculateWeightedRiskDetails(countries()[3], undefined, { imputationStrategy: 'worst-case' });
+    assert.equal(values[INDICATOR_IDS[0]], riskEngine.worstCaseIndicatorValue);
+    assert.equal(score, (100 + 10 * 4) / 5);
+    assert.deepEqual(completeness.imputed, [INDICATOR_IDS[0]]);
+  });
+
+  test('complete records score the same under every strategy', () => {
+    const regionalMeans = riskEngine.calculateRegionalIndicatorMeans(countries());
+    const scores = Object.keys(riskEngine.imputationStrategies).map(imputationStrategy => (
+      riskEngine.calculateWeightedRiskDetails(countries()[0], undefined, { imputationStrategy, regionalMeans }).score
+    ));
+    assert.deepEqual(scores, [40, 40, 40]);
+  });
+
+  test('a record with no values scores 0 when gaps are skipped', () => {
+    const { score, completeness } = riskEngine.calculateWeightedRiskDetails(record('AUT', [null, null, null, null, null]));
+    assert.equal(score, 0);
+    assert.equal(completeness.ratio, 0);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildNormalisationPipeline, normaliseIndicatorColumn, normaliseIndicatorValue } = require('../utils/indicatorNormalisation');
+
+// Same values as INDICATOR_DIRECTIONS in IndicatorSchema.js
+const DIRECTIONS = { HIGHER_IS_WORSE: 'higher-is-worse', HIGHER_IS_BETTER: 'higher-is-better' };
+
+const indicator = (normalisation, direction = DIRECTIONS.HIGHER_IS_WORSE) => ({ id: 'test', direction, normalisation });
+
+function assertValuesClose(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, index) => {
+    if (expected[index] === null) {
+      assert.equal(value, null);
+    } else {
+      assert.ok(Math.abs(value - expected[index]) < 1e-6, `value ${index}: ${value} is not ${expected[index]}`);
+    }
+  });
+}
+
+describe('buildNormalisationPipeline', () => {
+  test('ends every pipeline with a clamp', () => {
+    assert.deepEqual(buildNormalisationPipeline(indicator(undefined), DIRECTIONS), [{ type: 'clamp' }]);
+    assert.deepEqual(
+      buildNormalisationPipeline(indicator([{ type: 'minmax', min: 0, max: 1 }]), DIRECTIONS),
+      [{ type: 'minmax', min: 0, max: 1 }, { type: 'clamp' }]
+    );
+  });
+
+  test('inverts higher-is-better indicators unless they declare an invert step', () => {
+    assert.deepEqual(
+      buildNormalisationPipeline(indicator([], DIRECTIONS.HIGHER_IS_BETTER), DIRECTIONS).map(step => step.type),
+      ['invert', 'clamp']
+    );
+    assert.deepEqual(
+      buildNormalisationPipeline(indicator([{ type: 'invert', max: 10 }], DIRECTIONS.HIGHER_IS_BETTER), DIRECTIONS),
+      [{ type: 'invert', max: 10 }, { type: 'clamp' }]
+    );
+  });
+
+  test('rejects unknown step types', () => {
+    assert.throws(
+      () => buildNormalisationPipeline(indicator([{ type: 'log' }]), DIRECTIONS),
+      /Unknown normalisation step "log" for indicator test/
+    );
+  });
+});
+
+describe('normaliseIndicatorColumn', () => {
+  test('minmax rescales declared bounds onto 0-100', () => {
+    const { values, metadata } = normaliseIndicatorColumn([0, 0.25, 1, null], indicator([{ type: 'minmax', min: 0, max: 1 }]), DIRECTIONS);
+    assertValuesClose(values, [0, 25, 100, null]);
+    assert.deepEqual(metadata.steps[0], { type: 'minmax', min: 0, max: 1 });
+    assert.deepEqual(metadata.observed, { count: 3, min: 0, max: 1 });
+  });
+
+  test('minmax takes missing bounds from the column', () => {
+    const { values, metadata } = normaliseIndicatorColumn([2, 4, 6], indicator([{ type: 'minmax' }]), DIRECTIONS);
+    assertValuesClose(values, [0, 50, 100]);
+    assert.deepEqual(metadata.steps[0], { type: 'minmax', min: 2, max: 6 });
+  });
+
+  test('minmax maps a constant column to 0', () => {
+    const { values } = normaliseIndicatorColumn([5, 5], indicator([{ type: 'minmax' }]), DIRECTIONS);
+    assertValuesClose(values, [0, 0]);
+  });
+
+  test('zscore-percentile places values on the normal distribution', () => {
+    const { values, metadata } = normaliseIndicatorColumn([10, 20, 30], indicator([{ type: 'zscore-percentile' }]), DIRECTIONS);
+    assert.deepEqual(metadata.steps[0], { type: 'zscore-percentile', mean: 20, sd: 8.165 });
+    // Phi(1.2247) = 0.8897
+    assertValuesClose(values.map(value => Math.round(value * 100) / 100), [11.03, 50, 88.97]);
+  });
+
+  test('zscore-percentile maps a column without spread to 50', () => {
+    const { values } = normaliseIndicatorColumn([7, 7, null], indicator([{ type: 'zscore-percentile' }]), DIRECTIONS);
+    assertValuesClose(values, [50, 50, null]);
+  });
+
+  test('invert flips a higher-is-better scale', () => {
+    const { values } = normaliseIndicatorColumn([0, 30, 100], indicator([], DIRECTIONS.HIGHER_IS_BETTER), DIRECTIONS);
+    assertValuesClose(values, [100, 70, 0]);
+  });
+
+  test('invert uses declared bounds', () => {
+    const { values } = normaliseIndicatorColumn([1, 4], indicator([{ type: 'invert', min: 1, max: 7 }]), DIRECTIONS);
+    assertValuesClose(values, [7, 4]);
+  });
+
+  test('clamp keeps values within 0-100, or declared bounds', () => {
+    assertValuesClose(normaliseIndicatorColumn([-5, 50, 140], indicator([]), DIRECTIONS).values, [0, 50, 100]);
+    assertValuesClose(
+      normaliseIndicatorColumn([-5, 50, 140], indicator([{ type: 'clamp', min: 10, max: 60 }]), DIRECTIONS).values,
+      [10, 50, 60]
+    );
+  });
+
+  test('rounds the metadata but keeps exact resolved steps', () => {
+    const { resolvedSteps, metadata } = normaliseIndicatorColumn([0, 1, 2], indicator([{ type: 'zscore-percentile' }]), DIRECTIONS);
+    assert.equal(resolvedSteps[0].sd, Math.sqrt(2 / 3));
+    assert.equal(metadata.steps[0].sd, 0.8165);
+  });
+});
+
+describe('normaliseIndicatorValue', () => {
+  test('replays resolved steps to match the value in its column', () => {
+    const pipeline = indicator([{ type: 'zscore-percentile' }, { type: 'invert' }], DIRECTIONS.HIGHER_IS_BETTER);
+    const column = [12.5, 40, 73.25, 91, null];
+    const { values, resolvedSteps } = normaliseIndicatorColumn(column, pipeline, DIRECTIONS);
+
+    column.forEach((value, index) => {
+      assert.equal(normaliseIndicatorValue(value, resolvedSteps), values[index]);
+    });
+  });
+
+  test('applies fixed bounds to values outside the original column', () => {
+    const { resolvedSteps } = normaliseIndicatorColumn([2, 4, 6], indicator([{ type: 'minmax' }]), DIRECTIONS);
+    assert.equal(normaliseIndicatorValue(5, resolvedSteps), 75);
+    assert.equal(normaliseIndicatorValue(10, resolvedSteps), 100);
+  });
+
+  test('returns null for missing values', () => {
+    assert.equal(normaliseIndicatorValue(null, [{ type: 'clamp', min: 0, max: 100 }]), null);
+    assert.equal(normaliseIndicatorValue(Number.NaN, [{ type: 'clamp', min: 0, max: 100 }]), null);
+  });
+});
@@ -0,0 +1,101 @@
+const { after, before, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const app = require('../server');
+
+// /api/calculate-risk and the browser must give the same score for the same inputs.
+// The browser side scores the /api/countries records the app loads, with the
+// RiskEngine module the browser imports.
+
+const componentsDir = path.join(__dirname, '..', 'public', 'components');
+const importComponent = file => import(pathToFileURL(path.join(componentsDir, file)).href);
+
+let server;
+let baseURL;
+let riskEngine;
+let schema;
+let countries;
+let countryRegionalMeans;
+
+async function request(method, route, body) {
+  const response = await fetch(`${baseURL}${route}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  assert.equal(response.status, 200, `${method} ${route}: ${data.error}`);
+  return data;
+}
+
+// AppController.withDerivedCountries: the dataset, peer-group estimates for the countries
+// it lacks and the sub-national units. Without a database neither side has adjustments.
+function deriveCountries(editionCountries) {
+  const dataCountries = editionCountries.filter(country => !country.isImputed && !country.isSubnational);
+  const withProxies = [...dataCountries, ...riskEngine.buildProxyCountries(dataCountries)];
+  return [...withProxies, ...riskEngine.buildSubnationalRecords(withProxies, {})];
+}
+
+// AppController.scoreCountries for one country. Its regional means are taken over the
+// loaded countries, which do not change during the suite.
+function scoreInBrowser(isoCode, weights, strategy) {
+  const imputationStrategy = riskEngine.normalizeImputationStrategy(strategy);
+  const regionalMeans = imputationStrategy === 'regional-mean' ? countryRegionalMeans : null;
+  const country = countries.find(record => record.isoCode === isoCode);
+  return riskEngine.calculateWeightedRiskDetails(country, weights, { imputationStrategy, regionalMeans });
+}
+
+before(async () => {
+  server = app.listen(0);
+  await once(server, 'listening');
+  baseURL = `http://127.0.0.1:${server.address().port}/api`;
+
+  [{ riskEngine }, schema] = await Promise.all([importComponent('RiskEngine.js'), importComponent('IndicatorSchema.js')]);
+  countries = deriveCountries((await request('GET', '/countries?include=metadata')).countries);
+  countryRegionalMeans = riskEngine.calculateRegionalIndicatorMeans(countries);
+});
+
+after(() => {
+  server.close();
+});
+
+test('scores every country, estimate and sub-national unit the same as the browser', async () => {
+  const hasGaps = country => schema.INDICATOR_IDS.some(id => country[id] === null || country[id] === undefined);
+  const dataCountries = countries.filter(country => !country.isImputed && !country.isSubnational);
+  assert.ok(dataCountries.some(hasGaps) && !dataCountries.every(hasGaps), 'the bundled data has complete countries and countries with gaps');
+  assert.ok(countries.some(country => country.isImputed), 'some countries are estimated from their peers');
+  assert.ok(countries.some(country => country.isSubnational), 'sub-national units are derived');
+
+  // Every strategy with weights keyed by indicator id; the default weights and the legacy
+  // positional arrays both sides still accept with the default strategy
+  const keyedWeights = Object.fromEntries(schema.INDICATOR_IDS.map((id, index) => [id, (index + 1) * 10]));
+  const cases = [
+    ...Object.keys(riskEngine.imputationStrategies).map(imputationStrategy => ({ kind: 'keyed', weights: keyedWeights, imputationStrategy })),
+    { kind: 'default', weights: undefined, imputationStrategy: undefined },
+    { kind: 'positional', weights: schema.INDICATOR_IDS.map((id, index) => 5 + index * 5), imputationStrategy: undefined }
+  ];
+
+  for (const { isoCode } of countries) {
+    for (const { kind, weights, imputationStrategy } of cases) {
+      const result = await request('POST', '/calculate-risk', { countryIsoCode: isoCode, weights, imputationStrategy });
+      const expected = scoreInBrowser(isoCode, weights, imputationStrategy);
+      const label = `${isoCode} ${result.imputationStrategy} ${kind} weights`;
+
+      assert.equal(result.weightedRiskScore, Math.round(expected.score * 100) / 100, label);
+      assert.equal(result.riskBand, riskEngine.getRiskBand(expected.score), label);
+      assert.deepEqual(result.dataCompleteness, expected.completeness, label);
+    }
+  }
+});
+
+test('rejects a request without a country', async () => {
+  const response = await fetch(`${baseURL}/calculate-risk`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({})
+  });
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,98 @@
+const { before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const componentsDir = path.join(__dirname, '..', 'public', 'components');
+const importComponent = file => import(pathToFileURL(path.join(componentsDir, file)).href);
+
+let shareLink;
+let schema;
+
+// Fragment for a hand-built payload, as an older or newer build would have written it
+const plainFragment = (version, payload) => (
+  `#${shareLink.SHARE_LINK_PARAM}=${version}.j.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`
+);
+
+before(async () => {
+  [shareLink, schema] = await Promise.all([importComponent('ShareLink.js'), importComponent('IndicatorSchema.js')]);
+});
+
+describe('migrateSharePayload', () => {
+  test('passes current-version payloads through unchanged', () => {
+    const payload = { s: schema.INDICATOR_SCHEMA_VERSION, c: [['DEU', 10]] };
+    assert.equal(shareLink.migrateSharePayload(shareLink.SHARE_LINK_VERSION, payload), payload);
+  });
+
+  test('rejects links from a newer version of the tool', () => {
+    assert.throws(
+      () => shareLink.migrateSharePayload(shareLink.SHARE_LINK_VERSION + 1, {}),
+      error => error instanceof shareLink.ShareLinkError && /newer version of this tool/.test(error.message)
+    );
+  });
+
+  test('rejects versions that are not positive whole numbers', () => {
+    [0, -1, 1.5, Number.NaN].forEach(version => {
+      assert.throws(() => shareLink.migrateSharePayload(version, {}), shareLink.ShareLinkError, String(version));
+    });
+  });
+});
+
+describe('share fragments', () => {
+  const snapshot = () => ({
+    dataYear: 2024,
+    dataset: { datasetVersion: 3, dataYear: 2024 },
+    weights: Object.fromEntries(schema.INDICATOR_IDS.map((id, index) => [id, 10 + index])),
+    imputationStrategy: 'regional-mean',
+    selectedCountries: ['DEU', 'CN-GD'],
+    countryVolumes: { DEU: 12.5, 'CN-GD': 40 },
+    countrySectors: { 'CN-GD': 'electronics' },
+    hrddStrategy: [10, 10, 25, 60, 80, 90],
+    focus: 0.6
+  });
+
+  test('round-trips a snapshot', async () => {
+    const fragment = await shareLink.encodeShareFragment(snapshot(), { currentPanel: 3 });
+    assert.match(fragment, new RegExp(`^${shareLink.SHARE_LINK_PARAM}=${shareLink.SHARE_LINK_VERSION}\\.[jz]\\.`));
+
+    const { snapshot: decoded, currentPanel, warnings } = await shareLink.decodeShareFragment(`#${fragment}`);
+    assert.deepEqual(decoded, snapshot());
+    assert.equal(currentPanel, 3);
+    assert.deepEqual(warnings, []);
+  });
+
+  test('opens uncompressed links', async () => {
+    const { snapshot: decoded } = await shareLink.decodeShareFragment(plainFragment(shareLink.SHARE_LINK_VERSION, { c: [['deu', 5]] }));
+    assert.deepEqual(decoded, { selectedCountries: ['DEU'], countryVolumes: { DEU: 5 }, countrySectors: {} });
+  });
+
+  test('returns null without a share parameter', async () => {
+    assert.equal(await shareLink.decodeShareFragment('#panel=2'), null);
+    assert.equal(await shareLink.decodeShareFragment(''), null);
+  });
+
+  test('rejects damaged and newer links', async () => {
+    await assert.rejects(shareLink.decodeShareFragment(`#${shareLink.SHARE_LINK_PARAM}=1.j.@@`), shareLink.ShareLinkError);
+    await assert.rejects(shareLink.decodeShareFragment(`#${shareLink.SHARE_LINK_PARAM}=1.j.bm90IGpzb24`), shareLink.ShareLinkError);
+    await assert.rejects(
+      shareLink.decodeShareFragment(plainFragment(shareLink.SHARE_LINK_VERSION + 1, {})),
+      /newer version of this tool/
+    );
+  });
+
+  test('drops weights made under another indicator schema', async () => {
+    const payload = { s: schema.INDICATOR_SCHEMA_VERSION - 1, w: schema.INDICATOR_IDS.map(() => 20), m: 'skip' };
+    const { snapshot: decoded, warnings } = await shareLink.decodeShareFragment(plainFragment(shareLink.SHARE_LINK_VERSION, payload));
+    assert.equal(decoded.weights, undefined);
+    assert.equal(decoded.imputationStrategy, 'skip');
+    assert.equal(warnings.length, 1);
+  });
+
+  test('skips invalid country lines with a warning', async () => {
+    const payload = { c: [['DEU', 10], ['NOPE', 5], ['FRA', -1], ['DEU', 3], ['CN-GD', 7, 'textiles']] };
+    const { snapshot: decoded, warnings } = await shareLink.decodeShareFragment(plainFragment(shareLink.SHARE_LINK_VERSION, payload));
+    assert.deepEqual(decoded.selectedCountries, ['DEU', 'CN-GD']);
+    assert.deepEqual(decoded.countrySectors, { 'CN-GD': 'textiles' });
+    assert.deepEqual(warnings, ['3 country lines were invalid and skipped']);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  diffSubnationalAdjustmentSets,
+  indexSubnationalAdjustments,
+  validateSubnationalAdjustment
+} = require('../utils/subnationalAdjustments');
+
+// Sub-national adjustments: validation per edition year, and how versions index and diff them
+
+// Source values are on a 0-100 scale where higher is better, so they are inverted
+const STEPS = { itucRightsRating: [{ type: 'invert' }, { type: 'clamp' }] };
+
+const adjustment = (code, year, fields = {}) => ({ code, year, riskMultiplier: 1, overrides: {}, source: '', ...fields });
+
+describe('validateSubnationalAdjustment', () => {
+  test('builds an adjustment for the unit and edition year with normalised overrides', async () => {
+    const { adjustment: result, errors } = await validateSubnationalAdjustment(
+      'IN-MH',
+      2024,
+      { riskMultiplier: 1.5, overrides: { itucRightsRating: 30 }, source: ' State labour report ' },
+      STEPS
+    );
+    assert.deepEqual(errors, []);
+    assert.deepEqual(result, adjustment('IN-MH', 2024, {
+      riskMultiplier: 1.5,
+      overrides: { itucRightsRating: 70 },
+      source: 'State labour report'
+    }));
+  });
+
+  test('keeps stored fields left out of the input and drops overrides sent as null', async () => {
+    const existing = adjustment('IN-MH', 2024, { riskMultiplier: 1.2, overrides: { itucRightsRating: 40, corruptionIndex: 55 }, source: 'Audit' });
+    const { adjustment: result } = await validateSubnationalAdjustment('IN-MH', 2024, { overrides: { corruptionIndex: null } }, STEPS, existing);
+    assert.deepEqual(result, adjustment('IN-MH', 2024, { riskMultiplier: 1.2, overrides: { itucRightsRating: 40 }, source: 'Audit' }));
+  });
+
+  test('rejects unknown units, fields and indicators and out-of-range multipliers', async () => {
+    assert.deepEqual((await validateSubnationalAdjustment('XX-YY', 2024, {}, STEPS)).errors, ['Unknown sub-national unit "XX-YY"']);
+
+    const { adjustment: result, errors } = await validateSubnationalAdjustment(
+      'IN-MH',
+      2024,
+      { riskMultiplier: 3, overrides: { nope: 1 }, year: 2023 },
+      STEPS
+    );
+    assert.equal(result, null);
+    assert.deepEqual(errors, [
+      'Unknown field "year"',
+      'riskMultiplier must be a number from 0.5 to 2',
+      'Unknown indicator "nope" in overrides'
+    ]);
+  });
+});
+
+describe('adjustments in dataset versions', () => {
+  const stored = [
+    adjustment('IN-MH', 2024, { riskMultiplier: 1.5 }),
+    adjustment('IN-MH', 2023, { riskMultiplier: 1.2 }),
+    adjustment('CN-XJ', 2024, { overrides: { itucRightsRating: 90 } })
+  ];
+
+  test('indexSubnationalAdjustments keeps one edition year, keyed by unit code', () => {
+    const index = indexSubnationalAdjustments(stored, 2024);
+    assert.deepEqual(Object.keys(index).sort(), ['CN-XJ', 'IN-MH']);
+    assert.equal(index['IN-MH'].riskMultiplier, 1.5);
+    assert.deepEqual(indexSubnationalAdjustments(stored, 2022), {});
+  });
+
+  test('diffSubnationalAdjustmentSets matches units by code and year and lists override changes', () => {
+    const next = [
+      adjustment('IN-MH', 2024, { riskMultiplier: 1.5 }),
+      adjustment('CN-XJ', 2024, { overrides: { itucRightsRating: 95, freedomRating: 70 } }),
+      adjustment('IN-DL', 2024, { riskMultiplier: 0.8 })
+    ];
+    const diff = diffSubnationalAdjustmentSets(stored, next);
+
+    assert.deepEqual(diff.map(({ code, year, action }) => [code, year, action]), [
+      ['IN-MH', 2024, 'unchanged'],
+      ['CN-XJ', 2024, 'update'],
+      ['IN-DL', 2024, 'create'],
+      ['IN-MH', 2023, 'delete']
+    ]);
+    assert.deepEqual(diff[1].changes, {
+      'overrides.itucRightsRating': { from: 90, to: 95 },
+      'overrides.freedomRating': { from: null, to: 70 }
+    });
+  });
+});
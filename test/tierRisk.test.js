@@ -0,0 +1,110 @@
+const { before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Supplier lists scored per supply chain tier, and the tier figures as the managed risk
+
+const componentsDir = path.join(__dirname, '..', 'public', 'components');
+const importComponent = file => import(pathToFileURL(path.join(componentsDir, file)).href);
+
+let riskEngine;
+let deriveCountryPortfolio;
+let deriveTierPortfolios;
+let normalizeSuppliers;
+
+const countryRisks = { BGD: 60, IND: 45, CHN: 50 };
+
+const supplierList = () => normalizeSuppliers([
+  { name: 'Cut and sew', isoCode: 'BGD', tier: 1, spend: 100 },
+  { name: 'Assembly', isoCode: 'CHN', tier: 1, spend: 20 },
+  { name: 'Spinning', isoCode: 'IND', tier: 2, spend: 50 },
+  { name: 'Cotton', isoCode: 'BGD', tier: 3, spend: 30 }
+]);
+
+// calculateManagedRiskDetails arguments for the whole list with the default strategy
+const scoringArgs = portfolio => [
+  portfolio.selectedCountries,
+  portfolio.countryVolumes,
+  countryRisks,
+  riskEngine.defaultHRDDStrategy,
+  riskEngine.defaultTransparencyEffectiveness,
+  riskEngine.defaultResponsivenessStrategy,
+  riskEngine.defaultResponsivenessEffectiveness,
+  0.6
+];
+
+const breakdownFor = (suppliers, tierHRDDStrategies = null) => {
+  const [, , risks, hrddStrategy, transparency, responsiveness, responsivenessEffectiveness, focus] = scoringArgs(deriveCountryPortfolio(suppliers));
+  return riskEngine.calculateTierRiskBreakdown(
+    deriveTierPortfolios(suppliers),
+    risks,
+    hrddStrategy,
+    tierHRDDStrategies,
+    transparency,
+    responsiveness,
+    responsivenessEffectiveness,
+    focus
+  );
+};
+
+before(async () => {
+  [{ riskEngine }, { deriveCountryPortfolio, deriveTierPortfolios, normalizeSuppliers }] = await Promise.all([
+    importComponent('RiskEngine.js'),
+    importComponent('SupplierPortfolio.js')
+  ]);
+});
+
+describe('calculateTierRiskBreakdown', () => {
+  test('combines tiers by volume, per country and overall', () => {
+    const suppliers = supplierList();
+    const portfolio = deriveCountryPortfolio(suppliers);
+    const { tiers, combined } = breakdownFor(suppliers);
+
+    assert.deepEqual(tiers.map(tier => [tier.tier, tier.volumeShare]), [[1, 0.6], [2, 0.25], [3, 0.15]]);
+    const totalVolume = portfolio.selectedCountries.reduce((sum, isoCode) => sum + portfolio.countryVolumes[isoCode], 0);
+    const fromCountries = portfolio.selectedCountries
+      .reduce((sum, isoCode) => sum + portfolio.countryVolumes[isoCode] * combined.countryManagedRisks[isoCode], 0) / totalVolume;
+    assert.ok(Math.abs(fromCountries - combined.managedRisk) < 1e-9);
+  });
+
+  test('scores deeper tiers with their own coverage', () => {
+    const suppliers = supplierList();
+    const none = [0, 0, 0, 0, 0, 0];
+    const withDefaults = breakdownFor(suppliers);
+    const uncovered = breakdownFor(suppliers, { 2: none, 3: none });
+
+    assert.equal(uncovered.tiers[0].managedRisk, withDefaults.tiers[0].managedRisk);
+    assert.equal(uncovered.tiers[1].managedRisk, uncovered.tiers[1].baselineRisk);
+    assert.ok(uncovered.combined.managedRisk > withDefaults.combined.managedRisk);
+  });
+});
+
+describe('managed risk with a supplier list', () => {
+  test('calculatePortfolioManagedRiskDetails uses the combined tier figures', () => {
+    const suppliers = supplierList();
+    const args = scoringArgs(deriveCountryPortfolio(suppliers));
+    const tierScoring = { tierPortfolios: deriveTierPortfolios(suppliers), tierHRDDStrategies: null };
+    const { combined } = breakdownFor(suppliers);
+
+    const details = riskEngine.calculatePortfolioManagedRiskDetails(...args, tierScoring);
+    assert.equal(details.managedRisk, combined.managedRisk);
+    assert.deepEqual(details.countryManagedRisks, combined.countryManagedRisks);
+    assert.equal(
+      riskEngine.calculatePortfolioManagedRiskDetails(...args).managedRisk,
+      riskEngine.calculateManagedRiskDetails(...args).managedRisk
+    );
+  });
+
+  test('generateRiskSummary reports the combined tier figures as managed risk', () => {
+    const suppliers = supplierList();
+    const [selectedCountries, countryVolumes, risks, ...strategy] = scoringArgs(deriveCountryPortfolio(suppliers));
+    const breakdown = breakdownFor(suppliers);
+    // strategy is the four strategy arrays then focus; riskConcentration 1
+    const summary = riskEngine.generateRiskSummary(null, null, selectedCountries, ...strategy, 1, countryVolumes, risks, breakdown);
+
+    assert.equal(summary.managed.score, breakdown.combined.managedRisk);
+    assert.deepEqual(summary.countryManagedRisks, breakdown.combined.countryManagedRisks);
+    assert.equal(summary.improvement.absoluteReduction, summary.baseline.score - breakdown.combined.managedRisk);
+  });
+});
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// Admin routes require `Authorization: Bearer <ADMIN_API_TOKEN>`. Without a
+// configured token the admin API stays disabled rather than open.
+function getAdminToken() {
+  const token = process.env.ADMIN_API_TOKEN;
+  return typeof token === 'string' && token.trim() ? token.trim() : null;
+}
+
+function tokensMatch(provided, expected) {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function requireAdminToken(req, res, next) {
+  const expected = getAdminToken();
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin API is disabled. Set ADMIN_API_TOKEN to enable it.' });
+  }
+
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match || !tokensMatch(match[1].trim(), expected)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'A valid admin bearer token is required' });
+  }
+
+  return next();
+}
+
+module.exports = {
+  requireAdminToken
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+// Assessment routes identify the caller from a signed access token sent as
+// `Authorization: Bearer <token>`. A token names one user and the workspaces they
+// belong to; it is signed with ASSESSMENT_TOKEN_SECRET, so the user and workspaces
+// cannot be changed by the client. Tokens are issued through the admin API (or by a
+// sign-in service sharing the secret). Without a configured secret the assessments
+// API stays disabled rather than open.
+
+const DEFAULT_TOKEN_DAYS = 30;
+const MAX_TOKEN_DAYS = 365;
+const MAX_NAME_LENGTH = 200;
+const MAX_WORKSPACES = 50;
+
+function getTokenSecret() {
+  const secret = process.env.ASSESSMENT_TOKEN_SECRET;
+  return typeof secret === 'string' && secret.trim() ? secret.trim() : null;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function signaturesMatch(provided, expected) {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function cleanName(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  return name && name.length <= MAX_NAME_LENGTH ? name : null;
+}
+
+// Validate token claims. Returns { claims, errors }.
+function validateTokenClaims({ user, workspaces, expiresInDays } = {}) {
+  const errors = [];
+  const cleanUser = cleanName(user);
+  if (!cleanUser) {
+    errors.push(`user is required (at most ${MAX_NAME_LENGTH} characters)`);
+  }
+
+  const list = Array.isArray(workspaces) ? workspaces.map(cleanName) : [];
+  if (list.length === 0 || list.length > MAX_WORKSPACES || list.includes(null)) {
+    errors.push(`workspaces must list 1 to ${MAX_WORKSPACES} workspace names`);
+  }
+
+  const days = expiresInDays === undefined ? DEFAULT_TOKEN_DAYS : Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_TOKEN_DAYS) {
+    errors.push(`expiresInDays must be more than 0 and at most ${MAX_TOKEN_DAYS}`);
+  }
+
+  return {
+    claims: errors.length === 0 ? { user: cleanUser, workspaces: Array.from(new Set(list)), days } : null,
+    errors
+  };
+}
+
+// Signed token for validated claims, with its expiry
+function issueAssessmentToken({ user, workspaces, days }, now = Date.now()) {
+  const secret = getTokenSecret();
+  if (!secret) {
+    throw new Error('Set ASSESSMENT_TOKEN_SECRET to issue assessment tokens');
+  }
+
+  const expiresAt = new Date(now + days * 24 * 60 * 60 * 1000);
+  const payload = Buffer.from(JSON.stringify({ sub: user, workspaces, exp: Math.floor(expiresAt.getTime() / 1000) }))
+    .toString('base64url');
+  return { token: `${payload}.${sign(payload, secret)}`, expiresAt: expiresAt.toISOString() };
+}
+
+// { user, workspaces } for a valid, unexpired token, otherwise null
+function verifyAssessmentToken(token, now = Date.now()) {
+  const secret = getTokenSecret();
+  const [payload, signature, ...rest] = String(token || '').split('.');
+  if (!secret || !payload || !signature || rest.length > 0 || !signaturesMatch(signature, sign(payload, secret))) {
+    return null;
+  }
+
+  try {
+    const { sub, workspaces, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!Number.isFinite(exp) || exp * 1000 <= now || !cleanName(sub) || !Array.isArray(workspaces)) {
+      return null;
+    }
+    const names = workspaces.map(cleanName).filter(Boolean);
+    return names.length > 0 ? { user: sub, workspaces: names } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Sets req.assessmentIdentity = { user, workspace, workspaces }. The workspace comes from
+// ?workspace= and must be one of the token's; without it the token's first is used.
+function requireAssessmentIdentity(req, res, next) {
+  if (!getTokenSecret()) {
+    return res.status(503).json({ error: 'Assessments are disabled. Set ASSESSMENT_TOKEN_SECRET to enable them.' });
+  }
+
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  const identity = match ? verifyAssessmentToken(match[1].trim()) : null;
+  if (!identity) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'A valid assessment access token is required' });
+  }
+
+  const requested = typeof req.query.workspace === 'string' ? req.query.workspace.trim() : '';
+  const workspace = requested || identity.workspaces[0];
+  if (!identity.workspaces.includes(workspace)) {
+    return res.status(403).json({ error: `You are not a member of the ${workspace} workspace` });
+  }
+
+  req.assessmentIdentity = { ...identity, workspace };
+  return next();
+}
+
+module.exports = {
+  issueAssessmentToken,
+  requireAssessmentIdentity,
+  validateTokenClaims,
+  verifyAssessmentToken
+};
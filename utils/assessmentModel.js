@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+let modelPromise = null;
+
+// Assessment schema - a named, saved app configuration shared within a workspace.
+// `state` holds the same snapshot the app keeps in localStorage, including the
+// dataset stamp it was calculated against.
+function buildAssessmentModel() {
+  const schema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    workspace: { type: String, required: true, immutable: true },
+    owner: { type: String, required: true, immutable: true },
+    notes: { type: String, default: '' },
+    state: { type: mongoose.Schema.Types.Mixed, default: {} },
+    updatedBy: { type: String, default: null }
+  }, { timestamps: true, minimize: false });
+  schema.index({ workspace: 1, updatedAt: -1 });
+
+  return mongoose.models.Assessment || mongoose.model('Assessment', schema);
+}
+
+async function getAssessmentModel() {
+  if (!modelPromise) {
+    modelPromise = Promise.resolve().then(buildAssessmentModel).catch(error => {
+      modelPromise = null;
+      throw error;
+    });
+  }
+  return modelPromise;
+}
+
+module.exports = {
+  getAssessmentModel
+};
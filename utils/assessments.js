@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+const { getAssessmentModel } = require('./assessmentModel');
+
+// Named assessments saved to Mongo so they survive a browser change and can be opened
+// by colleagues in the same workspace. Every read and write is scoped to a workspace;
+// an assessment in another workspace behaves as if it did not exist.
+
+const MAX_NAME_LENGTH = 200;
+const MAX_NOTES_LENGTH = 10000;
+const MAX_STATE_BYTES = 2 * 1024 * 1024;
+
+// Lists carry the dataset stamp but not the rest of the saved state
+const LIST_FIELDS = 'name workspace owner notes updatedBy createdAt updatedAt state.dataset';
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Validate the editable fields. With `partial`, fields left out are not required.
+// Returns { fields, errors }.
+function validateAssessmentInput(input, { partial = false } = {}) {
+  const errors = [];
+  if (!isPlainObject(input)) {
+    return { fields: null, errors: ['Body must be an object'] };
+  }
+
+  const allowedFields = new Set(['name', 'notes', 'state']);
+  Object.keys(input).forEach(field => {
+    if (!allowedFields.has(field)) {
+      errors.push(`Unknown field "${field}"`);
+    }
+  });
+
+  const fields = {};
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+      errors.push('name is required');
+    } else if (name.length > MAX_NAME_LENGTH) {
+      errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    } else {
+      fields.name = name;
+    }
+  }
+  if (input.notes !== undefined) {
+    if (input.notes !== null && typeof input.notes !== 'string') {
+      errors.push('notes must be text');
+    } else if ((input.notes || '').length > MAX_NOTES_LENGTH) {
+      errors.push(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+    } else {
+      fields.notes = input.notes || '';
+    }
+  }
+  if (input.state !== undefined || !partial) {
+    if (!isPlainObject(input.state)) {
+      errors.push('state must be an object');
+    } else if (Buffer.byteLength(JSON.stringify(input.state)) > MAX_STATE_BYTES) {
+      errors.push('state is too large');
+    } else {
+      fields.state = input.state;
+    }
+  }
+
+  return { fields: errors.length === 0 ? fields : null, errors };
+}
+
+// List entry without the saved state
+function summarizeAssessment(doc) {
+  if (!doc) {
+    return null;
+  }
+  return {
+    id: String(doc._id),
+    name: doc.name,
+    workspace: doc.workspace,
+    owner: doc.owner,
+    notes: doc.notes || '',
+    dataset: doc.state?.dataset || null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+    updatedBy: doc.updatedBy || doc.owner
+  };
+}
+
+function formatAssessment(doc) {
+  return doc ? { ...summarizeAssessment(doc), state: doc.state || {} } : null;
+}
+
+function findQuery(id, workspace) {
+  return mongoose.isValidObjectId(id) ? { _id: id, workspace } : null;
+}
+
+async function listAssessments(workspace) {
+  const Assessment = await getAssessmentModel();
+  const docs = await Assessment.find({ workspace }).select(LIST_FIELDS).sort({ updatedAt: -1 }).lean();
+  return docs.map(summarizeAssessment);
+}
+
+// Full assessment including its state, or null
+async function getAssessment(id, workspace) {
+  const query = findQuery(id, workspace);
+  if (!query) {
+    return null;
+  }
+  const Assessment = await getAssessmentModel();
+  return formatAssessment(await Assessment.findOne(query).lean());
+}
+
+async function createAssessment(fields, { workspace, user }) {
+  const Assessment = await getAssessmentModel();
+  const created = await Assessment.create({
+    notes: '',
+    ...fields,
+    workspace,
+    owner: user,
+    updatedBy: user
+  });
+  return formatAssessment(created.toObject());
+}
+
+// Apply validated fields; returns the updated assessment, or null when not found
+async function updateAssessment(id, fields, { workspace, user }) {
+  const query = findQuery(id, workspace);
+  if (!query) {
+    return null;
+  }
+  const Assessment = await getAssessmentModel();
+  const updated = await Assessment.findOneAndUpdate(
+    query,
+    { $set: { ...fields, updatedBy: user } },
+    { new: true }
+  ).lean();
+  return formatAssessment(updated);
+}
+
+// Copy an assessment within its workspace; the copy belongs to `user`
+async function duplicateAssessment(id, { workspace, user, name = null }) {
+  const source = await getAssessment(id, workspace);
+  if (!source) {
+    return null;
+  }
+  return createAssessment({
+    name: name || `${source.name} (copy)`.slice(0, MAX_NAME_LENGTH),
+    notes: source.notes,
+    state: source.state
+  }, { workspace, user });
+}
+
+async function deleteAssessment(id, workspace) {
+  const query = findQuery(id, workspace);
+  if (!query) {
+    return false;
+  }
+  const Assessment = await getAssessmentModel();
+  const result = await Assessment.deleteOne(query);
+  return result.deletedCount > 0;
+}
+
+module.exports = {
+  createAssessment,
+  deleteAssessment,
+  duplicateAssessment,
+  getAssessment,
+  listAssessments,
+  summarizeAssessment,
+  updateAssessment,
+  validateAssessmentInput
+};
@@ -0,0 +1,130 @@
+const { normaliseIndicatorValue } = require('./indicatorNormalisation');
+const { loadIndicatorSchema } = require('./sharedModules');
+
+// Validation and diffing for records written through the admin API. Indicator values are
+// sent in source units, as in countries.txt, and normalised with the parameters the loader
+// resolved for the bundled file, so they are stored exactly as RiskEngine reads them:
+// 0-100 with higher meaning worse, or null when the source has no value.
+
+const ISO_CODE_PATTERN = /^[A-Z]{3}$/;
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+// Validate one country record. `normalisationSteps` holds the loader's resolved steps
+// per indicator (see normaliseIndicatorColumn). `existing` is the stored record being
+// updated, if any; fields left out of `input` keep their stored, already normalised
+// values. Returns { record, errors }.
+async function validateCountryRecord(input, normalisationSteps, existing = null) {
+  const { INDICATOR_SCHEMA_VERSION, CURRENT_DATA_EDITION, INDICATOR_IDS } = await loadIndicatorSchema();
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { record: null, errors: ['Record must be an object'] };
+  }
+
+  const allowedFields = new Set(['name', 'isoCode', 'year', ...INDICATOR_IDS]);
+  Object.keys(input).forEach(field => {
+    if (!allowedFields.has(field)) {
+      errors.push(`Unknown field "${field}"`);
+    }
+  });
+
+  const source = { ...(existing || {}), ...input };
+  const name = typeof source.name === 'string' ? source.name.trim() : '';
+  const isoCode = typeof source.isoCode === 'string' ? source.isoCode.trim().toUpperCase() : '';
+  const year = isBlank(source.year) ? CURRENT_DATA_EDITION : Number(source.year);
+
+  if (!name) {
+    errors.push('name is required');
+  }
+  if (!ISO_CODE_PATTERN.test(isoCode)) {
+    errors.push('isoCode must be an ISO 3166-1 alpha-3 code, e.g. BGD');
+  }
+  if (!Number.isInteger(year)) {
+    errors.push('year must be a whole number, e.g. 2024');
+  }
+
+  const record = { name, isoCode, year, schemaVersion: INDICATOR_SCHEMA_VERSION };
+  INDICATOR_IDS.forEach(id => {
+    if (existing && !Object.prototype.hasOwnProperty.call(input, id)) {
+      record[id] = existing[id] ?? null;
+      return;
+    }
+    const value = input[id];
+    if (isBlank(value)) {
+      record[id] = null;
+      return;
+    }
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) {
+      errors.push(`${id} must be a number in the source's units, or null when missing`);
+      return;
+    }
+    if (!normalisationSteps?.[id]) {
+      errors.push(`${id} has no resolved normalisation; check that the bundled country file loads`);
+      return;
+    }
+    record[id] = normaliseIndicatorValue(parsed, normalisationSteps[id]);
+  });
+
+  return { record: errors.length === 0 ? record : null, errors };
+}
+
+// Field-level changes between a stored record and its replacement.
+// Either side may be null for creates and deletes.
+async function diffCountryRecords(before, after) {
+  const { INDICATOR_IDS } = await loadIndicatorSchema();
+  const base = before || {};
+  const next = after || {};
+  const source = after || before;
+
+  const changes = {};
+  ['name', ...INDICATOR_IDS].forEach(field => {
+    const from = base[field] ?? null;
+    const to = next[field] ?? null;
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  });
+
+  let action = 'unchanged';
+  if (!before) {
+    action = 'create';
+  } else if (!after) {
+    action = 'delete';
+  } else if (Object.keys(changes).length > 0 || before.schemaVersion !== after.schemaVersion) {
+    action = 'update';
+  }
+
+  return { isoCode: source.isoCode, year: source.year, action, changes };
+}
+
+// Diff two full sets of records matched by ISO code and year, e.g. two dataset versions
+async function diffCountryRecordSets(beforeRecords, afterRecords) {
+  const keyOf = ({ isoCode, year }) => `${isoCode}:${year}`;
+  const beforeByKey = new Map(beforeRecords.map(record => [keyOf(record), record]));
+  const afterKeys = new Set(afterRecords.map(keyOf));
+
+  return Promise.all([
+    ...afterRecords.map(record => diffCountryRecords(beforeByKey.get(keyOf(record)) || null, record)),
+    ...beforeRecords
+      .filter(record => !afterKeys.has(keyOf(record)))
+      .map(record => diffCountryRecords(record, null))
+  ]);
+}
+
+function summarizeDiff(diff) {
+  return diff.reduce(
+    (acc, { action }) => ({ ...acc, [action]: acc[action] + 1 }),
+    { create: 0, update: 0, unchanged: 0, delete: 0 }
+  );
+}
+
+module.exports = {
+  diffCountryRecords,
+  diffCountryRecordSets,
+  summarizeDiff,
+  validateCountryRecord
+};
@@ -1,27 +1,40 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
+const { normaliseIndicatorColumn } = require('./indicatorNormalisation');
+const { loadIndicatorSchema } = require('./sharedModules');
+
 const DEFAULT_COUNTRY_FILE = path.join(__dirname, '..', 'public', 'countries.txt');
-const EXPECTED_COLUMN_COUNT = 8;
 
 function stripWrappingQuotes(value) {
   if (typeof value !== 'string') {
     return value;
   }
-  return value.replace(/\u0000/g, '').replace(/^"|"$/g, '');
+  return value.replace(/\u0000/g, '').replace(/^\uFEFF/, '').replace(/^"|"$/g, '');
 }
 
-function toNumber(value) {
+function toNumberOrNull(value) {
   const parsed = parseFloat(value);
-  return Number.isNaN(parsed) ? 0 : parsed;
+  return Number.isNaN(parsed) ? null : parsed;
 }
 
-function loadCountriesFromFile(filePath = DEFAULT_COUNTRY_FILE) {
+async function loadCountriesFromFile(filePath = DEFAULT_COUNTRY_FILE) {
   if (!fs.existsSync(filePath)) {
     throw new Error(`Country data file not found at ${filePath}`);
   }
 
+  const {
+    INDICATOR_SCHEMA_VERSION,
+    CURRENT_DATA_EDITION,
+    INDICATORS,
+    INDICATOR_IDS,
+    INDICATOR_DIRECTIONS,
+    resolveColumnMapping
+  } = await loadIndicatorSchema();
+
   const rawContent = fs.readFileSync(filePath, 'utf8');
+  const sourceHash = crypto.createHash('sha256').update(rawContent).digest('hex');
   const lines = rawContent
     .split(/\r?\n/)
     .map(line => line.trim())
@@ -31,14 +44,21 @@ function loadCountriesFromFile(filePath = DEFAULT_COUNTRY_FILE) {
     throw new Error('Country data file is empty');
   }
 
-  const headerLine = stripWrappingQuotes(lines[0]);
-  const headers = headerLine.split(',');
+  // Columns are matched by header name, so files may reorder or add columns freely
+  const headers = stripWrappingQuotes(lines[0]).split(',').map(header => stripWrappingQuotes(header).trim());
+  const { columns, missingFields, unmappedHeaders } = resolveColumnMapping(headers);
 
-  if (headers.length !== EXPECTED_COLUMN_COUNT) {
-    throw new Error(`Unexpected number of columns in header. Expected ${EXPECTED_COLUMN_COUNT}, received ${headers.length}`);
+  if (columns.name === undefined || columns.isoCode === undefined) {
+    throw new Error(`Country data file must include country name and ISO code columns. Found: ${headers.join(', ')}`);
   }
 
-  const countriesByIso = new Map();
+  const missingIndicators = missingFields.filter(field => INDICATOR_IDS.includes(field));
+  if (missingIndicators.length === INDICATOR_IDS.length) {
+    throw new Error(`Country data file does not contain any recognised indicator columns. Found: ${headers.join(', ')}`);
+  }
+
+  // Keyed by ISO code and edition year so a file may hold several editions per country
+  const countriesByKey = new Map();
   const duplicates = [];
 
   for (let i = 1; i < lines.length; i += 1) {
@@ -49,44 +69,77 @@ function loadCountriesFromFile(filePath = DEFAULT_COUNTRY_FILE) {
 
     const values = sanitizedLine.split(',').map(value => stripWrappingQuotes(value).trim());
 
-    if (values.length !== EXPECTED_COLUMN_COUNT) {
+    if (values.length !== headers.length) {
       throw new Error(
-        `Unexpected number of columns on line ${i + 1}. Expected ${EXPECTED_COLUMN_COUNT}, received ${values.length}`
+        `Unexpected number of columns on line ${i + 1}. Expected ${headers.length}, received ${values.length}`
       );
     }
 
-    const [name, isoCode, itucRightsRating, corruptionIndex, migrantWorkerPrevalence, wjpIndex, walkfreeSlaveryIndex, baseRiskScore] = values;
+    const name = values[columns.name];
+    const isoCode = (values[columns.isoCode] || '').toUpperCase();
 
     if (!isoCode) {
       throw new Error(`Missing ISO code on line ${i + 1}`);
     }
 
-    if (countriesByIso.has(isoCode)) {
+    const year = columns.year === undefined ? CURRENT_DATA_EDITION : Number(values[columns.year]);
+    if (!Number.isInteger(year)) {
+      throw new Error(`Invalid year "${values[columns.year]}" on line ${i + 1}`);
+    }
+
+    const key = `${isoCode}:${year}`;
+    if (countriesByKey.has(key)) {
       duplicates.push({
         isoCode,
-        replaced: countriesByIso.get(isoCode).name,
+        year,
+        replaced: countriesByKey.get(key).name,
         with: name
       });
     }
 
-    countriesByIso.set(isoCode, {
-      name,
-      isoCode,
-      itucRightsRating: toNumber(itucRightsRating),
-      corruptionIndex: toNumber(corruptionIndex),
-      migrantWorkerPrevalence: toNumber(migrantWorkerPrevalence),
-      wjpIndex: toNumber(wjpIndex),
-      walkfreeSlaveryIndex: toNumber(walkfreeSlaveryIndex),
-      baseRiskScore: toNumber(baseRiskScore)
+    const record = { name, isoCode, year, schemaVersion: INDICATOR_SCHEMA_VERSION };
+    INDICATORS.forEach(({ id }) => {
+      record[id] = columns[id] === undefined ? null : toNumberOrNull(values[columns[id]]);
     });
+
+    countriesByKey.set(key, record);
   }
 
+  const countries = Array.from(countriesByKey.values());
+  const years = Array.from(new Set(countries.map(country => country.year))).sort((a, b) => b - a);
+
+  // Normalise column by column so steps can use the observed range of each indicator.
+  // All editions share one pass, keeping scores comparable from year to year.
+  // Blank and non-numeric cells (e.g. "N/A") stay null so they are never mistaken for 0.
+  const normalisation = {};
+  const normalisationSteps = {};
+  INDICATORS.forEach(indicator => {
+    const { values: normalised, resolvedSteps, metadata } = normaliseIndicatorColumn(
+      countries.map(country => country[indicator.id]),
+      indicator,
+      INDICATOR_DIRECTIONS
+    );
+    countries.forEach((country, index) => {
+      country[indicator.id] = Number.isFinite(normalised[index]) ? normalised[index] : null;
+    });
+    normalisation[indicator.id] = metadata;
+    normalisationSteps[indicator.id] = resolvedSteps;
+  });
+
   return {
-    countries: Array.from(countriesByIso.values()),
-    duplicates
+    countries,
+    years,
+    duplicates,
+    sourceFile: path.basename(filePath),
+    sourceHash,
+    schemaVersion: INDICATOR_SCHEMA_VERSION,
+    normalisation,
+    normalisationSteps,
+    missingIndicators,
+    unmappedColumns: unmappedHeaders
   };
 }
 
 module.exports = {
   loadCountriesFromFile
-};
\ No newline at end of file
+};
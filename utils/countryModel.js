@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const { loadIndicatorSchema } = require('./sharedModules');
+
+let modelPromise = null;
+
+// Country schema - one document per country and edition year, with one numeric
+// field per entry in the IndicatorSchema registry
+async function buildCountryModel() {
+  const { INDICATOR_SCHEMA_VERSION, CURRENT_DATA_EDITION, INDICATOR_IDS } = await loadIndicatorSchema();
+
+  const definition = {
+    name: { type: String, required: true },
+    isoCode: { type: String, required: true },
+    year: { type: Number, required: true, default: CURRENT_DATA_EDITION },
+    schemaVersion: { type: Number, required: true, default: INDICATOR_SCHEMA_VERSION }
+  };
+
+  INDICATOR_IDS.forEach(field => {
+    definition[field] = { type: Number, default: null };
+  });
+
+  const schema = new mongoose.Schema(definition);
+  schema.index({ isoCode: 1, year: 1 }, { unique: true });
+
+  return mongoose.models.Country || mongoose.model('Country', schema);
+}
+
+function getCountryModel() {
+  if (!modelPromise) {
+    modelPromise = buildCountryModel().catch(error => {
+      modelPromise = null;
+      throw error;
+    });
+  }
+  return modelPromise;
+}
+
+module.exports = {
+  getCountryModel
+};
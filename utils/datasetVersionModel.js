@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+let modelPromise = null;
+
+// Dataset version schema - an immutable snapshot of every country record and
+// sub-national adjustment written by one import or admin change. Only `isActive` may
+// change after a version is created; the active version is the one mirrored into the
+// Country and SubnationalAdjustment collections.
+function buildDatasetVersionModel() {
+  const schema = new mongoose.Schema({
+    version: { type: Number, required: true, immutable: true },
+    createdAt: { type: Date, required: true, default: Date.now, immutable: true },
+    source: { type: String, required: true, immutable: true },
+    sourceFile: { type: String, default: null, immutable: true },
+    sourceHash: { type: String, required: true, immutable: true },
+    contentHash: { type: String, required: true, immutable: true },
+    uploadedBy: { type: String, required: true, immutable: true },
+    schemaVersion: { type: Number, required: true, immutable: true },
+    years: { type: [Number], default: [], immutable: true },
+    count: { type: Number, required: true, immutable: true },
+    countries: { type: [mongoose.Schema.Types.Mixed], default: [], immutable: true },
+    adjustmentCount: { type: Number, default: 0, immutable: true },
+    subnationalAdjustments: { type: [mongoose.Schema.Types.Mixed], default: [], immutable: true },
+    isActive: { type: Boolean, default: false }
+  });
+  schema.index({ version: 1 }, { unique: true });
+
+  return mongoose.models.DatasetVersion || mongoose.model('DatasetVersion', schema);
+}
+
+async function getDatasetVersionModel() {
+  if (!modelPromise) {
+    modelPromise = Promise.resolve().then(buildDatasetVersionModel).catch(error => {
+      modelPromise = null;
+      throw error;
+    });
+  }
+  return modelPromise;
+}
+
+module.exports = {
+  getDatasetVersionModel
+};
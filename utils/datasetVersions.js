@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+
+const { getCountryModel } = require('./countryModel');
+const { getDatasetVersionModel } = require('./datasetVersionModel');
+const { loadIndicatorSchema } = require('./sharedModules');
+const { getSubnationalAdjustmentModel } = require('./subnationalAdjustmentModel');
+
+// Dataset versions: every import or admin change is kept as an immutable snapshot and
+// exactly one version is active. A snapshot holds the country records and the
+// sub-national adjustments; the Country and SubnationalAdjustment collections always
+// mirror the active version, so reads of current data stay plain queries.
+// `?datasetVersion=` reads a snapshot instead so old assessments can be reproduced.
+
+const SUMMARY_FIELDS = '-countries -subnationalAdjustments';
+const DUPLICATE_KEY_ERROR = 11000;
+const MAX_VERSION_ATTEMPTS = 5;
+
+// Plain stored shape of a country record, without Mongo bookkeeping fields
+async function toStoredRecord(record) {
+  const { INDICATOR_IDS } = await loadIndicatorSchema();
+  const stored = {
+    name: record.name,
+    isoCode: record.isoCode,
+    year: record.year,
+    schemaVersion: record.schemaVersion
+  };
+  INDICATOR_IDS.forEach(id => {
+    stored[id] = record[id] ?? null;
+  });
+  return stored;
+}
+
+// Plain stored shape of a sub-national adjustment
+function toStoredAdjustment(adjustment) {
+  return {
+    code: adjustment.code,
+    year: adjustment.year,
+    riskMultiplier: adjustment.riskMultiplier ?? 1,
+    overrides: { ...(adjustment.overrides || {}) },
+    source: adjustment.source || ''
+  };
+}
+
+// Order-independent hash of the records themselves, used to tell whether two
+// versions (or a saved assessment and today's data) hold identical numbers
+function hashRecords(records) {
+  const canonical = [...records]
+    .sort((a, b) => `${a.isoCode}:${a.year}`.localeCompare(`${b.isoCode}:${b.year}`))
+    .map(record => JSON.stringify(Object.keys(record).sort().map(key => [key, record[key]])));
+  return crypto.createHash('sha256').update(canonical.join('\n')).digest('hex');
+}
+
+// Hash of a version's records and sub-national adjustments. Without adjustments this
+// is hashRecords, so versions stored before adjustments were versioned keep their hash.
+function hashDatasetContents(records, adjustments = []) {
+  const recordsHash = hashRecords(records);
+  if (adjustments.length === 0) {
+    return recordsHash;
+  }
+  const canonical = [...adjustments]
+    .sort((a, b) => `${a.code}:${a.year}`.localeCompare(`${b.code}:${b.year}`))
+    .map(({ code, year, riskMultiplier, overrides, source }) => JSON.stringify([
+      code,
+      year,
+      riskMultiplier,
+      source,
+      Object.keys(overrides).sort().map(id => [id, overrides[id]])
+    ]));
+  return crypto.createHash('sha256').update([recordsHash, ...canonical].join('\n')).digest('hex');
+}
+
+function summarizeDatasetVersion(doc) {
+  if (!doc) {
+    return null;
+  }
+  return {
+    version: doc.version,
+    createdAt: doc.createdAt,
+    source: doc.source,
+    sourceFile: doc.sourceFile,
+    sourceHash: doc.sourceHash,
+    contentHash: doc.contentHash,
+    uploadedBy: doc.uploadedBy,
+    schemaVersion: doc.schemaVersion,
+    years: doc.years,
+    count: doc.count,
+    adjustmentCount: doc.adjustmentCount ?? 0,
+    isActive: doc.isActive
+  };
+}
+
+async function listDatasetVersions() {
+  const DatasetVersion = await getDatasetVersionModel();
+  const docs = await DatasetVersion.find({}).select(SUMMARY_FIELDS).sort({ version: -1 }).lean();
+  return docs.map(summarizeDatasetVersion);
+}
+
+async function getActiveDatasetVersion() {
+  const DatasetVersion = await getDatasetVersionModel();
+  return summarizeDatasetVersion(await DatasetVersion.findOne({ isActive: true }).select(SUMMARY_FIELDS).lean());
+}
+
+// Full snapshot including its country records and adjustments, or null
+async function getDatasetVersion(version) {
+  const DatasetVersion = await getDatasetVersionModel();
+  return DatasetVersion.findOne({ version }).lean();
+}
+
+async function markActive(version) {
+  const DatasetVersion = await getDatasetVersionModel();
+  await DatasetVersion.updateMany({ version: { $ne: version }, isActive: true }, { $set: { isActive: false } });
+  await DatasetVersion.updateOne({ version }, { $set: { isActive: true } });
+}
+
+// Writes read the active records and republish the whole collection, so this process
+// runs them one at a time. A failed write does not block the ones queued behind it.
+let writeQueue = Promise.resolve();
+
+function withWriteLock(task) {
+  const run = writeQueue.then(task, task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// Store `records` and `adjustments` as the next, still inactive version. Numbers are
+// latest + 1; when a concurrent writer claims the same number first the unique index
+// rejects the insert, so read the latest again and retry.
+async function storeDatasetVersion(records, adjustments, { source, sourceFile, sourceHash, uploadedBy }) {
+  const { INDICATOR_SCHEMA_VERSION } = await loadIndicatorSchema();
+  const DatasetVersion = await getDatasetVersionModel();
+  const storedRecords = await Promise.all(records.map(toStoredRecord));
+  const storedAdjustments = adjustments.map(toStoredAdjustment);
+  const contentHash = hashDatasetContents(storedRecords, storedAdjustments);
+
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await DatasetVersion.findOne({}).select('version').sort({ version: -1 }).lean();
+    try {
+      return await DatasetVersion.create({
+        version: (latest?.version || 0) + 1,
+        source,
+        sourceFile,
+        sourceHash: sourceHash || contentHash,
+        contentHash,
+        uploadedBy,
+        schemaVersion: INDICATOR_SCHEMA_VERSION,
+        years: Array.from(new Set(storedRecords.map(record => record.year))).sort((a, b) => b - a),
+        count: storedRecords.length,
+        countries: storedRecords,
+        adjustmentCount: storedAdjustments.length,
+        subnationalAdjustments: storedAdjustments,
+        isActive: false
+      });
+    } catch (error) {
+      if (error?.code !== DUPLICATE_KEY_ERROR || attempt >= MAX_VERSION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Replace a live collection in one step: fill a staging collection carrying the
+// model's indexes, then rename it over the live one. Readers see either the old
+// documents or the new ones, never an empty or half-written collection.
+async function replaceCollection(Model, documents) {
+  const db = Model.db.db;
+  const liveName = Model.collection.collectionName;
+  const staging = db.collection(`${liveName}_staging_${crypto.randomUUID()}`);
+
+  try {
+    await Promise.all(Model.schema.indexes().map(([fields, options]) => staging.createIndex(fields, options)));
+    if (documents.length > 0) {
+      await staging.insertMany(documents.map(document => new Model(document).toObject()));
+    }
+    await staging.rename(liveName, { dropTarget: true });
+  } catch (error) {
+    await staging.drop().catch(() => {});
+    throw error;
+  }
+}
+
+// Mirror a snapshot into the Country and SubnationalAdjustment collections
+async function replaceLiveCollections(snapshot) {
+  const [Country, SubnationalAdjustment] = await Promise.all([getCountryModel(), getSubnationalAdjustmentModel()]);
+  await replaceCollection(Country, snapshot.countries);
+  await replaceCollection(SubnationalAdjustment, snapshot.subnationalAdjustments || []);
+}
+
+// The active records and adjustments, as the next version starts from them
+async function readLiveCollections() {
+  const [Country, SubnationalAdjustment] = await Promise.all([getCountryModel(), getSubnationalAdjustmentModel()]);
+  const [records, adjustments] = await Promise.all([Country.find({}).lean(), SubnationalAdjustment.find({}).lean()]);
+  return { records, adjustments };
+}
+
+// Store the version, publish its contents, then mark it active. If publishing fails
+// the version stays inactive, so it can be retried with activateDatasetVersion.
+async function publishDatasetVersion(records, adjustments, details) {
+  const created = await storeDatasetVersion(records, adjustments, details);
+  await replaceLiveCollections(created);
+  await markActive(created.version);
+  return summarizeDatasetVersion({ ...created.toObject(), isActive: true });
+}
+
+// Store `records` as the next version, keeping the active sub-national adjustments,
+// write them to the live collections and make the version active
+async function createDatasetVersion(records, { source, sourceFile = null, sourceHash = null, uploadedBy }) {
+  return withWriteLock(async () => {
+    const { adjustments } = await readLiveCollections();
+    return publishDatasetVersion(records, adjustments, { source, sourceFile, sourceHash, uploadedBy });
+  });
+}
+
+// Apply an admin change as a new version: `upserts` replace the active records with the
+// same ISO code and year (or are added) and `deletes` ({ isoCode, year }) are removed.
+// The version is stored before the live collections change.
+async function applyCountryChanges({ upserts = [], deletes = [] }, { uploadedBy }) {
+  return withWriteLock(async () => {
+    const { records, adjustments } = await readLiveCollections();
+    const keyOf = ({ isoCode, year }) => `${isoCode}:${year}`;
+    const byKey = new Map(records.map(record => [keyOf(record), record]));
+    deletes.forEach(target => byKey.delete(keyOf(target)));
+    upserts.forEach(record => byKey.set(keyOf(record), record));
+    return publishDatasetVersion(Array.from(byKey.values()), adjustments, { source: 'admin-api', sourceFile: null, sourceHash: null, uploadedBy });
+  });
+}
+
+// The same for sub-national adjustments, matched by unit code and edition year
+async function applySubnationalAdjustmentChanges({ upserts = [], deletes = [] }, { uploadedBy }) {
+  return withWriteLock(async () => {
+    const { records, adjustments } = await readLiveCollections();
+    const keyOf = ({ code, year }) => `${code}:${year}`;
+    const byKey = new Map(adjustments.map(adjustment => [keyOf(adjustment), adjustment]));
+    deletes.forEach(target => byKey.delete(keyOf(target)));
+    upserts.forEach(adjustment => byKey.set(keyOf(adjustment), adjustment));
+    return publishDatasetVersion(records, Array.from(byKey.values()), { source: 'admin-api', sourceFile: null, sourceHash: null, uploadedBy });
+  });
+}
+
+// Roll back (or forward) to an existing version: republish its snapshot into the live
+// collections and mark it active. Returns null when the version does not exist.
+async function activateDatasetVersion(version) {
+  return withWriteLock(async () => {
+    const snapshot = await getDatasetVersion(version);
+    if (!snapshot) {
+      return null;
+    }
+
+    await replaceLiveCollections(snapshot);
+    await markActive(version);
+    return summarizeDatasetVersion({ ...snapshot, isActive: true });
+  });
+}
+
+module.exports = {
+  activateDatasetVersion,
+  applyCountryChanges,
+  applySubnationalAdjustmentChanges,
+  createDatasetVersion,
+  getActiveDatasetVersion,
+  getDatasetVersion,
+  hashRecords,
+  listDatasetVersions
+};
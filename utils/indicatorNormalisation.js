@@ -0,0 +1,171 @@
+// Normalisation pipeline applied to each indicator column before it reaches RiskEngine.
+// Indicators declare an ordered list of steps in the IndicatorSchema registry, e.g.
+//   normalisation: [{ type: 'minmax', min: 0, max: 1 }, { type: 'clamp' }]
+// Step parameters that are left out are taken from the observed column values.
+
+const OUTPUT_MIN = 0;
+const OUTPUT_MAX = 100;
+
+function roundParameter(value) {
+  return Number.isFinite(value) ? Math.round(value * 10000) / 10000 : null;
+}
+
+function pickNumber(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function summarizeColumn(values) {
+  const present = values.filter(value => Number.isFinite(value));
+  if (present.length === 0) {
+    return { count: 0, min: null, max: null, mean: null, sd: null };
+  }
+
+  const mean = present.reduce((sum, value) => sum + value, 0) / present.length;
+  const variance = present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / present.length;
+
+  return {
+    count: present.length,
+    min: Math.min(...present),
+    max: Math.max(...present),
+    mean,
+    sd: Math.sqrt(variance)
+  };
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+const STEP_HANDLERS = {
+  // Linear rescale of [min, max] onto 0-100
+  minmax(values, step) {
+    const stats = summarizeColumn(values);
+    const min = pickNumber(step.min, stats.min);
+    const max = pickNumber(step.max, stats.max);
+    const range = Number.isFinite(min) && Number.isFinite(max) ? max - min : 0;
+
+    return {
+      values: values.map(value => {
+        if (!Number.isFinite(value)) return value;
+        return range > 0 ? ((value - min) / range) * OUTPUT_MAX : OUTPUT_MIN;
+      }),
+      parameters: { min, max }
+    };
+  },
+
+  // Standardise, then express as the percentile of a normal distribution (0-100)
+  'zscore-percentile'(values, step) {
+    const stats = summarizeColumn(values);
+    const mean = pickNumber(step.mean, stats.mean);
+    const sd = pickNumber(step.sd, stats.sd);
+
+    return {
+      values: values.map(value => {
+        if (!Number.isFinite(value)) return value;
+        return sd > 0 ? normalCdf((value - mean) / sd) * OUTPUT_MAX : OUTPUT_MAX / 2;
+      }),
+      parameters: { mean, sd }
+    };
+  },
+
+  // Flip a higher-is-better scale so higher means worse
+  invert(values, step) {
+    const min = pickNumber(step.min, OUTPUT_MIN);
+    const max = pickNumber(step.max, OUTPUT_MAX);
+
+    return {
+      values: values.map(value => (Number.isFinite(value) ? min + max - value : value)),
+      parameters: { min, max }
+    };
+  },
+
+  clamp(values, step) {
+    const min = pickNumber(step.min, OUTPUT_MIN);
+    const max = pickNumber(step.max, OUTPUT_MAX);
+
+    return {
+      values: values.map(value => (Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : value)),
+      parameters: { min, max }
+    };
+  }
+};
+
+const NORMALISATION_STEP_TYPES = Object.keys(STEP_HANDLERS);
+
+// Declared steps plus the implied ones: higher-is-better indicators are inverted unless
+// they already declare an invert step, and every pipeline finishes with a 0-100 clamp.
+function buildNormalisationPipeline(indicator, directions) {
+  const declared = Array.isArray(indicator.normalisation) ? indicator.normalisation : [];
+  const steps = declared.map(step => ({ ...step }));
+
+  steps.forEach(step => {
+    if (!NORMALISATION_STEP_TYPES.includes(step.type)) {
+      throw new Error(
+        `Unknown normalisation step "${step.type}" for indicator ${indicator.id}. Expected one of: ${NORMALISATION_STEP_TYPES.join(', ')}`
+      );
+    }
+  });
+
+  if (indicator.direction === directions.HIGHER_IS_BETTER && !steps.some(step => step.type === 'invert')) {
+    steps.push({ type: 'invert' });
+  }
+
+  if (steps.length === 0 || steps[steps.length - 1].type !== 'clamp') {
+    steps.push({ type: 'clamp' });
+  }
+
+  return steps;
+}
+
+function roundParameters(step) {
+  return Object.entries(step).reduce((acc, [key, value]) => ({
+    ...acc,
+    [key]: typeof value === 'number' ? roundParameter(value) : value
+  }), {});
+}
+
+// Run one column through its pipeline. Missing values (null) pass through untouched.
+// `resolvedSteps` carries the exact parameters for normaliseIndicatorValue; the
+// metadata rounds them for display.
+function normaliseIndicatorColumn(values, indicator, directions) {
+  const steps = buildNormalisationPipeline(indicator, directions);
+  const observed = summarizeColumn(values);
+
+  let current = values;
+  const resolvedSteps = steps.map(step => {
+    const result = STEP_HANDLERS[step.type](current, step);
+    current = result.values;
+    return { type: step.type, ...result.parameters };
+  });
+
+  return {
+    values: current,
+    resolvedSteps,
+    metadata: {
+      steps: resolvedSteps.map(roundParameters),
+      observed: {
+        count: observed.count,
+        min: roundParameter(observed.min),
+        max: roundParameter(observed.max)
+      }
+    }
+  };
+}
+
+// Replay a column's resolvedSteps on one raw value. Every parameter is fixed, so the
+// result matches the value's place in the column.
+function normaliseIndicatorValue(value, resolvedSteps) {
+  if (!Number.isFinite(value)) return null;
+  return resolvedSteps.reduce((current, step) => STEP_HANDLERS[step.type]([current], step).values[0], value);
+}
+
+module.exports = {
+  NORMALISATION_STEP_TYPES,
+  buildNormalisationPipeline,
+  normaliseIndicatorColumn,
+  normaliseIndicatorValue
+};
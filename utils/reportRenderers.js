@@ -0,0 +1,266 @@
+const { jsPDF } = require('jspdf');
+const {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  Footer,
+  HeadingLevel,
+  ImageRun,
+  Packer,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} = require('docx');
+
+const { loadPdfGenerator } = require('./sharedModules');
+
+// Server-side rendering of the report model built by public/components/ReportModel.js.
+// The PDF is drawn by the same PDFGenerator code the browser uses, with the bundled
+// jsPDF; the DOCX is laid out from the same blocks, with charts written as tables.
+
+const REPORT_FORMATS = {
+  pdf: {
+    contentType: 'application/pdf',
+    extension: 'pdf'
+  },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx'
+  }
+};
+
+const TEXT_COLOR = '1E293B';
+const TONE_COLORS = {
+  muted: '64748B',
+  warning: 'B45309'
+};
+const HEADER_FILL = 'E2E8F0';
+const CELL_BORDER = { style: BorderStyle.SINGLE, size: 4, color: 'E2E8F0' };
+const CELL_BORDERS = { top: CELL_BORDER, bottom: CELL_BORDER, left: CELL_BORDER, right: CELL_BORDER };
+// Largest logo on the title page, in pixels
+const LOGO_MAX_WIDTH = 200;
+const LOGO_MAX_HEIGHT = 72;
+
+async function renderReportPdf(report) {
+  const pdfGenerator = await loadPdfGenerator();
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  pdfGenerator.drawReport(pdf, report);
+  return Buffer.from(pdf.output('arraybuffer'));
+}
+
+function toDocxColor(color) {
+  return typeof color === 'string' ? color.replace('#', '').toUpperCase() : TEXT_COLOR;
+}
+
+function formatRiskValue(value) {
+  return Number.isFinite(value) ? value.toFixed(1) : 'N/A';
+}
+
+// A table cell from report model cell text, or { text, color, bold }
+function buildCell(cell, { width, align, header = false, fill = null } = {}) {
+  const { text = '', color = null, bold = false } = cell !== null && typeof cell === 'object' ? cell : { text: cell };
+  return new TableCell({
+    width: { size: Math.round(width * 100), type: WidthType.PERCENTAGE },
+    borders: CELL_BORDERS,
+    shading: fill || header ? { type: ShadingType.CLEAR, fill: fill || HEADER_FILL, color: 'auto' } : undefined,
+    margins: { top: 60, bottom: 60, left: 100, right: 100 },
+    children: [new Paragraph({
+      alignment: align === 'right' ? AlignmentType.RIGHT : AlignmentType.LEFT,
+      children: [new TextRun({
+        text: String(text ?? ''),
+        bold: header || bold,
+        color: header ? TEXT_COLOR : toDocxColor(color),
+        size: 18
+      })]
+    })]
+  });
+}
+
+function buildTable(columns, rows) {
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      new TableRow({
+        tableHeader: true,
+        children: columns.map(column => buildCell(column.label, { ...column, header: true }))
+      }),
+      ...rows.map(row => new TableRow({
+        cantSplit: true,
+        children: row.map((cell, index) => buildCell(cell, columns[index]))
+      }))
+    ]
+  });
+}
+
+function buildParagraph(text, { tone = 'normal', spacingAfter = 120 } = {}) {
+  return new Paragraph({
+    spacing: { after: spacingAfter },
+    children: [new TextRun({
+      text,
+      color: TONE_COLORS[tone] || TEXT_COLOR,
+      size: tone === 'normal' ? 20 : 18
+    })]
+  });
+}
+
+// Word output for each report block type. Charts become tables of the plotted values.
+const BLOCK_BUILDERS = {
+  paragraph: block => [buildParagraph(block.text, { tone: block.tone })],
+
+  metrics: block => [new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [new TableRow({
+      children: block.items.map(item => new TableCell({
+        width: { size: Math.round(100 / block.items.length), type: WidthType.PERCENTAGE },
+        borders: CELL_BORDERS,
+        shading: { type: ShadingType.CLEAR, fill: 'F8FAFC', color: 'auto' },
+        margins: { top: 120, bottom: 120, left: 100, right: 100 },
+        children: [
+          new Paragraph({
+            alignment: AlignmentType.CENTER,
+            children: [new TextRun({ text: item.value, bold: true, size: 32, color: toDocxColor(item.color) })]
+          }),
+          new Paragraph({
+            alignment: AlignmentType.CENTER,
+            children: [new TextRun({ text: item.label, size: 18, color: '475569' })]
+          })
+        ]
+      }))
+    })]
+  })],
+
+  riskScale: block => {
+    const bandWidth = 1 / block.bands.length;
+    const markers = block.markers
+      .filter(marker => Number.isFinite(marker.score))
+      .map(marker => `${marker.label} ${formatRiskValue(marker.score)}`);
+    return [
+      buildTable(
+        block.bands.map(band => ({ label: band.name, width: bandWidth })),
+        [block.bands.map((band, index) => {
+          const next = block.bands[index + 1];
+          return `${band.min}-${next ? next.min : 100}`;
+        })]
+      ),
+      ...(markers.length > 0 ? [buildParagraph(markers.join('   '), { tone: 'muted' })] : [])
+    ];
+  },
+
+  table: block => [buildTable(block.columns, block.rows)],
+
+  bars: block => {
+    if (block.items.length === 0) return [];
+    const seriesLabels = block.legend.length > 0
+      ? block.legend.map(entry => entry.label)
+      : block.items[0].values.map(() => '');
+    const valueWidth = 0.5 / seriesLabels.length;
+    return [buildTable(
+      [
+        { label: '', width: 0.5 },
+        ...seriesLabels.map(label => ({ label, width: valueWidth, align: 'right' }))
+      ],
+      block.items.map(item => [
+        item.label,
+        ...item.values.map(value => ({ text: value.text, color: value.color }))
+      ])
+    )];
+  }
+};
+
+function buildSection(section, index) {
+  const heading = section.panel ? `Panel ${section.panel}: ${section.title}` : section.title;
+  const children = [
+    new Paragraph({
+      heading: HeadingLevel.HEADING_1,
+      pageBreakBefore: index > 0,
+      children: [new TextRun(heading)]
+    })
+  ];
+  if (section.subtitle) {
+    children.push(buildParagraph(section.subtitle, { tone: 'muted', spacingAfter: 240 }));
+  }
+
+  section.blocks.forEach(block => {
+    const build = BLOCK_BUILDERS[block.type];
+    if (!build) {
+      console.warn(`Unknown report block type: ${block.type}`);
+      return;
+    }
+    children.push(...build(block), new Paragraph({ spacing: { after: 120 }, children: [] }));
+  });
+  return children;
+}
+
+// Template logo (a PNG or JPEG data URL) scaled into the title page's logo area
+function buildLogo(logo) {
+  const [header, base64] = logo.dataUrl.split(',');
+  const scale = Math.min(LOGO_MAX_WIDTH / logo.width, LOGO_MAX_HEIGHT / logo.height);
+  return new Paragraph({
+    spacing: { after: 240 },
+    children: [new ImageRun({
+      type: header.includes('image/png') ? 'png' : 'jpg',
+      data: Buffer.from(base64, 'base64'),
+      transformation: { width: Math.round(logo.width * scale), height: Math.round(logo.height * scale) }
+    })]
+  });
+}
+
+async function renderReportDocx(report) {
+  const { headline, branding } = report;
+  const summary = [
+    ...(branding.logo ? [buildLogo(branding.logo)] : []),
+    ...(branding.companyName
+      ? [new Paragraph({ children: [new TextRun({ text: branding.companyName, bold: true, size: 24, color: toDocxColor(branding.colors.primary) })] })]
+      : []),
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(report.title)] }),
+    new Paragraph({ heading: HeadingLevel.HEADING_2, children: [new TextRun(report.subtitle)] }),
+    buildParagraph(`Generated on ${new Date(report.generatedAt).toUTCString()}`, { tone: 'muted' }),
+    buildParagraph(`Index data: ${report.dataset}`, { tone: 'muted', spacingAfter: 240 }),
+    ...BLOCK_BUILDERS.metrics({
+      items: [
+        { label: 'Countries selected', value: String(headline.countryCount), color: branding.colors.highlight },
+        { label: 'Baseline risk', value: formatRiskValue(headline.baselineRisk), color: branding.colors.highlight },
+        { label: 'Managed risk', value: formatRiskValue(headline.managedRisk), color: branding.colors.highlight }
+      ]
+    }),
+    ...(Number.isFinite(headline.riskReduction)
+      ? [buildParagraph(`Risk reduction achieved: ${headline.absoluteReduction.toFixed(1)} (${headline.riskReduction.toFixed(1)}%)`)]
+      : []),
+    buildParagraph(`Indicator sources: ${report.indicatorSources}`, { tone: 'muted' })
+  ];
+
+  // The company name in the footer of the report pages, as in the PDF
+  const footers = branding.companyName
+    ? { default: new Footer({ children: [buildParagraph(branding.companyName, { tone: 'muted', spacingAfter: 0 })] }) }
+    : undefined;
+
+  const document = new Document({
+    title: `${report.title} - ${report.subtitle}`,
+    creator: branding.companyName || 'HRDD Risk Assessment Tool',
+    styles: {
+      default: { document: { run: { font: 'Helvetica' } } }
+    },
+    sections: [
+      { children: summary },
+      { footers, children: report.sections.flatMap(buildSection) }
+    ]
+  });
+
+  return Packer.toBuffer(document);
+}
+
+async function renderReport(report, format = 'pdf') {
+  if (format === 'docx') {
+    return renderReportDocx(report);
+  }
+  return renderReportPdf(report);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  renderReport
+};
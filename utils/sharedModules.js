@@ -0,0 +1,76 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// The browser components are ES modules; public/components/package.json marks
+// them as such so Node can import the same files the front end loads.
+const COMPONENTS_DIR = path.join(__dirname, '..', 'public', 'components');
+
+const modulePromises = new Map();
+
+function loadComponentModule(fileName) {
+  if (!modulePromises.has(fileName)) {
+    const moduleUrl = pathToFileURL(path.join(COMPONENTS_DIR, fileName)).href;
+    const promise = import(moduleUrl).catch(error => {
+      modulePromises.delete(fileName);
+      throw error;
+    });
+    modulePromises.set(fileName, promise);
+  }
+  return modulePromises.get(fileName);
+}
+
+async function loadRiskEngine() {
+  const { riskEngine } = await loadComponentModule('RiskEngine.js');
+  return riskEngine;
+}
+
+function loadIndicatorSchema() {
+  return loadComponentModule('IndicatorSchema.js');
+}
+
+function loadSectorRisk() {
+  return loadComponentModule('SectorRisk.js');
+}
+
+function loadCountryResolver() {
+  return loadComponentModule('CountryResolver.js');
+}
+
+function loadSubnationalUnits() {
+  return loadComponentModule('SubnationalUnits.js');
+}
+
+function loadSupplierPortfolio() {
+  return loadComponentModule('SupplierPortfolio.js');
+}
+
+function loadScenarioComparison() {
+  return loadComponentModule('ScenarioComparison.js');
+}
+
+function loadReportModel() {
+  return loadComponentModule('ReportModel.js');
+}
+
+function loadReportTemplates() {
+  return loadComponentModule('ReportTemplates.js');
+}
+
+async function loadPdfGenerator() {
+  const { pdfGenerator } = await loadComponentModule('PDFGenerator.js');
+  return pdfGenerator;
+}
+
+module.exports = {
+  loadComponentModule,
+  loadCountryResolver,
+  loadIndicatorSchema,
+  loadPdfGenerator,
+  loadReportModel,
+  loadReportTemplates,
+  loadRiskEngine,
+  loadScenarioComparison,
+  loadSectorRisk,
+  loadSubnationalUnits,
+  loadSupplierPortfolio
+};
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+let modelPromise = null;
+
+// Sub-national adjustment schema - one document per ISO 3166-2 unit and edition year
+// that should not score exactly like its country. `overrides` maps indicator ids to
+// normalised values (0-100, higher is worse); `riskMultiplier` scales the unit's
+// weighted score. Like the Country collection, this mirrors the active dataset version.
+function buildSubnationalAdjustmentModel() {
+  const schema = new mongoose.Schema({
+    code: { type: String, required: true, immutable: true },
+    year: { type: Number, required: true, immutable: true },
+    riskMultiplier: { type: Number, default: 1 },
+    overrides: { type: mongoose.Schema.Types.Mixed, default: {} },
+    source: { type: String, default: '' }
+  }, { minimize: false });
+  schema.index({ code: 1, year: 1 }, { unique: true });
+
+  return mongoose.models.SubnationalAdjustment || mongoose.model('SubnationalAdjustment', schema);
+}
+
+async function getSubnationalAdjustmentModel() {
+  if (!modelPromise) {
+    modelPromise = Promise.resolve().then(buildSubnationalAdjustmentModel).catch(error => {
+      modelPromise = null;
+      throw error;
+    });
+  }
+  return modelPromise;
+}
+
+module.exports = {
+  getSubnationalAdjustmentModel
+};
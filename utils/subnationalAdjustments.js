@@ -0,0 +1,171 @@
+const { normaliseIndicatorValue } = require('./indicatorNormalisation');
+const { getSubnationalAdjustmentModel } = require('./subnationalAdjustmentModel');
+const { loadIndicatorSchema, loadSubnationalUnits } = require('./sharedModules');
+
+// Per-unit adjustments for the ISO 3166-2 units in SubnationalUnits.js, maintained
+// through the admin API for one edition year at a time. Override values are sent in
+// source units, like admin country records, and stored normalised. Adjustments are part
+// of each dataset version (see datasetVersions.js); units without one score like their
+// country.
+
+const MIN_MULTIPLIER = 0.5;
+const MAX_MULTIPLIER = 2;
+const MAX_SOURCE_LENGTH = 500;
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+// Validate an adjustment for a known unit and edition year. `existing` is the stored
+// adjustment, if any; fields left out of `input` keep their stored values.
+// Returns { adjustment, errors }.
+async function validateSubnationalAdjustment(code, year, input, normalisationSteps, existing = null) {
+  const [{ INDICATOR_IDS }, { getSubnationalUnit }] = await Promise.all([loadIndicatorSchema(), loadSubnationalUnits()]);
+  const errors = [];
+
+  const unit = getSubnationalUnit(code);
+  if (!unit) {
+    return { adjustment: null, errors: [`Unknown sub-national unit "${code}"`] };
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { adjustment: null, errors: ['Adjustment must be an object'] };
+  }
+
+  const allowedFields = new Set(['riskMultiplier', 'overrides', 'source']);
+  Object.keys(input).forEach(field => {
+    if (!allowedFields.has(field)) {
+      errors.push(`Unknown field "${field}"`);
+    }
+  });
+
+  const adjustment = {
+    code: unit.code,
+    year,
+    riskMultiplier: existing?.riskMultiplier ?? 1,
+    overrides: { ...(existing?.overrides || {}) },
+    source: existing?.source || ''
+  };
+
+  if (input.riskMultiplier !== undefined) {
+    const multiplier = isBlank(input.riskMultiplier) ? 1 : Number(input.riskMultiplier);
+    if (!Number.isFinite(multiplier) || multiplier < MIN_MULTIPLIER || multiplier > MAX_MULTIPLIER) {
+      errors.push(`riskMultiplier must be a number from ${MIN_MULTIPLIER} to ${MAX_MULTIPLIER}`);
+    } else {
+      adjustment.riskMultiplier = multiplier;
+    }
+  }
+
+  if (input.overrides !== undefined) {
+    const overrides = input.overrides || {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      errors.push('overrides must map indicator ids to values');
+    } else {
+      // Send null to drop an override and fall back to the country's value
+      Object.entries(overrides).forEach(([id, value]) => {
+        if (!INDICATOR_IDS.includes(id)) {
+          errors.push(`Unknown indicator "${id}" in overrides`);
+        } else if (isBlank(value)) {
+          delete adjustment.overrides[id];
+        } else if (!Number.isFinite(Number(value))) {
+          errors.push(`overrides.${id} must be a number in the source's units, or null to remove it`);
+        } else if (!normalisationSteps?.[id]) {
+          errors.push(`${id} has no resolved normalisation; check that the bundled country file loads`);
+        } else {
+          adjustment.overrides[id] = normaliseIndicatorValue(Number(value), normalisationSteps[id]);
+        }
+      });
+    }
+  }
+
+  if (input.source !== undefined) {
+    const source = typeof input.source === 'string' ? input.source.trim() : null;
+    if (source === null || source.length > MAX_SOURCE_LENGTH) {
+      errors.push(`source must be text of at most ${MAX_SOURCE_LENGTH} characters`);
+    } else {
+      adjustment.source = source;
+    }
+  }
+
+  return { adjustment: errors.length === 0 ? adjustment : null, errors };
+}
+
+function formatAdjustment(doc) {
+  return doc
+    ? {
+        code: doc.code,
+        year: doc.year,
+        riskMultiplier: doc.riskMultiplier ?? 1,
+        overrides: { ...(doc.overrides || {}) },
+        source: doc.source || ''
+      }
+    : null;
+}
+
+// One edition year's adjustments keyed by unit code, as RiskEngine.buildSubnationalRecords
+// reads them. `adjustments` are stored documents, e.g. a dataset version's.
+function indexSubnationalAdjustments(adjustments, year) {
+  return (adjustments || [])
+    .filter(adjustment => adjustment.year === year)
+    .reduce((acc, adjustment) => ({ ...acc, [adjustment.code]: formatAdjustment(adjustment) }), {});
+}
+
+// Active adjustments for one edition year, keyed by unit code
+async function getSubnationalAdjustments(year) {
+  const SubnationalAdjustment = await getSubnationalAdjustmentModel();
+  return indexSubnationalAdjustments(await SubnationalAdjustment.find({ year }).lean(), year);
+}
+
+async function getSubnationalAdjustment(code, year) {
+  const SubnationalAdjustment = await getSubnationalAdjustmentModel();
+  return formatAdjustment(await SubnationalAdjustment.findOne({ code, year }).lean());
+}
+
+// Field-level changes between two sets of adjustments matched by unit code and year,
+// shaped like diffCountryRecordSets entries (overrides are listed per indicator)
+function diffSubnationalAdjustmentSets(beforeAdjustments, afterAdjustments) {
+  const keyOf = ({ code, year }) => `${code}:${year}`;
+  const fieldsOf = adjustment => {
+    const { riskMultiplier, overrides, source } = formatAdjustment(adjustment);
+    return {
+      riskMultiplier,
+      source,
+      ...Object.fromEntries(Object.entries(overrides).map(([id, value]) => [`overrides.${id}`, value]))
+    };
+  };
+  const diffPair = (before, after) => {
+    const from = before ? fieldsOf(before) : {};
+    const to = after ? fieldsOf(after) : {};
+    const changes = {};
+    new Set([...Object.keys(from), ...Object.keys(to)]).forEach(field => {
+      if ((from[field] ?? null) !== (to[field] ?? null)) {
+        changes[field] = { from: from[field] ?? null, to: to[field] ?? null };
+      }
+    });
+
+    let action = 'unchanged';
+    if (!before) {
+      action = 'create';
+    } else if (!after) {
+      action = 'delete';
+    } else if (Object.keys(changes).length > 0) {
+      action = 'update';
+    }
+    const { code, year } = after || before;
+    return { code, year, action, changes };
+  };
+
+  const beforeByKey = new Map((beforeAdjustments || []).map(adjustment => [keyOf(adjustment), adjustment]));
+  const afterKeys = new Set((afterAdjustments || []).map(keyOf));
+  return [
+    ...(afterAdjustments || []).map(adjustment => diffPair(beforeByKey.get(keyOf(adjustment)) || null, adjustment)),
+    ...(beforeAdjustments || []).filter(adjustment => !afterKeys.has(keyOf(adjustment))).map(adjustment => diffPair(adjustment, null))
+  ];
+}
+
+module.exports = {
+  diffSubnationalAdjustmentSets,
+  getSubnationalAdjustment,
+  getSubnationalAdjustments,
+  indexSubnationalAdjustments,
+  validateSubnationalAdjustment
+};